@@ -19,6 +19,12 @@ interface MigrationAnalysis {
   recreatedTables: string[];
   addColumns: Array<{ table: string; column: string }>;
   addTables: string[];
+  addViews: string[];
+  dropViews: string[];
+  addTriggers: string[];
+  dropTriggers: string[];
+  renameTables: Array<{ from: string; to: string }>;
+  renameColumns: Array<{ table: string; from: string; to: string }>;
   isDestructive: boolean;
 }
 
@@ -48,6 +54,100 @@ interface SafeMigrateResult {
   backup: BackupResult | null;
 }
 
+/** A migration file created by createMigration */
+interface CreatedMigration {
+  name: string;
+  path: string;
+  sql: string;
+  /** The SQL that reverses the migration, saved next to it as a .down.sql file */
+  down: string;
+}
+
+/** A migration recorded in the migration history table */
+interface AppliedMigration {
+  name: string;
+  checksum: string;
+  appliedAt: Date;
+}
+
+/** Result of migrationStatus */
+interface MigrationStatus {
+  applied: AppliedMigration[];
+  /** Migration files that have not been applied */
+  pending: string[];
+  /** Applied migrations whose file has been edited since */
+  changed: string[];
+  /** Applied migrations whose file no longer exists */
+  missing: string[];
+}
+
+/** Result of runMigrations */
+interface RunMigrationsResult {
+  success: boolean;
+  error?: string;
+  /** The migration that failed */
+  failed?: string;
+  applied: Array<{
+    name: string;
+    analysis: MigrationAnalysis;
+    backup: BackupResult | null;
+  }>;
+}
+
+/** Result of rollbackMigrations */
+interface RollbackMigrationsResult {
+  success: boolean;
+  error?: string;
+  /** The migration that failed to roll back */
+  failed?: string;
+  rolledBack: Array<{
+    name: string;
+    /** True when rolling back drops tables or columns */
+    lossy: boolean;
+    analysis: MigrationAnalysis;
+    backup: BackupResult | null;
+  }>;
+}
+
+/** Result of introspect */
+interface IntrospectResult {
+  /** The tables and views in the same format as getSchema */
+  schema: any[];
+  /** Table classes that create the same tables */
+  source: string;
+  /** Parts of the database that could not be converted */
+  warnings: string[];
+}
+
+/** A difference between the table classes and the database */
+interface SchemaDiscrepancy {
+  kind: 'missingTable' | 'extraTable' | 'missingColumn' | 'extraColumn' | 'type' | 'notNull' | 'default' | 'generated' | 'primaryKey' | 'view' | 'missingIndex' | 'extraIndex' | 'missingForeignKey' | 'extraForeignKey' | 'missingCheck' | 'extraCheck' | 'missingTrigger' | 'extraTrigger';
+  table: string;
+  /** The column, index, foreign key, check or trigger that is different */
+  name?: string;
+  expected?: any;
+  actual?: any;
+  message: string;
+}
+
+interface GetClientOptions {
+  /** Throws when the database does not match the table classes */
+  verifySchema?: boolean;
+}
+
+interface HistoryEntry {
+  operation: 'insert' | 'update' | 'delete';
+  changedAt: Date;
+  actor: string | null;
+}
+
+interface IterateConfig extends LimitConfig {
+  /** Include soft-deleted rows */
+  withDeleted?: boolean;
+  /** Only return soft-deleted rows */
+  onlyDeleted?: boolean;
+}
+
 /** Result of offset-based pagination */
 interface PaginateResult<T> {
   data: T[];
@@ -59,10 +159,14 @@ interface PaginateResult<T> {
 }
 
 /** Result of cursor-based pagination */
-interface CursorPaginateResult<T, C = number> {
+interface CursorPaginateResult<T> {
   data: T[];
-  nextCursor: C | null;
+  /** An opaque cursor to the page after this one */
+  nextCursor: string | null;
+  /** An opaque cursor to the page before this one */
+  prevCursor: string | null;
   hasMore: boolean;
+  hasPrevious: boolean;
 }
 
 /** Options for offset-based pagination */
@@ -83,14 +187,51 @@ interface CursorPaginateQuery<W, K, T> {
   select?: (keyof T)[] | K[];
   return?: K;
   omit?: K | K[];
+  /** The nextCursor or prevCursor of a previous page */
+  cursor?: string | null;
+  limit?: number;
+  /** The columns to order by. The primary key is added when none of them are unique */
+  orderBy?: K | K[];
+  /** Whether to sort in descending order, for every column or for each column in orderBy */
+  desc?: boolean | boolean[];
+}
+
+/** Options for pagination with the value of one column as the cursor */
+interface ColumnCursorPaginateQuery<W, K, T> {
+  where?: W;
+  select?: (keyof T)[] | K[];
+  return?: K;
+  omit?: K | K[];
+  /** The value of the cursor column to continue from */
   cursor?: any;
   limit?: number;
   cursorColumn?: K;
   direction?: 'after' | 'before';
-  orderBy?: K | K[] | ((column: T, method: ComputeMethods) => void);
+  orderBy?: K;
   desc?: boolean;
 }
 
+/** Result of pagination with the value of one column as the cursor */
+interface ColumnCursorPaginateResult<T> {
+  data: T[];
+  nextCursor: any;
+  hasMore: boolean;
+}
+
+/** The metrics of the sqlite-vec extension, which is used instead of the built-in functions when it is loaded */
+type DistanceMetric = 'l2' | 'l1' | 'cosine';
+
+interface NearestQuery<W, K> {
+  /** The vector column to compare */
+  column: K;
+  vector: Float32Array | number[];
+  /** The number of rows to return. Defaults to 10 */
+  k?: number;
+  /** Defaults to "l2" */
+  metric?: DistanceMetric;
+  where?: W;
+}
+
 /** Valid hook names */
 type HookName = 
   | 'beforeInsert' | 'afterInsert'
@@ -124,6 +265,8 @@ interface QueryStats {
   reads: number;
   writes: number;
   errors: number;
+  /** Queries that threw a QueryTimeoutError */
+  timeouts: number;
   avgDurationMs: number;
   slowQueries: number;
   slowThresholdMs: number;
@@ -166,6 +309,48 @@ interface Keywords<T, K> {
   distinct?: boolean;
 }
 
+/** Options for a relation loaded with `include` */
+interface IncludeOptions {
+  where?: { [key: string]: any };
+  select?: string[];
+  omit?: string | string[];
+  orderBy?: string | string[];
+  desc?: boolean;
+  /** Picks the foreign key when a table references this one more than once */
+  foreignKey?: string;
+  /** Include soft-deleted rows from a SoftDeleteTable */
+  withDeleted?: boolean;
+  include?: { [key: string]: true | IncludeOptions };
+}
+
+type RowOf<Q> = Q extends Queries<infer T, any, any, any> ? T : never;
+
+type FindTable<Y, R extends string> =
+  `${R}s` extends keyof Y ? Y[`${R}s`] :
+  `${R}es` extends keyof Y ? Y[`${R}es`] :
+  R extends `${infer S}y` ? (`${S}ies` extends keyof Y ? Y[`${S}ies`] : never) :
+  R extends keyof Y ? Y[R] :
+  never;
+
+type BelongsToKeys<E> = {
+  [K in keyof E]: K extends `${infer R}Id` ? R : never;
+}[keyof E];
+
+/** Relations that can be loaded: child tables by name and parents by foreign key column without "Id" */
+type IncludeQuery<Y, E> = {
+  [K in keyof Y | BelongsToKeys<E>]?: true | IncludeOptions;
+};
+
+type IncludeResult<Y, E, I> = {
+  [K in keyof I]: K extends BelongsToKeys<E>
+    ? K extends string
+      ? RowOf<FindTable<Y, K>> | null
+      : never
+    : K extends keyof Y
+      ? Array<RowOf<Y[K]>>
+      : never;
+};
+
 type ReadQueries<P, T> = Pick<ToQuery<P, T>, 'get' | 'many' | 'query' | 'first' | 'count' | 'avg' | 'sum' | 'min' | 'max' | 'exists' | 'groupBy'>;
 
 type ObjectFunction = {
@@ -223,6 +408,10 @@ interface ComplexQuery<W, T> extends Keywords<T, Array<keyof T> | keyof T> {
   where?: W;
 }
 
+interface IncludeConfig<I> {
+  include: I;
+}
+
 interface ComplexQueryObject<W, K, T> extends Keywords<T, keyof T | Array<keyof T>> {
   where?: W;
   select: (keyof T)[] | K[];
@@ -251,10 +440,25 @@ interface UpdateQuery<W, T> {
   set: Partial<AddComputed<MakeOptionalNullable<T>>>;
 }
 
+type AddExcluded<T> = {
+  [K in keyof T]: T[K] | ((column: T, methods: ComputeMethods, excluded: T) => void);
+};
+
+interface UpsertManyQuery<T, K> {
+  values: T[];
+  target?: K | K[];
+  set?: Partial<AddExcluded<MakeOptionalNullable<T>>>;
+}
+
+interface UpsertManyResult {
+  inserted: number;
+  updated: number;
+}
+
 interface UpsertQuery<T, K> {
   values: T;
   target?: K;
-  set?: Partial<MakeOptionalNullable<T>>;
+  set?: Partial<AddExcluded<MakeOptionalNullable<T>>>;
 }
 
 interface GroupQueryKeywords<W, K> {
@@ -470,6 +674,7 @@ interface ComputeMethods {
   multiply(...args: NumberParam[]): NumberResult;
   object<T extends { [key: string]: AllowedJson }>(select: T): ToJson<T>;
   arrayLength(param: JsonParam | any[]): NumberResult;
+  distance(a: VectorParam, b: VectorParam, metric?: DistanceMetric): NumberResult;
 }
 
 interface FrameOptions {
@@ -536,6 +741,7 @@ type ToJsType<T> =
     T extends DbBuffer ? Buffer :
     T extends PkBuffer ? Buffer :
     T extends ComputedBuffer ? Buffer :
+    T extends DbVector ? Float32Array :
     T extends string ? string :
     T extends number ? number :
     T extends boolean ? boolean :
@@ -620,51 +826,101 @@ interface MatchQueryValue<T, K> extends MatchKeywords, VirtualKeywords<T & { row
 }
 
 interface VirtualQueries<T, E, W> {
-  match(query: MatchQuery<T>): Promise<T[]>;
-  match<K extends keyof E>(query: MatchQuerySelect<T, K>): Promise<Pick<E, K>[]>;
-  match<K extends keyof E>(query: MatchQueryValue<T, K>): Promise<E[K][]>;
+  match(query: MatchQuery<T>, config?: ReadConfig): Promise<T[]>;
+  match<K extends keyof E>(query: MatchQuerySelect<T, K>, config?: ReadConfig): Promise<Pick<E, K>[]>;
+  match<K extends keyof E>(query: MatchQueryValue<T, K>, config?: ReadConfig): Promise<E[K][]>;
   get(query: HighlightQuery<W, T>): Promise<{ id: number, highlight: string } | undefined>;
   get(query: SnippetQuery<W, T>): Promise<{ id: number, snippet: string } | undefined>;
   query(query: HighlightQuery<W, T>): Promise<Array<{ id: number, highlight: string }>>;
   query(query: SnippetQuery<W, T>): Promise<Array<{ id: number, snippet: string }>>;
 }
 
+interface ReturningAll {
+  returning: '*';
+}
+
+interface ReturningValue<K> {
+  returning: K;
+}
+
+interface ReturningObject<K> {
+  returning: K[];
+}
+
 interface WriteQueries<T, I, W, R> {
   insert(params: I): Promise<R>;
   insertMany(params: Array<I>): Promise<void>;
+  insertMany(params: Array<I>, options: ReturningAll): Promise<Array<T>>;
+  insertMany<K extends keyof T>(params: Array<I>, options: ReturningValue<K>): Promise<Array<T[K]>>;
+  insertMany<K extends keyof T>(params: Array<I>, options: ReturningObject<K>): Promise<Array<Pick<T, K>>>;
+  update(options: UpdateQuery<W, I> & ReturningAll): Promise<Array<T>>;
+  update<K extends keyof T>(options: UpdateQuery<W, I> & ReturningValue<K>): Promise<Array<T[K]>>;
+  update<K extends keyof T>(options: UpdateQuery<W, I> & ReturningObject<K>): Promise<Array<Pick<T, K>>>;
   update(options: UpdateQuery<W, I>): Promise<number>;
   upsert<K extends keyof T>(options: UpsertQuery<I, K>): Promise<R>;
+  upsertMany<K extends keyof T>(options: UpsertManyQuery<I, K>): Promise<UpsertManyResult>;
   delete(params?: W): Promise<number>;
+  delete(params: W | null, options: ReturningAll): Promise<Array<T>>;
+  delete<K extends keyof T>(params: W | null, options: ReturningValue<K>): Promise<Array<T[K]>>;
+  delete<K extends keyof T>(params: W | null, options: ReturningObject<K>): Promise<Array<Pick<T, K>>>;
 }
 
 interface Queries<T, E, W, Y> {
   get(params?: W | null): Promise<T | undefined>;
-  get<K extends keyof E>(params: W | null, column: K): Promise<E[K] | undefined>;
-  get<K extends keyof E>(params: W | null, columns: (keyof E)[] | K[]): Promise<Pick<E, K> | undefined>;
+  get(params: W | null, columns: null | undefined, config: ReadConfig): Promise<T | undefined>;
+  get<I extends IncludeQuery<Y, E>>(params: W | null, columns: null | undefined, config: IncludeConfig<I> & ReadConfig): Promise<(T & IncludeResult<Y, E, I>) | undefined>;
+  get<K extends keyof E, I extends IncludeQuery<Y, E>>(params: W | null, columns: (keyof E)[] | K[], config: IncludeConfig<I> & ReadConfig): Promise<(Pick<E, K> & IncludeResult<Y, E, I>) | undefined>;
+  get<K extends keyof E>(params: W | null, column: K, config?: ReadConfig): Promise<E[K] | undefined>;
+  get<K extends keyof E>(params: W | null, columns: (keyof E)[] | K[], config?: ReadConfig): Promise<Pick<E, K> | undefined>;
   many(params?: W): Promise<Array<T>>;
-  many<K extends keyof E>(params: W | null, columns: (keyof E)[] | K[]): Promise<Array<Pick<E, K>>>;
-  many<K extends keyof E>(params: W | null, column: K): Promise<Array<E[K]>>;
+  many(params: W | null, columns: null | undefined, config: ReadConfig): Promise<Array<T>>;
+  many<I extends IncludeQuery<Y, E>>(params: W | null, columns: null | undefined, config: IncludeConfig<I> & ReadConfig): Promise<Array<T & IncludeResult<Y, E, I>>>;
+  many<K extends keyof E, I extends IncludeQuery<Y, E>>(params: W | null, columns: (keyof E)[] | K[], config: IncludeConfig<I> & ReadConfig): Promise<Array<Pick<E, K> & IncludeResult<Y, E, I>>>;
+  many<K extends keyof E>(params: W | null, columns: (keyof E)[] | K[], config?: ReadConfig): Promise<Array<Pick<E, K>>>;
+  many<K extends keyof E>(params: W | null, column: K, config?: ReadConfig): Promise<Array<E[K]>>;
   query(): Promise<Array<T>>;
-  query<K extends keyof E>(query: ComplexQueryValue<W, K, T>): Promise<Array<E[K]>>;
-  query<K extends keyof E>(query: ComplexQueryObject<W, K, T>): Promise<Array<Pick<E, K>>>;
-  query<K extends keyof E>(query: ComplexQueryObjectOmit<W, K, T>): Promise<Array<Omit<E, K>>>;
-  query(query: ComplexQuery<W, E>): Promise<Array<T>>;
+  query<K extends keyof E>(query: ComplexQueryValue<W, K, T>, config?: ReadConfig): Promise<Array<E[K]>>;
+  query<K extends keyof E, I extends IncludeQuery<Y, E>>(query: ComplexQueryObject<W, K, T> & IncludeConfig<I>, config?: ReadConfig): Promise<Array<Pick<E, K> & IncludeResult<Y, E, I>>>;
+  query<K extends keyof E>(query: ComplexQueryObject<W, K, T>, config?: ReadConfig): Promise<Array<Pick<E, K>>>;
+  query<K extends keyof E, I extends IncludeQuery<Y, E>>(query: ComplexQueryObjectOmit<W, K, T> & IncludeConfig<I>, config?: ReadConfig): Promise<Array<Omit<E, K> & IncludeResult<Y, E, I>>>;
+  query<K extends keyof E>(query: ComplexQueryObjectOmit<W, K, T>, config?: ReadConfig): Promise<Array<Omit<E, K>>>;
+  query<I extends IncludeQuery<Y, E>>(query: ComplexQuery<W, E> & IncludeConfig<I>, config?: ReadConfig): Promise<Array<T & IncludeResult<Y, E, I>>>;
+  query(query: ComplexQuery<W, E>, config?: ReadConfig): Promise<Array<T>>;
+  /** Reads the matching rows one at a time instead of loading them into an array */
+  iterate(): AsyncIterableIterator<T>;
+  iterate<K extends keyof E>(query: ComplexQueryValue<W, K, T>, config?: IterateConfig): AsyncIterableIterator<E[K]>;
+  iterate<K extends keyof E>(query: ComplexQueryObject<W, K, T>, config?: IterateConfig): AsyncIterableIterator<Pick<E, K>>;
+  iterate<K extends keyof E>(query: ComplexQueryObjectOmit<W, K, T>, config?: IterateConfig): AsyncIterableIterator<Omit<E, K>>;
+  iterate(query: ComplexQuery<W, E>, config?: IterateConfig): AsyncIterableIterator<T>;
   first(): Promise<T | undefined>;
-  first<K extends keyof E>(query: ComplexQueryValue<W, K, T>): Promise<E[K] | undefined>;
-  first<K extends keyof E>(query: ComplexQueryObject<W, K, T>): Promise<Pick<E, K> | undefined>;
-  first<K extends keyof E>(query: ComplexQueryObjectOmit<W, K, T>): Promise<Omit<E, K> | undefined>;
-  first(query: ComplexQuery<W, E>): Promise<T | undefined>;
-  count<K extends keyof E>(query?: AggregateQuery<W, K>): Promise<number>;
-  avg<K extends keyof E>(query: AggregateQuery<W, K>): Promise<number>;
-  max<K extends keyof E>(query: AggregateQuery<W, K>): Promise<E[K]>;
-  min<K extends keyof E>(query: AggregateQuery<W, K>): Promise<E[K]>;
-  sum<K extends keyof E>(query: AggregateQuery<W, K>): Promise<number>;
-  exists(params: W | null): Promise<boolean>;
-  groupBy<K extends keyof E>(columns: K | Array<K>): AggregateMethods<E, W, K, Y>;
+  first<K extends keyof E>(query: ComplexQueryValue<W, K, T>, config?: ReadConfig): Promise<E[K] | undefined>;
+  first<K extends keyof E, I extends IncludeQuery<Y, E>>(query: ComplexQueryObject<W, K, T> & IncludeConfig<I>, config?: ReadConfig): Promise<(Pick<E, K> & IncludeResult<Y, E, I>) | undefined>;
+  first<K extends keyof E>(query: ComplexQueryObject<W, K, T>, config?: ReadConfig): Promise<Pick<E, K> | undefined>;
+  first<K extends keyof E, I extends IncludeQuery<Y, E>>(query: ComplexQueryObjectOmit<W, K, T> & IncludeConfig<I>, config?: ReadConfig): Promise<(Omit<E, K> & IncludeResult<Y, E, I>) | undefined>;
+  first<K extends keyof E>(query: ComplexQueryObjectOmit<W, K, T>, config?: ReadConfig): Promise<Omit<E, K> | undefined>;
+  first<I extends IncludeQuery<Y, E>>(query: ComplexQuery<W, E> & IncludeConfig<I>, config?: ReadConfig): Promise<(T & IncludeResult<Y, E, I>) | undefined>;
+  first(query: ComplexQuery<W, E>, config?: ReadConfig): Promise<T | undefined>;
+  count<K extends keyof E>(query?: AggregateQuery<W, K>, config?: ReadConfig): Promise<number>;
+  avg<K extends keyof E>(query: AggregateQuery<W, K>, config?: ReadConfig): Promise<number>;
+  max<K extends keyof E>(query: AggregateQuery<W, K>, config?: ReadConfig): Promise<E[K]>;
+  min<K extends keyof E>(query: AggregateQuery<W, K>, config?: ReadConfig): Promise<E[K]>;
+  sum<K extends keyof E>(query: AggregateQuery<W, K>, config?: ReadConfig): Promise<number>;
+  exists(params: W | null, config?: ReadConfig): Promise<boolean>;
+  /** Lists every change to the rows that match, oldest first. The table class needs "History = true" */
+  history(params?: W | null): Promise<Array<T & HistoryEntry>>;
+  /** Reads the rows that match as they were at a point in time */
+  asOf(date: Date | string, params?: W | null): Promise<Array<T>>;
+  groupBy<K extends keyof E>(columns: K | Array<K>, config?: ReadConfig): AggregateMethods<E, W, K, Y>;
   /** Soft delete matching records (sets deletedAt to current timestamp). Only for SoftDeleteTable. */
   softDelete(params?: W): Promise<number>;
+  softDelete(params: W | null, options: ReturningAll): Promise<Array<T>>;
+  softDelete<K extends keyof E>(params: W | null, options: ReturningValue<K>): Promise<Array<E[K]>>;
+  softDelete<K extends keyof E>(params: W | null, options: ReturningObject<K>): Promise<Array<Pick<E, K>>>;
   /** Restore soft-deleted records (sets deletedAt back to null). Only for SoftDeleteTable. */
   restore(params?: W): Promise<number>;
+  restore(params: W | null, options: ReturningAll): Promise<Array<T>>;
+  restore<K extends keyof E>(params: W | null, options: ReturningValue<K>): Promise<Array<E[K]>>;
+  restore<K extends keyof E>(params: W | null, options: ReturningObject<K>): Promise<Array<Pick<E, K>>>;
   /** Get records including soft-deleted ones */
   withDeleted(params?: W): Promise<Array<T>>;
   withDeleted<K extends keyof E>(params: W | null, columns: (keyof E)[] | K[]): Promise<Array<Pick<E, K>>>;
@@ -674,11 +930,16 @@ interface Queries<T, E, W, Y> {
   onlyDeleted<K extends keyof E>(params: W | null, columns: (keyof E)[] | K[]): Promise<Array<Pick<E, K>>>;
   onlyDeleted<K extends keyof E>(params: W | null, column: K): Promise<Array<E[K]>>;
   /** Offset-based pagination with total count and page info */
-  paginate<K extends keyof E>(query?: PaginateQuery<W, K, T>): Promise<PaginateResult<T>>;
-  paginate<K extends keyof E>(query: PaginateQuery<W, K, T> & { select: (keyof T)[] | K[] }): Promise<PaginateResult<Pick<E, K>>>;
-  /** Cursor-based pagination for efficient infinite scroll */
-  cursorPaginate<K extends keyof E>(query?: CursorPaginateQuery<W, K, T>): Promise<CursorPaginateResult<T>>;
-  cursorPaginate<K extends keyof E>(query: CursorPaginateQuery<W, K, T> & { select: (keyof T)[] | K[] }): Promise<CursorPaginateResult<Pick<E, K>>>;
+  paginate<K extends keyof E>(query?: PaginateQuery<W, K, T>, config?: ReadConfig): Promise<PaginateResult<T>>;
+  paginate<K extends keyof E>(query: PaginateQuery<W, K, T> & { select: (keyof T)[] | K[] }, config?: ReadConfig): Promise<PaginateResult<Pick<E, K>>>;
+  /** Cursor-based pagination for efficient infinite scroll. Without a cursorSecret, the value of the id column is the cursor */
+  /** @deprecated Use orderBy and the cursors that are returned */
+  cursorPaginate<K extends keyof E>(query: ColumnCursorPaginateQuery<W, K, T> & ({ cursorColumn: K } | { direction: 'after' | 'before' } | { cursor: number | Date }), config?: ReadConfig): Promise<ColumnCursorPaginateResult<T>>;
+  cursorPaginate<K extends keyof E>(query?: CursorPaginateQuery<W, K, T>, config?: ReadConfig): Promise<CursorPaginateResult<T>>;
+  cursorPaginate<K extends keyof E>(query: CursorPaginateQuery<W, K, T> & { select: (keyof T)[] | K[] }, config?: ReadConfig): Promise<CursorPaginateResult<Pick<E, K>>>;
+  /** The k rows with the vectors nearest to a vector, closest first */
+  nearest<K extends keyof E, S extends keyof E>(query: NearestQuery<W, K> & { select: S | S[] }, config?: ReadConfig): Promise<Array<Pick<E, S> & { distance: number }>>;
+  nearest<K extends keyof E>(query: NearestQuery<W, K>, config?: ReadConfig): Promise<Array<T & { distance: number }>>;
 }
 
 type CompareMethods<T> = {
@@ -763,6 +1024,31 @@ interface QueryOptions {
   parse: boolean;
 }
 
+/** The type that the result of a function is converted from */
+type FunctionResultType = 'any' | 'integer' | 'real' | 'text' | 'blob' | 'boolean' | 'date' | 'json';
+
+interface FunctionOptions {
+  /** The function always returns the same result for the same arguments. Required to use it in indexes and generated columns */
+  deterministic?: boolean;
+  /** The function takes any number of arguments */
+  varargs?: boolean;
+  /** The type of the result. Defaults to any */
+  type?: FunctionResultType;
+  /** The module that exports the function with the same name, so that worker threads can import it. Required with workers */
+  module?: string | URL;
+}
+
+interface AggregateOptions<T> extends FunctionOptions {
+  /** The first total, or a function that creates it */
+  start?: T | (() => T);
+  /** Adds the values of a row to the total, returning the new total if it is not changed in place */
+  step: (total: T, ...values: any[]) => T | void;
+  /** Removes the values of a row from the total when the aggregate is used as a window function */
+  inverse?: (total: T, ...values: any[]) => T | void;
+  /** Turns the total into the result */
+  result?: (total: T) => any;
+}
+
 export interface LogOptions {
   maxStringLength?: number;
   redact?: (value: any) => any;
@@ -782,6 +1068,8 @@ export type QueryLogger = (event: QueryLogEvent) => void;
 
 interface DatabaseConfig {
   debug?: boolean;
+  /** The secret that cursors from cursorPaginate are encrypted with. Required to use cursorPaginate with orderBy */
+  cursorSecret?: string | Buffer;
   logger?: QueryLogger;
   logOptions?: LogOptions;
 }
@@ -789,6 +1077,11 @@ interface DatabaseConfig {
 interface SQLiteConfig extends DatabaseConfig {
   driver: any;
   extensions?: string | URL | Array<string | URL>;
+  /** Runs queries in worker threads so that they do not block the event loop */
+  workers?: boolean | {
+    /** The number of threads with read connections. Defaults to 2 */
+    readers?: number;
+  };
 }
 
 interface TursoConfig extends DatabaseConfig {
@@ -888,6 +1181,11 @@ declare const dbBuffer2: unique symbol;
 
 type DbBuffer = typeof dbBuffer1 | typeof dbBuffer2;
 
+declare const dbVector1: unique symbol;
+declare const dbVector2: unique symbol;
+
+type DbVector = typeof dbVector1 | typeof dbVector2;
+
 declare const dbNull1: unique symbol;
 declare const dbNull2: unique symbol;
 
@@ -922,6 +1220,7 @@ type BooleanParam = boolean | DbBoolean | ComputedBoolean;
 type BooleanResult = DbBoolean | DbNull;
 
 type JsonParam = string | Buffer | null | DbString | DbBuffer | DbJson | DbNull;
+type VectorParam = Float32Array | number[] | Buffer | null | DbVector | DbBuffer | DbNull;
 type ExtractResult = DbString | DbNumber | DbBoolean | DbNull;
 type JsonResult = DbJson | DbNull;
 
@@ -1012,7 +1311,7 @@ type ToInsert<T> = {
 };
 
 type ExcludeComputed<T> = {
-  [K in keyof T as T[K] extends AnyResult | PkType ? K : never]: T[K]
+  [K in keyof T as T[K] extends AnyResult | DbVector | PkType ? K : never]: T[K]
 };
 
 type ToQuery<Y, T> = Queries<ToJsType<T>, ToJsType<T>, ToWhere<ToJsType<T>>, Y> & WriteQueries<ToJsType<T>, ToJsType<ToInsert<ExcludeComputed<T>>>, ToWhere<ToJsType<T>>, GetReturnType<T>>;
@@ -1022,11 +1321,19 @@ type ToFTS<Y, T, E> = VirtualQueries<ToJsType<E>, ToJsType<E> & { rowid: number
 
 type ToExternalFTS<Y, T, E> = VirtualQueries<ToJsType<E>, ToJsType<E>  & { rowid: number }, ToWhere<ToJsType<T>>> & Queries<ToJsType<E>, ToJsType<E>, ToWhere<ToJsType<T>>, Y>;
 
+type ViewColumns<V> = V extends { Query(...args: any): infer R extends ObjectReturn<SelectType> }
+  ? R['select'] & R['distinct'] & MakeOptional<NonNullable<R['optional']>>
+  : never;
+
+type ToView<Y, T> = Queries<ToJsType<T>, ToJsType<T>, ToWhere<ToJsType<T>>, Y>;
+
 type MakeClient<T extends { [key: string]: abstract new (...args: any) => any }> = {
   [K in keyof T as K extends string
     ? `${Uncapitalize<K>}`
     : never]: K extends string ? (
-      InstanceType<T[K]> extends FTSTable 
+      InstanceType<T[K]> extends View
+        ? ToView<MakeClient<T>, ViewColumns<InstanceType<T[K]>>>
+        : InstanceType<T[K]> extends FTSTable 
         ? ToFTS<MakeClient<T>, ExtractColumns<InstanceType<T[K]>> & { [P in Uncapitalize<K>]: DbString }, Omit<ExtractColumns<InstanceType<T[K]>>, 'rowid'>>
         : InstanceType<T[K]> extends ExternalFTSTable 
           ? ToExternalFTS<MakeClient<T>, ExtractColumns<InstanceType<T[K]>> & { [P in Uncapitalize<K>]: DbString }, Omit<ExtractColumns<InstanceType<T[K]>>, 'rowid'>>
@@ -1035,7 +1342,9 @@ type MakeClient<T extends { [key: string]: abstract new (...args: any) => any }>
 
 type MakeContext<T extends Record<string, abstract new (...args: any) => any>> = {
   [K in keyof T as Uncapitalize<K & string>]:
-    InstanceType<T[K]> extends FTSTable
+    InstanceType<T[K]> extends View
+      ? ViewColumns<InstanceType<T[K]>>
+      : InstanceType<T[K]> extends FTSTable
       ? ExtractColumns<InstanceType<T[K]>> & { [P in Uncapitalize<K & string>]: DbString }
       : ExtractColumns<InstanceType<T[K]>>
 };
@@ -1046,10 +1355,36 @@ type Unwrap<T extends any[]> = {
 
 type QueryCompareTypes = Date | number | boolean | null | string | Buffer | symbol;
 
+/**
+ * The functions added with registerFunction and registerAggregate. Declare them
+ * here with their JavaScript types to use them in queries and table classes.
+ */
+export interface CustomFunctions {}
+
+type ToDbResult<T> =
+  T extends null | undefined ? DbNull :
+  T extends string ? DbString :
+  T extends number | bigint ? DbNumber :
+  T extends boolean ? DbBoolean :
+  T extends Date ? DbDate :
+  T extends Buffer ? DbBuffer :
+  DbJson;
+
+type ToDbArgs<P extends any[]> = { [I in keyof P]: P[I] | symbol };
+
+type CustomMethods = {
+  [K in keyof CustomFunctions]: CustomFunctions[K] extends (...args: infer P) => infer R ? (...args: ToDbArgs<P>) => ToDbResult<R> : never;
+};
+
+type CustomTableMethods = {
+  [K in keyof CustomFunctions as Capitalize<K & string>]: CustomFunctions[K] extends (...args: infer P) => infer R ? (...args: ToDbArgs<P>) => ToComputed<ToDbResult<R>> : never;
+};
+
 type SubqueryContext = 
   CompareMethods<QueryCompareTypes> &
   SymbolCompareMethods<QueryCompareTypes> &
   ComputeMethods &
+  CustomMethods &
   SymbolMethods &
   { use<T>(context: T): T }
 
@@ -1094,6 +1429,25 @@ interface QueryReturn {
   rank?: boolean | DbBoolean | ComputedBoolean;
 }
 
+interface CursorReturn extends Omit<QueryReturn, 'desc' | 'offset'> {
+  /** The nextCursor or prevCursor of a previous page */
+  cursor?: string | null;
+  /** Whether to sort in descending order, for every column or for each column in orderBy */
+  desc?: boolean | boolean[];
+}
+
+interface ObjectCursorReturn<S> extends CursorReturn {
+  select?: { [key: string | symbol]: S };
+  distinct?: { [key: string | symbol]: S };
+  optional?: { [key: string | symbol]: S };
+}
+
+interface ValueCursorReturn<S> extends CursorReturn {
+  select?: S;
+  distinct?: S;
+  optional?: S;
+}
+
 interface ObjectReturn<S> extends QueryReturn {
   select?: { [key: string | symbol]: S };
   distinct?: { [key: string | symbol]: S };
@@ -1117,10 +1471,54 @@ type GetDefined<T> =
       : ToJsType<V> | null
     : never);
 
+type QueryRow<T> = T extends (...args: any) => (infer R extends ObjectReturn<SelectType>)
+  ? ToJsType<R['select'] & R['distinct'] & MakeOptional<NonNullable<R['optional']>>>
+  : never;
+
+type CompoundValue<T> = T extends (...args: any) => infer R
+  ? GetDefined<R>
+  : never;
+
+type CompoundOperator<F> =
+  { union: F } |
+  { unionAll: F } |
+  { intersect: F } |
+  { except: F };
+
+type CompoundQuery<F, R> = CompoundOperator<F> & {
+  /** One or more selected column names to order the combined rows by, or true to order by every selected column */
+  orderBy?: (keyof R & string) | (keyof R & string)[] | true;
+  desc?: boolean;
+  limit?: number;
+  offset?: number;
+};
+
 /** Options for enabling the query cache */
 interface CacheOptions {
   /** Default TTL in milliseconds (default: 60000) */
   ttl?: number;
+  /** Most entries to keep before the least recently used are evicted (default: 1000) */
+  maxEntries?: number;
+  /** Most bytes of results to keep before the least recently used are evicted (default: 16 MB) */
+  maxBytes?: number;
+  /** Only cache queries that pass "cache: true" (default: false) */
+  optIn?: boolean;
+}
+
+/** Options that stop a query. SQLite databases need the workers option to use them */
+interface LimitConfig {
+  /** Milliseconds the query can run for before it throws a QueryTimeoutError */
+  timeout?: number;
+  /** Stops the query when it is aborted */
+  signal?: AbortSignal;
+}
+
+/** Per-query cache and limit options */
+interface ReadConfig extends LimitConfig {
+  /** Set to false to skip the cache, or true to use it when the cache is opt-in */
+  cache?: boolean;
+  /** TTL of the result in milliseconds */
+  ttl?: number;
 }
 
 /** Cache statistics */
@@ -1128,16 +1526,27 @@ interface CacheStats {
   hits: number;
   misses: number;
   invalidations: number;
+  evictions: number;
   size: number;
+  bytes: number;
   enabled: boolean;
   hitRate: string;
 }
 
 interface TypedDb<P, C, N> {
   exec(sql: string): Promise<void>;
+  /** Starts a transaction, or a savepoint when called on a transaction */
   begin(type?: N): Promise<TypedDb<P, C, N> & P>;
+  /** Commits a transaction, or releases a savepoint */
   commit(): Promise<void>;
+  /** Rolls back a transaction, or rolls back to a savepoint */
   rollback(): Promise<void>;
+  /** Runs the handler in a transaction (or a savepoint when nested), committing when it resolves and rolling back when it throws */
+  transaction<T>(handler: (tx: TypedDb<P, C, N> & P) => Promise<T>, type?: N): Promise<T>;
+  /** Sets the actor recorded in history tables for writes on this connection, or clears it with null */
+  setActor(actor: string | number | null): Promise<void>;
+  /** Returns a client that filters every query and fills every insert with the values, on tables that have those columns */
+  scoped(values: { [column: string]: Primitive }): TypedDb<P, C, N> & P;
   pragma(sql: string): Promise<any[]>;
   deferForeignKeys(): Promise<void>;
   migrate(sql: string, options?: MigrateOptions): Promise<void | DryRunResult>;
@@ -1147,11 +1556,14 @@ interface TypedDb<P, C, N> {
   safeMigrate(sql: string, options?: SafeMigrateOptions): Promise<SafeMigrateResult>;
   getSchema(): any[];
   diff(schema?: any[]): string;
+  /** Creates the migration that reverses diff(schema) */
+  diffDown(schema?: any[]): string;
   batch<T extends any[]>(batcher: (bx: TypedDb<P, C, N> & P) => T): Promise<Unwrap<T>>;
   batch<T extends any[]> (type: 'read' | 'write', batcher: (bx: TypedDb<P, C, N> & P) => T): Promise<Unwrap<T>>;
   sync(): Promise<void>;
   /** Enable or disable query result caching */
   enableCache(enabled?: boolean, options?: CacheOptions): void;
+  enableCache(options: CacheOptions): void;
   /** Clear all cached query results */
   clearCache(): void;
   /** Get cache statistics */
@@ -1160,11 +1572,26 @@ interface TypedDb<P, C, N> {
   resetCacheStats(): void;
   /** Invalidate cache for specific table(s) */
   invalidateCache(tables: string | string[]): void;
-  first<S extends SelectType, K extends ObjectReturn<S>, T extends (context: SubqueryContext & C) => K>(expression: T): Promise<ToJsType<ReturnType<T>['select'] & ReturnType<T>['distinct'] & MakeOptional<NonNullable<ReturnType<T>['optional']>>> | undefined>;
-  firstValue<S extends SelectType, K extends ValueReturn<S>, T extends (context: SubqueryContext & C) => K>(expression: T): Promise<GetDefined<ReturnType<T>> | undefined>;
-  query<S extends SelectType, K extends ObjectReturn<S>, T extends (context: SubqueryContext & C) => K>(expression: T): Promise<ToJsType<ReturnType<T>['select'] & ReturnType<T>['distinct'] & MakeOptional<NonNullable<ReturnType<T>['optional']>>>[]>;
-  queryValues<S extends SelectType, K extends ValueReturn<S>, T extends (context: SubqueryContext & C) => K>(expression: T): Promise<GetDefined<ReturnType<T>>[]>;
+  first<S extends SelectType, K extends ObjectReturn<S>, T extends (context: SubqueryContext & C) => K>(expression: T, config?: ReadConfig): Promise<ToJsType<ReturnType<T>['select'] & ReturnType<T>['distinct'] & MakeOptional<NonNullable<ReturnType<T>['optional']>>> | undefined>;
+  firstValue<S extends SelectType, K extends ValueReturn<S>, T extends (context: SubqueryContext & C) => K>(expression: T, config?: ReadConfig): Promise<GetDefined<ReturnType<T>> | undefined>;
+  query<S extends SelectType, K extends ObjectReturn<S>, T extends (context: SubqueryContext & C) => K>(expression: T, config?: ReadConfig): Promise<ToJsType<ReturnType<T>['select'] & ReturnType<T>['distinct'] & MakeOptional<NonNullable<ReturnType<T>['optional']>>>[]>;
+  queryValues<S extends SelectType, K extends ValueReturn<S>, T extends (context: SubqueryContext & C) => K>(expression: T, config?: ReadConfig): Promise<GetDefined<ReturnType<T>>[]>;
+  /** Reads the results of a query one row at a time instead of loading them into an array */
+  iterate<S extends SelectType, K extends ValueReturn<S>, T extends (context: SubqueryContext & C) => K>(expression: T, config?: LimitConfig): AsyncIterableIterator<GetDefined<ReturnType<T>>>;
+  iterate<S extends SelectType, K extends ObjectReturn<S>, T extends (context: SubqueryContext & C) => K>(expression: T, config?: LimitConfig): AsyncIterableIterator<ToJsType<ReturnType<T>['select'] & ReturnType<T>['distinct'] & MakeOptional<NonNullable<ReturnType<T>['optional']>>>>;
+  /** Pages through the results of a query ordered by orderBy, using opaque cursors */
+  cursorPaginate<S extends SelectType, K extends ValueCursorReturn<S>, T extends (context: SubqueryContext & C) => K>(expression: T, config?: ReadConfig): Promise<CursorPaginateResult<GetDefined<ReturnType<T>>>>;
+  cursorPaginate<S extends SelectType, K extends ObjectCursorReturn<S>, T extends (context: SubqueryContext & C) => K>(expression: T, config?: ReadConfig): Promise<CursorPaginateResult<ToJsType<ReturnType<T>['select'] & ReturnType<T>['distinct'] & MakeOptional<NonNullable<ReturnType<T>['optional']>>>>>;
+  first<F extends ((context: SubqueryContext & C) => ObjectReturn<SelectType>)[]>(compound: CompoundQuery<[...F], QueryRow<F[number]>>, config?: ReadConfig): Promise<QueryRow<F[number]> | undefined>;
+  firstValue<F extends ((context: SubqueryContext & C) => ValueReturn<SelectType>)[]>(compound: CompoundQuery<[...F], {}>, config?: ReadConfig): Promise<CompoundValue<F[number]> | undefined>;
+  query<F extends ((context: SubqueryContext & C) => ObjectReturn<SelectType>)[]>(compound: CompoundQuery<[...F], QueryRow<F[number]>>, config?: ReadConfig): Promise<QueryRow<F[number]>[]>;
+  queryValues<F extends ((context: SubqueryContext & C) => ValueReturn<SelectType>)[]>(compound: CompoundQuery<[...F], {}>, config?: ReadConfig): Promise<CompoundValue<F[number]>[]>;
   subquery<S extends SelectType, K extends ObjectReturn<S>, T extends (context: SubqueryContext & C) => K>(expression: T): ReturnType<T>['select'] & ReturnType<T>['distinct'] & MakeOptional<NonNullable<ReturnType<T>['optional']>>;
+  recursive<S extends SelectType, K extends ObjectReturn<S>, T extends (context: SubqueryContext & C) => K>(definition: {
+    anchor: T;
+    step: (context: SubqueryContext & C, self: ReturnType<T>['select'] & ReturnType<T>['distinct'] & MakeOptional<NonNullable<ReturnType<T>['optional']>>) => ObjectReturn<SelectType>;
+    distinct?: boolean;
+  }): ReturnType<T>['select'] & ReturnType<T>['distinct'] & MakeOptional<NonNullable<ReturnType<T>['optional']>>;
   use<S>(query: S): ReadQueries<P, S>;
 }
 
@@ -1183,9 +1610,45 @@ type ToComputed<T> =
   T extends null ? ComputedNull :
   T;
 
+type TriggerEvent = 'insert' | 'update' | 'delete';
+
+type TriggerContext<T> = {
+  /** The columns of the row after the change */
+  new: T;
+  /** The columns of the row before the change */
+  old: T;
+} & {
+  /** The columns of another table, for use in statements on that table */
+  [table: string]: { [column: string]: any };
+};
+
+type TableName = string | (abstract new (...args: any) => any);
+
+type TriggerStatement =
+  string |
+  { update: TableName; set: { [column: string]: any }; where?: SymbolWhere } |
+  { insert: TableName; values: { [column: string]: any } } |
+  { delete: TableName; where?: SymbolWhere } |
+  { raise: 'ignore' | 'rollback' | 'abort' | 'fail'; message?: string };
+
+type TriggerTiming = { before: TriggerEvent; after?: never } | { after: TriggerEvent; before?: never };
+
+type TriggerOptions<T> = TriggerTiming & {
+  /** Defaults to the table name followed by the timing and event */
+  name?: string;
+  when?: (context: TriggerContext<T>) => SymbolWhere;
+  body: (context: TriggerContext<T>) => TriggerStatement | TriggerStatement[];
+};
+
 type ForeignActions = 'no action' | 'restrict' | 'set null' | 'set default' | 'cascade';
 
+export interface BaseTable extends CustomTableMethods {}
+
 export class BaseTable {
+  /** The previous name of the table, so that migrations rename it instead of recreating it */
+  RenamedFrom?: string;
+  /** Records every insert, update and delete in a "<table>_history" table */
+  History?: boolean;
   Int: DbNumber;
   IntPrimary: PkNumber;
   Real: DbNumber;
@@ -1198,10 +1661,14 @@ export class BaseTable {
   Date: DbDate;
   DatePrimary: PkDate;
   Bool: DbBoolean;
+  /** A vector of 32-bit floats with the given number of dimensions, stored as a blob */
+  Vector(dimensions: number): DbVector;
 
   Now: DbDate;
   True: DbBoolean;
   False: DbBoolean;
+  /** An integer that starts at 1 and is incremented by every update, for optimistic concurrency */
+  Version: DbNumber;
 
   References<T extends abstract new (...args: any[]) => any>(table: T, options?: {
     onDelete?: ForeignActions,
@@ -1253,6 +1720,11 @@ export class BaseTable {
   Unique(...args: [any, ...any[]]): void;
   Unique(...args: [any, ...any[], { [key: symbol]: any }]): void;
   Check<T>(type: T, ...checks: any): ToDbType<T>;
+  Trigger(options: TriggerOptions<RemoveUpperCase<this>>): void;
+  Generated<T>(expression: T, type?: 'stored' | 'virtual'): T;
+  Convert<T>(type: T, expression: ((previous: { [key: string]: any }) => any) | Primitive | symbol): ToDbType<T>;
+  Renamed(from: string): DbString;
+  Renamed<T>(from: string, type: T): ToDbType<T>;
   Null<T>(type: T): ToDbType<T> | DbNull;
   Default<T extends Primitive>(value: T): ToDbType<T>;
 
@@ -1354,6 +1826,7 @@ export class BaseTable {
   Extract(json: JsonParam | any[], path: StringParam): ToComputed<ExtractResult>;
   Object<T extends { [key: string]: AllowedJson }>(select: T): ToComputed<ToJson<T>>;
   ArrayLength(param: JsonParam | any[]): ToComputed<NumberResult>;
+  Distance(a: VectorParam, b: VectorParam, metric?: DistanceMetric): ToComputed<NumberResult>;
 
   Plus(...args: OnlyNumbers[]): ToComputed<DbNumber>;
   Plus(...args: NumberParam[]): ToComputed<NumberResult>;
@@ -1395,6 +1868,17 @@ export class SoftDeleteTable extends Table {
   deletedAt: DbDate | null;
 }
 
+/**
+ * Base class for views. The "Query" method receives the same context as db.query
+ * and returns the query that the view selects.
+ */
+export class View {
+  Query(context: any): ObjectReturn<SelectType>;
+}
+
+/** The context passed to db.query, for typing the "Query" method of a view */
+export type QueryContext<T extends Record<string, abstract new (...args: any) => any>> = SubqueryContext & MakeContext<T>;
+
 interface Unicode61Config {
   removeDiacritics?: boolean;
   categories?: string[];
@@ -1448,6 +1932,10 @@ export class Database {
   commit(): Promise<void>;
   rollback(): Promise<void>;
   setLogger(logger: QueryLogger, options?: LogOptions): void;
+  /** Makes a JavaScript function available to SQL. Register functions before calling getClient */
+  registerFunction(name: string, fn: (...args: any[]) => any, options?: FunctionOptions): void;
+  /** Makes an aggregate function available to SQL. Register aggregates before calling getClient */
+  registerAggregate<T>(name: string, options: AggregateOptions<T>): void;
   explain(expression: any): Promise<Array<any>>;
   /** Register a lifecycle hook for a table */
   addHook(table: string, hookName: HookName, fn: BeforeHookFn | AfterHookFn): void;
@@ -1465,13 +1953,25 @@ export class Database {
 
 export class SQLiteDatabase extends Database {
   constructor(path?: string | URL, options?: SQLiteConfig);
-  getClient<T extends abstract new (...args: any[]) => any, C extends { [key: string]: T }>(classes: C): TypedDb<MakeClient<C>, MakeContext<C>, 'deferred' | 'immediate'> & MakeClient<C>;
+  getClient<T extends abstract new (...args: any[]) => any, C extends { [key: string]: T }>(classes: C, options?: GetClientOptions): TypedDb<MakeClient<C>, MakeContext<C>, 'deferred' | 'immediate'> & MakeClient<C>;
   initialize(): Promise<void>;
   close(): Promise<void>;
   backup(destPath: string): Promise<BackupResult>;
   restore(sourcePath: string): Promise<RestoreResult>;
   safetyBackup(): Promise<BackupResult>;
   safeMigrate(sql: string, options?: SafeMigrateOptions): Promise<SafeMigrateResult>;
+  /** Writes the difference between the saved schema and the current schema to the next numbered migration file */
+  createMigration(dir: string, name?: string): CreatedMigration | null;
+  /** Lists applied, pending and edited migrations */
+  migrationStatus(dir: string): Promise<MigrationStatus>;
+  /** Applies pending migrations in order, recording each one in the migration history table */
+  runMigrations(dir: string, options?: SafeMigrateOptions): Promise<RunMigrationsResult>;
+  /** Applies the down migrations of the last applied migrations, newest first */
+  rollbackMigrations(dir: string, steps?: number, options?: SafeMigrateOptions): Promise<RollbackMigrationsResult>;
+  /** Reads the tables, indexes and foreign keys of an existing database */
+  introspect(): Promise<IntrospectResult>;
+  /** Compares the table classes with the tables, indexes, foreign keys and triggers in the database */
+  verifySchema(): Promise<SchemaDiscrepancy[]>;
   created: boolean;
 }
 
@@ -1481,5 +1981,22 @@ export class TursoDatabase extends Database {
   batch(handler: (batcher: any) => any[], type: 'read' | 'write'): Promise<any[]>;
 }
 
+/** Thrown when a query runs for longer than its timeout */
+export class QueryTimeoutError extends Error {
+  /** The SQL of the query */
+  sql: string;
+  /** The timeout of the query in milliseconds */
+  timeout: number;
+}
+
+/** Thrown when an update or upsert passes a version that no longer matches the row */
+export class StaleRowError extends Error {
+  table: string;
+  /** The version that was passed in */
+  expected: number;
+  /** The version of the row in the database */
+  actual: number;
+}
+
 /** Analyze migration SQL to detect potentially destructive operations */
 export function analyzeMigration(sql: string): MigrationAnalysis;
@@ -5,6 +5,7 @@ import {
   BaseTable, 
   Table, 
   SoftDeleteTable,
+  View,
   FTSTable, 
   ExternalFTSTable,
   Unicode61,
@@ -12,6 +13,7 @@ import {
   Trigram
 } from './src/tables.js';
 import { analyzeMigration } from './src/migrate.js';
+import { StaleRowError, QueryTimeoutError } from './src/errors.js';
 
 export {
   Database,
@@ -22,8 +24,11 @@ export {
   BaseTable,
   Table,
   SoftDeleteTable,
+  View,
   Unicode61,
   Ascii,
   Trigram,
-  analyzeMigration
+  analyzeMigration,
+  StaleRowError,
+  QueryTimeoutError
 }
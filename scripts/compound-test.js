@@ -0,0 +1,306 @@
+/**
+ * Compound Query Test Suite
+ *
+ * Coverage:
+ * - U-01 to U-04: union, union all, intersect and except
+ * - U-05 to U-08: Outer orderBy, limit, offset, first and values
+ * - U-09 to U-10: Type conversion and subqueries
+ * - U-11 to U-13: Shape validation errors
+ */
+
+import { SQLiteDatabase, Table } from '../index.js';
+import fs from 'fs';
+
+const TEST_DB = '/tmp/compound-test.db';
+
+if (fs.existsSync(TEST_DB)) {
+  fs.unlinkSync(TEST_DB);
+}
+
+class Records extends Table {
+  title;
+  createdAt = this.Date;
+  priority = this.Default(0);
+}
+
+class ArchivedRecords extends Table {
+  title;
+  createdAt = this.Date;
+  priority = this.Default(0);
+  flagged = this.Default(false);
+}
+
+const database = new SQLiteDatabase(TEST_DB);
+const db = database.getClient({ Records, ArchivedRecords });
+
+await db.migrate(db.diff());
+console.log('✓ Schema created\n');
+
+await db.records.insertMany([
+  { title: 'Alpha', createdAt: new Date('2024-01-01T00:00:00.000Z'), priority: 3 },
+  { title: 'Beta', createdAt: new Date('2024-03-01T00:00:00.000Z'), priority: 1 },
+  { title: 'Shared', createdAt: new Date('2024-05-01T00:00:00.000Z'), priority: 2 }
+]);
+await db.archivedRecords.insertMany([
+  { title: 'Gamma', createdAt: new Date('2023-06-01T00:00:00.000Z'), priority: 5 },
+  { title: 'Shared', createdAt: new Date('2023-07-01T00:00:00.000Z'), priority: 2 }
+]);
+
+let passed = 0;
+let failed = 0;
+
+async function asyncTest(name, fn) {
+  try {
+    await fn();
+    console.log(`✓ ${name}`);
+    passed++;
+  } catch (e) {
+    console.log(`✗ ${name}`);
+    console.log(`  Error: ${e.message}`);
+    failed++;
+  }
+}
+
+function assert(condition, message) {
+  if (!condition) throw new Error(message || 'Assertion failed');
+}
+
+function assertEquals(actual, expected, message) {
+  if (actual !== expected) {
+    throw new Error(message || `Expected ${expected}, got ${actual}`);
+  }
+}
+
+const titles = (c) => ({ select: c.records.title });
+const archivedTitles = (c) => ({ select: c.archivedRecords.title });
+
+console.log('=== OPERATORS ===\n');
+
+await asyncTest('U-01: union removes duplicates', async () => {
+  const values = await db.queryValues({
+    union: [titles, archivedTitles],
+    orderBy: true
+  });
+  assertEquals(values.join(','), 'Alpha,Beta,Gamma,Shared');
+});
+
+await asyncTest('U-02: union all keeps duplicates', async () => {
+  const values = await db.queryValues({
+    unionAll: [titles, archivedTitles]
+  });
+  assertEquals(values.length, 5);
+  assertEquals(values.filter(v => v === 'Shared').length, 2);
+});
+
+await asyncTest('U-03: intersect returns common rows', async () => {
+  const values = await db.queryValues({
+    intersect: [titles, archivedTitles]
+  });
+  assertEquals(values.join(','), 'Shared');
+});
+
+await asyncTest('U-04: except removes rows found in later queries', async () => {
+  const values = await db.queryValues({
+    except: [titles, archivedTitles],
+    orderBy: true
+  });
+  assertEquals(values.join(','), 'Alpha,Beta');
+});
+
+console.log('\n=== OUTER CLAUSES ===\n');
+
+await asyncTest('U-05: outer orderBy, desc and limit', async () => {
+  const rows = await db.query({
+    unionAll: [
+      c => ({
+        select: {
+          title: c.records.title,
+          priority: c.records.priority
+        }
+      }),
+      c => ({
+        select: {
+          title: c.archivedRecords.title,
+          priority: c.archivedRecords.priority
+        }
+      })
+    ],
+    orderBy: 'priority',
+    desc: true,
+    limit: 2
+  });
+  assertEquals(rows.length, 2);
+  assertEquals(rows[0].title, 'Gamma');
+  assertEquals(rows[1].title, 'Alpha');
+});
+
+await asyncTest('U-06: offset without limit', async () => {
+  const values = await db.queryValues({
+    union: [titles, archivedTitles],
+    orderBy: true,
+    offset: 3
+  });
+  assertEquals(values.join(','), 'Shared');
+});
+
+await asyncTest('U-07: members can have their own orderBy and limit', async () => {
+  const values = await db.queryValues({
+    unionAll: [
+      c => ({
+        select: c.records.title,
+        orderBy: c.records.priority,
+        limit: 1
+      }),
+      c => ({
+        select: c.archivedRecords.title,
+        orderBy: c.archivedRecords.priority,
+        desc: true,
+        limit: 1
+      })
+    ]
+  });
+  assertEquals(values.slice().sort().join(','), 'Beta,Gamma');
+});
+
+await asyncTest('U-08: first returns a single row', async () => {
+  const row = await db.first({
+    union: [
+      c => ({
+        select: {
+          title: c.records.title
+        },
+        where: {
+          [c.records.priority]: c.gt(2)
+        }
+      }),
+      c => ({
+        select: {
+          title: c.archivedRecords.title
+        },
+        where: {
+          [c.archivedRecords.priority]: c.gt(2)
+        }
+      })
+    ],
+    orderBy: 'title'
+  });
+  assertEquals(row.title, 'Alpha');
+});
+
+console.log('\n=== CONVERSION ===\n');
+
+await asyncTest('U-09: dates and literal values are converted', async () => {
+  const rows = await db.query({
+    unionAll: [
+      c => ({
+        select: {
+          title: c.records.title,
+          createdAt: c.records.createdAt,
+          archived: false
+        }
+      }),
+      c => ({
+        select: {
+          title: c.archivedRecords.title,
+          createdAt: c.archivedRecords.createdAt,
+          archived: true
+        }
+      })
+    ],
+    orderBy: 'createdAt'
+  });
+  assertEquals(rows.length, 5);
+  assert(rows[0].createdAt instanceof Date, 'createdAt should be a Date');
+  assertEquals(rows[0].title, 'Gamma');
+  assertEquals(rows[0].archived, true);
+  assertEquals(rows[4].archived, false);
+});
+
+await asyncTest('U-10: members can use subqueries', async () => {
+  const important = db.subquery(c => ({
+    select: {
+      title: c.records.title
+    },
+    where: {
+      [c.records.priority]: c.gt(1)
+    }
+  }));
+  const flagged = db.subquery(c => ({
+    select: {
+      title: c.archivedRecords.title
+    },
+    where: {
+      [c.archivedRecords.priority]: c.gt(4)
+    }
+  }));
+  const values = await db.queryValues({
+    union: [
+      c => ({ select: c.use(important).title }),
+      c => ({ select: c.use(flagged).title })
+    ],
+    orderBy: true
+  });
+  assertEquals(values.join(','), 'Alpha,Gamma,Shared');
+});
+
+console.log('\n=== VALIDATION ===\n');
+
+await asyncTest('U-11: different columns throw', async () => {
+  let error;
+  try {
+    await db.query({
+      union: [
+        c => ({ select: { title: c.records.title } }),
+        c => ({ select: { name: c.archivedRecords.title } })
+      ]
+    });
+  }
+  catch (e) {
+    error = e;
+  }
+  assert(error && error.message.includes('same columns'), 'Should throw for different columns');
+});
+
+await asyncTest('U-12: incompatible column types throw', async () => {
+  let error;
+  try {
+    await db.query({
+      union: [
+        c => ({ select: { value: c.records.createdAt } }),
+        c => ({ select: { value: c.archivedRecords.flagged } })
+      ]
+    });
+  }
+  catch (e) {
+    error = e;
+  }
+  assert(error && error.message.includes('incompatible'), 'Should throw for incompatible types');
+});
+
+await asyncTest('U-13: ordering by a column that is not selected throws', async () => {
+  let error;
+  try {
+    await db.query({
+      union: [
+        c => ({ select: { title: c.records.title } }),
+        c => ({ select: { title: c.archivedRecords.title } })
+      ],
+      orderBy: 'priority'
+    });
+  }
+  catch (e) {
+    error = e;
+  }
+  assert(error && error.message.includes('not selected'), 'Should throw for unknown order column');
+});
+
+console.log('\n========================================');
+console.log(`Tests: ${passed} passed, ${failed} failed`);
+console.log('========================================\n');
+
+await database.close();
+fs.unlinkSync(TEST_DB);
+
+if (failed > 0) {
+  process.exit(1);
+}
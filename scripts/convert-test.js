@@ -0,0 +1,172 @@
+/**
+ * Migration Conversion Test Suite
+ *
+ * Coverage:
+ * - CV-01 to CV-03: Converting values when a table is recreated
+ * - CV-04 to CV-05: Filling new not null columns
+ * - CV-06 to CV-07: Conversions that have already run
+ */
+
+import { SQLiteDatabase, Table } from '../index.js';
+import fs from 'fs';
+
+const TEST_DB = '/tmp/convert-test.db';
+
+if (fs.existsSync(TEST_DB)) {
+  fs.unlinkSync(TEST_DB);
+}
+
+let passed = 0;
+let failed = 0;
+
+async function asyncTest(name, fn) {
+  try {
+    await fn();
+    console.log(`✓ ${name}`);
+    passed++;
+  } catch (e) {
+    console.log(`✗ ${name}`);
+    console.log(`  Error: ${e.message}`);
+    failed++;
+  }
+}
+
+function assert(condition, message) {
+  if (!condition) throw new Error(message || 'Assertion failed');
+}
+
+function assertEquals(actual, expected, message) {
+  if (actual !== expected) {
+    throw new Error(message || `Expected ${expected}, got ${actual}`);
+  }
+}
+
+class Trees extends Table {
+  fullName = this.Text;
+  planted = this.Text;
+}
+
+const database = new SQLiteDatabase(TEST_DB);
+const db = database.getClient({ Trees });
+await db.migrate(db.diff());
+let schema = db.getSchema();
+await db.trees.insert({ fullName: 'Giant Sequoia', planted: '2024-01-01 00:00:00' });
+await db.trees.insert({ fullName: 'Coast Redwood', planted: '2024-01-02 00:00:00' });
+console.log('✓ Schema created\n');
+
+const rows = () => database.read.prepare('select * from trees order by id').all();
+
+const migrate = async (classes) => {
+  const updated = new SQLiteDatabase(TEST_DB);
+  const client = updated.getClient(classes);
+  const sql = client.diff(schema);
+  await client.migrate(sql);
+  schema = client.getSchema();
+  await updated.close();
+  return sql;
+}
+
+console.log('=== CONVERSIONS ===\n');
+
+let sql;
+
+await asyncTest('CV-01: a changed column is converted during the copy', async () => {
+  class Trees extends Table {
+    fullName = this.Text;
+    planted = this.Convert(this.Int, c => this.Cast(this.StrfTime('%s', c.planted), 'integer'));
+  }
+  sql = await migrate({ Trees });
+  const result = rows();
+  assertEquals(result[0].planted, 1704067200);
+  assertEquals(result[1].planted, 1704153600);
+});
+
+await asyncTest('CV-02: the conversion is part of the insert statement', async () => {
+  assert(sql.includes(`insert into temp_trees (id, fullName, planted) select id, fullName, cast(strftime('%s', planted) as integer) from trees;`), sql);
+});
+
+await asyncTest('CV-03: a column can be split into new columns', async () => {
+  class Trees extends Table {
+    firstName = this.Convert(this.Text, c => this.Substring(c.fullName, 1, this.Minus(this.Instr(c.fullName, ' '), 1)));
+    lastName = this.Convert(this.Text, c => this.Substring(c.fullName, this.Plus(this.Instr(c.fullName, ' '), 1)));
+    planted = this.Int;
+  }
+  sql = await migrate({ Trees });
+  assert(sql.includes('create table temp_trees'), 'New columns with conversions recreate the table');
+  const result = rows();
+  assertEquals(result[0].firstName, 'Giant');
+  assertEquals(result[0].lastName, 'Sequoia');
+  assertEquals(result[1].lastName, 'Redwood');
+  assertEquals(result[0].fullName, undefined);
+});
+
+console.log('\n=== FILLS ===\n');
+
+await asyncTest('CV-04: new not null columns can be filled with a value', async () => {
+  class Trees extends Table {
+    firstName = this.Text;
+    lastName = this.Text;
+    planted = this.Int;
+    status = this.Convert(this.Text, 'alive');
+  }
+  await migrate({ Trees });
+  const result = rows();
+  assertEquals(result[0].status, 'alive');
+  assertEquals(result[1].status, 'alive');
+});
+
+await asyncTest('CV-05: fills can use the columns of the new table', async () => {
+  class Trees extends Table {
+    firstName = this.Text;
+    lastName = this.Text;
+    planted = this.Int;
+    status = this.Text;
+    label = this.Convert(this.Text, this.Upper(this.lastName));
+  }
+  await migrate({ Trees });
+  assertEquals(rows()[0].label, 'SEQUOIA');
+});
+
+console.log('\n=== APPLIED CONVERSIONS ===\n');
+
+await asyncTest('CV-06: conversions are not applied again to unchanged columns', async () => {
+  class Trees extends Table {
+    firstName = this.Text;
+    lastName = this.Text;
+    planted = this.Convert(this.Int, c => this.Cast(this.StrfTime('%s', c.planted), 'integer'));
+    status = this.Convert(this.Text, 'alive');
+    label = this.Null(this.Text);
+  }
+  sql = await migrate({ Trees });
+  assert(sql.includes('create table temp_trees'), 'Changing label recreates the table');
+  const result = rows();
+  assertEquals(result[0].planted, 1704067200);
+  assertEquals(result[0].label, 'SEQUOIA');
+});
+
+await asyncTest('CV-07: down migrations copy values without conversions', async () => {
+  const before = schema;
+  class Trees extends Table {
+    firstName = this.Text;
+    lastName = this.Text;
+    planted = this.Convert(this.Real, 0);
+    status = this.Convert(this.Text, 'alive');
+    label = this.Null(this.Text);
+  }
+  const client = new SQLiteDatabase(':memory:').getClient({ Trees });
+  const up = client.diff(before);
+  assert(up.includes('select id, firstName, lastName, 0, status, label from trees'), up);
+  const down = client.diffDown(before);
+  assert(down.includes('select id, firstName, lastName, planted, status, label from trees'), down);
+});
+
+console.log('\n========================================');
+console.log(`Tests: ${passed} passed, ${failed} failed`);
+console.log('========================================\n');
+
+await database.close();
+fs.unlinkSync(TEST_DB);
+
+if (failed > 0) {
+  process.exit(1);
+}
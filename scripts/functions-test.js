@@ -0,0 +1,322 @@
+/**
+ * Registered Functions Test Suite
+ *
+ * Coverage:
+ * - FN-01 to FN-03: Functions in queries, table classes and indexes
+ * - FN-04 to FN-05: Aggregates and functions over blob vectors
+ * - FN-06 to FN-09: Connections, options and errors
+ * - FN-10: Functions imported by worker threads
+ */
+
+import { SQLiteDatabase, Table } from '../index.js';
+import { slugify, isLong, median } from './functions.js';
+import fs from 'fs';
+
+const TEST_DB = '/tmp/functions-test.db';
+
+for (const path of [TEST_DB, `${TEST_DB}-wal`, `${TEST_DB}-shm`, `${TEST_DB}-other`]) {
+  if (fs.existsSync(path)) {
+    fs.unlinkSync(path);
+  }
+}
+
+const haversine = (lat1, lon1, lat2, lon2) => {
+  const toRadians = (degrees) => degrees * Math.PI / 180;
+  const a = Math.sin(toRadians(lat2 - lat1) / 2) ** 2 +
+    Math.cos(toRadians(lat1)) * Math.cos(toRadians(lat2)) * Math.sin(toRadians(lon2 - lon1) / 2) ** 2;
+  return 6371 * 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1 - a));
+}
+
+const toVector = (buffer) => new Float32Array(buffer.buffer, buffer.byteOffset, buffer.byteLength / 4);
+
+const cosineSimilarity = (a, b) => {
+  const x = toVector(a);
+  const y = toVector(b);
+  let dot = 0;
+  let xx = 0;
+  let yy = 0;
+  for (let i = 0; i < x.length; i++) {
+    dot += x[i] * y[i];
+    xx += x[i] * x[i];
+    yy += y[i] * y[i];
+  }
+  return dot / Math.sqrt(xx * yy);
+}
+
+const toBlob = (values) => Buffer.from(new Float32Array(values).buffer);
+
+const database = new SQLiteDatabase(TEST_DB);
+database.registerFunction('slugify', slugify, { deterministic: true, type: 'text' });
+database.registerFunction('haversine', haversine, { deterministic: true, type: 'real' });
+database.registerFunction('cosineSimilarity', cosineSimilarity, { deterministic: true, type: 'real' });
+database.registerFunction('isLong', isLong, { type: 'boolean' });
+database.registerAggregate('median', { ...median, deterministic: true, type: 'real' });
+
+class Cities extends Table {
+  name = this.Text;
+  latitude = this.Real;
+  longitude = this.Real;
+  population = this.Int;
+  embedding = this.Blob;
+  slug = this.Slugify(this.name);
+  long = this.IsLong(this.name);
+
+  Attributes = () => {
+    this.Unique(this.Slugify(this.name));
+  }
+}
+
+const db = database.getClient({ Cities });
+
+await db.migrate(db.diff());
+await db.cities.insertMany([
+  { name: 'London', latitude: 51.5074, longitude: -0.1278, population: 8800000, embedding: toBlob([1, 0, 0]) },
+  { name: 'Paris', latitude: 48.8566, longitude: 2.3522, population: 2100000, embedding: toBlob([0.9, 0.1, 0]) },
+  { name: 'New York City', latitude: 40.7128, longitude: -74.006, population: 8300000, embedding: toBlob([0, 1, 0]) },
+  { name: 'Santiago de Compostela', latitude: 42.8782, longitude: -8.5448, population: 98000, embedding: toBlob([0, 0, 1]) }
+]);
+console.log('✓ Schema created\n');
+
+let passed = 0;
+let failed = 0;
+
+async function asyncTest(name, fn) {
+  try {
+    await fn();
+    console.log(`✓ ${name}`);
+    passed++;
+  } catch (e) {
+    console.log(`✗ ${name}`);
+    console.log(`  Error: ${e.message}`);
+    failed++;
+  }
+}
+
+function assert(condition, message) {
+  if (!condition) throw new Error(message || 'Assertion failed');
+}
+
+function assertEquals(actual, expected, message) {
+  if (actual !== expected) {
+    throw new Error(message || `Expected ${expected}, got ${actual}`);
+  }
+}
+
+const getError = async (fn) => {
+  try {
+    await fn();
+  }
+  catch (e) {
+    return e;
+  }
+}
+
+console.log('=== FUNCTIONS ===\n');
+
+await asyncTest('FN-01: functions can be used in select, where and orderBy', async () => {
+  const london = { latitude: 51.5074, longitude: -0.1278 };
+  const rows = await db.query(c => {
+    const { cities: city } = c;
+    const distance = c.haversine(london.latitude, london.longitude, city.latitude, city.longitude);
+    return {
+      select: {
+        name: city.name,
+        slug: c.slugify(city.name),
+        distance
+      },
+      where: {
+        [distance]: c.lt(1500)
+      },
+      orderBy: distance
+    };
+  });
+  assertEquals(rows.map(r => r.name).join(','), 'London,Paris,Santiago de Compostela');
+  assertEquals(rows[1].slug, 'paris');
+  assert(Math.abs(rows[1].distance - 343.5) < 1, `Expected about 343.5km, got ${rows[1].distance}`);
+  const slugs = await db.queryValues(c => ({
+    select: c.slugify(c.cities.name),
+    orderBy: c.slugify(c.cities.name),
+    desc: true
+  }));
+  assertEquals(slugs[0], 'santiago-de-compostela');
+});
+
+await asyncTest('FN-02: functions can be used as computed fields and in indexes', async () => {
+  const city = await db.cities.get({ slug: 'new-york-city' });
+  assertEquals(city.name, 'New York City');
+  assertEquals(city.slug, 'new-york-city');
+  const index = await database.all({ query: `select sql from sqlite_master where type = 'index' and sql like '%slugify%'` });
+  assertEquals(index.length, 1);
+  const error = await getError(() => db.cities.insert({ name: 'london', latitude: 0, longitude: 0, population: 0, embedding: toBlob([0, 0, 0]) }));
+  assert(error && error.message.includes('UNIQUE'), 'The unique index should use the function');
+});
+
+await asyncTest('FN-03: results are converted from the type of the function', async () => {
+  const city = await db.cities.get({ name: 'Santiago de Compostela' });
+  assertEquals(city.long, true);
+  const rows = await db.query(c => ({
+    select: { name: c.cities.name, long: c.isLong(c.cities.name) },
+    orderBy: c.cities.id
+  }));
+  assertEquals(rows[0].long, false);
+  assertEquals(rows[2].long, true);
+});
+
+console.log('\n=== AGGREGATES AND VECTORS ===\n');
+
+await asyncTest('FN-04: aggregates run over groups of rows', async () => {
+  const median = await db.first(c => ({
+    select: { median: c.median(c.cities.population) }
+  }));
+  assertEquals(median.median, (2100000 + 8300000) / 2);
+  const grouped = await db.query(c => {
+    const long = c.isLong(c.cities.name);
+    return {
+      select: { long, median: c.median(c.cities.population) },
+      groupBy: long,
+      orderBy: long
+    };
+  });
+  assertEquals(grouped.length, 2);
+  assertEquals(grouped[0].long, false);
+  assertEquals(grouped[0].median, (2100000 + 8800000) / 2);
+  assertEquals(grouped[1].median, (98000 + 8300000) / 2);
+});
+
+await asyncTest('FN-05: functions can compare blob vectors', async () => {
+  const query = toBlob([1, 0.05, 0]);
+  const nearest = await db.query(c => {
+    const similarity = c.cosineSimilarity(c.cities.embedding, query);
+    return {
+      select: { name: c.cities.name, similarity },
+      orderBy: similarity,
+      desc: true,
+      limit: 2
+    };
+  });
+  assertEquals(nearest.map(r => r.name).join(','), 'London,Paris');
+  assert(nearest[0].similarity > 0.99, 'The nearest vector should be almost the same');
+});
+
+console.log('\n=== CONNECTIONS AND ERRORS ===\n');
+
+await asyncTest('FN-06: functions are installed on every connection', async () => {
+  const names = [];
+  for await (const slug of db.iterate(c => ({ select: c.slugify(c.cities.name), orderBy: c.cities.id }))) {
+    names.push(slug);
+  }
+  assertEquals(names.join(','), 'london,paris,new-york-city,santiago-de-compostela');
+  await db.transaction(async (tx) => {
+    await tx.cities.update({ where: { id: 2 }, set: { name: 'Paris France' } });
+    assertEquals(await tx.cities.get({ id: 2 }, 'slug'), 'paris-france');
+  });
+  database.registerFunction('initials', (text) => text.split(' ').map(w => w[0]).join(''), { type: 'text' });
+  const initials = await database.all({ query: 'select initials(name) as value from cities where id = 3' });
+  assertEquals(initials[0].value, 'NYC', 'Functions registered later should be added to open connections');
+});
+
+await asyncTest('FN-07: functions can take any number of arguments', async () => {
+  database.registerFunction('joinWith', (separator, ...values) => values.join(separator), { varargs: true, type: 'text' });
+  const joined = await db.firstValue(c => ({
+    select: c.joinWith('/', c.cities.name, c.cities.slug, 'end'),
+    where: { [c.cities.id]: 1 }
+  }));
+  assertEquals(joined, 'London/london/end');
+  const error = await getError(() => database.all({ query: 'select slugify(name, 1) from cities' }));
+  assert(error && error.message.includes('slugify'), 'Should throw for the wrong number of arguments');
+  const sql = await database.all({ query: 'select join_with(\'-\', 1, 2) as value' });
+  assertEquals(sql[0].value, '1-2', 'The SQL name should use underscores');
+});
+
+await asyncTest('FN-08: invalid functions throw', async () => {
+  const invalid = await getError(() => database.registerFunction('not valid', () => 1));
+  assert(invalid && invalid.message.includes('Invalid function name'), 'Should throw for an invalid name');
+  const builtIn = await getError(() => database.registerFunction('lower', () => 1));
+  assert(builtIn && builtIn.message.includes('built-in'), 'Should throw for a built-in function');
+  const reserved = await getError(() => database.registerFunction('index', () => 1));
+  assert(reserved && reserved.message.includes('Index'), 'Should throw for names used by table classes');
+  const type = await getError(() => database.registerFunction('double', (n) => n * 2, { type: 'number' }));
+  assert(type && type.message.includes('Invalid result type'), 'Should throw for an invalid type');
+  const step = await getError(() => database.registerAggregate('total', { start: 0 }));
+  assert(step && step.message.includes('step'), 'Should throw for an aggregate without a step function');
+  const workers = new SQLiteDatabase(TEST_DB, { workers: true });
+  const threads = await getError(() => workers.registerFunction('double', (n) => n * 2));
+  assert(threads && threads.message.includes('module'), 'Should throw for functions without a module when workers are used');
+  await workers.close();
+});
+
+await asyncTest('FN-09: functions belong to the database they are registered with', async () => {
+  const path = `${TEST_DB}-other`;
+  const other = new SQLiteDatabase(path);
+  class Towns extends Table {
+    name = this.Text;
+  }
+  const client = other.getClient({ Towns });
+  await client.migrate(client.diff());
+  await client.towns.insert({ name: 'Bath' });
+  const column = await getError(() => client.query(c => ({ select: { slug: c.slugify(c.towns.name) } })));
+  assert(column, 'The function should not be on the query context');
+  const table = await getError(() => {
+    class Villages extends Table {
+      name = this.Text;
+      slug = this.Slugify(this.name);
+    }
+    other.getClient({ Villages });
+  });
+  assert(table && table.message.includes('Slugify'), 'The function should not be on table classes');
+  other.registerFunction('slugify', (text) => text.toUpperCase(), { type: 'text' });
+  assertEquals(await client.firstValue(c => ({ select: c.slugify(c.towns.name) })), 'BATH');
+  assertEquals(await db.firstValue(c => ({ select: c.slugify(c.cities.name), where: { [c.cities.id]: 1 } })), 'london');
+  const conflict = await getError(() => other.registerFunction('slugify', (text) => text.length, { type: 'integer' }));
+  assert(conflict && conflict.message.includes('already registered'), 'Should throw for a different result type');
+  other.registerFunction('slugify', (text) => text.toLowerCase(), { type: 'text' });
+  assertEquals(await client.firstValue(c => ({ select: c.slugify(c.towns.name) })), 'bath', 'The same type can be registered again');
+  await other.close();
+  for (const file of [path, `${path}-wal`, `${path}-shm`]) {
+    if (fs.existsSync(file)) {
+      fs.unlinkSync(file);
+    }
+  }
+});
+
+await asyncTest('FN-10: worker threads import functions from their module', async () => {
+  const module = new URL('./functions.js', import.meta.url);
+  const workers = new SQLiteDatabase(TEST_DB, { workers: { readers: 1 } });
+  workers.registerFunction('slugify', slugify, { deterministic: true, type: 'text', module });
+  workers.registerAggregate('median', { ...median, type: 'real', module });
+  workers.registerFunction('isLong', isLong, { type: 'boolean', module });
+  const wx = workers.getClient({ Cities });
+  try {
+    assertEquals(await wx.cities.get({ id: 1 }, 'slug'), 'london');
+    assertEquals(await wx.cities.get({ id: 3 }, 'long'), true, 'Results should be converted by the worker');
+    const slugs = [];
+    for await (const slug of wx.iterate(c => ({ select: c.slugify(c.cities.name), orderBy: c.cities.id }))) {
+      slugs.push(slug);
+    }
+    assertEquals(slugs[2], 'new-york-city', 'Functions should be added to the connections of cursors');
+    const total = await wx.firstValue(c => ({ select: c.median(c.cities.population) }));
+    assertEquals(total, (2100000 + 8300000) / 2);
+    await wx.cities.update({ where: { id: 4 }, set: { name: 'Santiago' } });
+    assertEquals(await wx.cities.get({ id: 4 }, 'slug'), 'santiago', 'Functions should be added to the writer');
+    const late = await getError(() => workers.registerFunction('double', (n) => n * 2, { module }));
+    assert(late && late.message.includes('before the first query'), 'Should throw for functions registered after the workers start');
+  }
+  finally {
+    await workers.close();
+  }
+});
+
+console.log('\n========================================');
+console.log(`Tests: ${passed} passed, ${failed} failed`);
+console.log('========================================\n');
+
+await database.close();
+for (const path of [TEST_DB, `${TEST_DB}-wal`, `${TEST_DB}-shm`]) {
+  if (fs.existsSync(path)) {
+    fs.unlinkSync(path);
+  }
+}
+
+if (failed > 0) {
+  process.exit(1);
+}
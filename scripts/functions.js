@@ -0,0 +1,24 @@
+// Functions that the functions test registers. Worker threads import them
+// from this module as functions cannot be sent to other threads.
+
+const slugify = (text) => text.toLowerCase().replaceAll(/[^a-z0-9]+/g, '-').replaceAll(/^-|-$/g, '');
+
+const isLong = (text) => text.length > 12;
+
+const median = {
+  start: () => [],
+  step: (values, value) => {
+    values.push(value);
+  },
+  result: (values) => {
+    const sorted = values.sort((a, b) => a - b);
+    const middle = Math.floor(sorted.length / 2);
+    return sorted.length % 2 === 0 ? (sorted[middle - 1] + sorted[middle]) / 2 : sorted[middle];
+  }
+};
+
+export {
+  slugify,
+  isLong,
+  median
+}
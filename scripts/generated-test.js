@@ -0,0 +1,208 @@
+/**
+ * Generated Column Test Suite
+ *
+ * Coverage:
+ * - G-01 to G-04: Stored and virtual generated columns
+ * - G-05 to G-06: Insert and update validation
+ * - G-07 to G-09: Migrations
+ */
+
+import { SQLiteDatabase, Table } from '../index.js';
+import fs from 'fs';
+
+const TEST_DB = '/tmp/generated-test.db';
+
+if (fs.existsSync(TEST_DB)) {
+  fs.unlinkSync(TEST_DB);
+}
+
+class People extends Table {
+  firstName = this.Text;
+  lastName = this.Text;
+  age = this.Int;
+  fullName = this.Generated(this.Concat(this.firstName, ' ', this.lastName), 'stored');
+  initial = this.Index(this.Generated(this.Substring(this.lastName, 1, 1)));
+}
+
+const database = new SQLiteDatabase(TEST_DB);
+const db = database.getClient({ People });
+
+const initial = db.diff();
+let schema = db.getSchema();
+await db.migrate(initial);
+console.log('✓ Schema created\n');
+
+let passed = 0;
+let failed = 0;
+
+async function asyncTest(name, fn) {
+  try {
+    await fn();
+    console.log(`✓ ${name}`);
+    passed++;
+  } catch (e) {
+    console.log(`✗ ${name}`);
+    console.log(`  Error: ${e.message}`);
+    failed++;
+  }
+}
+
+function assert(condition, message) {
+  if (!condition) throw new Error(message || 'Assertion failed');
+}
+
+function assertEquals(actual, expected, message) {
+  if (actual !== expected) {
+    throw new Error(message || `Expected ${expected}, got ${actual}`);
+  }
+}
+
+const rawAll = (sql) => database.read.prepare(sql).all();
+
+console.log('=== GENERATED COLUMNS ===\n');
+
+await asyncTest('G-01: toSql emits generated column definitions', async () => {
+  assert(initial.includes(`fullName text generated always as (concat(firstName, ' ', lastName)) stored`), initial);
+  assert(initial.includes('initial text generated always as'), initial);
+  assert(initial.includes(') virtual'), 'Virtual is the default');
+  assert(initial.includes('on people(initial)'), 'Generated columns can be indexed');
+});
+
+await asyncTest('G-02: values are computed by SQLite', async () => {
+  const id = await db.people.insert({ firstName: 'Ada', lastName: 'Lovelace', age: 36 });
+  const person = await db.people.get({ id });
+  assertEquals(person.fullName, 'Ada Lovelace');
+  assertEquals(person.initial, 'L');
+});
+
+await asyncTest('G-03: stored columns are real table columns', async () => {
+  const columns = rawAll(`select name, hidden from pragma_table_xinfo('people')`);
+  const fullName = columns.find(c => c.name === 'fullName');
+  const initial = columns.find(c => c.name === 'initial');
+  assertEquals(fullName.hidden, 3, 'Stored generated columns have hidden = 3');
+  assertEquals(initial.hidden, 2, 'Virtual generated columns have hidden = 2');
+  const rows = rawAll(`select fullName from people`);
+  assertEquals(rows[0].fullName, 'Ada Lovelace');
+});
+
+await asyncTest('G-04: generated columns can be filtered and updated through their sources', async () => {
+  const id = await db.people.insert({ firstName: 'Alan', lastName: 'Turing', age: 41 });
+  await db.people.update({ where: { id }, set: { firstName: 'A.' } });
+  const person = await db.people.get({ fullName: 'A. Turing' });
+  assertEquals(person.id, id);
+  const names = await db.people.many({ initial: 'T' }, 'lastName');
+  assertEquals(names.join(','), 'Turing');
+});
+
+console.log('\n=== VALIDATION ===\n');
+
+await asyncTest('G-05: generated columns are not required or accepted on insert', async () => {
+  let error;
+  try {
+    await db.people.insert({ firstName: 'Grace', lastName: 'Hopper', age: 85, fullName: 'Grace' });
+  }
+  catch (e) {
+    error = e;
+  }
+  assert(error && error.message.includes('generated'), 'Should throw when writing a generated column');
+  error = null;
+  try {
+    await db.people.insertMany([{ firstName: 'Grace', lastName: 'Hopper', age: 85, initial: 'X' }]);
+  }
+  catch (e) {
+    error = e;
+  }
+  assert(error && error.message.includes('generated'), 'Should throw for insertMany');
+});
+
+await asyncTest('G-06: generated columns cannot be updated', async () => {
+  let error;
+  try {
+    await db.people.update({ where: { id: 1 }, set: { fullName: 'Someone' } });
+  }
+  catch (e) {
+    error = e;
+  }
+  assert(error && error.message.includes('generated'), 'Should throw when updating a generated column');
+});
+
+console.log('\n=== MIGRATIONS ===\n');
+
+await asyncTest('G-07: adding a generated column recreates the table', async () => {
+  class People extends Table {
+    firstName = this.Text;
+    lastName = this.Text;
+    age = this.Int;
+    fullName = this.Generated(this.Concat(this.firstName, ' ', this.lastName), 'stored');
+    initial = this.Index(this.Generated(this.Substring(this.lastName, 1, 1)));
+    nextAge = this.Generated(this.Plus(this.age, 1), 'stored');
+  }
+  const updated = new SQLiteDatabase(TEST_DB);
+  const client = updated.getClient({ People });
+  const sql = client.diff(schema);
+  assert(sql.includes('create table temp_people'), 'Table should be recreated');
+  assert(sql.includes('insert into temp_people (id, firstName, lastName, age) select'), sql);
+  await client.migrate(sql);
+  const person = await client.people.get({ lastName: 'Lovelace' });
+  assertEquals(person.nextAge, 37);
+  assertEquals(person.fullName, 'Ada Lovelace');
+  schema = client.getSchema();
+  await updated.close();
+});
+
+await asyncTest('G-08: changing a generated expression recreates the table', async () => {
+  class People extends Table {
+    firstName = this.Text;
+    lastName = this.Text;
+    age = this.Int;
+    fullName = this.Generated(this.Concat(this.lastName, ', ', this.firstName), 'stored');
+    initial = this.Index(this.Generated(this.Substring(this.lastName, 1, 1)));
+  }
+  const updated = new SQLiteDatabase(TEST_DB);
+  const client = updated.getClient({ People });
+  const sql = client.diff(schema);
+  assert(sql.includes('create table temp_people'), 'Table should be recreated');
+  assert(!sql.includes('drop column'), 'Generated columns are not dropped in place');
+  await client.migrate(sql);
+  const person = await client.people.get({ firstName: 'Ada' });
+  assertEquals(person.fullName, 'Lovelace, Ada');
+  await updated.close();
+});
+
+await asyncTest('G-09: invalid generated definitions throw', async () => {
+  let error;
+  try {
+    class Bad extends Table {
+      name;
+      copy = this.Generated(this.name, 'computed');
+    }
+    new SQLiteDatabase(':memory:').getClient({ Bad });
+  }
+  catch (e) {
+    error = e;
+  }
+  assert(error && error.message.includes('Invalid generated column type'), 'Should throw for invalid type');
+  error = null;
+  try {
+    class Bad extends Table {
+      name;
+      copy = this.Generated(this.name);
+    }
+    new SQLiteDatabase(':memory:').getClient({ Bad });
+  }
+  catch (e) {
+    error = e;
+  }
+  assert(error && error.message.includes('computed expression'), 'Should throw without an expression');
+});
+
+console.log('\n========================================');
+console.log(`Tests: ${passed} passed, ${failed} failed`);
+console.log('========================================\n');
+
+await database.close();
+fs.unlinkSync(TEST_DB);
+
+if (failed > 0) {
+  process.exit(1);
+}
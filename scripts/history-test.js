@@ -0,0 +1,288 @@
+/**
+ * History Table Test Suite
+ *
+ * Coverage:
+ * - HT-01 to HT-03: History tables and triggers in the schema
+ * - HT-04 to HT-06: Recording inserts, updates, deletes and raw writes
+ * - HT-07 to HT-08: Reading rows at a point in time
+ * - HT-09 to HT-11: Actors, scoped clients and errors
+ * - HT-12 to HT-13: Migrations that remove columns
+ */
+
+import { SQLiteDatabase, Table } from '../index.js';
+import fs from 'fs';
+
+const TEST_DB = '/tmp/history-test.db';
+const MIGRATIONS = '/tmp/history-test-migrations';
+
+for (const path of [TEST_DB, `${TEST_DB}-wal`, `${TEST_DB}-shm`]) {
+  if (fs.existsSync(path)) {
+    fs.unlinkSync(path);
+  }
+}
+fs.rmSync(MIGRATIONS, { recursive: true, force: true });
+
+class Documents extends Table {
+  tenantId = this.Int;
+  title = this.Text;
+  published = this.False;
+  tags = this.Json;
+  label = this.Generated(this.Concat(this.title, '!'));
+  History = true;
+}
+
+class Comments extends Table {
+  body = this.Text;
+}
+
+const database = new SQLiteDatabase(TEST_DB);
+const db = database.getClient({ Documents, Comments });
+
+const sql = db.diff();
+await db.migrate(sql);
+console.log('✓ Schema created\n');
+
+let passed = 0;
+let failed = 0;
+
+async function asyncTest(name, fn) {
+  try {
+    await fn();
+    console.log(`✓ ${name}`);
+    passed++;
+  } catch (e) {
+    console.log(`✗ ${name}`);
+    console.log(`  Error: ${e.message}`);
+    failed++;
+  }
+}
+
+function assert(condition, message) {
+  if (!condition) throw new Error(message || 'Assertion failed');
+}
+
+function assertEquals(actual, expected, message) {
+  if (actual !== expected) {
+    throw new Error(message || `Expected ${expected}, got ${actual}`);
+  }
+}
+
+const getError = async (fn) => {
+  try {
+    await fn();
+  }
+  catch (e) {
+    return e;
+  }
+}
+
+const wait = () => new Promise(resolve => setTimeout(resolve, 5));
+
+console.log('=== SCHEMA ===\n');
+
+await asyncTest('HT-01: a history table is created for tables with History set', async () => {
+  assert(sql.includes('create table documents_history'), sql);
+  assert(!sql.includes('comments_history'), 'comments do not keep a history');
+  const schema = db.getSchema().find(t => t.name === 'documents_history');
+  const names = schema.columns.map(c => c.name).join(',');
+  assertEquals(names, 'historyId,id,tenantId,title,published,tags,operation,changedAt,actor');
+  assert(schema.columns.filter(c => c.name !== 'historyId').every(c => !c.notNull || ['operation', 'changedAt'].includes(c.name)), 'copied columns are nullable');
+});
+
+await asyncTest('HT-02: triggers are added for inserts, updates and deletes', async () => {
+  const schema = db.getSchema().find(t => t.name === 'documents');
+  const names = schema.triggers.map(t => t.name).join(',');
+  assertEquals(names, 'documents_history_insert,documents_history_update,documents_history_delete');
+});
+
+await asyncTest('HT-03: the database matches the schema', async () => {
+  const discrepancies = await database.verifySchema();
+  assertEquals(discrepancies.length, 0, discrepancies.map(d => d.message).join('\n'));
+  assertEquals(db.diff(db.getSchema()), '');
+});
+
+console.log('\n=== RECORDING ===\n');
+
+let id;
+let created;
+let edited;
+
+await asyncTest('HT-04: inserts and updates are recorded with converted values', async () => {
+  id = await db.documents.insert({ tenantId: 1, title: 'Draft', published: false, tags: ['new'] });
+  await wait();
+  created = new Date();
+  await wait();
+  await db.documents.update({ where: { id }, set: { title: 'Final', tags: ['done'] } });
+  await wait();
+  edited = new Date();
+  await wait();
+  const entries = await db.documents.history({ id });
+  assertEquals(entries.length, 2);
+  assertEquals(entries[0].operation, 'insert');
+  assertEquals(entries[0].title, 'Draft');
+  assertEquals(entries[1].operation, 'update');
+  assertEquals(entries[1].tags[0], 'done');
+  assert(entries[1].changedAt instanceof Date, 'changedAt should be a Date');
+  assertEquals(entries[0].published, false);
+  assertEquals(entries[0].historyId, undefined);
+});
+
+await asyncTest('HT-05: raw writes are recorded', async () => {
+  await db.exec(`update documents set published = 1 where id = ${id}`);
+  const entries = await db.documents.history({ id });
+  assertEquals(entries.length, 3);
+  assertEquals(entries[2].published, true);
+});
+
+await asyncTest('HT-06: deletes record the last values of the row', async () => {
+  const other = await db.documents.insert({ tenantId: 2, title: 'Other', published: false, tags: [] });
+  await db.documents.delete({ id: other });
+  const entries = await db.documents.history({ id: other });
+  assertEquals(entries.length, 2);
+  assertEquals(entries[1].operation, 'delete');
+  assertEquals(entries[1].title, 'Other');
+});
+
+console.log('\n=== AS OF ===\n');
+
+await asyncTest('HT-07: asOf reconstructs rows at a point in time', async () => {
+  const [first] = await db.documents.asOf(created, { id });
+  assertEquals(first.title, 'Draft');
+  assertEquals(first.tags[0], 'new');
+  const [second] = await db.documents.asOf(edited, { id });
+  assertEquals(second.title, 'Final');
+  assertEquals(second.published, false);
+  const [current] = await db.documents.asOf(new Date(), { id });
+  assertEquals(current.published, true);
+  assertEquals((await db.documents.asOf(new Date('2000-01-01'))).length, 0);
+});
+
+await asyncTest('HT-08: deleted rows are left out after they were deleted', async () => {
+  const rows = await db.documents.asOf(new Date());
+  assertEquals(rows.length, 1);
+  assertEquals(rows[0].id, id);
+  const before = await db.documents.asOf(new Date(), { tenantId: 2 });
+  assertEquals(before.length, 0);
+});
+
+console.log('\n=== ACTORS AND ERRORS ===\n');
+
+await asyncTest('HT-09: the actor is recorded until it is cleared', async () => {
+  await db.setActor('alice');
+  await db.documents.update({ where: { id }, set: { title: 'By Alice' } });
+  await db.transaction(async (tx) => {
+    await tx.documents.update({ where: { id }, set: { title: 'Also Alice' } });
+  });
+  await db.setActor(null);
+  await db.documents.update({ where: { id }, set: { title: 'Nobody' } });
+  const actors = (await db.documents.history({ id })).map(e => e.actor);
+  assertEquals(actors.slice(-3).join(','), 'alice,alice,');
+  const scoped = db.scoped({ tenantId: 2 });
+  assertEquals((await scoped.documents.history()).length, 2);
+  assertEquals((await scoped.documents.history({ id })).length, 0);
+  assertEquals((await scoped.documents.asOf(new Date(), { id })).length, 0);
+});
+
+await asyncTest('HT-10: tables without a history throw', async () => {
+  const error = await getError(() => db.comments.history({ id: 1 }));
+  assert(error && error.message.includes('History'), 'Should throw for tables without a history');
+});
+
+await asyncTest('HT-11: setActor waits for open transactions and is undone by rollbacks', async () => {
+  const tx = await db.begin();
+  await tx.documents.update({ where: { id }, set: { title: 'Rolled back' } });
+  const pending = db.setActor('bob');
+  await wait();
+  await tx.rollback();
+  await pending;
+  await db.documents.update({ where: { id }, set: { title: 'By Bob' } });
+  const error = await getError(() => db.transaction(async (tx) => {
+    await tx.setActor('carol');
+    await tx.documents.update({ where: { id }, set: { title: 'By Carol' } });
+    throw Error('Undo');
+  }));
+  assertEquals(error.message, 'Undo');
+  await db.documents.update({ where: { id }, set: { title: 'Bob again' } });
+  await db.setActor(null);
+  const entries = await db.documents.history({ id });
+  assertEquals(entries.slice(-2).map(e => `${e.title}:${e.actor}`).join(','), 'By Bob:bob,Bob again:bob');
+});
+
+console.log('\n=== MIGRATIONS ===\n');
+
+const historyColumns = async () => {
+  const columns = await database.all({ query: 'select name from pragma_table_info(\'documents_history\')' });
+  return columns.map(c => c.name).join(',');
+}
+
+await asyncTest('HT-12: removed columns are kept in the history table', async () => {
+  class Documents extends Table {
+    tenantId = this.Int;
+    title = this.Text;
+    published = this.False;
+    label = this.Generated(this.Concat(this.title, '!'));
+    History = true;
+  }
+  const updated = new SQLiteDatabase(TEST_DB);
+  const client = updated.getClient({ Documents, Comments });
+  try {
+    fs.mkdirSync(MIGRATIONS);
+    fs.writeFileSync(`${MIGRATIONS}/schema.json`, JSON.stringify(db.getSchema()));
+    const { sql, down } = updated.createMigration(MIGRATIONS, 'remove tags');
+    assert(sql.includes('alter table documents drop column tags'), sql);
+    assert(!sql.includes('documents_history drop column'), sql);
+    assert(!down.includes('documents_history add column'), 'The down migration should not add the column again');
+    await updated.runMigrations(MIGRATIONS, { autoBackup: false });
+    assertEquals(await historyColumns(), 'historyId,id,tenantId,title,published,tags,operation,changedAt,actor');
+    const discrepancies = await updated.verifySchema();
+    assertEquals(discrepancies.length, 0, discrepancies.map(d => d.message).join('\n'));
+    assertEquals(updated.createMigration(MIGRATIONS), null);
+    await client.documents.update({ where: { id }, set: { title: 'Without tags' } });
+    const entries = await client.documents.history({ id });
+    assertEquals(entries[0].title, 'Draft');
+    assertEquals(entries.at(-1).title, 'Without tags');
+    const [row] = await updated.all({ query: 'select json(tags) as tags from documents_history order by historyId limit 1' });
+    assertEquals(JSON.parse(row.tags)[0], 'new', 'Older versions should keep their values');
+  }
+  finally {
+    await updated.close();
+  }
+});
+
+await asyncTest('HT-13: removed columns are kept when the history table is recreated', async () => {
+  class Documents extends Table {
+    tenantId = this.Text;
+    title = this.Text;
+    label = this.Generated(this.Concat(this.title, '!'));
+    History = true;
+  }
+  const updated = new SQLiteDatabase(TEST_DB);
+  const client = updated.getClient({ Documents, Comments });
+  try {
+    const { sql } = updated.createMigration(MIGRATIONS, 'change tenant');
+    assert(sql.includes('create table temp_documents_history'), sql);
+    await updated.runMigrations(MIGRATIONS, { autoBackup: false });
+    assertEquals(await historyColumns(), 'historyId,id,tenantId,title,operation,changedAt,actor,published,tags');
+    const discrepancies = await updated.verifySchema();
+    assertEquals(discrepancies.length, 0, discrepancies.map(d => d.message).join('\n'));
+    const [row] = await updated.all({ query: 'select tenantId, published, json(tags) as tags from documents_history order by historyId limit 1' });
+    assertEquals(row.tenantId, '1');
+    assertEquals(row.published, 0);
+    assertEquals(JSON.parse(row.tags)[0], 'new');
+  }
+  finally {
+    await updated.close();
+  }
+});
+
+console.log('\n========================================');
+console.log(`Tests: ${passed} passed, ${failed} failed`);
+console.log('========================================\n');
+
+await database.close();
+fs.unlinkSync(TEST_DB);
+fs.rmSync(MIGRATIONS, { recursive: true, force: true });
+
+if (failed > 0) {
+  process.exit(1);
+}
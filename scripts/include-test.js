@@ -0,0 +1,240 @@
+/**
+ * Relation Loading Test Suite
+ *
+ * Coverage:
+ * - I-01 to I-04: Has-many relations (child tables by name)
+ * - I-05 to I-07: Belongs-to relations (foreign key column without "Id")
+ * - I-08 to I-10: Options, nesting and soft delete filtering
+ * - I-11 to I-13: Batching and errors
+ */
+
+import { SQLiteDatabase, Table, SoftDeleteTable } from '../index.js';
+import fs from 'fs';
+
+const TEST_DB = '/tmp/include-test.db';
+
+if (fs.existsSync(TEST_DB)) {
+  fs.unlinkSync(TEST_DB);
+}
+
+class Forests extends Table {
+  name;
+}
+
+class Trees extends SoftDeleteTable {
+  name;
+  height = this.Default(0);
+  forestId = this.Cascade(Forests);
+}
+
+class Sightings extends Table {
+  seenAt = this.Date;
+  treeId = this.References(Trees);
+}
+
+class Users extends Table {
+  name;
+}
+
+class Messages extends Table {
+  body;
+  senderId = this.References(Users);
+  recipientId = this.References(Users);
+}
+
+const database = new SQLiteDatabase(TEST_DB);
+const db = database.getClient({ Forests, Trees, Sightings, Users, Messages });
+
+await db.migrate(db.diff());
+console.log('✓ Schema created\n');
+
+const redwood = await db.forests.insert({ name: 'Redwood' });
+const pine = await db.forests.insert({ name: 'Pine' });
+const empty = await db.forests.insert({ name: 'Empty' });
+const giant = await db.trees.insert({ name: 'Giant', height: 90, forestId: redwood });
+await db.trees.insert({ name: 'Tall', height: 60, forestId: redwood });
+await db.trees.insert({ name: 'Scots', height: 30, forestId: pine });
+const fallen = await db.trees.insert({ name: 'Fallen', height: 10, forestId: pine });
+await db.trees.softDelete({ id: fallen });
+await db.sightings.insert({ seenAt: new Date('2024-01-01T00:00:00.000Z'), treeId: giant });
+await db.sightings.insert({ seenAt: new Date('2024-02-01T00:00:00.000Z'), treeId: giant });
+const alice = await db.users.insert({ name: 'Alice' });
+const bob = await db.users.insert({ name: 'Bob' });
+await db.messages.insert({ body: 'Hi Bob', senderId: alice, recipientId: bob });
+
+let passed = 0;
+let failed = 0;
+
+async function asyncTest(name, fn) {
+  try {
+    await fn();
+    console.log(`✓ ${name}`);
+    passed++;
+  } catch (e) {
+    console.log(`✗ ${name}`);
+    console.log(`  Error: ${e.message}`);
+    failed++;
+  }
+}
+
+function assert(condition, message) {
+  if (!condition) throw new Error(message || 'Assertion failed');
+}
+
+function assertEquals(actual, expected, message) {
+  if (actual !== expected) {
+    throw new Error(message || `Expected ${expected}, got ${actual}`);
+  }
+}
+
+const queries = [];
+database.setLogger((event) => queries.push(event.sql));
+
+console.log('=== HAS-MANY ===\n');
+
+await asyncTest('I-01: many with include returns nested arrays', async () => {
+  const forests = await db.forests.many(null, null, { include: { trees: true } });
+  assertEquals(forests.length, 3);
+  const first = forests.find(f => f.id === redwood);
+  assertEquals(first.trees.length, 2);
+  assertEquals(first.trees[0].forestId, redwood);
+});
+
+await asyncTest('I-02: rows without children get an empty array', async () => {
+  const forest = await db.forests.get({ id: empty }, null, { include: { trees: true } });
+  assert(Array.isArray(forest.trees), 'trees should be an array');
+  assertEquals(forest.trees.length, 0);
+});
+
+await asyncTest('I-03: include keyword on query and first', async () => {
+  const forests = await db.forests.query({
+    where: { name: 'Redwood' },
+    include: { trees: true }
+  });
+  assertEquals(forests.length, 1);
+  assertEquals(forests[0].trees.length, 2);
+  const forest = await db.forests.first({ where: { id: pine }, include: { trees: true } });
+  assertEquals(forest.name, 'Pine');
+});
+
+await asyncTest('I-04: child options filter and order the relation', async () => {
+  const forest = await db.forests.first({
+    where: { id: redwood },
+    include: {
+      trees: {
+        where: { height: h => h.gt(70) },
+        select: ['name'],
+        orderBy: 'name'
+      }
+    }
+  });
+  assertEquals(forest.trees.length, 1);
+  assertEquals(forest.trees[0].name, 'Giant');
+  assertEquals(forest.trees[0].forestId, undefined, 'foreign key added for grouping should be removed');
+});
+
+console.log('\n=== BELONGS-TO ===\n');
+
+await asyncTest('I-05: belongs-to relation returns an object', async () => {
+  const trees = await db.trees.many(null, null, { include: { forest: true } });
+  assertEquals(trees.length, 3);
+  const tree = trees.find(t => t.id === giant);
+  assertEquals(tree.forest.name, 'Redwood');
+});
+
+await asyncTest('I-06: selected columns keep the foreign key only when requested', async () => {
+  const tree = await db.trees.get({ id: giant }, ['name'], { include: { forest: true } });
+  assertEquals(tree.name, 'Giant');
+  assertEquals(tree.forest.id, redwood);
+  assertEquals(tree.forestId, undefined, 'forestId was not selected');
+});
+
+await asyncTest('I-07: ambiguous relations need a foreign key', async () => {
+  let error;
+  try {
+    await db.users.many(null, null, { include: { messages: true } });
+  }
+  catch (e) {
+    error = e;
+  }
+  assert(error && error.message.includes('ambiguous'), 'Should throw for ambiguous relation');
+  const users = await db.users.many(null, null, {
+    include: { messages: { foreignKey: 'recipientId' } }
+  });
+  const user = users.find(u => u.id === bob);
+  assertEquals(user.messages.length, 1);
+  const message = await db.messages.get({ id: 1 }, null, { include: { sender: true, recipient: true } });
+  assertEquals(message.sender.name, 'Alice');
+  assertEquals(message.recipient.name, 'Bob');
+});
+
+console.log('\n=== OPTIONS ===\n');
+
+await asyncTest('I-08: nested include with converted values', async () => {
+  const forest = await db.forests.get({ id: redwood }, null, {
+    include: {
+      trees: {
+        orderBy: 'id',
+        include: { sightings: true }
+      }
+    }
+  });
+  const tree = forest.trees[0];
+  assertEquals(tree.sightings.length, 2);
+  assert(tree.sightings[0].seenAt instanceof Date, 'seenAt should be a Date');
+  assertEquals(forest.trees[1].sightings.length, 0);
+});
+
+await asyncTest('I-09: soft-deleted children are excluded', async () => {
+  const forest = await db.forests.get({ id: pine }, null, { include: { trees: true } });
+  assertEquals(forest.trees.length, 1);
+  assertEquals(forest.trees[0].name, 'Scots');
+});
+
+await asyncTest('I-10: withDeleted includes soft-deleted children', async () => {
+  const forest = await db.forests.get({ id: pine }, null, {
+    include: { trees: { withDeleted: true } }
+  });
+  assertEquals(forest.trees.length, 2);
+});
+
+console.log('\n=== BATCHING AND ERRORS ===\n');
+
+await asyncTest('I-11: one query per relation instead of one per row', async () => {
+  queries.length = 0;
+  await db.forests.many(null, null, { include: { trees: { include: { sightings: true } } } });
+  assertEquals(queries.length, 3, `Expected 3 queries, got ${queries.length}`);
+});
+
+await asyncTest('I-12: unknown relation throws', async () => {
+  let error;
+  try {
+    await db.forests.many(null, null, { include: { rivers: true } });
+  }
+  catch (e) {
+    error = e;
+  }
+  assert(error && error.message.includes('no relation'), 'Should throw for unknown relation');
+});
+
+await asyncTest('I-13: include with a single returned column throws', async () => {
+  let error;
+  try {
+    await db.forests.query({ return: 'name', include: { trees: true } });
+  }
+  catch (e) {
+    error = e;
+  }
+  assert(error, 'Should throw when returning a single column');
+});
+
+console.log('\n========================================');
+console.log(`Tests: ${passed} passed, ${failed} failed`);
+console.log('========================================\n');
+
+await database.close();
+fs.unlinkSync(TEST_DB);
+
+if (failed > 0) {
+  process.exit(1);
+}
@@ -0,0 +1,219 @@
+/**
+ * Introspection Test Suite
+ *
+ * Coverage:
+ * - IN-01 to IN-03: Introspecting databases created from table classes
+ * - IN-04 to IN-07: Columns, foreign keys, indexes and checks of hand-written tables
+ * - IN-08 to IN-10: Generated source, views, triggers and warnings
+ */
+
+import { SQLiteDatabase, Table, SoftDeleteTable, BaseTable } from '../index.js';
+import fs from 'fs';
+
+const TEST_DB = '/tmp/introspect-test.db';
+const LEGACY_DB = '/tmp/introspect-legacy-test.db';
+const SOURCE_FILE = '/tmp/introspect-test-tables.js';
+
+for (const path of [TEST_DB, LEGACY_DB, SOURCE_FILE]) {
+  if (fs.existsSync(path)) {
+    fs.unlinkSync(path);
+  }
+}
+
+class Forests extends Table {
+  name = this.Unique(this.Text);
+  rating = this.Check(this.Default(0), this.Gte(0), this.Lt(10));
+  kind = this.Check(this.Text, ['pine', 'oak']);
+  createdAt = this.Now;
+  notes = this.Null(this.Text);
+
+  Attributes() {
+    this.Index(this.name, this.rating);
+  }
+}
+
+class Trees extends SoftDeleteTable {
+  name = this.Text;
+  forestId = this.Cascade(Forests);
+  nearId = this.References(Forests, { notNull: false, onDelete: 'set null', index: false });
+  height = this.Real;
+}
+
+class Codes extends BaseTable {
+  code = this.TextPrimary;
+  label = this.Null('none');
+}
+
+const database = new SQLiteDatabase(TEST_DB);
+const db = database.getClient({ Forests, Trees, Codes });
+
+await db.migrate(db.diff());
+console.log('✓ Schema created\n');
+
+const legacy = new SQLiteDatabase(LEGACY_DB);
+await legacy.migrate(`
+create table authors (
+  id integer primary key,
+  name varchar(50) not null unique,
+  bio text,
+  score real default 1.5 check (score >= 0)
+);
+create table books (
+  isbn text primary key,
+  title text not null,
+  authorId integer references authors(id) on delete cascade,
+  editorId integer references authors on update cascade,
+  pages int check (pages > 0 and pages < 5000),
+  created text default current_timestamp
+);
+create index books_title on books(title);
+create index books_lower_title on books(lower(title));
+create view authorNames as select name from authors;
+create trigger books_touch after update on books begin
+  update authors set score = score + 1 where id = new.authorId;
+end;
+create virtual table search using fts5(title);
+`);
+
+let passed = 0;
+let failed = 0;
+
+async function asyncTest(name, fn) {
+  try {
+    await fn();
+    console.log(`✓ ${name}`);
+    passed++;
+  } catch (e) {
+    console.log(`✗ ${name}`);
+    console.log(`  Error: ${e.message}`);
+    failed++;
+  }
+}
+
+function assert(condition, message) {
+  if (!condition) throw new Error(message || 'Assertion failed');
+}
+
+function assertEquals(actual, expected, message) {
+  if (actual !== expected) {
+    throw new Error(message || `Expected ${expected}, got ${actual}`);
+  }
+}
+
+const introspected = await database.introspect();
+const result = await legacy.introspect();
+const getTable = (name) => result.schema.find(t => t.name === name);
+
+console.log('=== TABLE CLASSES ===\n');
+
+await asyncTest('IN-01: the schema matches the table classes', async () => {
+  const tables = introspected.schema.map(t => t.name).sort();
+  assertEquals(tables.join(','), 'codes,forests,trees');
+  assertEquals(db.diff(introspected.schema), '');
+  assertEquals(introspected.warnings.length, 0, introspected.warnings.join('\n'));
+});
+
+await asyncTest('IN-02: defaults, soft deletes and foreign keys are read', async () => {
+  const forests = introspected.schema.find(t => t.name === 'forests');
+  const createdAt = forests.columns.find(c => c.name === 'createdAt');
+  assertEquals(createdAt.type, 'date');
+  assertEquals(createdAt.default, 'now');
+  const trees = introspected.schema.find(t => t.name === 'trees');
+  assertEquals(trees.softDelete, true);
+  const keys = trees.foreignKeys.map(k => `${k.columns[0]}:${k.actions.join(' ')}`);
+  assertEquals(keys.join(','), 'forestId:on delete cascade,nearId:on delete set null');
+});
+
+await asyncTest('IN-03: the generated source creates the same tables', async () => {
+  const { source } = introspected;
+  assert(source.includes('export class Trees extends SoftDeleteTable'), 'Trees should be a soft delete table');
+  assert(source.includes('export class Codes extends BaseTable'), 'Codes should be a base table');
+  assert(source.indexOf('class Forests') < source.indexOf('class Trees'), 'parents should come first');
+  fs.writeFileSync(SOURCE_FILE, source.replace('@andrewitsover/midnight', new URL('../index.js', import.meta.url).href));
+  const classes = await import(SOURCE_FILE);
+  const other = new SQLiteDatabase(':memory:');
+  const client = other.getClient(classes);
+  assertEquals(client.diff(introspected.schema), '');
+  await other.close();
+});
+
+console.log('\n=== EXISTING TABLES ===\n');
+
+await asyncTest('IN-04: column types, nullability and literal defaults', async () => {
+  const authors = getTable('authors');
+  const name = authors.columns.find(c => c.name === 'name');
+  assertEquals(name.type, 'text');
+  assertEquals(name.notNull, true);
+  const score = authors.columns.find(c => c.name === 'score');
+  assertEquals(score.type, 'real');
+  assertEquals(score.notNull, false);
+  assertEquals(score.default, 1.5);
+  assertEquals(getTable('books').primaryKeys.join(','), 'isbn');
+});
+
+await asyncTest('IN-05: foreign keys without a column reference the primary key', async () => {
+  const books = getTable('books');
+  const editor = books.foreignKeys.find(k => k.columns[0] === 'editorId');
+  assertEquals(editor.references.table, 'authors');
+  assertEquals(editor.references.column, 'id');
+  assertEquals(editor.actions.join(','), 'on update cascade');
+});
+
+await asyncTest('IN-06: indexes and unique constraints', async () => {
+  const authors = getTable('authors');
+  assert(authors.indexes.some(i => i.type === 'unique' && i.on === 'name'), 'unique constraint should be an index');
+  const books = getTable('books');
+  const ons = books.indexes.map(i => i.on).sort();
+  assertEquals(ons.join(','), 'lower(title),title');
+});
+
+await asyncTest('IN-07: checks are converted when possible', async () => {
+  const books = getTable('books');
+  assertEquals(books.checks.join(','), 'pages > 0 and pages < 5000');
+  assert(result.source.includes('pages = this.Check(this.Null(this.Int), this.Gt(0), this.Lt(5000));'), result.source);
+  assert(result.source.includes('score = this.Check(this.Null(1.5), this.Gte(0));'), result.source);
+});
+
+console.log('\n=== SOURCE AND WARNINGS ===\n');
+
+await asyncTest('IN-08: foreign keys and indexes in the source', async () => {
+  const { source } = result;
+  assert(source.includes('export class Authors extends Table'), source);
+  assert(source.includes('authorId = this.Cascade(Authors, { notNull: false, index: false });'), source);
+  assert(source.includes(`editorId = this.References(Authors, { onUpdate: 'cascade', notNull: false, index: false });`), source);
+  assert(source.includes('title = this.Index(this.Text);'), source);
+  assert(source.includes('// index on (lower(title))'), source);
+});
+
+await asyncTest('IN-09: views and triggers', async () => {
+  const view = getTable('authorNames');
+  assertEquals(view.type, 'view');
+  assertEquals(view.sql, 'select name from authors');
+  const trigger = getTable('books').triggers[0];
+  assertEquals(trigger.timing, 'after');
+  assertEquals(trigger.event, 'update');
+  assertEquals(trigger.body.length, 1);
+  assert(result.source.includes('// trigger books_touch after update'), result.source);
+});
+
+await asyncTest('IN-10: unsupported parts are listed as warnings', async () => {
+  const { warnings } = result;
+  assert(warnings.some(w => w.includes('books.created')), 'expression default should be a warning');
+  assert(warnings.some(w => w.includes('virtual table search')), 'virtual table should be a warning');
+  assert(warnings.some(w => w.includes('authors is not strict')), 'non-strict table should be a warning');
+  assert(!result.schema.some(t => t.name.startsWith('search')), 'fts tables should be skipped');
+});
+
+console.log('\n========================================');
+console.log(`Tests: ${passed} passed, ${failed} failed`);
+console.log('========================================\n');
+
+await database.close();
+await legacy.close();
+for (const path of [TEST_DB, LEGACY_DB, SOURCE_FILE]) {
+  fs.unlinkSync(path);
+}
+
+if (failed > 0) {
+  process.exit(1);
+}
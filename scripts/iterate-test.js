@@ -0,0 +1,251 @@
+/**
+ * Iterate Test Suite
+ *
+ * Coverage:
+ * - IT-01 to IT-04: Table iteration with where, orderBy, select and soft deletes
+ * - IT-05 to IT-06: Converted values and stopping early
+ * - IT-07 to IT-08: Queries inside the loop and expressions
+ * - IT-09 to IT-11: Transactions and errors
+ */
+
+import { SQLiteDatabase, Table, SoftDeleteTable } from '../index.js';
+import fs from 'fs';
+
+const TEST_DB = '/tmp/iterate-test.db';
+
+if (fs.existsSync(TEST_DB)) {
+  fs.unlinkSync(TEST_DB);
+}
+
+class Forests extends Table {
+  name = this.Text;
+  alive = this.True;
+  plantedAt = this.Date;
+  tags = this.Json;
+}
+
+class Trees extends SoftDeleteTable {
+  name = this.Text;
+  forestId = this.Cascade(Forests);
+  height = this.Int;
+}
+
+const database = new SQLiteDatabase(TEST_DB);
+const db = database.getClient({ Forests, Trees });
+
+await db.migrate(db.diff());
+console.log('✓ Schema created\n');
+
+const plantedAt = new Date('2024-03-01T00:00:00.000Z');
+await db.forests.insertMany([
+  { name: 'Redwood', alive: true, plantedAt, tags: ['tall'] },
+  { name: 'Pine', alive: false, plantedAt, tags: { level: 1 } }
+]);
+await db.trees.insertMany(Array.from({ length: 500 }, (_, i) => ({
+  name: `Tree ${i}`,
+  forestId: i % 2 + 1,
+  height: i
+})));
+
+let passed = 0;
+let failed = 0;
+
+async function asyncTest(name, fn) {
+  try {
+    await fn();
+    console.log(`✓ ${name}`);
+    passed++;
+  } catch (e) {
+    console.log(`✗ ${name}`);
+    console.log(`  Error: ${e.message}`);
+    failed++;
+  }
+}
+
+function assert(condition, message) {
+  if (!condition) throw new Error(message || 'Assertion failed');
+}
+
+function assertEquals(actual, expected, message) {
+  if (actual !== expected) {
+    throw new Error(message || `Expected ${expected}, got ${actual}`);
+  }
+}
+
+const collect = async (iterator) => {
+  const rows = [];
+  for await (const row of iterator) {
+    rows.push(row);
+  }
+  return rows;
+}
+
+console.log('=== TABLES ===\n');
+
+await asyncTest('IT-01: iterate without a query returns every row', async () => {
+  const rows = await collect(db.trees.iterate());
+  assertEquals(rows.length, 500);
+  assertEquals(rows[0].name, 'Tree 0');
+});
+
+await asyncTest('IT-02: where, orderBy and select', async () => {
+  const rows = await collect(db.trees.iterate({
+    where: { height: h => h.gte(490) },
+    select: ['name', 'height'],
+    orderBy: 'height',
+    desc: true
+  }));
+  assertEquals(rows.length, 10);
+  assertEquals(rows[0].height, 499);
+  assertEquals(Object.keys(rows[0]).join(','), 'name,height');
+});
+
+await asyncTest('IT-03: return gives single values', async () => {
+  const names = await collect(db.trees.iterate({
+    where: { height: [1, 2] },
+    return: 'name',
+    orderBy: 'height'
+  }));
+  assertEquals(names.join(','), 'Tree 1,Tree 2');
+});
+
+await asyncTest('IT-04: soft deleted rows are filtered', async () => {
+  await db.trees.softDelete({ height: h => h.lt(100) });
+  const rows = await collect(db.trees.iterate({ return: 'id' }));
+  assertEquals(rows.length, 400);
+  const all = await collect(db.trees.iterate({ return: 'id' }, { withDeleted: true }));
+  assertEquals(all.length, 500);
+  const deleted = await collect(db.trees.iterate(null, { onlyDeleted: true }));
+  assertEquals(deleted.length, 100);
+  assert(deleted[0].deletedAt instanceof Date, 'deletedAt should be a Date');
+});
+
+console.log('\n=== CONVERSIONS ===\n');
+
+await asyncTest('IT-05: dates, booleans and json are converted', async () => {
+  const rows = await collect(db.forests.iterate({ orderBy: 'id' }));
+  assertEquals(rows[0].alive, true);
+  assertEquals(rows[1].alive, false);
+  assertEquals(rows[0].plantedAt.toISOString(), plantedAt.toISOString());
+  assertEquals(rows[0].tags[0], 'tall');
+  assertEquals(rows[1].tags.level, 1);
+});
+
+await asyncTest('IT-06: breaking out of the loop stops the query', async () => {
+  let count = 0;
+  for await (const tree of db.trees.iterate({ orderBy: 'height' })) {
+    count++;
+    if (tree.height === 104) {
+      break;
+    }
+  }
+  assertEquals(count, 5);
+  assertEquals(await db.trees.count(), 400);
+});
+
+console.log('\n=== EXPRESSIONS ===\n');
+
+await asyncTest('IT-07: queries and writes can run inside the loop', async () => {
+  let updated = 0;
+  for await (const forest of db.forests.iterate()) {
+    const count = await db.trees.count({ where: { forestId: forest.id } });
+    await db.forests.update({ where: { id: forest.id }, set: { name: `${forest.name} (${count})` } });
+    updated++;
+  }
+  assertEquals(updated, 2);
+  assertEquals(await db.forests.get({ id: 1 }, 'name'), 'Redwood (200)');
+});
+
+await asyncTest('IT-08: db.iterate with objects and values', async () => {
+  const rows = await collect(db.iterate(c => {
+    const { trees: t, forests: f } = c;
+    return {
+      select: {
+        tree: t.name,
+        planted: f.plantedAt
+      },
+      join: [t.forestId, f.id],
+      where: {
+        [t.height]: c.gt(497)
+      },
+      orderBy: t.height
+    }
+  }));
+  assertEquals(rows.length, 2);
+  assertEquals(rows[0].tree, 'Tree 498');
+  assert(rows[0].planted instanceof Date, 'planted should be a Date');
+  const alive = await collect(db.iterate(c => ({
+    select: c.forests.alive,
+    orderBy: c.forests.id
+  })));
+  assertEquals(alive.join(','), 'true,false');
+});
+
+console.log('\n=== TRANSACTIONS AND ERRORS ===\n');
+
+await asyncTest('IT-09: iterate inside a transaction sees its writes', async () => {
+  const names = await db.transaction(async (tx) => {
+    await tx.forests.insert({ name: 'Oak', plantedAt, tags: [] });
+    return await collect(tx.forests.iterate({ return: 'name', orderBy: 'id' }));
+  });
+  assertEquals(names.length, 3);
+  assertEquals(names[2], 'Oak');
+});
+
+await asyncTest('IT-10: include and batches are not supported', async () => {
+  let error;
+  try {
+    await collect(db.forests.iterate({
+      include: {
+        trees: (t, c) => t.trees.many({ forestId: c.id })
+      }
+    }));
+  }
+  catch (e) {
+    error = e;
+  }
+  assert(error && error.message.includes('include'), 'Should throw for include');
+  error = null;
+  try {
+    await db.batch((bx) => [
+      collect(bx.forests.iterate())
+    ]);
+  }
+  catch (e) {
+    error = e;
+  }
+  assert(error, 'Should throw for batches');
+});
+
+await asyncTest('IT-11: writes can run inside the loop of a transaction', async () => {
+  const workers = new SQLiteDatabase(TEST_DB, { workers: { readers: 1 } });
+  const first = await db.trees.first({ where: { forestId: 1 }, orderBy: 'id' });
+  try {
+    for (const client of [db, workers.getClient({ Forests, Trees })]) {
+      const updated = await client.transaction(async (tx) => {
+        let count = 0;
+        for await (const tree of tx.trees.iterate({ where: { forestId: 1 }, orderBy: 'id' })) {
+          await tx.trees.update({ where: { id: tree.id }, set: { height: tree.height + 1 } });
+          count++;
+        }
+        return count;
+      });
+      assertEquals(updated, await db.trees.count({ where: { forestId: 1 } }));
+    }
+    assertEquals(await db.trees.get({ id: first.id }, 'height'), first.height + 2);
+  }
+  finally {
+    await workers.close();
+  }
+});
+
+console.log('\n========================================');
+console.log(`Tests: ${passed} passed, ${failed} failed`);
+console.log('========================================\n');
+
+await database.close();
+fs.unlinkSync(TEST_DB);
+
+if (failed > 0) {
+  process.exit(1);
+}
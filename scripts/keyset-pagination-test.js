@@ -0,0 +1,365 @@
+/**
+ * Keyset Pagination Test Suite
+ *
+ * Coverage:
+ * - KP-01 to KP-03: Ordering by several columns with a unique tiebreaker
+ * - KP-04 to KP-05: Moving forwards and backwards with cursors
+ * - KP-06 to KP-07: Opaque cursors that cannot be changed or reused
+ * - KP-08 to KP-10: SQL queries in JavaScript, scopes and options
+ * - KP-11 to KP-13: The cursor secret and column cursors
+ * - KP-14: Nullable columns
+ */
+
+import { SQLiteDatabase, SoftDeleteTable, Table } from '../index.js';
+import fs from 'fs';
+
+const TEST_DB = '/tmp/keyset-pagination-test.db';
+
+for (const path of [TEST_DB, `${TEST_DB}-wal`, `${TEST_DB}-shm`]) {
+  if (fs.existsSync(path)) {
+    fs.unlinkSync(path);
+  }
+}
+
+class Authors extends Table {
+  name = this.Text;
+  email = this.Unique(this.Text);
+}
+
+class Posts extends SoftDeleteTable {
+  tenantId = this.Int;
+  authorId = this.References(Authors);
+  title = this.Text;
+  createdAt = this.Date;
+  views = this.Int;
+  publishedAt = this.Null(this.Date);
+}
+
+const database = new SQLiteDatabase(TEST_DB, { cursorSecret: 'keyset-pagination-test' });
+const db = database.getClient({ Authors, Posts });
+
+await db.migrate(db.diff());
+await db.authors.insertMany([
+  { name: 'Ada', email: 'ada@example.com' },
+  { name: 'Grace', email: 'grace@example.com' }
+]);
+const base = new Date('2024-01-01T00:00:00Z').getTime();
+await db.posts.insertMany(Array.from({ length: 13 }, (_, i) => ({
+  tenantId: i % 2 + 1,
+  authorId: i % 2 + 1,
+  title: `Post ${i + 1}`,
+  createdAt: new Date(base + Math.floor(i / 3) * 1000),
+  views: i % 4,
+  publishedAt: i % 3 === 0 ? null : new Date(base + (i % 5) * 1000)
+})));
+console.log('✓ Schema created\n');
+
+let passed = 0;
+let failed = 0;
+
+async function asyncTest(name, fn) {
+  try {
+    await fn();
+    console.log(`✓ ${name}`);
+    passed++;
+  } catch (e) {
+    console.log(`✗ ${name}`);
+    console.log(`  Error: ${e.message}`);
+    failed++;
+  }
+}
+
+function assert(condition, message) {
+  if (!condition) throw new Error(message || 'Assertion failed');
+}
+
+function assertEquals(actual, expected, message) {
+  if (actual !== expected) {
+    throw new Error(message || `Expected ${expected}, got ${actual}`);
+  }
+}
+
+const getError = async (fn) => {
+  try {
+    await fn();
+  }
+  catch (e) {
+    return e;
+  }
+}
+
+const collect = async (paginate, query) => {
+  const pages = [];
+  let page = await paginate(query);
+  pages.push(page);
+  while (page.nextCursor) {
+    page = await paginate({ ...query, cursor: page.nextCursor });
+    pages.push(page);
+  }
+  return pages;
+}
+
+const ids = (rows) => rows.map(r => r.id).join(',');
+
+console.log('=== ORDERING ===\n');
+
+await asyncTest('KP-01: duplicate values are paged through once', async () => {
+  const pages = await collect(db.posts.cursorPaginate, { orderBy: 'createdAt', desc: true, limit: 4 });
+  assertEquals(pages.length, 4);
+  const rows = pages.flatMap(p => p.data);
+  assertEquals(rows.length, 13);
+  assertEquals(new Set(rows.map(r => r.id)).size, 13);
+  assertEquals(ids(rows), '13,12,11,10,9,8,7,6,5,4,3,2,1');
+  assertEquals(pages.at(-1).hasMore, false);
+  assertEquals(pages.at(-1).nextCursor, null);
+});
+
+await asyncTest('KP-02: columns can be sorted in different directions', async () => {
+  const pages = await collect(db.posts.cursorPaginate, {
+    orderBy: ['views', 'createdAt'],
+    desc: [false, true],
+    limit: 5
+  });
+  const rows = pages.flatMap(p => p.data);
+  const expected = (await db.posts.many())
+    .sort((a, b) => a.views - b.views || b.createdAt - a.createdAt || b.id - a.id);
+  assertEquals(ids(rows), ids(expected));
+});
+
+await asyncTest('KP-03: unique columns do not need a tiebreaker', async () => {
+  const pages = await collect(db.authors.cursorPaginate, { orderBy: 'email', desc: true, limit: 1 });
+  assertEquals(pages.flatMap(p => p.data).map(a => a.name).join(','), 'Grace,Ada');
+  const error = await getError(() => db.posts.cursorPaginate({ orderBy: ['views', 'title'], desc: [true] }));
+  assert(error, 'Should throw when desc does not match orderBy');
+  const unknown = await getError(() => db.posts.cursorPaginate({ orderBy: 'missing' }));
+  assert(unknown, 'Should throw for an unknown column');
+});
+
+console.log('\n=== DIRECTION ===\n');
+
+await asyncTest('KP-04: prevCursor returns to the page before', async () => {
+  const query = { orderBy: 'createdAt', desc: true, limit: 4 };
+  const first = await db.posts.cursorPaginate(query);
+  assertEquals(first.hasPrevious, false);
+  assertEquals(first.prevCursor, null);
+  const second = await db.posts.cursorPaginate({ ...query, cursor: first.nextCursor });
+  assertEquals(second.hasPrevious, true);
+  const back = await db.posts.cursorPaginate({ ...query, cursor: second.prevCursor });
+  assertEquals(ids(back.data), ids(first.data));
+  assertEquals(back.hasPrevious, false);
+  assertEquals(back.hasMore, true);
+  const forward = await db.posts.cursorPaginate({ ...query, cursor: back.nextCursor });
+  assertEquals(ids(forward.data), ids(second.data));
+});
+
+await asyncTest('KP-05: rows added between pages do not repeat rows', async () => {
+  const query = { orderBy: 'views', limit: 3 };
+  const first = await db.posts.cursorPaginate(query);
+  const id = await db.posts.insert({ tenantId: 1, authorId: 1, title: 'Late', createdAt: new Date(), views: 0 });
+  const rest = await collect(db.posts.cursorPaginate, { ...query, cursor: first.nextCursor });
+  const rows = [...first.data, ...rest.flatMap(p => p.data)];
+  assertEquals(rows.length, 14);
+  assertEquals(new Set(rows.map(r => r.id)).size, 14);
+  await db.posts.softDelete({ id });
+  const after = await collect(db.posts.cursorPaginate, query);
+  assert(!after.flatMap(p => p.data).some(r => r.id === id), 'Soft-deleted rows should be skipped');
+});
+
+console.log('\n=== CURSORS ===\n');
+
+await asyncTest('KP-06: cursors do not expose the values they point to', async () => {
+  const page = await db.posts.cursorPaginate({ orderBy: 'title', limit: 2 });
+  const decoded = Buffer.from(page.nextCursor, 'base64url').toString('latin1');
+  assert(!decoded.includes('Post'), 'The cursor should be opaque');
+  assert(!decoded.includes('title'), 'The cursor should not name the columns');
+  const changed = page.nextCursor.slice(0, -2) + (page.nextCursor.endsWith('AA') ? 'BB' : 'AA');
+  const error = await getError(() => db.posts.cursorPaginate({ orderBy: 'title', limit: 2, cursor: changed }));
+  assert(error && error.message.includes('not valid'), 'Should throw for a changed cursor');
+  const garbage = await getError(() => db.posts.cursorPaginate({ orderBy: 'title', cursor: 'abc' }));
+  assert(garbage && garbage.message.includes('not valid'), 'Should throw for a malformed cursor');
+});
+
+await asyncTest('KP-07: cursors only work with the query that created them', async () => {
+  const page = await db.posts.cursorPaginate({ orderBy: 'title', limit: 2 });
+  const order = await getError(() => db.posts.cursorPaginate({ orderBy: 'title', desc: true, cursor: page.nextCursor }));
+  assert(order && order.message.includes('different order'), 'Should throw for a different order');
+  const table = await getError(() => db.authors.cursorPaginate({ orderBy: 'name', cursor: page.nextCursor }));
+  assert(table && table.message.includes('different order'), 'Should throw for a different table');
+  const other = new SQLiteDatabase(TEST_DB, { cursorSecret: 'another secret' });
+  const error = await getError(() => other.getClient({ Authors, Posts }).posts.cursorPaginate({ orderBy: 'title', cursor: page.nextCursor }));
+  await other.close();
+  assert(error && error.message.includes('not valid'), 'Should throw for a different secret');
+  const secret = 'a secret shared between servers';
+  const first = new SQLiteDatabase(TEST_DB, { cursorSecret: secret });
+  const second = new SQLiteDatabase(TEST_DB, { cursorSecret: secret });
+  const shared = await first.getClient({ Authors, Posts }).posts.cursorPaginate({ orderBy: 'title', limit: 2 });
+  const next = await second.getClient({ Authors, Posts }).posts.cursorPaginate({ orderBy: 'title', limit: 2, cursor: shared.nextCursor });
+  assertEquals(next.data[0].title, 'Post 11');
+  await first.close();
+  await second.close();
+});
+
+console.log('\n=== QUERIES AND OPTIONS ===\n');
+
+await asyncTest('KP-08: SQL queries in JavaScript can be paged with joins', async () => {
+  const paginate = (cursor) => db.cursorPaginate(c => {
+    const { posts: p, authors: a } = c;
+    return {
+      select: { title: p.title, author: a.name },
+      join: [p.authorId, a.id],
+      where: { [p.tenantId]: 2 },
+      orderBy: [a.name, p.createdAt],
+      desc: [true, false],
+      limit: 3,
+      cursor
+    };
+  });
+  const pages = [await paginate()];
+  while (pages.at(-1).nextCursor) {
+    pages.push(await paginate(pages.at(-1).nextCursor));
+  }
+  const rows = pages.flatMap(p => p.data);
+  assertEquals(rows.length, 6);
+  assertEquals(Object.keys(rows[0]).join(','), 'title,author');
+  assertEquals(rows.map(r => r.title).join(','), 'Post 2,Post 4,Post 6,Post 8,Post 10,Post 12');
+  const titles = await db.cursorPaginate(c => ({
+    select: c.posts.title,
+    orderBy: c.posts.views,
+    desc: true,
+    limit: 2
+  }));
+  assertEquals(typeof titles.data[0], 'string');
+  const back = await db.cursorPaginate(c => ({
+    select: c.posts.title,
+    orderBy: c.posts.views,
+    desc: true,
+    limit: 2,
+    cursor: titles.nextCursor
+  }));
+  assert(back.prevCursor, 'The second page should have a previous cursor');
+});
+
+await asyncTest('KP-09: scoped clients only page through their rows', async () => {
+  const scoped = db.scoped({ tenantId: 2 });
+  const pages = await collect(scoped.posts.cursorPaginate, { orderBy: 'createdAt', limit: 4 });
+  const rows = pages.flatMap(p => p.data);
+  assertEquals(rows.length, 6);
+  assert(rows.every(r => r.tenantId === 2), 'Rows from other scopes should be filtered');
+  const error = await getError(() => scoped.cursorPaginate(c => ({
+    select: c.posts.title,
+    orderBy: c.posts.createdAt
+  })));
+  assert(error && error.message.includes('posts'), 'Should throw for a missing filter');
+});
+
+await asyncTest('KP-10: select, return and include only return what was asked for', async () => {
+  const selected = await db.posts.cursorPaginate({ select: ['title'], orderBy: ['views', 'createdAt'], limit: 2 });
+  assertEquals(Object.keys(selected.data[0]).join(','), 'title');
+  const next = await db.posts.cursorPaginate({ select: ['title'], orderBy: ['views', 'createdAt'], limit: 2, cursor: selected.nextCursor });
+  assertEquals(next.data.length, 2);
+  const titles = await db.posts.cursorPaginate({ return: 'title', orderBy: 'createdAt', limit: 3 });
+  assertEquals(titles.data.join(','), 'Post 1,Post 2,Post 3');
+  const authors = await db.authors.cursorPaginate({
+    orderBy: 'name',
+    limit: 1,
+    include: {
+      posts: true
+    }
+  });
+  assertEquals(authors.data[0].name, 'Ada');
+  assertEquals(authors.data[0].posts.length, 7);
+});
+
+console.log('\n=== SECRETS AND COLUMN CURSORS ===\n');
+
+const plain = new SQLiteDatabase(TEST_DB);
+const px = plain.getClient({ Authors, Posts });
+
+await asyncTest('KP-11: cursors need a cursor secret', async () => {
+  const table = await getError(() => px.posts.cursorPaginate({ orderBy: 'title' }));
+  assert(table && table.message.includes('cursorSecret'), 'Table methods should throw without a secret');
+  const query = await getError(() => px.cursorPaginate(c => ({
+    select: c.posts.title,
+    orderBy: c.posts.title
+  })));
+  assert(query && query.message.includes('cursorSecret'), 'SQL queries in JavaScript should throw without a secret');
+});
+
+await asyncTest('KP-12: without a secret the id is the cursor', async () => {
+  const warnings = [];
+  const listener = (warning) => warnings.push(warning);
+  process.on('warning', listener);
+  const ids = (await px.posts.many(null, 'id', { orderBy: 'id' })).slice(0, 4);
+  const first = await px.posts.cursorPaginate({ limit: 2 });
+  assertEquals(first.data.map(p => p.id).join(','), ids.slice(0, 2).join(','));
+  assertEquals(first.nextCursor, ids[1]);
+  const second = await px.posts.cursorPaginate({ cursor: first.nextCursor, limit: 2 });
+  assertEquals(second.data.map(p => p.id).join(','), ids.slice(2, 4).join(','));
+  await new Promise(resolve => setImmediate(resolve));
+  process.off('warning', listener);
+  assertEquals(warnings.length, 0, warnings.map(w => w.message).join());
+});
+
+await asyncTest('KP-13: column values can still be used as cursors with a secret', async () => {
+  const warnings = [];
+  const listener = (warning) => warnings.push(warning);
+  process.on('warning', listener);
+  const ids = (await db.posts.many(null, 'id', { orderBy: 'id' })).slice(0, 6);
+  const first = await db.posts.cursorPaginate({ cursorColumn: 'id', limit: 3 });
+  assertEquals(first.data.map(p => p.id).join(','), ids.slice(0, 3).join(','));
+  assertEquals(first.nextCursor, ids[2], 'The cursor should be the value of the column');
+  assertEquals(first.hasMore, true);
+  const second = await db.posts.cursorPaginate({ cursor: first.nextCursor, limit: 3 });
+  assertEquals(second.data.map(p => p.id).join(','), ids.slice(3, 6).join(','));
+  const before = await db.posts.cursorPaginate({ cursor: ids[3], direction: 'before', limit: 2 });
+  assertEquals(before.data.map(p => p.id).join(','), ids.slice(1, 3).join(','));
+  await new Promise(resolve => setImmediate(resolve));
+  process.off('warning', listener);
+  assertEquals(warnings.filter(w => w.name === 'DeprecationWarning').length, 1, 'One deprecation warning should be emitted');
+});
+
+console.log('\n=== NULLS ===\n');
+
+await asyncTest('KP-14: rows with nulls are paged through in both directions', async () => {
+  const rows = await db.posts.many();
+  const time = (post) => post.publishedAt === null ? -Infinity : post.publishedAt.getTime();
+  for (const desc of [false, true]) {
+    const query = { orderBy: 'publishedAt', desc, limit: 3 };
+    const pages = await collect(db.posts.cursorPaginate, query);
+    const expected = [...rows].sort((a, b) => desc ? time(b) - time(a) || b.id - a.id : time(a) - time(b) || a.id - b.id);
+    assertEquals(ids(pages.flatMap(p => p.data)), ids(expected), `Pages in ${desc ? 'descending' : 'ascending'} order`);
+    const backward = [];
+    let page = pages.at(-1);
+    while (page.prevCursor) {
+      page = await db.posts.cursorPaginate({ ...query, cursor: page.prevCursor });
+      backward.unshift(...page.data);
+    }
+    assertEquals(ids(backward), ids(expected.slice(0, backward.length)));
+    assertEquals(backward.length + pages.at(-1).data.length, expected.length);
+  }
+  const sql = await collect((query) => db.cursorPaginate(c => ({
+    select: { id: c.posts.id },
+    orderBy: c.posts.publishedAt,
+    limit: 4,
+    ...query
+  })), {});
+  const expected = (await db.posts.withDeleted()).sort((a, b) => time(a) - time(b) || a.id - b.id);
+  assertEquals(ids(sql.flatMap(p => p.data)), ids(expected), 'SQL queries in JavaScript should page through nulls');
+});
+
+await plain.close();
+
+console.log('\n========================================');
+console.log(`Tests: ${passed} passed, ${failed} failed`);
+console.log('========================================\n');
+
+await database.close();
+for (const path of [TEST_DB, `${TEST_DB}-wal`, `${TEST_DB}-shm`]) {
+  if (fs.existsSync(path)) {
+    fs.unlinkSync(path);
+  }
+}
+
+if (failed > 0) {
+  process.exit(1);
+}
@@ -0,0 +1,202 @@
+/**
+ * Migration Runner Test Suite
+ *
+ * Coverage:
+ * - M-01 to M-03: Creating numbered migration files
+ * - M-04 to M-07: Applying migrations and recording history
+ * - M-08 to M-10: Edited, missing and failing migrations
+ */
+
+import { SQLiteDatabase, Table } from '../index.js';
+import fs from 'fs';
+
+const TEST_DB = '/tmp/migration-runner-test.db';
+const MIGRATIONS = '/tmp/migration-runner-test';
+
+if (fs.existsSync(TEST_DB)) {
+  fs.unlinkSync(TEST_DB);
+}
+fs.rmSync(MIGRATIONS, { recursive: true, force: true });
+
+class Users extends Table {
+  name = this.Text;
+}
+
+const database = new SQLiteDatabase(TEST_DB);
+const db = database.getClient({ Users });
+
+let passed = 0;
+let failed = 0;
+
+async function asyncTest(name, fn) {
+  try {
+    await fn();
+    console.log(`✓ ${name}`);
+    passed++;
+  } catch (e) {
+    console.log(`✗ ${name}`);
+    console.log(`  Error: ${e.message}`);
+    failed++;
+  }
+}
+
+function assert(condition, message) {
+  if (!condition) throw new Error(message || 'Assertion failed');
+}
+
+function assertEquals(actual, expected, message) {
+  if (actual !== expected) {
+    throw new Error(message || `Expected ${expected}, got ${actual}`);
+  }
+}
+
+const withSchema = async (classes, fn) => {
+  const updated = new SQLiteDatabase(TEST_DB);
+  const client = updated.getClient(classes);
+  try {
+    await fn(updated, client);
+  }
+  finally {
+    await updated.close();
+  }
+}
+
+console.log('=== CREATING MIGRATIONS ===\n');
+
+await asyncTest('M-01: createMigration writes a numbered file and the schema', async () => {
+  const migration = database.createMigration(MIGRATIONS, 'createUsers');
+  assertEquals(migration.name, '0001_create_users');
+  assert(fs.existsSync(`${MIGRATIONS}/0001_create_users.sql`), 'Migration file should exist');
+  assert(migration.sql.includes('create table users'), 'Migration should contain the diff');
+  const schema = JSON.parse(fs.readFileSync(`${MIGRATIONS}/schema.json`, 'utf8'));
+  assertEquals(schema[0].name, 'users');
+});
+
+await asyncTest('M-02: no file is created when nothing changed', async () => {
+  const migration = database.createMigration(MIGRATIONS, 'nothing');
+  assertEquals(migration, null);
+  assertEquals(fs.readdirSync(MIGRATIONS).filter(f => f.endsWith('.sql') && !f.endsWith('.down.sql')).length, 1);
+});
+
+await asyncTest('M-03: status lists files that have not been applied', async () => {
+  const status = await database.migrationStatus(MIGRATIONS);
+  assertEquals(status.applied.length, 0);
+  assertEquals(status.pending.join(','), '0001_create_users');
+  assertEquals(status.changed.length, 0);
+});
+
+console.log('\n=== APPLYING MIGRATIONS ===\n');
+
+await asyncTest('M-04: runMigrations applies pending migrations and records them', async () => {
+  const result = await database.runMigrations(MIGRATIONS);
+  assertEquals(result.success, true);
+  assertEquals(result.applied.length, 1);
+  assertEquals(result.applied[0].analysis.addTables.join(','), 'users');
+  await db.users.insert({ name: 'Alice' });
+  const status = await database.migrationStatus(MIGRATIONS);
+  assertEquals(status.pending.length, 0);
+  assertEquals(status.applied[0].name, '0001_create_users');
+  assertEquals(status.applied[0].checksum.length, 64);
+  assert(status.applied[0].appliedAt instanceof Date, 'appliedAt should be a Date');
+});
+
+await asyncTest('M-05: running again does nothing', async () => {
+  const result = await database.runMigrations(MIGRATIONS);
+  assertEquals(result.success, true);
+  assertEquals(result.applied.length, 0);
+});
+
+await asyncTest('M-06: later migrations are numbered and applied in order', async () => {
+  class Users extends Table {
+    name = this.Text;
+    age = this.Default(0);
+  }
+  class Posts extends Table {
+    title = this.Text;
+  }
+  await withSchema({ Users }, async (updated) => {
+    const migration = updated.createMigration(MIGRATIONS, 'add age');
+    assertEquals(migration.name, '0002_add_age');
+  });
+  await withSchema({ Users, Posts }, async (updated, client) => {
+    const migration = updated.createMigration(MIGRATIONS, 'posts');
+    assertEquals(migration.name, '0003_posts');
+    const status = await updated.migrationStatus(MIGRATIONS);
+    assertEquals(status.pending.join(','), '0002_add_age,0003_posts');
+    const result = await updated.runMigrations(MIGRATIONS);
+    assertEquals(result.applied.map(a => a.name).join(','), '0002_add_age,0003_posts');
+    const user = await client.users.get({ name: 'Alice' });
+    assertEquals(user.age, 0);
+    await client.posts.insert({ title: 'Hello' });
+  });
+});
+
+await asyncTest('M-07: destructive migrations are backed up first', async () => {
+  class Users extends Table {
+    name = this.Text;
+    age = this.Real;
+  }
+  class Posts extends Table {
+    title = this.Text;
+  }
+  await withSchema({ Users, Posts }, async (updated) => {
+    updated.createMigration(MIGRATIONS, 'real age');
+    const result = await updated.runMigrations(MIGRATIONS);
+    assertEquals(result.success, true);
+    const applied = result.applied[0];
+    assert(applied.analysis.isDestructive, 'Recreating a table is destructive');
+    assert(applied.backup && fs.existsSync(applied.backup.path), 'Backup should be created');
+    fs.unlinkSync(applied.backup.path);
+  });
+});
+
+console.log('\n=== HISTORY CHECKS ===\n');
+
+await asyncTest('M-08: edited migrations are detected and block running', async () => {
+  const path = `${MIGRATIONS}/0002_add_age.sql`;
+  const original = fs.readFileSync(path, 'utf8');
+  fs.writeFileSync(path, `${original}\n-- edited`);
+  const status = await database.migrationStatus(MIGRATIONS);
+  assertEquals(status.changed.join(','), '0002_add_age');
+  let error;
+  try {
+    await database.runMigrations(MIGRATIONS);
+  }
+  catch (e) {
+    error = e;
+  }
+  assert(error && error.message.includes('0002_add_age'), 'Should throw for edited migrations');
+  fs.writeFileSync(path, original);
+});
+
+await asyncTest('M-09: a failing migration stops the run and is not recorded', async () => {
+  fs.writeFileSync(`${MIGRATIONS}/0005_tags.sql`, 'create table tags (id integer primary key) strict;\n');
+  fs.writeFileSync(`${MIGRATIONS}/0006_broken.sql`, 'alter table missing add column name text;\n');
+  const result = await database.runMigrations(MIGRATIONS);
+  assertEquals(result.success, false);
+  assertEquals(result.failed, '0006_broken');
+  assertEquals(result.applied.map(a => a.name).join(','), '0005_tags');
+  assert(result.error.includes('missing'), result.error);
+  const status = await database.migrationStatus(MIGRATIONS);
+  assertEquals(status.pending.join(','), '0006_broken');
+});
+
+await asyncTest('M-10: applied migrations without a file are reported', async () => {
+  fs.unlinkSync(`${MIGRATIONS}/0006_broken.sql`);
+  fs.unlinkSync(`${MIGRATIONS}/0005_tags.sql`);
+  const status = await database.migrationStatus(MIGRATIONS);
+  assertEquals(status.missing.join(','), '0005_tags');
+  assertEquals(status.pending.length, 0);
+});
+
+console.log('\n========================================');
+console.log(`Tests: ${passed} passed, ${failed} failed`);
+console.log('========================================\n');
+
+await database.close();
+fs.unlinkSync(TEST_DB);
+fs.rmSync(MIGRATIONS, { recursive: true, force: true });
+
+if (failed > 0) {
+  process.exit(1);
+}
@@ -0,0 +1,240 @@
+/**
+ * Query Cache Test Suite
+ *
+ * Coverage:
+ * - QC-01 to QC-03: Cache keys, entry limits and byte limits
+ * - QC-04 to QC-05: Per-query opt-in, opt-out and TTL
+ * - QC-06 to QC-08: Invalidation from the tables a query reads
+ * - QC-09 to QC-10: Transactions and batches
+ */
+
+import { SQLiteDatabase, Table } from '../index.js';
+import fs from 'fs';
+
+const TEST_DB = '/tmp/query-cache-test.db';
+
+for (const path of [TEST_DB, `${TEST_DB}-wal`, `${TEST_DB}-shm`]) {
+  if (fs.existsSync(path)) {
+    fs.unlinkSync(path);
+  }
+}
+
+class Authors extends Table {
+  name = this.Text;
+}
+
+class Books extends Table {
+  title = this.Text;
+  authorId = this.Cascade(Authors);
+  History = true;
+}
+
+class Genres extends Table {
+  name = this.Text;
+}
+
+const database = new SQLiteDatabase(TEST_DB);
+const db = database.getClient({ Authors, Books, Genres });
+
+await db.migrate(db.diff());
+await db.authors.insertMany([{ name: 'Le Guin' }, { name: 'Herbert' }]);
+await db.books.insertMany([
+  { title: 'The Dispossessed', authorId: 1 },
+  { title: 'Dune', authorId: 2 }
+]);
+await db.genres.insert({ name: 'Science Fiction' });
+console.log('✓ Schema created\n');
+
+let passed = 0;
+let failed = 0;
+
+async function asyncTest(name, fn) {
+  db.enableCache(true, { ttl: 60000, maxEntries: 1000, maxBytes: 16 * 1024 * 1024, optIn: false });
+  db.clearCache();
+  db.resetCacheStats();
+  try {
+    await fn();
+    console.log(`✓ ${name}`);
+    passed++;
+  } catch (e) {
+    console.log(`✗ ${name}`);
+    console.log(`  Error: ${e.message}`);
+    failed++;
+  }
+}
+
+function assert(condition, message) {
+  if (!condition) throw new Error(message || 'Assertion failed');
+}
+
+function assertEquals(actual, expected, message) {
+  if (actual !== expected) {
+    throw new Error(message || `Expected ${expected}, got ${actual}`);
+  }
+}
+
+const wait = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+const hits = () => db.getCacheStats().hits;
+
+const joined = () => db.query(c => {
+  const { books: b, authors: a } = c;
+  return {
+    select: { title: b.title, author: a.name },
+    join: [b.authorId, a.id],
+    orderBy: b.id
+  };
+});
+
+console.log('=== KEYS AND LIMITS ===\n');
+
+await asyncTest('QC-01: queries with parameters hit the cache', async () => {
+  await db.books.get({ id: 1 });
+  await db.books.get({ id: 1 });
+  await db.books.get({ id: 2 });
+  assertEquals(hits(), 1);
+  assertEquals((await db.books.get({ id: 2 })).title, 'Dune');
+  assertEquals(hits(), 2);
+});
+
+await asyncTest('QC-02: the least recently used entries are evicted', async () => {
+  db.enableCache({ maxEntries: 2 });
+  await db.books.get({ id: 1 });
+  await db.books.get({ id: 2 });
+  await db.books.get({ id: 1 });
+  await db.authors.many();
+  const stats = db.getCacheStats();
+  assertEquals(stats.size, 2);
+  assertEquals(stats.evictions, 1);
+  await db.books.get({ id: 1 });
+  assertEquals(hits(), 2);
+  await db.books.get({ id: 2 });
+  assertEquals(hits(), 2, 'The least recently used entry should have been evicted');
+});
+
+await asyncTest('QC-03: the size of the cache is limited in bytes', async () => {
+  await db.books.many();
+  const bytes = db.getCacheStats().bytes;
+  assert(bytes > 0, 'The size of the entry should be counted');
+  db.enableCache({ maxBytes: bytes });
+  await db.authors.many();
+  const stats = db.getCacheStats();
+  assert(stats.bytes <= bytes, `Expected at most ${bytes} bytes, got ${stats.bytes}`);
+  assertEquals(stats.size, 1);
+  db.enableCache({ maxBytes: 1 });
+  await db.books.many();
+  assertEquals(db.getCacheStats().size, 0, 'Results larger than the cache are not stored');
+});
+
+console.log('\n=== PER-QUERY OPTIONS ===\n');
+
+await asyncTest('QC-04: queries can opt out, or opt in when the cache is opt-in', async () => {
+  await db.books.many(null, null, { cache: false });
+  await db.books.many(null, null, { cache: false });
+  await db.books.count(null, { cache: false });
+  assertEquals(db.getCacheStats().size, 0);
+  db.enableCache({ optIn: true });
+  await db.books.many();
+  await db.books.many();
+  assertEquals(hits(), 0);
+  await db.books.query({ where: { authorId: 1 } }, { cache: true });
+  await db.books.query({ where: { authorId: 1 } }, { cache: true });
+  await db.query(c => ({ select: c.genres.name }), { cache: true });
+  await db.query(c => ({ select: c.genres.name }), { cache: true });
+  assertEquals(hits(), 2);
+});
+
+await asyncTest('QC-05: queries can set their own TTL', async () => {
+  await db.authors.many(null, null, { ttl: 20 });
+  await db.books.many();
+  await wait(40);
+  await db.authors.many(null, null, { ttl: 20 });
+  await db.books.many();
+  assertEquals(hits(), 1);
+});
+
+console.log('\n=== INVALIDATION ===\n');
+
+await asyncTest('QC-06: writes only invalidate queries that read the table', async () => {
+  await joined();
+  await db.genres.many();
+  await db.genres.insert({ name: 'Fantasy' });
+  const rows = await joined();
+  assertEquals(rows.length, 2);
+  assertEquals(hits(), 1, 'Writing to genres should not invalidate the join');
+  await db.authors.update({ where: { id: 2 }, set: { name: 'Frank Herbert' } });
+  assertEquals((await joined())[1].author, 'Frank Herbert');
+  assertEquals((await db.genres.many()).length, 2);
+});
+
+await asyncTest('QC-07: cascades, triggers and subqueries invalidate their tables', async () => {
+  const authorId = await db.authors.insert({ name: 'Banks' });
+  await db.books.insert({ title: 'Excession', authorId });
+  assertEquals(await db.books.count(), 3);
+  assertEquals((await db.books.history()).length, 3);
+  const titles = db.subquery(c => ({
+    select: { title: c.books.title }
+  }));
+  const fromSubquery = () => db.query(c => {
+    const t = c.use(titles);
+    return {
+      select: t.title
+    };
+  });
+  assertEquals((await fromSubquery()).length, 3);
+  await db.authors.delete({ id: authorId });
+  assertEquals(await db.books.count(), 2, 'Cascaded deletes should invalidate the books');
+  assertEquals((await db.books.history()).length, 4, 'Triggers should invalidate the history');
+  assertEquals((await fromSubquery()).length, 2, 'Subqueries should invalidate their tables');
+});
+
+await asyncTest('QC-08: raw SQL is invalidated from the tables in the statement', async () => {
+  assertEquals(await db.genres.count(), 2);
+  await db.exec(`insert into genres (name) values ('Horror')`);
+  assertEquals(await db.genres.count(), 3);
+});
+
+console.log('\n=== TRANSACTIONS AND BATCHES ===\n');
+
+await asyncTest('QC-09: writes in a transaction invalidate the cache when it commits', async () => {
+  assertEquals(await db.genres.count(), 3);
+  const tx = await db.begin();
+  await tx.genres.insert({ name: 'Mystery' });
+  assertEquals(await db.genres.count(), 3);
+  assertEquals(hits(), 1, 'The cache should not be invalidated before the commit');
+  await tx.commit();
+  assertEquals(await db.genres.count(), 4);
+  const error = await db.transaction(async (tx) => {
+    await tx.genres.insert({ name: 'Romance' });
+    throw Error('rollback');
+  }).catch(e => e);
+  assert(error, 'The transaction should throw');
+  assertEquals(await db.genres.count(), 4);
+  assertEquals(hits(), 2, 'A rollback should keep the cache');
+});
+
+await asyncTest('QC-10: batches invalidate the cache after they run', async () => {
+  assertEquals(await db.genres.count(), 4);
+  await db.batch((bx) => [
+    bx.genres.insert({ name: 'Western' }),
+    bx.genres.delete({ name: 'Horror' })
+  ]);
+  assertEquals(await db.genres.count(), 4);
+  assertEquals((await db.genres.many()).some(g => g.name === 'Western'), true);
+  assertEquals(hits(), 0);
+});
+
+console.log('\n========================================');
+console.log(`Tests: ${passed} passed, ${failed} failed`);
+console.log('========================================\n');
+
+await database.close();
+for (const path of [TEST_DB, `${TEST_DB}-wal`, `${TEST_DB}-shm`]) {
+  if (fs.existsSync(path)) {
+    fs.unlinkSync(path);
+  }
+}
+
+if (failed > 0) {
+  process.exit(1);
+}
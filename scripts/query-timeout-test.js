@@ -0,0 +1,255 @@
+/**
+ * Query Timeout Test Suite
+ *
+ * Coverage:
+ * - QT-01 to QT-03: Timeouts on table methods and SQL queries in JavaScript
+ * - QT-04 to QT-05: Abort signals and iterating
+ * - QT-06 to QT-09: Interrupting queries in worker threads
+ * - QT-10: Timeouts without worker threads
+ */
+
+import { SQLiteDatabase, Table, QueryTimeoutError } from '../index.js';
+import fs from 'fs';
+
+const TEST_DB = '/tmp/query-timeout-test.db';
+
+for (const path of [TEST_DB, `${TEST_DB}-wal`, `${TEST_DB}-shm`]) {
+  if (fs.existsSync(path)) {
+    fs.unlinkSync(path);
+  }
+}
+
+class Numbers extends Table {
+  value = this.Int;
+  label = this.Text;
+}
+
+const database = new SQLiteDatabase(TEST_DB, { workers: { readers: 1 }, cursorSecret: 'query-timeout-test' });
+const db = database.getClient({ Numbers });
+const events = [];
+db.setLogger((event) => events.push(event));
+
+await db.migrate(db.diff());
+await db.numbers.insertMany(Array.from({ length: 50000 }, (_, i) => ({ value: i, label: `Number ${i}` })));
+console.log('✓ Schema created\n');
+
+const slowQuery = 'with recursive n(i) as (select 1 union all select i + 1 from n where i < 50000000) select count(*) as total from n';
+
+let passed = 0;
+let failed = 0;
+
+async function asyncTest(name, fn) {
+  try {
+    await fn();
+    console.log(`✓ ${name}`);
+    passed++;
+  } catch (e) {
+    console.log(`✗ ${name}`);
+    console.log(`  Error: ${e.message}`);
+    failed++;
+  }
+}
+
+function assert(condition, message) {
+  if (!condition) throw new Error(message || 'Assertion failed');
+}
+
+function assertEquals(actual, expected, message) {
+  if (actual !== expected) {
+    throw new Error(message || `Expected ${expected}, got ${actual}`);
+  }
+}
+
+const getError = async (fn) => {
+  try {
+    await fn();
+  }
+  catch (e) {
+    return e;
+  }
+}
+
+console.log('=== TIMEOUTS ===\n');
+
+await asyncTest('QT-01: table methods throw when they run past their timeout', async () => {
+  const error = await getError(() => db.numbers.many(null, null, { timeout: 1 }));
+  assert(error instanceof QueryTimeoutError, 'Should throw a QueryTimeoutError');
+  assertEquals(error.name, 'QueryTimeoutError');
+  assertEquals(error.timeout, 1);
+  assert(error.sql.includes('numbers'), 'The error should have the SQL of the query');
+  const rows = await db.numbers.many({ value: c => c.lt(10) }, null, { timeout: 1000 });
+  assertEquals(rows.length, 10);
+  const page = await db.numbers.paginate({ pageSize: 5 }, { timeout: 1000 });
+  assertEquals(page.data.length, 5);
+  const cursor = await db.numbers.cursorPaginate({ orderBy: 'value', limit: 5 }, { timeout: 1000 });
+  assertEquals(cursor.data.length, 5);
+  assertEquals(await db.numbers.count(null, { timeout: 1000 }), 50000);
+});
+
+await asyncTest('QT-02: SQL queries in JavaScript accept a timeout', async () => {
+  const error = await getError(() => db.query(c => ({
+    select: { value: c.numbers.value, label: c.numbers.label },
+    where: { [c.numbers.value]: c.gt(0) }
+  }), { timeout: 1 }));
+  assert(error instanceof QueryTimeoutError, 'Should throw a QueryTimeoutError');
+  const first = await db.first(c => ({
+    select: c.numbers.label,
+    where: { [c.numbers.value]: 5 }
+  }), { timeout: 1000 });
+  assertEquals(first, 'Number 5');
+  const invalid = await getError(() => db.numbers.many(null, null, { timeout: -1 }));
+  assert(invalid && invalid.message.includes('Invalid timeout'), 'Should throw for an invalid timeout');
+});
+
+await asyncTest('QT-03: timeouts are counted and logged', async () => {
+  database.resetStats();
+  events.length = 0;
+  await getError(() => db.numbers.many(null, null, { timeout: 1 }));
+  await db.numbers.get({ id: 1 }, null, { timeout: 1000 });
+  const stats = database.getStats();
+  assertEquals(stats.queries.timeouts, 1);
+  assertEquals(stats.queries.errors, 1);
+  assertEquals(stats.queries.total, 2);
+  const logged = events.find(e => e.error);
+  assert(logged, 'The timeout should be logged');
+  assert(logged.error instanceof QueryTimeoutError, 'The logger should receive the timeout error');
+  database.resetStats();
+  assertEquals(database.getStats().queries.timeouts, 0);
+});
+
+console.log('\n=== SIGNALS AND ITERATING ===\n');
+
+await asyncTest('QT-04: aborted signals stop queries before they run', async () => {
+  events.length = 0;
+  const error = await getError(() => db.numbers.get({ id: 1 }, null, { signal: AbortSignal.abort() }));
+  assert(error, 'Should throw for an aborted signal');
+  assertEquals(error.name, 'AbortError');
+  const reason = Error('The request was closed');
+  const controller = new AbortController();
+  controller.abort(reason);
+  const custom = await getError(() => db.query(c => ({ select: c.numbers.value }), { signal: controller.signal }));
+  assertEquals(custom, reason, 'The reason of the signal should be thrown');
+  assertEquals(events.length, 0, 'Aborted queries should not run');
+  const rows = await db.numbers.many({ id: 1 }, null, { signal: new AbortController().signal });
+  assertEquals(rows.length, 1);
+});
+
+await asyncTest('QT-05: iterating can be stopped by a signal or a timeout', async () => {
+  const controller = new AbortController();
+  let count = 0;
+  const error = await getError(async () => {
+    for await (const number of db.numbers.iterate({ orderBy: 'id' }, { signal: controller.signal })) {
+      count++;
+      if (number.value === 9) {
+        setTimeout(() => controller.abort(), 0);
+        await new Promise(resolve => setTimeout(resolve, 5));
+      }
+    }
+  });
+  assert(error && error.name === 'AbortError', 'Should throw when the signal is aborted');
+  assertEquals(count, 10);
+  const timeout = await getError(async () => {
+    for await (const number of db.iterate(c => ({ select: c.numbers.value }), { timeout: 20 })) {
+      if (number === 0) {
+        await new Promise(resolve => setTimeout(resolve, 30));
+      }
+    }
+  });
+  assert(timeout instanceof QueryTimeoutError, 'Should throw when the iteration takes too long');
+  assertEquals(await db.numbers.get({ id: 2 }, 'value'), 1, 'The connection should still work');
+});
+
+console.log('\n=== WORKER THREADS ===\n');
+
+const workers = new SQLiteDatabase(TEST_DB, { workers: { readers: 1 } });
+const wx = workers.getClient({ Numbers });
+
+await asyncTest('QT-06: slow reads in workers are interrupted', async () => {
+  const start = Date.now();
+  const error = await getError(() => workers.all({ query: slowQuery, timeout: 100 }));
+  const duration = Date.now() - start;
+  assert(error instanceof QueryTimeoutError, 'Should throw a QueryTimeoutError');
+  assert(duration < 2000, `The query should be stopped, but it took ${duration}ms`);
+  assertEquals(workers.getStats().queries.timeouts, 1);
+  assertEquals(await wx.numbers.get({ id: 3 }, 'value'), 2, 'A new thread should take over');
+});
+
+await asyncTest('QT-07: other queries on an interrupted thread still finish', async () => {
+  const controller = new AbortController();
+  const slow = getError(() => workers.all({ query: slowQuery, signal: controller.signal }));
+  const quick = wx.numbers.get({ id: 4 }, 'label');
+  setTimeout(() => controller.abort(), 50);
+  const error = await slow;
+  assert(error && error.name === 'AbortError', 'Should throw when the signal is aborted');
+  assertEquals(await quick, 'Number 3');
+  const many = await getError(() => wx.numbers.many(null, null, { timeout: 1 }));
+  assert(many instanceof QueryTimeoutError, 'Table methods should time out in workers');
+});
+
+await asyncTest('QT-08: reads in transactions time out without losing the transaction', async () => {
+  await wx.transaction(async (tx) => {
+    await tx.numbers.update({ where: { id: 1 }, set: { label: 'Changed' } });
+    const error = await getError(() => tx.numbers.many(null, null, { timeout: 1 }));
+    assert(error instanceof QueryTimeoutError, 'Should throw a QueryTimeoutError');
+    assertEquals(await tx.numbers.get({ id: 1 }, 'label'), 'Changed');
+  });
+  assertEquals(await wx.numbers.get({ id: 1 }, 'label'), 'Changed');
+});
+
+await asyncTest('QT-09: iterators open on an interrupted thread throw the same error', async () => {
+  let count = 0;
+  const error = await getError(async () => {
+    for await (const number of wx.numbers.iterate({ orderBy: 'id' })) {
+      count++;
+      if (count === 1) {
+        const timeout = await getError(() => workers.all({ query: slowQuery, timeout: 100 }));
+        assert(timeout instanceof QueryTimeoutError, 'The slow query should time out');
+      }
+    }
+  });
+  assert(error instanceof QueryTimeoutError, 'The iterator should throw the error that stopped its thread');
+  assertEquals(count, 1000, 'The rows already read should still be returned');
+  let total = 0;
+  for await (const number of wx.numbers.iterate()) {
+    total++;
+  }
+  assertEquals(total, 50000, 'New iterators should not read from the lost cursor');
+});
+
+await workers.close();
+
+await asyncTest('QT-10: timeouts and signals need worker threads', async () => {
+  const single = new SQLiteDatabase(TEST_DB);
+  const client = single.getClient({ Numbers });
+  try {
+    const timeout = await getError(() => client.numbers.many(null, null, { timeout: 1000 }));
+    assert(timeout && timeout.message.includes('workers'), 'Should throw for a timeout without workers');
+    const signal = await getError(() => client.query(c => ({ select: c.numbers.value }), { signal: new AbortController().signal }));
+    assert(signal && signal.message.includes('workers'), 'Should throw for a signal without workers');
+    const iterate = await getError(async () => {
+      for await (const number of client.numbers.iterate(null, { timeout: 1000 })) {
+        break;
+      }
+    });
+    assert(iterate && iterate.message.includes('workers'), 'Should throw when iterating without workers');
+    assertEquals(await client.numbers.get({ id: 2 }, 'value'), 1);
+  }
+  finally {
+    await single.close();
+  }
+});
+
+console.log('\n========================================');
+console.log(`Tests: ${passed} passed, ${failed} failed`);
+console.log('========================================\n');
+
+await database.close();
+for (const path of [TEST_DB, `${TEST_DB}-wal`, `${TEST_DB}-shm`]) {
+  if (fs.existsSync(path)) {
+    fs.unlinkSync(path);
+  }
+}
+
+if (failed > 0) {
+  process.exit(1);
+}
@@ -0,0 +1,343 @@
+/**
+ * Recursive Query Test Suite
+ *
+ * Coverage:
+ * - R-01 to R-04: Walking trees down and up with db.recursive
+ * - R-05 to R-07: Literal columns, distinct and type conversion
+ * - R-08 to R-09: Errors
+ */
+
+import { SQLiteDatabase, Table } from '../index.js';
+import fs from 'fs';
+
+const TEST_DB = '/tmp/recursive-test.db';
+
+if (fs.existsSync(TEST_DB)) {
+  fs.unlinkSync(TEST_DB);
+}
+
+class Categories extends Table {
+  name;
+  createdAt = this.Now;
+  parentId = this.Null(this.Int);
+}
+
+class Links extends Table {
+  fromId = this.Int;
+  toId = this.Int;
+}
+
+const database = new SQLiteDatabase(TEST_DB);
+const db = database.getClient({ Categories, Links });
+
+await db.migrate(db.diff());
+console.log('✓ Schema created\n');
+
+const root = await db.categories.insert({ name: 'Root' });
+const books = await db.categories.insert({ name: 'Books', parentId: root });
+const fiction = await db.categories.insert({ name: 'Fiction', parentId: books });
+const fantasy = await db.categories.insert({ name: 'Fantasy', parentId: fiction });
+await db.categories.insert({ name: 'Music', parentId: root });
+await db.categories.insert({ name: 'Other' });
+
+await db.links.insertMany([
+  { fromId: 1, toId: 2 },
+  { fromId: 2, toId: 3 },
+  { fromId: 3, toId: 1 }
+]);
+
+let passed = 0;
+let failed = 0;
+
+async function asyncTest(name, fn) {
+  try {
+    await fn();
+    console.log(`✓ ${name}`);
+    passed++;
+  } catch (e) {
+    console.log(`✗ ${name}`);
+    console.log(`  Error: ${e.message}`);
+    failed++;
+  }
+}
+
+function assert(condition, message) {
+  if (!condition) throw new Error(message || 'Assertion failed');
+}
+
+function assertEquals(actual, expected, message) {
+  if (actual !== expected) {
+    throw new Error(message || `Expected ${expected}, got ${actual}`);
+  }
+}
+
+console.log('=== TREES ===\n');
+
+await asyncTest('R-01: descendants of a category', async () => {
+  const tree = db.recursive({
+    anchor: c => ({
+      select: {
+        id: c.categories.id,
+        name: c.categories.name
+      },
+      where: {
+        [c.categories.id]: books
+      }
+    }),
+    step: (c, self) => ({
+      select: {
+        id: c.categories.id,
+        name: c.categories.name
+      },
+      join: [c.categories.parentId, self.id]
+    })
+  });
+  const rows = await db.query(c => {
+    const t = c.use(tree);
+    return {
+      select: t,
+      orderBy: t.id
+    }
+  });
+  assertEquals(rows.length, 3);
+  assertEquals(rows.map(r => r.name).join(','), 'Books,Fiction,Fantasy');
+});
+
+await asyncTest('R-02: ancestors of a category', async () => {
+  const lineage = db.recursive({
+    anchor: c => ({
+      select: {
+        id: c.categories.id,
+        parentId: c.categories.parentId
+      },
+      where: {
+        [c.categories.id]: fantasy
+      }
+    }),
+    step: (c, self) => ({
+      select: {
+        id: c.categories.id,
+        parentId: c.categories.parentId
+      },
+      join: [self.parentId, c.categories.id]
+    })
+  });
+  const ids = await db.queryValues(c => {
+    const l = c.use(lineage);
+    return {
+      select: l.id,
+      orderBy: l.id
+    }
+  });
+  assertEquals(ids.join(','), [root, books, fiction, fantasy].join(','));
+});
+
+await asyncTest('R-03: recursive results can be joined to tables', async () => {
+  const tree = db.recursive({
+    anchor: c => ({
+      select: {
+        id: c.categories.id
+      },
+      where: {
+        [c.categories.id]: fiction
+      }
+    }),
+    step: (c, self) => ({
+      select: {
+        id: c.categories.id
+      },
+      join: [c.categories.parentId, self.id]
+    })
+  });
+  const rows = await db.query(c => {
+    const t = c.use(tree);
+    return {
+      select: {
+        name: c.categories.name
+      },
+      join: [t.id, c.categories.id],
+      orderBy: c.categories.name
+    }
+  });
+  assertEquals(rows.map(r => r.name).join(','), 'Fantasy,Fiction');
+});
+
+await asyncTest('R-04: the step can filter rows', async () => {
+  const tree = db.recursive({
+    anchor: c => ({
+      select: {
+        id: c.categories.id,
+        name: c.categories.name
+      },
+      where: {
+        [c.categories.parentId]: null
+      }
+    }),
+    step: (c, self) => ({
+      select: {
+        id: c.categories.id,
+        name: c.categories.name
+      },
+      join: [c.categories.parentId, self.id],
+      where: {
+        [c.categories.name]: c.not('Music')
+      }
+    })
+  });
+  const names = await db.queryValues(c => {
+    const t = c.use(tree);
+    return {
+      select: t.name,
+      orderBy: t.id
+    }
+  });
+  assertEquals(names.join(','), 'Root,Books,Fiction,Fantasy,Other');
+});
+
+console.log('\n=== COLUMNS ===\n');
+
+await asyncTest('R-05: depth counter with literal anchor value', async () => {
+  const tree = db.recursive({
+    anchor: c => ({
+      select: {
+        id: c.categories.id,
+        depth: 0
+      },
+      where: {
+        [c.categories.id]: root
+      }
+    }),
+    step: (c, self) => ({
+      select: {
+        id: c.categories.id,
+        depth: c.plus(self.depth, 1)
+      },
+      join: [c.categories.parentId, self.id]
+    })
+  });
+  const rows = await db.query(c => {
+    const t = c.use(tree);
+    return {
+      select: t,
+      where: {
+        [t.depth]: c.gt(1)
+      },
+      orderBy: t.id
+    }
+  });
+  assertEquals(rows.length, 2);
+  assertEquals(rows[0].id, fiction);
+  assertEquals(rows[0].depth, 2);
+  assertEquals(rows[1].depth, 3);
+});
+
+await asyncTest('R-06: distinct stops cycles', async () => {
+  const reachable = db.recursive({
+    anchor: c => ({
+      select: {
+        id: c.links.toId
+      },
+      where: {
+        [c.links.fromId]: 1
+      }
+    }),
+    step: (c, self) => ({
+      select: {
+        id: c.links.toId
+      },
+      join: [c.links.fromId, self.id]
+    }),
+    distinct: true
+  });
+  const ids = await db.queryValues(c => {
+    const r = c.use(reachable);
+    return {
+      select: r.id,
+      orderBy: r.id
+    }
+  });
+  assertEquals(ids.join(','), '1,2,3');
+});
+
+await asyncTest('R-07: values are converted using the anchor types', async () => {
+  const tree = db.recursive({
+    anchor: c => ({
+      select: {
+        id: c.categories.id,
+        createdAt: c.categories.createdAt
+      },
+      where: {
+        [c.categories.id]: books
+      }
+    }),
+    step: (c, self) => ({
+      select: {
+        id: c.categories.id,
+        createdAt: c.categories.createdAt
+      },
+      join: [c.categories.parentId, self.id]
+    })
+  });
+  const rows = await db.query(c => {
+    const t = c.use(tree);
+    return {
+      select: t
+    }
+  });
+  assertEquals(rows.length, 3);
+  assert(rows[0].createdAt instanceof Date, 'createdAt should be a Date');
+});
+
+console.log('\n=== ERRORS ===\n');
+
+await asyncTest('R-08: step must select the same columns as the anchor', async () => {
+  let error;
+  try {
+    db.recursive({
+      anchor: c => ({
+        select: {
+          id: c.categories.id,
+          name: c.categories.name
+        }
+      }),
+      step: (c, self) => ({
+        select: {
+          id: c.categories.id
+        },
+        join: [c.categories.parentId, self.id]
+      })
+    });
+  }
+  catch (e) {
+    error = e;
+  }
+  assert(error && error.message.includes('same columns'), 'Should throw for mismatched columns');
+});
+
+await asyncTest('R-09: anchor and step are required', async () => {
+  let error;
+  try {
+    db.recursive({
+      anchor: c => ({
+        select: {
+          id: c.categories.id
+        }
+      })
+    });
+  }
+  catch (e) {
+    error = e;
+  }
+  assert(error && error.message.includes('"step"'), 'Should throw without a step');
+});
+
+console.log('\n========================================');
+console.log(`Tests: ${passed} passed, ${failed} failed`);
+console.log('========================================\n');
+
+await database.close();
+fs.unlinkSync(TEST_DB);
+
+if (failed > 0) {
+  process.exit(1);
+}
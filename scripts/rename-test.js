@@ -0,0 +1,216 @@
+/**
+ * Rename Hint Test Suite
+ *
+ * Coverage:
+ * - RN-01 to RN-03: Column renames with Renamed
+ * - RN-04 to RN-05: Table renames with RenamedFrom
+ * - RN-06 to RN-08: Applied hints, down migrations and analysis
+ */
+
+import { SQLiteDatabase, Table, analyzeMigration } from '../index.js';
+import fs from 'fs';
+
+const TEST_DB = '/tmp/rename-test.db';
+
+if (fs.existsSync(TEST_DB)) {
+  fs.unlinkSync(TEST_DB);
+}
+
+let passed = 0;
+let failed = 0;
+
+async function asyncTest(name, fn) {
+  try {
+    await fn();
+    console.log(`✓ ${name}`);
+    passed++;
+  } catch (e) {
+    console.log(`✗ ${name}`);
+    console.log(`  Error: ${e.message}`);
+    failed++;
+  }
+}
+
+function assert(condition, message) {
+  if (!condition) throw new Error(message || 'Assertion failed');
+}
+
+function assertEquals(actual, expected, message) {
+  if (actual !== expected) {
+    throw new Error(message || `Expected ${expected}, got ${actual}`);
+  }
+}
+
+class People extends Table {
+  first = this.Text;
+  last = this.Text;
+  score = this.Index(this.Int);
+}
+
+class Results extends Table {
+  points = this.Index(this.Int);
+}
+
+class Pets extends Table {
+  name = this.Text;
+  ownerId = this.References(People);
+}
+
+const database = new SQLiteDatabase(TEST_DB);
+const db = database.getClient({ People, Pets, Results });
+await db.migrate(db.diff());
+let schema = db.getSchema();
+const alice = await db.people.insert({ first: 'Alice', last: 'Smith', score: 5 });
+await db.pets.insert({ name: 'Rex', ownerId: alice });
+await db.results.insert({ points: 5 });
+console.log('✓ Schema created\n');
+
+const Renamed = class People extends Table {
+  givenName = this.Text;
+  familyName = this.Text;
+  score = this.Index(this.Int);
+}
+
+const migrate = async (classes) => {
+  const updated = new SQLiteDatabase(TEST_DB);
+  const client = updated.getClient(classes);
+  const sql = client.diff(schema);
+  await client.migrate(sql);
+  schema = client.getSchema();
+  return { updated, client, sql };
+}
+
+console.log('=== COLUMN RENAMES ===\n');
+
+await asyncTest('RN-01: two same-typed columns are renamed as annotated', async () => {
+  class People extends Table {
+    givenName = this.Renamed('first');
+    familyName = this.Renamed('last', this.Text);
+    score = this.Index(this.Int);
+  }
+  const { updated, client, sql } = await migrate({ People, Pets, Results });
+  assert(sql.includes('alter table people rename column first to givenName;'), sql);
+  assert(sql.includes('alter table people rename column last to familyName;'), sql);
+  assert(!sql.includes('drop column'), sql);
+  const person = await client.people.get({ id: alice });
+  assertEquals(person.givenName, 'Alice');
+  assertEquals(person.familyName, 'Smith');
+  await updated.close();
+});
+
+await asyncTest('RN-02: a rename combined with a type change keeps the data', async () => {
+  class Results extends Table {
+    score = this.Renamed('points', this.Index(this.Real));
+  }
+  const { updated, client, sql } = await migrate({ People: Renamed, Pets, Results });
+  const rename = sql.indexOf('alter table results rename column points to score;');
+  const recreate = sql.indexOf('create table temp_results');
+  assert(rename !== -1 && recreate > rename, sql);
+  assert(sql.includes('create index results_score on results(score);'), sql);
+  const result = await client.results.get({ id: 1 });
+  assertEquals(result.score, 5);
+  await updated.close();
+});
+
+await asyncTest('RN-03: hints for columns that no longer exist are ignored', async () => {
+  class People extends Table {
+    givenName = this.Renamed('first');
+    familyName = this.Text;
+    score = this.Index(this.Int);
+  }
+  class Results extends Table {
+    score = this.Renamed('points', this.Index(this.Real));
+  }
+  const client = new SQLiteDatabase(':memory:').getClient({ People, Pets, Results });
+  assertEquals(client.diff(schema), '');
+});
+
+console.log('\n=== TABLE RENAMES ===\n');
+
+await asyncTest('RN-04: RenamedFrom renames the table instead of recreating it', async () => {
+  class Members extends Table {
+    RenamedFrom = 'people';
+    givenName = this.Text;
+    familyName = this.Text;
+    score = this.Index(this.Int);
+  }
+  class Pets extends Table {
+    name = this.Text;
+    ownerId = this.References(Members);
+  }
+  class Results extends Table {
+    score = this.Index(this.Real);
+  }
+  const { updated, client, sql } = await migrate({ Members, Pets, Results });
+  assert(sql.includes('alter table people rename to members;'), sql);
+  assert(!sql.includes('drop table'), sql);
+  assert(!sql.includes('temp_'), 'Tables referring to the renamed table are not recreated');
+  assert(sql.includes('drop index people_score;'), sql);
+  assert(sql.includes('create index members_score on members(score);'), sql);
+  const member = await client.members.get({ id: alice });
+  assertEquals(member.givenName, 'Alice');
+  const pet = await client.pets.get({ ownerId: alice });
+  assertEquals(pet.name, 'Rex');
+  const indexes = database.read.prepare(`select name from sqlite_master where type = 'index' and tbl_name = 'members'`).all();
+  assert(indexes.some(i => i.name === 'members_score'), 'Index should be renamed');
+  await updated.close();
+});
+
+await asyncTest('RN-05: foreign keys still work after the rename', async () => {
+  const pragma = database.read.prepare(`select * from pragma_foreign_key_list('pets')`).all();
+  assertEquals(pragma[0].table, 'members');
+});
+
+console.log('\n=== HINTS ===\n');
+
+await asyncTest('RN-06: applied hints produce no further changes', async () => {
+  class Members extends Table {
+    RenamedFrom = 'people';
+    givenName = this.Renamed('first');
+    familyName = this.Text;
+    score = this.Index(this.Int);
+  }
+  class Pets extends Table {
+    name = this.Text;
+    ownerId = this.References(Members);
+  }
+  class Results extends Table {
+    score = this.Index(this.Real);
+  }
+  const client = new SQLiteDatabase(':memory:').getClient({ Members, Pets, Results });
+  assertEquals(client.diff(schema), '');
+});
+
+await asyncTest('RN-07: down migrations reverse hinted renames', async () => {
+  const before = new SQLiteDatabase(':memory:').getClient({ People, Pets }).getSchema();
+  class Members extends Table {
+    RenamedFrom = 'people';
+    givenName = this.Renamed('first');
+    last = this.Text;
+    score = this.Index(this.Int);
+  }
+  const client = new SQLiteDatabase(':memory:').getClient({ Members, Pets });
+  const down = client.diffDown(before);
+  assert(down.includes('alter table members rename to people;'), down);
+  assert(down.includes('alter table people rename column givenName to first;'), down);
+  assert(!down.includes('drop column'), down);
+});
+
+await asyncTest('RN-08: analyzeMigration reports renames', async () => {
+  const analysis = analyzeMigration('alter table people rename to members;\nalter table members rename column first to givenName;\n');
+  assertEquals(analysis.renameTables[0].from, 'people');
+  assertEquals(analysis.renameTables[0].to, 'members');
+  assertEquals(analysis.renameColumns[0].to, 'givenName');
+  assertEquals(analysis.isDestructive, false);
+});
+
+console.log('\n========================================');
+console.log(`Tests: ${passed} passed, ${failed} failed`);
+console.log('========================================\n');
+
+await database.close();
+fs.unlinkSync(TEST_DB);
+
+if (failed > 0) {
+  process.exit(1);
+}
@@ -0,0 +1,216 @@
+/**
+ * Returning Test Suite
+ *
+ * Coverage:
+ * - RT-01 to RT-04: update with returning
+ * - RT-05 to RT-07: insertMany with returning
+ * - RT-08 to RT-10: delete, softDelete and restore with returning
+ * - RT-11 to RT-13: Transactions, batches and caching
+ */
+
+import { SQLiteDatabase, Table, SoftDeleteTable } from '../index.js';
+import fs from 'fs';
+
+const TEST_DB = '/tmp/returning-test.db';
+
+if (fs.existsSync(TEST_DB)) {
+  fs.unlinkSync(TEST_DB);
+}
+
+class Forests extends Table {
+  name = this.Text;
+  alive = this.True;
+  plantedAt = this.Date;
+  tags = this.Json;
+  rating = this.Default(0);
+}
+
+class Files extends Table {
+  name = this.Text;
+  data = this.Blob;
+}
+
+class Trees extends SoftDeleteTable {
+  name = this.Text;
+  height = this.Default(0);
+}
+
+const database = new SQLiteDatabase(TEST_DB);
+const db = database.getClient({ Forests, Files, Trees });
+
+await db.migrate(db.diff());
+console.log('✓ Schema created\n');
+
+const plantedAt = new Date('2024-03-01T00:00:00.000Z');
+await db.forests.insertMany([
+  { name: 'Redwood', plantedAt, tags: ['tall'] },
+  { name: 'Pine', plantedAt, tags: ['green'] },
+  { name: 'Oak', plantedAt, tags: [] }
+]);
+await db.trees.insertMany([
+  { name: 'Giant', height: 90 },
+  { name: 'Small', height: 5 },
+  { name: 'Medium', height: 30 }
+]);
+
+let passed = 0;
+let failed = 0;
+
+async function asyncTest(name, fn) {
+  try {
+    await fn();
+    console.log(`✓ ${name}`);
+    passed++;
+  } catch (e) {
+    console.log(`✗ ${name}`);
+    console.log(`  Error: ${e.message}`);
+    failed++;
+  }
+}
+
+function assert(condition, message) {
+  if (!condition) throw new Error(message || 'Assertion failed');
+}
+
+function assertEquals(actual, expected, message) {
+  if (actual !== expected) {
+    throw new Error(message || `Expected ${expected}, got ${actual}`);
+  }
+}
+
+console.log('=== UPDATE ===\n');
+
+await asyncTest('RT-01: update without returning still returns a count', async () => {
+  const count = await db.forests.update({ where: { name: 'Oak' }, set: { rating: 1 } });
+  assertEquals(count, 1);
+});
+
+await asyncTest('RT-02: returning * gives converted rows', async () => {
+  const rows = await db.forests.update({
+    where: { name: 'Redwood' },
+    set: { rating: 5, alive: false },
+    returning: '*'
+  });
+  assertEquals(rows.length, 1);
+  const [row] = rows;
+  assertEquals(row.rating, 5);
+  assertEquals(row.alive, false);
+  assert(row.plantedAt instanceof Date, 'plantedAt should be a Date');
+  assertEquals(row.tags[0], 'tall');
+});
+
+await asyncTest('RT-03: returning a single column gives values', async () => {
+  const ids = await db.forests.update({
+    set: { rating: (c, f) => f.plus(c.rating, 1) },
+    returning: 'id'
+  });
+  assertEquals(ids.length, 3);
+  assert(ids.every(id => typeof id === 'number'), 'ids should be numbers');
+});
+
+await asyncTest('RT-04: returning a list of columns and no matching rows', async () => {
+  const rows = await db.forests.update({
+    where: { name: 'Pine' },
+    set: { tags: ['green', 'old'] },
+    returning: ['name', 'tags']
+  });
+  assertEquals(Object.keys(rows[0]).join(','), 'name,tags');
+  assertEquals(rows[0].tags.length, 2);
+  const none = await db.forests.update({ where: { name: 'Birch' }, set: { rating: 0 }, returning: '*' });
+  assertEquals(none.length, 0);
+});
+
+console.log('\n=== INSERT MANY ===\n');
+
+await asyncTest('RT-05: insertMany returning ids', async () => {
+  const ids = await db.forests.insertMany([
+    { name: 'Birch', plantedAt, tags: [] },
+    { name: 'Maple', plantedAt, tags: [] }
+  ], { returning: 'id' });
+  assertEquals(ids.length, 2);
+  assertEquals(ids[1], ids[0] + 1);
+});
+
+await asyncTest('RT-06: insertMany returning rows with defaults', async () => {
+  const rows = await db.forests.insertMany([
+    { name: 'Elm', plantedAt, tags: { a: 1 } }
+  ], { returning: '*' });
+  assertEquals(rows[0].rating, 0);
+  assertEquals(rows[0].alive, true);
+  assertEquals(rows[0].tags.a, 1);
+  const empty = await db.forests.insertMany([], { returning: '*' });
+  assertEquals(empty.length, 0);
+});
+
+await asyncTest('RT-07: insertMany with blobs returning rows', async () => {
+  const rows = await db.files.insertMany([
+    { name: 'a.bin', data: Buffer.from([1, 2]) },
+    { name: 'b.bin', data: Buffer.from([3]) }
+  ], { returning: ['id', 'name'] });
+  assertEquals(rows.length, 2);
+  assertEquals(rows[1].name, 'b.bin');
+  assertEquals(await db.files.count(), 2);
+});
+
+console.log('\n=== DELETE ===\n');
+
+await asyncTest('RT-08: delete returning the removed rows', async () => {
+  const rows = await db.forests.delete({ name: 'Maple' }, { returning: '*' });
+  assertEquals(rows.length, 1);
+  assertEquals(rows[0].name, 'Maple');
+  assert(rows[0].plantedAt instanceof Date, 'plantedAt should be a Date');
+  assertEquals(await db.forests.exists({ name: 'Maple' }), false);
+});
+
+await asyncTest('RT-09: softDelete returning names', async () => {
+  const names = await db.trees.softDelete({ height: h => h.lt(50) }, { returning: 'name' });
+  assertEquals(names.sort().join(','), 'Medium,Small');
+  const rows = await db.trees.softDelete({ name: 'Giant' }, { returning: ['name', 'deletedAt'] });
+  assertEquals(rows[0].name, 'Giant');
+  assert(rows[0].deletedAt instanceof Date, 'deletedAt should be a Date');
+});
+
+await asyncTest('RT-10: restore returning rows', async () => {
+  const rows = await db.trees.restore({ name: 'Small' }, { returning: '*' });
+  assertEquals(rows.length, 1);
+  assertEquals(rows[0].deletedAt, null);
+  const count = await db.trees.restore(null);
+  assertEquals(count, 2);
+});
+
+console.log('\n=== TRANSACTIONS AND CACHING ===\n');
+
+await asyncTest('RT-11: returning inside a transaction', async () => {
+  const names = await db.transaction(async (tx) => {
+    return await tx.trees.update({ where: { name: 'Giant' }, set: { height: 100 }, returning: 'name' });
+  });
+  assertEquals(names.join(','), 'Giant');
+  assertEquals(await db.trees.get({ name: 'Giant' }, 'height'), 100);
+});
+
+await asyncTest('RT-12: returning inside a batch', async () => {
+  const [updated, count] = await db.batch((bx) => [
+    bx.trees.update({ where: { name: 'Small' }, set: { height: 6 }, returning: ['name', 'height'] }),
+    bx.trees.count()
+  ]);
+  assertEquals(updated[0].height, 6);
+  assertEquals(count, 3);
+});
+
+await asyncTest('RT-13: returning writes invalidate the cache', async () => {
+  db.enableCache();
+  assertEquals(await db.trees.get({ name: 'Medium' }, 'height'), 30);
+  await db.trees.update({ where: { name: 'Medium' }, set: { height: 31 }, returning: 'id' });
+  assertEquals(await db.trees.get({ name: 'Medium' }, 'height'), 31);
+});
+
+console.log('\n========================================');
+console.log(`Tests: ${passed} passed, ${failed} failed`);
+console.log('========================================\n');
+
+await database.close();
+fs.unlinkSync(TEST_DB);
+
+if (failed > 0) {
+  process.exit(1);
+}
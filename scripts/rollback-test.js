@@ -0,0 +1,274 @@
+/**
+ * Down Migration Test Suite
+ *
+ * Coverage:
+ * - D-01 to D-04: Generating down migrations with diffDown
+ * - D-05 to D-08: Rolling back applied migration files
+ * - D-09 to D-10: Errors
+ * - D-11: Restoring the saved schema
+ */
+
+import { SQLiteDatabase, Table } from '../index.js';
+import fs from 'fs';
+
+const TEST_DB = '/tmp/rollback-test.db';
+const MIGRATIONS = '/tmp/rollback-test';
+
+if (fs.existsSync(TEST_DB)) {
+  fs.unlinkSync(TEST_DB);
+}
+fs.rmSync(MIGRATIONS, { recursive: true, force: true });
+
+let passed = 0;
+let failed = 0;
+
+async function asyncTest(name, fn) {
+  try {
+    await fn();
+    console.log(`✓ ${name}`);
+    passed++;
+  } catch (e) {
+    console.log(`✗ ${name}`);
+    console.log(`  Error: ${e.message}`);
+    failed++;
+  }
+}
+
+function assert(condition, message) {
+  if (!condition) throw new Error(message || 'Assertion failed');
+}
+
+function assertEquals(actual, expected, message) {
+  if (actual !== expected) {
+    throw new Error(message || `Expected ${expected}, got ${actual}`);
+  }
+}
+
+const getClient = (classes) => new SQLiteDatabase(':memory:').getClient(classes);
+
+class Users extends Table {
+  name = this.Text;
+  email = this.Text;
+}
+
+const usersSchema = getClient({ Users }).getSchema();
+
+console.log('=== DIFF DOWN ===\n');
+
+await asyncTest('D-01: added tables and columns are dropped', async () => {
+  class Users extends Table {
+    name = this.Text;
+    email = this.Text;
+    age = this.Default(0);
+  }
+  class Posts extends Table {
+    title = this.Text;
+  }
+  const before = getClient({ Users: class Users extends Table { name = this.Text; } }).getSchema();
+  const down = getClient({ Users, Posts }).diffDown(before);
+  assert(down.includes('drop table posts;'), down);
+  assert(down.includes('alter table users drop column email;'), down);
+  assert(down.includes('alter table users drop column age;'), down);
+  const initial = getClient({ Users, Posts }).diffDown();
+  assert(initial.includes('drop table users;') && initial.includes('drop table posts;'), initial);
+});
+
+await asyncTest('D-02: dropped columns are added back as nullable', async () => {
+  const before = usersSchema;
+  class Users extends Table {
+    name = this.Text;
+  }
+  const client = getClient({ Users });
+  const up = client.diff(before);
+  const down = client.diffDown(before);
+  assert(up.includes('drop column email'), up);
+  assert(down.includes('alter table users add column email text;'), down);
+});
+
+await asyncTest('D-03: renames are reversed', async () => {
+  const before = usersSchema;
+  class Users extends Table {
+    name = this.Text;
+    emailAddress = this.Text;
+  }
+  const client = getClient({ Users });
+  assert(client.diff(before).includes('rename column email to emailAddress'));
+  const down = client.diffDown(before);
+  assert(down.includes('alter table users rename column emailAddress to email;'), down);
+});
+
+await asyncTest('D-04: index changes are reversed', async () => {
+  const original = getClient({ Users });
+  const before = original.getSchema();
+  const Indexed = class Users extends Table {
+    name = this.Index(this.Text);
+    email = this.Text;
+  }
+  const client = getClient({ Users: Indexed });
+  const down = client.diffDown(before);
+  assert(down.includes('drop index users_name;'), down);
+  const reversed = original.diffDown(client.getSchema());
+  assert(reversed.includes('create index users_name on users(name);'), reversed);
+});
+
+console.log('\n=== ROLLING BACK ===\n');
+
+const apply = async (classes, name) => {
+  const database = new SQLiteDatabase(TEST_DB);
+  const client = database.getClient(classes);
+  const migration = database.createMigration(MIGRATIONS, name);
+  const result = await database.runMigrations(MIGRATIONS);
+  return { database, client, migration, result };
+}
+
+const { database, client: db, migration } = await apply({ Users }, 'users');
+await db.users.insert({ name: 'Alice', email: 'alice@example.com' });
+
+await asyncTest('D-05: createMigration saves the down migration next to the file', async () => {
+  assert(fs.existsSync(`${MIGRATIONS}/0001_users.down.sql`), 'Down file should exist');
+  assertEquals(fs.readFileSync(`${MIGRATIONS}/0001_users.down.sql`, 'utf8'), migration.down);
+  const status = await database.migrationStatus(MIGRATIONS);
+  assertEquals(status.pending.length, 0, 'Down files are not migrations');
+});
+
+await asyncTest('D-06: rollbackMigrations reverses the last migration', async () => {
+  class Users extends Table {
+    name = this.Text;
+    email = this.Text;
+    age = this.Default(0);
+  }
+  const { database: updated, client } = await apply({ Users }, 'add age');
+  await client.users.update({ where: { name: 'Alice' }, set: { age: 30 } });
+  const result = await updated.rollbackMigrations(MIGRATIONS);
+  assertEquals(result.success, true);
+  assertEquals(result.rolledBack.length, 1);
+  assertEquals(result.rolledBack[0].name, '0002_add_age');
+  assertEquals(result.rolledBack[0].lossy, true, 'Dropping a column is lossy');
+  assert(fs.existsSync(result.rolledBack[0].backup.path), 'Lossy rollbacks are backed up');
+  fs.unlinkSync(result.rolledBack[0].backup.path);
+  const user = await db.users.get({ name: 'Alice' });
+  assertEquals(user.age, undefined);
+  assertEquals(user.email, 'alice@example.com', 'Older data is kept');
+  const status = await updated.migrationStatus(MIGRATIONS);
+  assertEquals(status.pending.join(','), '0002_add_age');
+  await updated.close();
+});
+
+await asyncTest('D-07: rolled back migrations can be applied again', async () => {
+  const result = await database.runMigrations(MIGRATIONS);
+  assertEquals(result.applied.map(a => a.name).join(','), '0002_add_age');
+  const rows = database.read.prepare('select age from users').all();
+  assertEquals(rows[0].age, 0);
+});
+
+await asyncTest('D-08: several steps are rolled back newest first', async () => {
+  class Users extends Table {
+    name = this.Text;
+    age = this.Default(0);
+  }
+  class Posts extends Table {
+    title = this.Text;
+  }
+  const { database: updated, result } = await apply({ Users, Posts }, 'posts');
+  assertEquals(result.success, true);
+  const rolled = await updated.rollbackMigrations(MIGRATIONS, 2, { autoBackup: false });
+  assertEquals(rolled.rolledBack.map(r => r.name).join(','), '0003_posts,0002_add_age');
+  assertEquals(rolled.rolledBack[0].backup, null);
+  const tables = database.read.prepare(`select name from sqlite_master where type = 'table' and name = 'posts'`).all();
+  assertEquals(tables.length, 0);
+  const user = database.read.prepare('select * from users').get();
+  assertEquals(user.name, 'Alice');
+  assertEquals(user.email, null, 'Dropped columns come back empty');
+  await updated.close();
+});
+
+console.log('\n=== ERRORS ===\n');
+
+await asyncTest('D-09: missing down files throw before anything runs', async () => {
+  fs.renameSync(`${MIGRATIONS}/0001_users.down.sql`, `${MIGRATIONS}/0001_users.down.bak`);
+  let error;
+  try {
+    await database.rollbackMigrations(MIGRATIONS);
+  }
+  catch (e) {
+    error = e;
+  }
+  assert(error && error.message.includes('0001_users'), 'Should throw for a missing down file');
+  const status = await database.migrationStatus(MIGRATIONS);
+  assertEquals(status.applied.length, 1);
+});
+
+await asyncTest('D-10: steps must be a positive integer', async () => {
+  let error;
+  try {
+    await database.rollbackMigrations(MIGRATIONS, 0);
+  }
+  catch (e) {
+    error = e;
+  }
+  assert(error && error.message.includes('Invalid number of steps'), 'Should throw for zero steps');
+});
+
+console.log('\n=== SAVED SCHEMA ===\n');
+
+await asyncTest('D-11: rolling back restores the schema that migrations are created from', async () => {
+  const path = `${TEST_DB}-schema`;
+  const dir = `${MIGRATIONS}-schema`;
+  const create = (classes, name) => {
+    const database = new SQLiteDatabase(path);
+    database.getClient(classes);
+    return { database, migration: database.createMigration(dir, name) };
+  }
+  const read = (file) => fs.readFileSync(`${dir}/${file}`, 'utf8');
+  class Aged extends Table {
+    name = this.Text;
+    email = this.Text;
+    age = this.Default(0);
+  }
+  const first = create({ Users }, 'users');
+  await first.database.runMigrations(dir, { autoBackup: false });
+  const second = create({ Users: Aged }, 'add age');
+  await second.database.runMigrations(dir, { autoBackup: false });
+  const rolled = await second.database.rollbackMigrations(dir, 1, { autoBackup: false });
+  assertEquals(rolled.success, true);
+  assertEquals(read('schema.json'), read('0001_users.schema.json'), 'The schema should be restored');
+  let error;
+  try {
+    create({ Users: Aged }, 'again');
+  }
+  catch (e) {
+    error = e;
+  }
+  assert(error && error.message.includes('0002_add_age'), 'Should throw while rolled back migrations are in the directory');
+  await second.database.runMigrations(dir, { autoBackup: false });
+  assertEquals(read('schema.json'), read('0002_add_age.schema.json'), 'Applying the migration again should save its schema');
+  await second.database.rollbackMigrations(dir, 1, { autoBackup: false });
+  for (const extension of ['sql', 'down.sql', 'schema.json']) {
+    fs.unlinkSync(`${dir}/0002_add_age.${extension}`);
+  }
+  const third = create({ Users: Aged }, 'add age');
+  assertEquals(third.migration.sql, second.migration.sql, 'The migration should be created from the restored schema');
+  const result = await third.database.runMigrations(dir, { autoBackup: false });
+  assertEquals(result.applied.map(a => a.name).join(','), '0002_add_age');
+  await third.database.rollbackMigrations(dir, 2, { autoBackup: false });
+  assert(!fs.existsSync(`${dir}/schema.json`), 'Rolling back every migration should remove the schema');
+  for (const { database } of [first, second, third]) {
+    await database.close();
+  }
+  for (const file of [path, `${path}-wal`, `${path}-shm`]) {
+    fs.rmSync(file, { force: true });
+  }
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+console.log('\n========================================');
+console.log(`Tests: ${passed} passed, ${failed} failed`);
+console.log('========================================\n');
+
+await database.close();
+fs.unlinkSync(TEST_DB);
+fs.rmSync(MIGRATIONS, { recursive: true, force: true });
+
+if (failed > 0) {
+  process.exit(1);
+}
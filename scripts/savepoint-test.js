@@ -0,0 +1,258 @@
+/**
+ * Nested Transaction Test Suite
+ *
+ * Coverage:
+ * - N-01 to N-04: Savepoints with tx.begin, commit and rollback
+ * - N-05 to N-08: db.transaction helper and nesting
+ * - N-09 to N-10: Turso transactions and savepoints
+ */
+
+import { SQLiteDatabase, TursoDatabase, Table } from '../index.js';
+import Sqlite from 'better-sqlite3';
+import fs from 'fs';
+
+const TEST_DB = '/tmp/savepoint-test.db';
+const TURSO_DB = '/tmp/savepoint-turso-test.db';
+
+for (const path of [TEST_DB, TURSO_DB]) {
+  if (fs.existsSync(path)) {
+    fs.unlinkSync(path);
+  }
+}
+
+class Accounts extends Table {
+  name;
+  balance = this.Default(0);
+}
+
+const database = new SQLiteDatabase(TEST_DB);
+const db = database.getClient({ Accounts });
+
+await db.migrate(db.diff());
+console.log('✓ Schema created\n');
+
+let passed = 0;
+let failed = 0;
+
+async function asyncTest(name, fn) {
+  try {
+    await fn();
+    console.log(`✓ ${name}`);
+    passed++;
+  } catch (e) {
+    console.log(`✗ ${name}`);
+    console.log(`  Error: ${e.message}`);
+    failed++;
+  }
+}
+
+function assert(condition, message) {
+  if (!condition) throw new Error(message || 'Assertion failed');
+}
+
+function assertEquals(actual, expected, message) {
+  if (actual !== expected) {
+    throw new Error(message || `Expected ${expected}, got ${actual}`);
+  }
+}
+
+const names = async (client) => {
+  const rows = await client.accounts.many(null, 'name');
+  return rows.sort().join(',');
+}
+
+const reset = async () => {
+  await db.accounts.delete();
+}
+
+console.log('=== SAVEPOINTS ===\n');
+
+await asyncTest('N-01: begin on a transaction creates a savepoint', async () => {
+  await reset();
+  const tx = await db.begin();
+  await tx.accounts.insert({ name: 'Outer' });
+  const inner = await tx.begin();
+  await inner.accounts.insert({ name: 'Inner' });
+  assertEquals(await names(tx), 'Inner,Outer', 'Outer transaction should see savepoint writes');
+  await inner.commit();
+  await tx.commit();
+  assertEquals(await names(db), 'Inner,Outer');
+});
+
+await asyncTest('N-02: rolling back a savepoint keeps outer writes', async () => {
+  await reset();
+  const tx = await db.begin();
+  await tx.accounts.insert({ name: 'Outer' });
+  const inner = await tx.begin();
+  await inner.accounts.insert({ name: 'Inner' });
+  await inner.rollback();
+  assertEquals(await names(tx), 'Outer');
+  await tx.accounts.insert({ name: 'After' });
+  await tx.commit();
+  assertEquals(await names(db), 'After,Outer');
+});
+
+await asyncTest('N-03: rolling back the outer transaction discards released savepoints', async () => {
+  await reset();
+  const tx = await db.begin();
+  const inner = await tx.begin();
+  await inner.accounts.insert({ name: 'Inner' });
+  await inner.commit();
+  await tx.rollback();
+  assertEquals(await names(db), '');
+});
+
+await asyncTest('N-04: savepoints can be nested several levels', async () => {
+  await reset();
+  const tx = await db.begin();
+  const level1 = await tx.begin();
+  await level1.accounts.insert({ name: 'One' });
+  const level2 = await level1.begin();
+  await level2.accounts.insert({ name: 'Two' });
+  const level3 = await level2.begin();
+  await level3.accounts.insert({ name: 'Three' });
+  await level3.rollback();
+  await level2.commit();
+  await level1.commit();
+  await tx.commit();
+  assertEquals(await names(db), 'One,Two');
+});
+
+console.log('\n=== TRANSACTION HELPER ===\n');
+
+await asyncTest('N-05: transaction commits and returns the result', async () => {
+  await reset();
+  const id = await db.transaction(async (tx) => {
+    return await tx.accounts.insert({ name: 'Alice', balance: 100 });
+  });
+  const account = await db.accounts.get({ id });
+  assertEquals(account.name, 'Alice');
+});
+
+await asyncTest('N-06: transaction rolls back and rethrows errors', async () => {
+  await reset();
+  let error;
+  try {
+    await db.transaction(async (tx) => {
+      await tx.accounts.insert({ name: 'Bob' });
+      throw Error('Payment failed');
+    }, 'immediate');
+  }
+  catch (e) {
+    error = e;
+  }
+  assertEquals(error && error.message, 'Payment failed');
+  assertEquals(await names(db), '');
+  await db.accounts.insert({ name: 'Unlocked' });
+  assertEquals(await names(db), 'Unlocked', 'Writer lock should be released');
+});
+
+await asyncTest('N-07: a failed nested transaction only undoes its own writes', async () => {
+  await reset();
+  await db.transaction(async (tx) => {
+    await tx.accounts.insert({ name: 'Kept' });
+    try {
+      await tx.transaction(async (inner) => {
+        await inner.accounts.insert({ name: 'Discarded' });
+        throw Error('Inner failure');
+      });
+    }
+    catch (e) {
+      assertEquals(e.message, 'Inner failure');
+    }
+  });
+  assertEquals(await names(db), 'Kept');
+});
+
+await asyncTest('N-08: service functions compose with or without a transaction', async () => {
+  await reset();
+  const open = async (client, name) => {
+    return await client.transaction(async (tx) => {
+      const id = await tx.accounts.insert({ name });
+      await tx.accounts.update({ where: { id }, set: { balance: 10 } });
+      return id;
+    });
+  }
+  await open(db, 'Direct');
+  await db.transaction(async (tx) => {
+    await open(tx, 'Nested');
+  });
+  assertEquals(await names(db), 'Direct,Nested');
+  assertEquals(await db.accounts.sum({ column: 'balance' }), 20);
+});
+
+console.log('\n=== TURSO ===\n');
+
+const makeTursoClient = (path) => {
+  const sqlite = new Sqlite(path);
+  const execute = (statement) => {
+    const { sql, args } = typeof statement === 'string' ? { sql: statement } : statement;
+    const prepared = sqlite.prepare(sql);
+    const values = args && Object.keys(args).length > 0 ? [args] : [];
+    if (prepared.reader) {
+      return { rows: prepared.all(...values) };
+    }
+    prepared.run(...values);
+    return { rows: [] };
+  }
+  return {
+    sqlite,
+    execute: async (statement) => execute(statement),
+    transaction: async () => {
+      sqlite.exec('begin');
+      return {
+        execute: async (statement) => execute(statement),
+        commit: async () => sqlite.exec('commit'),
+        rollback: async () => sqlite.exec('rollback')
+      };
+    }
+  };
+}
+
+const tursoClient = makeTursoClient(TURSO_DB);
+const turso = new TursoDatabase({ db: tursoClient });
+const tdb = turso.getClient({ Accounts });
+tursoClient.sqlite.exec(tdb.diff());
+
+await asyncTest('N-09: Turso transactions run on the transaction connection', async () => {
+  const tx = await tdb.begin();
+  await tx.accounts.insert({ name: 'Remote' });
+  await tx.rollback();
+  assertEquals(await names(tdb), '');
+  await tdb.transaction(async (tx) => {
+    await tx.accounts.insert({ name: 'Remote' });
+  });
+  assertEquals(await names(tdb), 'Remote');
+});
+
+await asyncTest('N-10: Turso savepoints', async () => {
+  await tdb.transaction(async (tx) => {
+    await tx.accounts.insert({ name: 'Outer' });
+    try {
+      await tx.transaction(async (inner) => {
+        await inner.accounts.insert({ name: 'Inner' });
+        throw Error('Inner failure');
+      });
+    }
+    catch (e) {
+      assertEquals(e.message, 'Inner failure');
+    }
+    const inner = await tx.begin();
+    await inner.accounts.insert({ name: 'Saved' });
+    await inner.commit();
+  });
+  assertEquals(await names(tdb), 'Outer,Remote,Saved');
+});
+
+console.log('\n========================================');
+console.log(`Tests: ${passed} passed, ${failed} failed`);
+console.log('========================================\n');
+
+await database.close();
+tursoClient.sqlite.close();
+fs.unlinkSync(TEST_DB);
+fs.unlinkSync(TURSO_DB);
+
+if (failed > 0) {
+  process.exit(1);
+}
@@ -0,0 +1,231 @@
+/**
+ * Scoped Client Test Suite
+ *
+ * Coverage:
+ * - SC-01 to SC-03: Inserts fill the scope and reads are filtered
+ * - SC-04 to SC-06: Updates, upserts and deletes stay in the scope
+ * - SC-07 to SC-08: SQL queries in JavaScript need the filter
+ * - SC-09 to SC-10: Transactions, batches and relations
+ */
+
+import { SQLiteDatabase, Table } from '../index.js';
+import fs from 'fs';
+
+const TEST_DB = '/tmp/scoped-test.db';
+
+if (fs.existsSync(TEST_DB)) {
+  fs.unlinkSync(TEST_DB);
+}
+
+class Tenants extends Table {
+  name = this.Text;
+}
+
+class Projects extends Table {
+  tenantId = this.References(Tenants);
+  name = this.Text;
+  code = this.Unique(this.Text);
+}
+
+class Tasks extends Table {
+  tenantId = this.References(Tenants);
+  projectId = this.Cascade(Projects);
+  title = this.Text;
+  done = this.False;
+}
+
+const database = new SQLiteDatabase(TEST_DB);
+const db = database.getClient({ Tenants, Projects, Tasks });
+
+await db.migrate(db.diff());
+await db.tenants.insertMany([{ name: 'Acme' }, { name: 'Globex' }]);
+console.log('✓ Schema created\n');
+
+const acme = db.scoped({ tenantId: 1 });
+const globex = db.scoped({ tenantId: 2 });
+
+let passed = 0;
+let failed = 0;
+
+async function asyncTest(name, fn) {
+  try {
+    await fn();
+    console.log(`✓ ${name}`);
+    passed++;
+  } catch (e) {
+    console.log(`✗ ${name}`);
+    console.log(`  Error: ${e.message}`);
+    failed++;
+  }
+}
+
+function assert(condition, message) {
+  if (!condition) throw new Error(message || 'Assertion failed');
+}
+
+function assertEquals(actual, expected, message) {
+  if (actual !== expected) {
+    throw new Error(message || `Expected ${expected}, got ${actual}`);
+  }
+}
+
+const getError = async (fn) => {
+  try {
+    await fn();
+  }
+  catch (e) {
+    return e;
+  }
+}
+
+console.log('=== INSERTS AND READS ===\n');
+
+await asyncTest('SC-01: inserts fill the scope', async () => {
+  const id = await acme.projects.insert({ name: 'Rockets', code: 'RKT' });
+  await acme.projects.insertMany([
+    { name: 'Anvils', code: 'ANV' },
+    { name: 'Magnets', code: 'MAG' }
+  ]);
+  await globex.projects.insert({ name: 'Domes', code: 'DOM' });
+  assertEquals(await db.projects.get({ id }, 'tenantId'), 1);
+  assertEquals(await db.projects.count({ where: { tenantId: 1 } }), 3);
+});
+
+await asyncTest('SC-02: reads and aggregates only see the scope', async () => {
+  assertEquals((await acme.projects.many()).length, 3);
+  assertEquals(await globex.projects.count(), 1);
+  assertEquals(await globex.projects.get({ code: 'RKT' }), undefined);
+  assertEquals(await globex.projects.exists({ code: 'RKT' }), false);
+  const names = await acme.projects.query({ return: 'name', orderBy: 'name' });
+  assertEquals(names.join(','), 'Anvils,Magnets,Rockets');
+  const page = await acme.projects.paginate({ pageSize: 2 });
+  assertEquals(page.totalCount, 3);
+  const groups = await acme.projects.groupBy('tenantId').count({ column: { total: 'id' } });
+  assertEquals(groups.length, 1);
+  assertEquals(groups[0].total, 3);
+});
+
+await asyncTest('SC-03: tables without the column are not filtered', async () => {
+  assertEquals(await acme.tenants.count(), 2);
+  const error = await getError(() => acme.projects.insert({ tenantId: 2, name: 'Spy', code: 'SPY' }));
+  assert(error && error.message.includes('scope'), 'Should throw for a different scope value');
+});
+
+console.log('\n=== WRITES ===\n');
+
+await asyncTest('SC-04: updates cannot reach other scopes', async () => {
+  const id = await db.projects.get({ code: 'RKT' }, 'id');
+  assertEquals(await globex.projects.update({ where: { id }, set: { name: 'Hacked' } }), 0);
+  assertEquals(await acme.projects.update({ where: { id }, set: { name: 'Rockets 2' } }), 1);
+  const error = await getError(() => acme.projects.update({ where: { id }, set: { tenantId: 2 } }));
+  assert(error, 'Should throw when moving a row to another scope');
+  assertEquals(await db.projects.get({ id }, 'name'), 'Rockets 2');
+});
+
+await asyncTest('SC-05: upserts do not update rows in other scopes', async () => {
+  const result = await globex.projects.upsert({
+    values: { name: 'Taken', code: 'ANV' },
+    target: 'code',
+    set: { name: 'Taken' }
+  });
+  assertEquals(result, undefined);
+  assertEquals(await db.projects.get({ code: 'ANV' }, 'name'), 'Anvils');
+  const many = await globex.projects.upsertMany({
+    values: [{ name: 'Taken', code: 'MAG' }, { name: 'Lasers', code: 'LAS' }],
+    target: 'code',
+    set: { name: (c, f, excluded) => excluded.name }
+  });
+  assertEquals(many.inserted, 1);
+  assertEquals(many.updated, 0);
+  assertEquals(await db.projects.get({ code: 'MAG' }, 'name'), 'Magnets');
+});
+
+await asyncTest('SC-06: deletes only remove rows in the scope', async () => {
+  const id = await db.projects.get({ code: 'DOM' }, 'id');
+  assertEquals(await acme.projects.delete({ id }), 0);
+  assertEquals(await globex.projects.delete({ code: 'LAS' }), 1);
+  assertEquals(await db.projects.exists({ id }), true);
+});
+
+console.log('\n=== SQL QUERIES ===\n');
+
+await asyncTest('SC-07: queries without the filter are refused', async () => {
+  const error = await getError(() => acme.query(c => ({
+    select: c.projects.name
+  })));
+  assert(error && error.message.includes('projects'), 'Should throw for a missing filter');
+  const other = await getError(() => acme.query(c => ({
+    select: c.projects.name,
+    where: { [c.projects.tenantId]: 2 }
+  })));
+  assert(other, 'Should throw for a filter on another scope');
+  const names = await acme.queryValues(c => ({
+    select: c.projects.name,
+    where: { [c.projects.tenantId]: 1 },
+    orderBy: c.projects.name
+  }));
+  assertEquals(names.join(','), 'Anvils,Magnets,Rockets 2');
+});
+
+await asyncTest('SC-08: every scoped table in a join needs the filter', async () => {
+  const projectId = await db.projects.get({ code: 'ANV' }, 'id');
+  await acme.tasks.insert({ projectId, title: 'Sharpen' });
+  const query = (filterTasks) => acme.query(c => {
+    const { projects: p, tasks: t } = c;
+    const where = { [p.tenantId]: 1 };
+    if (filterTasks) {
+      where[t.tenantId] = 1;
+    }
+    return {
+      select: { project: p.name, task: t.title },
+      join: [t.projectId, p.id],
+      where
+    };
+  });
+  const error = await getError(() => query(false));
+  assert(error && error.message.includes('tasks'), 'Should throw for the tasks table');
+  const rows = await query(true);
+  assertEquals(rows[0].task, 'Sharpen');
+  assertEquals((await db.query(c => ({ select: c.projects.name }))).length, 4);
+});
+
+console.log('\n=== TRANSACTIONS AND RELATIONS ===\n');
+
+await asyncTest('SC-09: transactions and batches keep the scope', async () => {
+  const count = await globex.transaction(async (tx) => {
+    await tx.projects.insert({ name: 'Shields', code: 'SHD' });
+    return await tx.projects.count();
+  });
+  assertEquals(count, 2);
+  assertEquals(await db.projects.get({ code: 'SHD' }, 'tenantId'), 2);
+  const [acmeCount, globexCount] = await Promise.all([
+    acme.batch((bx) => [bx.projects.count()]),
+    globex.batch((bx) => [bx.projects.count()])
+  ]);
+  assertEquals(acmeCount[0], 3);
+  assertEquals(globexCount[0], 2);
+});
+
+await asyncTest('SC-10: included relations are filtered by the scope', async () => {
+  const projectId = await db.projects.get({ code: 'ANV' }, 'id');
+  await db.tasks.insert({ tenantId: 2, projectId, title: 'Leaked', done: false });
+  const projects = await acme.projects.query({
+    where: { code: 'ANV' },
+    include: {
+      tasks: true
+    }
+  });
+  assertEquals(projects[0].tasks.length, 1);
+  assertEquals(projects[0].tasks[0].title, 'Sharpen');
+});
+
+console.log('\n========================================');
+console.log(`Tests: ${passed} passed, ${failed} failed`);
+console.log('========================================\n');
+
+await database.close();
+fs.unlinkSync(TEST_DB);
+
+if (failed > 0) {
+  process.exit(1);
+}
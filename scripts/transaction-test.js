@@ -284,6 +284,42 @@ await asyncTest('R-04: Rollback releases lock for new writes', async () => {
   assertEquals(account.name, 'AfterRollback');
 });
 
+await asyncTest('R-05: A failed rollback does not hide the original error', async () => {
+  let error;
+  try {
+    await db.transaction(async (tx) => {
+      await tx.accounts.insert({ name: 'RolledBackEarly', balance: 100 });
+      // Ends the transaction so that the rollback of db.transaction fails
+      database.write.exec('rollback');
+      throw new Error('Original error');
+    });
+  } catch (e) {
+    error = e;
+  }
+  assertEquals(error && error.message, 'Original error');
+
+  const id = await db.accounts.insert({ name: 'AfterFailedRollback', balance: 100 });
+  assert(id > 0, 'Should be able to insert after a failed rollback');
+  assertEquals(await db.accounts.get({ name: 'RolledBackEarly' }), undefined);
+});
+
+await asyncTest('R-06: A failed commit is rolled back', async () => {
+  let error;
+  try {
+    await db.transaction(async (tx) => {
+      await database.deferForeignKeys({ db: database.write });
+      await tx.transfers.insert({ fromAccountId: 999999, toAccountId: 999999, amount: 1 });
+    });
+  } catch (e) {
+    error = e;
+  }
+  assert(error && error.message.includes('FOREIGN KEY'), 'The commit should fail');
+
+  const id = await db.accounts.insert({ name: 'AfterFailedCommit', balance: 100 });
+  assert(id > 0, 'Should be able to insert after a failed commit');
+  assertEquals(await db.transfers.count({ where: { fromAccountId: 999999 } }), 0);
+});
+
 // ============================================
 // BATCH OPERATIONS
 // ============================================
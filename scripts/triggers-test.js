@@ -0,0 +1,323 @@
+/**
+ * Trigger Test Suite
+ *
+ * Coverage:
+ * - T-01 to T-02: Schema and SQL generation
+ * - T-03 to T-08: Trigger behaviour (when, old/new rows, own table updates, raise)
+ * - T-09 to T-12: Migrations when triggers and tables change
+ */
+
+import { SQLiteDatabase, Table, analyzeMigration } from '../index.js';
+import fs from 'fs';
+
+const TEST_DB = '/tmp/triggers-test.db';
+
+if (fs.existsSync(TEST_DB)) {
+  fs.unlinkSync(TEST_DB);
+}
+
+class Forests extends Table {
+  name;
+  treeCount = this.Default(0);
+}
+
+class Trees extends Table {
+  name;
+  height = this.Default(0);
+  alive = this.True;
+  locked = this.False;
+  changedAt = this.Null(this.Text);
+  forestId = this.References(Forests);
+
+  Attributes = () => {
+    this.Trigger({
+      after: 'insert',
+      when: c => ({ [c.new.alive]: true }),
+      body: c => ({
+        update: Forests,
+        set: {
+          treeCount: this.Plus(c.forests.treeCount, 1)
+        },
+        where: {
+          [c.forests.id]: c.new.forestId
+        }
+      })
+    });
+    this.Trigger({
+      after: 'delete',
+      when: c => ({ [c.old.alive]: true }),
+      body: c => ({
+        update: 'forests',
+        set: {
+          treeCount: this.Minus(c.forests.treeCount, 1)
+        },
+        where: {
+          [c.forests.id]: c.old.forestId
+        }
+      })
+    });
+    this.Trigger({
+      after: 'update',
+      when: c => ({ [c.new.height]: this.Not(c.old.height) }),
+      body: c => [
+        {
+          update: Trees,
+          set: {
+            changedAt: this.StrfTime('%Y-%m-%dT%H:%M:%fZ', 'now')
+          },
+          where: {
+            [this.id]: c.new.id
+          }
+        },
+        {
+          insert: HeightChanges,
+          values: {
+            treeId: c.new.id,
+            previous: c.old.height,
+            current: c.new.height,
+            note: 'height; changed'
+          }
+        }
+      ]
+    });
+    this.Trigger({
+      name: 'trees_locked',
+      before: 'delete',
+      when: c => ({ [c.old.locked]: true }),
+      body: () => ({
+        raise: 'abort',
+        message: 'Locked trees cannot be deleted'
+      })
+    });
+  }
+}
+
+class HeightChanges extends Table {
+  treeId = this.Int;
+  previous = this.Int;
+  current = this.Int;
+  note;
+}
+
+const database = new SQLiteDatabase(TEST_DB);
+const db = database.getClient({ Forests, Trees, HeightChanges });
+
+let passed = 0;
+let failed = 0;
+
+async function asyncTest(name, fn) {
+  try {
+    await fn();
+    console.log(`✓ ${name}`);
+    passed++;
+  } catch (e) {
+    console.log(`✗ ${name}`);
+    console.log(`  Error: ${e.message}`);
+    failed++;
+  }
+}
+
+function assert(condition, message) {
+  if (!condition) throw new Error(message || 'Assertion failed');
+}
+
+function assertEquals(actual, expected, message) {
+  if (actual !== expected) {
+    throw new Error(message || `Expected ${expected}, got ${actual}`);
+  }
+}
+
+console.log('=== SCHEMA ===\n');
+
+await asyncTest('T-01: triggers are part of the schema', async () => {
+  const trees = db.getSchema().find(t => t.name === 'trees');
+  const names = trees.triggers.map(t => t.name);
+  assertEquals(names.join(','), 'trees_after_insert,trees_after_delete,trees_after_update,trees_locked');
+  const insert = trees.triggers[0];
+  assertEquals(insert.when, 'new.alive = 1');
+  assertEquals(insert.body[0], 'update forests set treeCount = treeCount + 1 where id = new.forestId');
+});
+
+await asyncTest('T-02: diff creates the triggers', async () => {
+  const sql = db.diff();
+  assert(sql.includes('create trigger trees_after_insert after insert on trees when new.alive = 1 begin'), 'Should create the insert trigger');
+  const dryRun = await db.migrate(sql, { dryRun: true });
+  const triggers = dryRun.statements.filter(s => s.startsWith('create trigger'));
+  assertEquals(triggers.length, 4, 'Trigger bodies should not be split');
+  assert(triggers[2].endsWith('end'), 'Trigger statements should include the body');
+  await db.migrate(sql);
+});
+
+const forest = await db.forests.insert({ name: 'Redwood' });
+
+console.log('\n=== BEHAVIOUR ===\n');
+
+await asyncTest('T-03: after insert with a when condition', async () => {
+  await db.trees.insert({ name: 'Giant', forestId: forest });
+  await db.trees.insert({ name: 'Stump', alive: false, forestId: forest });
+  const count = await db.forests.get({ id: forest }, 'treeCount');
+  assertEquals(count, 1);
+});
+
+await asyncTest('T-04: after delete uses the old row', async () => {
+  const tree = await db.trees.insert({ name: 'Small', forestId: forest });
+  assertEquals(await db.forests.get({ id: forest }, 'treeCount'), 2);
+  await db.trees.delete({ id: tree });
+  assertEquals(await db.forests.get({ id: forest }, 'treeCount'), 1);
+});
+
+await asyncTest('T-05: a trigger can update its own table', async () => {
+  await db.trees.update({ where: { name: 'Giant' }, set: { height: 90 } });
+  const tree = await db.trees.get({ name: 'Giant' });
+  assert(tree.changedAt && tree.changedAt.endsWith('Z'), 'changedAt should be set');
+  const unchanged = await db.trees.get({ name: 'Stump' });
+  assertEquals(unchanged.changedAt, null);
+});
+
+await asyncTest('T-06: a trigger can insert rows with old and new values', async () => {
+  const changes = await db.heightChanges.many();
+  assertEquals(changes.length, 1);
+  assertEquals(changes[0].previous, 0);
+  assertEquals(changes[0].current, 90);
+  assertEquals(changes[0].note, 'height; changed');
+});
+
+await asyncTest('T-07: raise aborts the statement', async () => {
+  const tree = await db.trees.insert({ name: 'Ancient', locked: true, forestId: forest });
+  let error;
+  try {
+    await db.trees.delete({ id: tree });
+  }
+  catch (e) {
+    error = e;
+  }
+  assert(error && error.message.includes('Locked trees cannot be deleted'), 'Should raise an error');
+  assert(await db.trees.exists({ id: tree }), 'Tree should still exist');
+});
+
+await asyncTest('T-08: triggers run for raw SQL', async () => {
+  const before = await db.forests.get({ id: forest }, 'treeCount');
+  await db.exec(`insert into trees (name, forestId) values ('Raw', ${forest})`);
+  const after = await db.forests.get({ id: forest }, 'treeCount');
+  assertEquals(after, before + 1);
+});
+
+console.log('\n=== MIGRATIONS ===\n');
+
+const previous = db.getSchema();
+
+await asyncTest('T-09: unchanged triggers produce no migration', async () => {
+  assertEquals(db.diff(previous), '');
+});
+
+await asyncTest('T-10: changed and removed triggers are dropped and created', async () => {
+  class Trees extends Table {
+    name;
+    height = this.Default(0);
+    alive = this.True;
+    locked = this.False;
+    changedAt = this.Null(this.Text);
+    forestId = this.References(Forests);
+
+    Attributes = () => {
+      this.Trigger({
+        after: 'insert',
+        body: c => ({
+          update: Forests,
+          set: {
+            treeCount: this.Plus(c.forests.treeCount, 1)
+          },
+          where: {
+            [c.forests.id]: c.new.forestId
+          }
+        })
+      });
+    }
+  }
+  const other = new SQLiteDatabase(TEST_DB);
+  const client = other.getClient({ Forests, Trees, HeightChanges });
+  const sql = client.diff(previous);
+  const analysis = analyzeMigration(sql);
+  assertEquals(analysis.dropTriggers.join(','), 'trees_after_insert,trees_after_delete,trees_after_update,trees_locked');
+  assertEquals(analysis.addTriggers.join(','), 'trees_after_insert');
+  assertEquals(analysis.isDestructive, false);
+  await other.close();
+});
+
+await asyncTest('T-11: adding a trigger to an existing table', async () => {
+  class Forests extends Table {
+    name;
+    treeCount = this.Default(0);
+
+    Attributes = () => {
+      this.Trigger({
+        before: 'update',
+        when: c => ({ [c.new.treeCount]: this.Lt(0) }),
+        body: () => ({ raise: 'fail', message: 'Negative count' })
+      });
+    }
+  }
+  const other = new SQLiteDatabase(TEST_DB);
+  const client = other.getClient({ Forests, Trees, HeightChanges });
+  const sql = client.diff(previous);
+  assertEquals(sql.trim(), 'create trigger forests_before_update before update on forests when new.treeCount < 0 begin\n  select raise(fail, \'Negative count\');\nend;');
+  await other.close();
+});
+
+await asyncTest('T-12: triggers are recreated when a table is recreated', async () => {
+  class Forests extends Table {
+    name;
+    treeCount = this.Default(0);
+    region = this.Default('north');
+  }
+  class HeightChanges extends Table {
+    treeId = this.Int;
+    previous = this.Int;
+    current = this.Real;
+    note;
+  }
+  const other = new SQLiteDatabase(TEST_DB);
+  const client = other.getClient({ Forests, Trees, HeightChanges });
+  const sql = client.diff(previous);
+  assert(sql.startsWith('drop trigger trees_after_insert;'), 'Triggers should be dropped first');
+  assert(sql.includes('create table temp_heightChanges'), 'heightChanges should be recreated');
+  assert(sql.indexOf('create trigger') > sql.indexOf('alter table temp_heightChanges'), 'Triggers should be created last');
+  await client.migrate(sql);
+  const tree = await client.trees.get({ name: 'Giant' });
+  await client.trees.update({ where: { id: tree.id }, set: { height: 95 } });
+  const changes = await client.heightChanges.many({ treeId: tree.id });
+  assertEquals(changes.length, 2);
+  await other.close();
+});
+
+await asyncTest('T-13: a trigger needs a timing and event', async () => {
+  class Broken extends Table {
+    name;
+    Attributes = () => {
+      this.Trigger({
+        after: 'upsert',
+        body: () => 'select 1'
+      });
+    }
+  }
+  let error;
+  try {
+    const other = new SQLiteDatabase(':memory:');
+    other.getClient({ Broken });
+  }
+  catch (e) {
+    error = e;
+  }
+  assert(error && error.message.includes('"before" or "after"'), 'Should throw for an invalid event');
+});
+
+console.log('\n========================================');
+console.log(`Tests: ${passed} passed, ${failed} failed`);
+console.log('========================================\n');
+
+await database.close();
+fs.unlinkSync(TEST_DB);
+
+if (failed > 0) {
+  process.exit(1);
+}
@@ -0,0 +1,292 @@
+/**
+ * Bulk Upsert Test Suite
+ *
+ * Coverage:
+ * - UM-01 to UM-04: Inserted and updated counts, do nothing and composite targets
+ * - UM-05 to UM-07: Function-valued set with excluded values, converted values and upsert
+ * - UM-08 to UM-10: Chunking, transactions and errors
+ * - UM-11: Counts with triggers and scopes
+ */
+
+import { SQLiteDatabase, Table } from '../index.js';
+import fs from 'fs';
+
+const TEST_DB = '/tmp/upsert-many-test.db';
+
+if (fs.existsSync(TEST_DB)) {
+  fs.unlinkSync(TEST_DB);
+}
+
+class Stations extends Table {
+  code = this.Unique(this.Text);
+  name = this.Text;
+  visits = this.Default(0);
+  open = this.True;
+  checkedAt = this.Null(this.Date);
+  tags = this.Null(this.Json);
+}
+
+class Readings extends Table {
+  station = this.Text;
+  hour = this.Int;
+  value = this.Check(this.Real, this.Gte(0));
+
+  Attributes = () => {
+    this.Unique(this.station, this.hour);
+  }
+}
+
+const database = new SQLiteDatabase(TEST_DB);
+const db = database.getClient({ Stations, Readings });
+
+await db.migrate(db.diff());
+console.log('✓ Schema created\n');
+
+let passed = 0;
+let failed = 0;
+
+async function asyncTest(name, fn) {
+  try {
+    await fn();
+    console.log(`✓ ${name}`);
+    passed++;
+  } catch (e) {
+    console.log(`✗ ${name}`);
+    console.log(`  Error: ${e.message}`);
+    failed++;
+  }
+}
+
+function assert(condition, message) {
+  if (!condition) throw new Error(message || 'Assertion failed');
+}
+
+function assertEquals(actual, expected, message) {
+  if (actual !== expected) {
+    throw new Error(message || `Expected ${expected}, got ${actual}`);
+  }
+}
+
+console.log('=== COUNTS ===\n');
+
+await asyncTest('UM-01: new rows are counted as inserted', async () => {
+  const result = await db.stations.upsertMany({
+    values: [
+      { code: 'A', name: 'Alpha', visits: 1 },
+      { code: 'B', name: 'Beta', visits: 2 }
+    ],
+    target: 'code',
+    set: {
+      name: (c, f, excluded) => excluded.name
+    }
+  });
+  assertEquals(result.inserted, 2);
+  assertEquals(result.updated, 0);
+});
+
+await asyncTest('UM-02: conflicting rows are counted as updated', async () => {
+  const result = await db.stations.upsertMany({
+    values: [
+      { code: 'A', name: 'Alpha 2', visits: 1 },
+      { code: 'C', name: 'Gamma', visits: 3 }
+    ],
+    target: 'code',
+    set: {
+      name: (c, f, excluded) => excluded.name
+    }
+  });
+  assertEquals(result.inserted, 1);
+  assertEquals(result.updated, 1);
+  assertEquals(await db.stations.get({ code: 'A' }, 'name'), 'Alpha 2');
+});
+
+await asyncTest('UM-03: without set conflicting rows are skipped', async () => {
+  const result = await db.stations.upsertMany({
+    values: [
+      { code: 'A', name: 'Ignored' },
+      { code: 'D', name: 'Delta' }
+    ]
+  });
+  assertEquals(result.inserted, 1);
+  assertEquals(result.updated, 0);
+  assertEquals(await db.stations.get({ code: 'A' }, 'name'), 'Alpha 2');
+});
+
+await asyncTest('UM-04: composite targets', async () => {
+  await db.readings.upsertMany({
+    values: [
+      { station: 'A', hour: 1, value: 1.5 },
+      { station: 'A', hour: 2, value: 2.5 }
+    ]
+  });
+  const result = await db.readings.upsertMany({
+    values: [
+      { station: 'A', hour: 2, value: 3 },
+      { station: 'B', hour: 2, value: 4 }
+    ],
+    target: ['station', 'hour'],
+    set: {
+      value: (c, f, excluded) => excluded.value
+    }
+  });
+  assertEquals(result.inserted, 1);
+  assertEquals(result.updated, 1);
+  assertEquals(await db.readings.get({ station: 'A', hour: 2 }, 'value'), 3);
+});
+
+console.log('\n=== SET ===\n');
+
+await asyncTest('UM-05: set can combine existing and excluded values', async () => {
+  await db.stations.upsertMany({
+    values: [
+      { code: 'B', name: 'Beta', visits: 10 }
+    ],
+    target: 'code',
+    set: {
+      visits: (c, f, excluded) => f.plus(c.visits, excluded.visits),
+      open: false
+    }
+  });
+  const station = await db.stations.get({ code: 'B' });
+  assertEquals(station.visits, 12);
+  assertEquals(station.open, false);
+});
+
+await asyncTest('UM-06: dates, booleans and json are converted', async () => {
+  const checkedAt = new Date('2024-05-01T10:00:00.000Z');
+  await db.stations.upsertMany({
+    values: [
+      { code: 'E', name: 'Echo', open: false, checkedAt, tags: ['north'] },
+      { code: 'C', name: 'Gamma', open: true, checkedAt, tags: { level: 2 } }
+    ],
+    target: 'code',
+    set: {
+      checkedAt: (c, f, excluded) => excluded.checkedAt,
+      tags: (c, f, excluded) => excluded.tags
+    }
+  });
+  const echo = await db.stations.get({ code: 'E' });
+  assertEquals(echo.open, false);
+  assertEquals(echo.checkedAt.toISOString(), checkedAt.toISOString());
+  assertEquals(echo.tags[0], 'north');
+  const gamma = await db.stations.get({ code: 'C' });
+  assertEquals(gamma.tags.level, 2);
+  assertEquals(gamma.checkedAt.getTime(), checkedAt.getTime());
+});
+
+await asyncTest('UM-07: upsert accepts excluded values in set', async () => {
+  await db.stations.upsert({
+    values: { code: 'E', name: 'Echo 2' },
+    target: 'code',
+    set: {
+      name: (c, f, excluded) => f.concat(excluded.name, '!')
+    }
+  });
+  assertEquals(await db.stations.get({ code: 'E' }, 'name'), 'Echo 2!');
+});
+
+console.log('\n=== CHUNKS AND TRANSACTIONS ===\n');
+
+await asyncTest('UM-08: large inputs are split into chunks', async () => {
+  const queries = [];
+  database.setLogger((event) => queries.push(event.sql));
+  const values = Array.from({ length: 12000 }, (_, i) => ({ station: `S${i % 3}`, hour: i, value: i }));
+  const result = await db.readings.upsertMany({
+    values,
+    target: ['station', 'hour'],
+    set: {
+      value: (c, f, excluded) => excluded.value
+    }
+  });
+  database.setLogger(null);
+  assertEquals(result.inserted, 12000);
+  const inserts = queries.filter(q => q.startsWith('insert'));
+  assertEquals(inserts.length, 2, `Expected 2 statements, got ${inserts.length}`);
+  assertEquals(await db.readings.count(), 12003);
+});
+
+await asyncTest('UM-09: a failing chunk rolls back every row', async () => {
+  const before = await db.readings.count();
+  const values = Array.from({ length: 12000 }, (_, i) => ({ station: 'R', hour: i, value: i === 11999 ? -1 : i }));
+  let error;
+  try {
+    await db.readings.upsertMany({ values });
+  }
+  catch (e) {
+    error = e;
+  }
+  assert(error, 'Should throw for a failed check');
+  assertEquals(await db.readings.count(), before);
+  const result = await db.transaction(async (tx) => {
+    return await tx.stations.upsertMany({ values: [{ code: 'H', name: 'Hotel' }] });
+  });
+  assertEquals(result.inserted, 1);
+});
+
+await asyncTest('UM-10: rows must have the same columns', async () => {
+  let error;
+  try {
+    await db.stations.upsertMany({
+      values: [
+        { code: 'I', name: 'India' },
+        { code: 'J', name: 'Juliett', visits: 1 }
+      ]
+    });
+  }
+  catch (e) {
+    error = e;
+  }
+  assert(error && error.message.includes('same columns'), 'Should throw for different columns');
+  const empty = await db.stations.upsertMany({ values: [] });
+  assertEquals(empty.inserted, 0);
+  assertEquals(empty.updated, 0);
+});
+
+await asyncTest('UM-11: counts ignore rows added by triggers and updates blocked by the scope', async () => {
+  await database.run({
+    query: `create trigger stations_copy after insert on stations when new.code like 'T%' begin
+      insert into stations(code, name) values (new.code || '-copy', new.name);
+    end`
+  });
+  await db.stations.insert({ code: 'T1', name: 'Tango' });
+  const result = await db.stations.upsertMany({
+    values: [
+      { code: 'T1', name: 'Tango 2' },
+      { code: 'T2', name: 'Tango' },
+      { code: 'T3', name: 'Tango' }
+    ],
+    target: 'code',
+    set: {
+      name: (c, f, excluded) => excluded.name
+    }
+  });
+  assertEquals(result.inserted, 2);
+  assertEquals(result.updated, 1);
+  assertEquals(await db.stations.get({ code: 'T1' }, 'name'), 'Tango 2');
+  assertEquals(await db.stations.count({ where: { code: 'T3-copy' } }), 1, 'The trigger should have run');
+  await db.stations.insert({ code: 'U', name: 'Uniform', open: false });
+  const scoped = await db.scoped({ open: true }).stations.upsertMany({
+    values: [
+      { code: 'U', name: 'Uniform 2' },
+      { code: 'V', name: 'Victor' }
+    ],
+    target: 'code',
+    set: {
+      name: (c, f, excluded) => excluded.name
+    }
+  });
+  assertEquals(scoped.inserted, 1);
+  assertEquals(scoped.updated, 0, 'Rows outside of the scope should not be counted');
+  assertEquals(await db.stations.get({ code: 'U' }, 'name'), 'Uniform');
+});
+
+console.log('\n========================================');
+console.log(`Tests: ${passed} passed, ${failed} failed`);
+console.log('========================================\n');
+
+await database.close();
+fs.unlinkSync(TEST_DB);
+
+if (failed > 0) {
+  process.exit(1);
+}
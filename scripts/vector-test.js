@@ -0,0 +1,257 @@
+/**
+ * Vector Test Suite
+ *
+ * Coverage:
+ * - VC-01 to VC-02: Vector columns and their dimensions
+ * - VC-03 to VC-06: Nearest rows, metrics and distances in queries
+ * - VC-07 to VC-09: Scopes, worker threads and extensions
+ */
+
+import { SQLiteDatabase, Table } from '../index.js';
+import fs from 'fs';
+
+const TEST_DB = '/tmp/vector-test.db';
+
+for (const path of [TEST_DB, `${TEST_DB}-wal`, `${TEST_DB}-shm`]) {
+  if (fs.existsSync(path)) {
+    fs.unlinkSync(path);
+  }
+}
+
+class Songs extends Table {
+  title = this.Text;
+  genre = this.Text;
+  libraryId = this.Int;
+  features = this.Vector(3);
+  preview = this.Null(this.Vector(2));
+  loudness = this.Distance(this.features, [0, 0, 0]);
+}
+
+const database = new SQLiteDatabase(TEST_DB);
+const db = database.getClient({ Songs });
+
+await db.migrate(db.diff());
+await db.songs.insertMany([
+  { title: 'So What', genre: 'jazz', libraryId: 1, features: new Float32Array([1, 0, 0]), preview: new Float32Array([0.5, 0.5]) },
+  { title: 'Blue in Green', genre: 'jazz', libraryId: 1, features: new Float32Array([0.9, 0.1, 0]), preview: null },
+  { title: 'Paranoid', genre: 'rock', libraryId: 1, features: new Float32Array([0, 1, 0]), preview: null },
+  { title: 'Windowlicker', genre: 'electronic', libraryId: 2, features: new Float32Array([0, 0, 2]), preview: null }
+]);
+console.log('✓ Schema created\n');
+
+let passed = 0;
+let failed = 0;
+
+async function asyncTest(name, fn) {
+  try {
+    await fn();
+    console.log(`✓ ${name}`);
+    passed++;
+  } catch (e) {
+    console.log(`✗ ${name}`);
+    console.log(`  Error: ${e.message}`);
+    failed++;
+  }
+}
+
+function assert(condition, message) {
+  if (!condition) throw new Error(message || 'Assertion failed');
+}
+
+function assertEquals(actual, expected, message) {
+  if (actual !== expected) {
+    throw new Error(message || `Expected ${expected}, got ${actual}`);
+  }
+}
+
+const assertClose = (actual, expected, message) => {
+  assert(Math.abs(actual - expected) < 0.0001, message || `Expected about ${expected}, got ${actual}`);
+}
+
+const getError = async (fn) => {
+  try {
+    await fn();
+  }
+  catch (e) {
+    return e;
+  }
+}
+
+console.log('=== VECTOR COLUMNS ===\n');
+
+await asyncTest('VC-01: vectors are stored as blobs and read as Float32Array', async () => {
+  const table = await database.all({ query: `select sql from sqlite_master where name = 'songs'` });
+  assert(table[0].sql.includes('features blob not null'), 'The column should be a blob');
+  const stored = await database.all({ query: 'select length(features) as bytes from songs where id = 1' });
+  assertEquals(stored[0].bytes, 12);
+  const song = await db.songs.get({ id: 1 });
+  assert(song.features instanceof Float32Array, 'Vectors should be read as Float32Array');
+  assertEquals(Array.from(song.features).join(','), '1,0,0');
+  assertEquals(Array.from(song.preview).join(','), '0.5,0.5');
+  assertEquals(await db.songs.get({ id: 2 }, 'preview'), null);
+  await db.songs.update({ where: { id: 2 }, set: { preview: new Float32Array([1, 2]) } });
+  assertEquals((await db.songs.get({ id: 2 }, 'preview'))[1], 2);
+  assertEquals((await database.verifySchema()).length, 0);
+});
+
+await asyncTest('VC-02: vectors must have the number of dimensions of the column', async () => {
+  const short = await getError(() => db.songs.insert({ title: 'Short', genre: 'jazz', libraryId: 1, features: new Float32Array([1, 0]) }));
+  assert(short && short.message.includes('3 dimensions'), 'Should throw for the wrong number of dimensions');
+  const array = await getError(() => db.songs.insert({ title: 'Array', genre: 'jazz', libraryId: 1, features: [1, 0, 0] }));
+  assert(array && array.message.includes('Float32Array'), 'Should throw for values that are not a Float32Array');
+  const update = await getError(() => db.songs.update({ where: { id: 1 }, set: { preview: new Float32Array(3) } }));
+  assert(update && update.message.includes('2 dimensions'), 'Should check updates');
+  const dimensions = await getError(() => {
+    class Invalid extends Table {
+      features = this.Vector(0);
+    }
+    database.getClient({ Invalid });
+  });
+  assert(dimensions && dimensions.message.includes('Invalid number of dimensions'), 'Should throw for an invalid number of dimensions');
+  assertEquals(await db.songs.count(), 4);
+});
+
+console.log('\n=== NEAREST AND DISTANCES ===\n');
+
+await asyncTest('VC-03: nearest returns the closest rows with their distance', async () => {
+  const songs = await db.songs.nearest({ column: 'features', vector: new Float32Array([1, 0.05, 0]), k: 3 });
+  assertEquals(songs.map(s => s.title).join(','), 'So What,Blue in Green,Paranoid');
+  assertClose(songs[0].distance, 0.05);
+  assertClose(songs[1].distance, Math.hypot(0.1, 0.05));
+  assert(songs[0].features instanceof Float32Array, 'Rows should be converted');
+  const all = await db.songs.nearest({ column: 'features', vector: [0, 0, 1] });
+  assertEquals(all.length, 4, 'Should return up to 10 rows by default');
+  assertEquals(all[0].title, 'Windowlicker');
+});
+
+await asyncTest('VC-04: nearest accepts metrics, filters and columns', async () => {
+  const cosine = await db.songs.nearest({ column: 'features', vector: [2, 0, 0], metric: 'cosine', k: 2 });
+  assertEquals(cosine[0].title, 'So What');
+  assertClose(cosine[0].distance, 0);
+  assertClose(cosine[1].distance, 1 - 0.9 / Math.hypot(0.9, 0.1));
+  const l1 = await db.songs.nearest({ column: 'features', vector: [0, 0, 0], metric: 'l1', k: 1, where: { genre: 'electronic' } });
+  assertEquals(l1[0].distance, 2);
+  const filtered = await db.songs.nearest({ column: 'features', vector: [0, 1, 0], where: { genre: 'jazz' }, select: ['title'] });
+  assertEquals(Object.keys(filtered[0]).join(','), 'title,distance');
+  assertEquals(filtered[0].title, 'Blue in Green');
+  const previews = await db.songs.nearest({ column: 'preview', vector: [1, 1], select: 'id' });
+  assertEquals(previews.length, 2, 'Rows without a vector should be skipped');
+  const metric = await getError(() => db.songs.nearest({ column: 'features', vector: [1, 0, 0], metric: 'dot' }));
+  assert(metric && metric.message.includes('Invalid distance metric'), 'Should throw for an unknown metric');
+  const column = await getError(() => db.songs.nearest({ column: 'title', vector: [1, 0, 0] }));
+  assert(column && column.message.includes('not a vector'), 'Should throw for a column that is not a vector');
+  const dimensions = await getError(() => db.songs.nearest({ column: 'features', vector: [1, 0] }));
+  assert(dimensions && dimensions.message.includes('3 dimensions'), 'Should check the dimensions of the vector');
+  const k = await getError(() => db.songs.nearest({ column: 'features', vector: [1, 0, 0], k: 0 }));
+  assert(k && k.message.includes('Invalid number of results'), 'Should throw for an invalid k');
+});
+
+await asyncTest('VC-05: distances can be used in queries and table classes', async () => {
+  const target = new Float32Array([0, 1, 0]);
+  const songs = await db.query(c => {
+    const distance = c.distance(c.songs.features, target, 'l1');
+    return {
+      select: { title: c.songs.title, distance },
+      where: { [distance]: c.lt(2) },
+      orderBy: distance
+    };
+  });
+  assertEquals(songs.map(s => s.title).join(','), 'Paranoid,Blue in Green');
+  assertEquals(songs[0].distance, 0);
+  const json = await db.firstValue(c => ({
+    select: c.distance(c.songs.features, [1, 0, 0]),
+    where: { [c.songs.id]: 3 }
+  }));
+  assertClose(json, Math.SQRT2);
+  assertEquals(await db.songs.get({ id: 4 }, 'loudness'), 2);
+  const sql = await database.all({ query: `select vec_distance_l2(features, '[0, 0, 1]') as value from songs where id = 4` });
+  assertEquals(sql[0].value, 1);
+  const mismatch = await getError(() => db.firstValue(c => ({ select: c.distance(c.songs.features, [1, 0]) })));
+  assert(mismatch && mismatch.message.includes('dimensions do not match'), 'Should throw for vectors of different sizes');
+});
+
+await asyncTest('VC-06: cosine distances from a vector of zeros are null', async () => {
+  const zeros = await db.songs.nearest({ column: 'features', vector: [0, 0, 0], metric: 'cosine', k: 2 });
+  assertEquals(zeros.length, 2);
+  assert(zeros.every(s => s.distance === null), 'A vector of zeros should have no cosine distance');
+  const id = await db.songs.insert({ title: 'Silence', genre: 'ambient', libraryId: 1, features: new Float32Array(3) });
+  try {
+    const songs = await db.songs.nearest({ column: 'features', vector: [0, 0, 1], metric: 'cosine' });
+    assertEquals(songs.map(s => s.title).join(','), 'Windowlicker,So What,Blue in Green,Paranoid,Silence', 'Rows without a distance should come last');
+    assertEquals(songs[4].distance, null);
+    const sql = await database.all({ query: `select vec_distance_cosine(features, '[1, 0, 0]') as value from songs where id = ${id}` });
+    assertEquals(sql[0].value, null);
+  }
+  finally {
+    await db.songs.delete({ id });
+  }
+});
+
+console.log('\n=== SCOPES, WORKERS AND EXTENSIONS ===\n');
+
+await asyncTest('VC-07: nearest uses the scope of the client and transactions', async () => {
+  const library = db.scoped({ libraryId: 2 });
+  const songs = await library.songs.nearest({ column: 'features', vector: [1, 0, 0] });
+  assertEquals(songs.length, 1);
+  assertEquals(songs[0].title, 'Windowlicker');
+  await db.transaction(async (tx) => {
+    await tx.songs.insert({ title: 'Giant Steps', genre: 'jazz', libraryId: 1, features: new Float32Array([1, 0.05, 0]) });
+    const nearest = await tx.songs.nearest({ column: 'features', vector: [1, 0.05, 0], k: 1 });
+    assertEquals(nearest[0].title, 'Giant Steps');
+    assertEquals(nearest[0].distance, 0);
+  });
+});
+
+await asyncTest('VC-08: vectors and distances work in worker threads', async () => {
+  const workers = new SQLiteDatabase(TEST_DB, { workers: { readers: 1 } });
+  const wx = workers.getClient({ Songs });
+  try {
+    const song = await wx.songs.get({ id: 1 });
+    assert(song.features instanceof Float32Array, 'Vectors should be converted by the worker');
+    assertEquals(song.features[0], 1);
+    const nearest = await wx.songs.nearest({ column: 'features', vector: [0, 0, 1], k: 1, metric: 'cosine' });
+    assertEquals(nearest[0].title, 'Windowlicker');
+    const titles = [];
+    for await (const title of wx.iterate(c => ({ select: c.songs.title, orderBy: c.distance(c.songs.features, [0, 1, 0]) }))) {
+      titles.push(title);
+    }
+    assertEquals(titles[0], 'Paranoid');
+  }
+  finally {
+    await workers.close();
+  }
+});
+
+await asyncTest('VC-09: functions from an extension are used instead of the built-in ones', async () => {
+  class ExtensionDatabase extends SQLiteDatabase {
+    async loadExtension(path, db) {
+      db.function('vec_distance_cosine', { deterministic: true }, (a, b) => -1);
+    }
+  }
+  const extension = new ExtensionDatabase(TEST_DB, { extensions: 'vec0' });
+  const client = extension.getClient({ Songs });
+  try {
+    const cosine = await client.songs.nearest({ column: 'features', vector: [1, 0, 0], metric: 'cosine' });
+    assert(cosine.every(s => s.distance === -1), 'The function of the extension should be used');
+    const l2 = await client.songs.nearest({ column: 'features', vector: [1, 0, 0], k: 1 });
+    assertEquals(l2[0].distance, 0, 'Functions the extension does not have should still be added');
+  }
+  finally {
+    await extension.close();
+  }
+});
+
+console.log('\n========================================');
+console.log(`Tests: ${passed} passed, ${failed} failed`);
+console.log('========================================\n');
+
+await database.close();
+for (const path of [TEST_DB, `${TEST_DB}-wal`, `${TEST_DB}-shm`]) {
+  if (fs.existsSync(path)) {
+    fs.unlinkSync(path);
+  }
+}
+
+if (failed > 0) {
+  process.exit(1);
+}
@@ -0,0 +1,223 @@
+/**
+ * Schema Drift Test Suite
+ *
+ * Coverage:
+ * - VS-01 to VS-02: Matching databases
+ * - VS-03 to VS-07: Tables, columns, indexes, foreign keys, checks and triggers that differ
+ * - VS-08 to VS-09: Verifying in getClient
+ */
+
+import { SQLiteDatabase, Table, FTSTable } from '../index.js';
+import fs from 'fs';
+
+const TEST_DB = '/tmp/verify-schema-test.db';
+const MISSING_DB = '/tmp/verify-schema-missing-test.db';
+
+for (const path of [TEST_DB, `${TEST_DB}-wal`, `${TEST_DB}-shm`, MISSING_DB]) {
+  if (fs.existsSync(path)) {
+    fs.unlinkSync(path);
+  }
+}
+
+class Forests extends Table {
+  name = this.Unique(this.Text);
+  rating = this.Check(this.Default(0), this.Gte(0));
+  createdAt = this.Now;
+  notes = this.Null(this.Text);
+}
+
+class Trees extends Table {
+  name = this.Text;
+  forestId = this.Cascade(Forests);
+  height = this.Real;
+  label = this.Generated(this.Concat(this.name, '!'));
+
+  Attributes = () => {
+    this.Trigger({
+      after: 'insert',
+      body: c => ({
+        update: Forests,
+        set: {
+          notes: 'planted'
+        },
+        where: {
+          [c.forests.id]: c.new.forestId
+        }
+      })
+    });
+  }
+}
+
+class Searches extends FTSTable {
+  title;
+}
+
+const classes = { Forests, Trees, Searches };
+
+const database = new SQLiteDatabase(TEST_DB);
+const db = database.getClient(classes);
+
+await db.migrate(db.diff());
+console.log('✓ Schema created\n');
+
+let passed = 0;
+let failed = 0;
+
+async function asyncTest(name, fn) {
+  try {
+    await fn();
+    console.log(`✓ ${name}`);
+    passed++;
+  } catch (e) {
+    console.log(`✗ ${name}`);
+    console.log(`  Error: ${e.message}`);
+    failed++;
+  }
+}
+
+function assert(condition, message) {
+  if (!condition) throw new Error(message || 'Assertion failed');
+}
+
+function assertEquals(actual, expected, message) {
+  if (actual !== expected) {
+    throw new Error(message || `Expected ${expected}, got ${actual}`);
+  }
+}
+
+const find = (discrepancies, kind, name) => discrepancies.find(d => d.kind === kind && (name === undefined || d.name === name || d.table === name));
+
+console.log('=== MATCHING ===\n');
+
+await asyncTest('VS-01: a migrated database has no discrepancies', async () => {
+  const discrepancies = await database.verifySchema();
+  assertEquals(discrepancies.length, 0, discrepancies.map(d => d.message).join('\n'));
+});
+
+await asyncTest('VS-02: the migration history table is ignored', async () => {
+  await database.migrate('create table _midnight_migrations (id integer primary key, name text)');
+  const discrepancies = await database.verifySchema();
+  assertEquals(discrepancies.length, 0, discrepancies.map(d => d.message).join('\n'));
+});
+
+console.log('\n=== DRIFT ===\n');
+
+await database.migrate(`
+  alter table trees add column extra text;
+  drop index trees_forest_id;
+  create index trees_height on trees(height);
+  drop trigger trees_after_insert;
+  create table hotfix (id integer primary key);
+  drop table searches;
+  create table temp_forests (
+    id integer not null,
+    name text not null,
+    rating real,
+    createdAt text not null,
+    notes text default 'none',
+    primary key (id)
+  ) strict;
+  insert into temp_forests select id, name, rating, createdAt, notes from forests;
+  drop table forests;
+  alter table temp_forests rename to forests;
+  create unique index forests_unique_name on forests(name);
+`);
+
+const discrepancies = await database.verifySchema();
+
+await asyncTest('VS-03: missing and extra tables', async () => {
+  assert(find(discrepancies, 'missingTable', 'searches'), 'virtual table should be missing');
+  assert(find(discrepancies, 'extraTable', 'hotfix'), 'hotfix table should be extra');
+  assert(!discrepancies.some(d => d.table.startsWith('searches_')), 'fts shadow tables are not reported');
+});
+
+await asyncTest('VS-04: column types, nullability and defaults', async () => {
+  const type = find(discrepancies, 'type', 'rating');
+  assertEquals(type.table, 'forests');
+  assertEquals(type.expected, 'integer');
+  assertEquals(type.actual, 'real');
+  const notNull = find(discrepancies, 'notNull', 'rating');
+  assertEquals(notNull.expected, true);
+  assertEquals(notNull.actual, false);
+  assertEquals(find(discrepancies, 'default', 'rating').expected, '0');
+  assert(find(discrepancies, 'default', 'createdAt'), 'createdAt default was removed');
+  assertEquals(find(discrepancies, 'default', 'notes').actual, `'none'`);
+  assert(find(discrepancies, 'extraColumn', 'extra'), 'extra column should be reported');
+  assert(!find(discrepancies, 'generated'), 'generated column is unchanged');
+});
+
+await asyncTest('VS-05: indexes', async () => {
+  assertEquals(find(discrepancies, 'missingIndex').name, '(forestId)');
+  assertEquals(find(discrepancies, 'extraIndex').name, '(height)');
+});
+
+await asyncTest('VS-06: foreign keys and checks', async () => {
+  const check = find(discrepancies, 'missingCheck');
+  assertEquals(check.table, 'forests');
+  assertEquals(check.name, 'rating >= 0');
+  assert(!find(discrepancies, 'missingForeignKey'), 'foreign keys of trees are unchanged');
+  await database.migrate(`
+    create table temp_trees (
+      id integer not null,
+      name text not null,
+      forestId integer not null,
+      height real not null,
+      label text generated always as (name || '?') virtual,
+      primary key (id),
+      foreign key (forestId) references forests(id)
+    ) strict;
+    insert into temp_trees (id, name, forestId, height) select id, name, forestId, height from trees;
+    drop table trees;
+    alter table temp_trees rename to trees;
+  `);
+  const result = await database.verifySchema();
+  assertEquals(find(result, 'missingForeignKey').name, '(forestId) references forests(id) on delete cascade');
+  assertEquals(find(result, 'extraForeignKey').name, '(forestId) references forests(id)');
+  assertEquals(find(result, 'generated', 'label').actual, `name || '?'`);
+});
+
+await asyncTest('VS-07: triggers', async () => {
+  const trigger = find(discrepancies, 'missingTrigger');
+  assertEquals(trigger.table, 'trees');
+  assertEquals(trigger.name, 'trees_after_insert');
+});
+
+console.log('\n=== GET CLIENT ===\n');
+
+await asyncTest('VS-08: verifySchema in getClient throws for drift', async () => {
+  const other = new SQLiteDatabase(TEST_DB);
+  let error;
+  try {
+    other.getClient(classes, { verifySchema: true });
+  }
+  catch (e) {
+    error = e;
+  }
+  await other.close();
+  assert(error, 'Should throw');
+  assert(error.message.includes('The table hotfix is in the database but not in the schema'), error.message);
+});
+
+await asyncTest('VS-09: a missing database file has every table missing', async () => {
+  const other = new SQLiteDatabase(MISSING_DB);
+  let error;
+  try {
+    other.getClient({ Forests }, { verifySchema: true });
+  }
+  catch (e) {
+    error = e;
+  }
+  assert(error && error.message.includes('The table forests does not exist'), 'Should throw for missing tables');
+  assert(!fs.existsSync(MISSING_DB), 'verifying should not create the database');
+});
+
+console.log('\n========================================');
+console.log(`Tests: ${passed} passed, ${failed} failed`);
+console.log('========================================\n');
+
+await database.close();
+fs.unlinkSync(TEST_DB);
+
+if (failed > 0) {
+  process.exit(1);
+}
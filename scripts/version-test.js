@@ -0,0 +1,203 @@
+/**
+ * Version Column Test Suite
+ *
+ * Coverage:
+ * - VC-01 to VC-03: Version columns in the schema and on insert
+ * - VC-04 to VC-07: Updates that increment and check the version
+ * - VC-08 to VC-11: Upserts, transactions and batches
+ */
+
+import { SQLiteDatabase, Table, StaleRowError } from '../index.js';
+import fs from 'fs';
+
+const TEST_DB = '/tmp/version-test.db';
+
+if (fs.existsSync(TEST_DB)) {
+  fs.unlinkSync(TEST_DB);
+}
+
+class Accounts extends Table {
+  email = this.Unique(this.Text);
+  balance = this.Int;
+  revision = this.Version;
+}
+
+class Notes extends Table {
+  text = this.Text;
+}
+
+const database = new SQLiteDatabase(TEST_DB);
+const db = database.getClient({ Accounts, Notes });
+
+const sql = db.diff();
+await db.migrate(sql);
+console.log('✓ Schema created\n');
+
+let passed = 0;
+let failed = 0;
+
+async function asyncTest(name, fn) {
+  try {
+    await fn();
+    console.log(`✓ ${name}`);
+    passed++;
+  } catch (e) {
+    console.log(`✗ ${name}`);
+    console.log(`  Error: ${e.message}`);
+    failed++;
+  }
+}
+
+function assert(condition, message) {
+  if (!condition) throw new Error(message || 'Assertion failed');
+}
+
+function assertEquals(actual, expected, message) {
+  if (actual !== expected) {
+    throw new Error(message || `Expected ${expected}, got ${actual}`);
+  }
+}
+
+const getError = async (fn) => {
+  try {
+    await fn();
+  }
+  catch (e) {
+    return e;
+  }
+}
+
+console.log('=== SCHEMA ===\n');
+
+await asyncTest('VC-01: the version column is an integer that starts at 1', async () => {
+  assert(sql.includes('revision integer not null default 1'), sql);
+  const id = await db.accounts.insert({ email: 'ada@example.com', balance: 100 });
+  assertEquals(await db.accounts.get({ id }, 'revision'), 1);
+});
+
+await asyncTest('VC-02: an inserted version is kept', async () => {
+  const id = await db.accounts.insert({ email: 'bo@example.com', balance: 50, revision: 7 });
+  assertEquals(await db.accounts.get({ id }, 'revision'), 7);
+});
+
+await asyncTest('VC-03: tables without a version column are unchanged', async () => {
+  const id = await db.notes.insert({ text: 'hello' });
+  const count = await db.notes.update({ where: { id }, set: { text: 'bye' } });
+  assertEquals(count, 1);
+});
+
+console.log('\n=== UPDATE ===\n');
+
+await asyncTest('VC-04: every update increments the version', async () => {
+  await db.accounts.update({ where: { email: 'ada@example.com' }, set: { balance: 90 } });
+  assertEquals(await db.accounts.get({ email: 'ada@example.com' }, 'revision'), 2);
+});
+
+await asyncTest('VC-05: passing the version that was read updates the row', async () => {
+  const account = await db.accounts.get({ email: 'ada@example.com' });
+  const count = await db.accounts.update({
+    where: { id: account.id },
+    set: { balance: account.balance - 10, revision: account.revision }
+  });
+  assertEquals(count, 1);
+  const updated = await db.accounts.get({ id: account.id });
+  assertEquals(updated.balance, 80);
+  assertEquals(updated.revision, account.revision + 1);
+});
+
+await asyncTest('VC-06: a stale version throws with the expected and actual versions', async () => {
+  const first = await db.accounts.get({ email: 'ada@example.com' });
+  const second = await db.accounts.get({ email: 'ada@example.com' });
+  await db.accounts.update({ where: { id: first.id }, set: { balance: 1, revision: first.revision } });
+  const error = await getError(() => db.accounts.update({
+    where: { id: second.id },
+    set: { balance: 2, revision: second.revision },
+    returning: '*'
+  }));
+  assert(error instanceof StaleRowError, 'Should throw a StaleRowError');
+  assertEquals(error.table, 'accounts');
+  assertEquals(error.expected, second.revision);
+  assertEquals(error.actual, second.revision + 1);
+  assertEquals(await db.accounts.get({ id: first.id }, 'balance'), 1);
+});
+
+await asyncTest('VC-07: a missing row returns zero instead of throwing', async () => {
+  const count = await db.accounts.update({ where: { id: 999 }, set: { balance: 1, revision: 1 } });
+  assertEquals(count, 0);
+});
+
+console.log('\n=== UPSERT AND TRANSACTIONS ===\n');
+
+await asyncTest('VC-08: upserts increment and check the version', async () => {
+  const id = await db.accounts.upsert({
+    values: { email: 'bo@example.com', balance: 60 },
+    target: 'email',
+    set: { balance: 60, revision: 7 }
+  });
+  assertEquals(await db.accounts.get({ id }, 'revision'), 8);
+  const error = await getError(() => db.accounts.upsert({
+    values: { email: 'bo@example.com', balance: 70 },
+    target: 'email',
+    set: { balance: 70, revision: 7 }
+  }));
+  assert(error instanceof StaleRowError, 'Should throw a StaleRowError');
+  assertEquals(error.actual, 8);
+  assertEquals(await db.accounts.get({ id }, 'balance'), 60);
+});
+
+await asyncTest('VC-09: a stale row inside a transaction rolls it back', async () => {
+  const account = await db.accounts.get({ email: 'bo@example.com' });
+  const error = await getError(() => db.transaction(async (tx) => {
+    await tx.notes.insert({ text: 'transfer' });
+    await tx.accounts.update({ where: { id: account.id }, set: { balance: 0, revision: account.revision - 1 } });
+  }));
+  assert(error instanceof StaleRowError, 'Should throw a StaleRowError');
+  assertEquals(await db.notes.count({ where: { text: 'transfer' } }), 0);
+});
+
+await asyncTest('VC-10: checking the version is not supported in batches', async () => {
+  const error = await getError(() => db.batch((bx) => [
+    bx.accounts.update({ where: { id: 1 }, set: { balance: 0, revision: 1 } })
+  ]));
+  assert(error && error.message.includes('batch'), 'Should throw for batches');
+  const before = await db.accounts.get({ id: 1 }, 'revision');
+  await db.batch((bx) => [
+    bx.accounts.update({ where: { id: 1 }, set: { balance: 5 } })
+  ]);
+  assertEquals(await db.accounts.get({ id: 1 }, 'revision'), before + 1);
+});
+
+await asyncTest('VC-11: upsertMany increments the version of updated rows', async () => {
+  const before = await db.accounts.get({ email: 'bo@example.com' }, 'revision');
+  const result = await db.accounts.upsertMany({
+    values: [
+      { email: 'bo@example.com', balance: 80 },
+      { email: 'cy@example.com', balance: 90 }
+    ],
+    target: 'email',
+    set: { balance: (c, f, excluded) => excluded.balance }
+  });
+  assertEquals(result.inserted, 1);
+  assertEquals(result.updated, 1);
+  assertEquals(await db.accounts.get({ email: 'bo@example.com' }, 'revision'), before + 1);
+  assertEquals(await db.accounts.get({ email: 'bo@example.com' }, 'balance'), 80);
+  assertEquals(await db.accounts.get({ email: 'cy@example.com' }, 'revision'), 1);
+  const error = await getError(() => db.accounts.upsertMany({
+    values: [{ email: 'bo@example.com', balance: 10 }],
+    target: 'email',
+    set: { balance: 10, revision: before + 1 }
+  }));
+  assert(error && error.message.includes('upsert'), 'Should throw when set includes the version');
+  assertEquals(await db.accounts.get({ email: 'bo@example.com' }, 'balance'), 80);
+});
+
+console.log('\n========================================');
+console.log(`Tests: ${passed} passed, ${failed} failed`);
+console.log('========================================\n');
+
+await database.close();
+fs.unlinkSync(TEST_DB);
+
+if (failed > 0) {
+  process.exit(1);
+}
@@ -0,0 +1,318 @@
+/**
+ * View Test Suite
+ *
+ * Coverage:
+ * - V-01 to V-03: Schema and SQL generation
+ * - V-04 to V-08: Read methods, db.query and type conversion
+ * - V-09: Write methods are rejected
+ * - V-10 to V-14: Migrations when views and tables change
+ */
+
+import { SQLiteDatabase, Table, View, analyzeMigration } from '../index.js';
+import fs from 'fs';
+
+const TEST_DB = '/tmp/views-test.db';
+
+if (fs.existsSync(TEST_DB)) {
+  fs.unlinkSync(TEST_DB);
+}
+
+class Users extends Table {
+  name;
+  active = this.Bool;
+  joinedAt = this.Now;
+}
+
+class Posts extends Table {
+  title;
+  userId = this.References(Users);
+}
+
+class ActiveUsers extends View {
+  Query(c) {
+    return {
+      select: {
+        id: c.users.id,
+        name: c.users.name,
+        joinedAt: c.users.joinedAt
+      },
+      where: {
+        [c.users.active]: true,
+        [c.users.name]: c.not('O\'Brien')
+      }
+    }
+  }
+}
+
+class PostCounts extends View {
+  Query(c) {
+    const { id, name } = c.activeUsers;
+    return {
+      select: {
+        name,
+        posts: c.count(c.posts.id)
+      },
+      join: [id, c.posts.userId, 'left'],
+      groupBy: id
+    }
+  }
+}
+
+const database = new SQLiteDatabase(TEST_DB);
+const db = database.getClient({ Users, Posts, ActiveUsers, PostCounts });
+
+let passed = 0;
+let failed = 0;
+
+async function asyncTest(name, fn) {
+  try {
+    await fn();
+    console.log(`✓ ${name}`);
+    passed++;
+  } catch (e) {
+    console.log(`✗ ${name}`);
+    console.log(`  Error: ${e.message}`);
+    failed++;
+  }
+}
+
+function assert(condition, message) {
+  if (!condition) throw new Error(message || 'Assertion failed');
+}
+
+function assertEquals(actual, expected, message) {
+  if (actual !== expected) {
+    throw new Error(message || `Expected ${expected}, got ${actual}`);
+  }
+}
+
+console.log('=== SCHEMA ===\n');
+
+await asyncTest('V-01: getSchema includes views after tables', async () => {
+  const schema = db.getSchema();
+  const names = schema.map(t => t.name);
+  assertEquals(names.join(','), 'users,posts,activeUsers,postCounts');
+  const view = schema.find(t => t.name === 'activeUsers');
+  assertEquals(view.type, 'view');
+  assertEquals(view.columns.map(c => c.name).join(','), 'id,name,joinedAt');
+});
+
+await asyncTest('V-02: values are written into the view as literals', async () => {
+  const view = db.getSchema().find(t => t.name === 'activeUsers');
+  assert(!view.sql.includes('$'), 'view should not have parameters');
+  assert(view.sql.includes('\'O\'\'Brien\''), 'strings should be escaped');
+});
+
+await asyncTest('V-03: diff creates the views', async () => {
+  const sql = db.diff();
+  assert(sql.includes('create view activeUsers as select'), 'Should create activeUsers');
+  assert(sql.indexOf('create view activeUsers') < sql.indexOf('create view postCounts'), 'Views should be created in order');
+  await db.migrate(sql);
+});
+
+const alice = await db.users.insert({ name: 'Alice', active: true });
+const bob = await db.users.insert({ name: 'Bob', active: true });
+await db.users.insert({ name: 'Carol', active: false });
+await db.users.insert({ name: 'O\'Brien', active: true });
+await db.posts.insertMany([
+  { title: 'First', userId: alice },
+  { title: 'Second', userId: alice },
+  { title: 'Third', userId: bob }
+]);
+
+console.log('\n=== READS ===\n');
+
+await asyncTest('V-04: many and get', async () => {
+  const users = await db.activeUsers.many();
+  assertEquals(users.length, 2);
+  const user = await db.activeUsers.get({ name: 'Bob' });
+  assertEquals(user.id, bob);
+  const name = await db.activeUsers.get({ id: alice }, 'name');
+  assertEquals(name, 'Alice');
+});
+
+await asyncTest('V-05: query and first', async () => {
+  const users = await db.activeUsers.query({
+    where: { name: n => n.like('A%') },
+    select: ['id', 'name']
+  });
+  assertEquals(users.length, 1);
+  const first = await db.activeUsers.first({ orderBy: 'name', desc: true });
+  assertEquals(first.name, 'Bob');
+});
+
+await asyncTest('V-06: aggregates and exists', async () => {
+  assertEquals(await db.activeUsers.count(), 2);
+  assertEquals(await db.activeUsers.exists({ name: 'Carol' }), false);
+  const total = await db.postCounts.sum({ column: 'posts' });
+  assertEquals(total, 3);
+});
+
+await asyncTest('V-07: columns are converted', async () => {
+  const user = await db.activeUsers.get({ id: alice });
+  assert(user.joinedAt instanceof Date, 'joinedAt should be a Date');
+});
+
+await asyncTest('V-08: views can be used in db.query', async () => {
+  const rows = await db.query(c => {
+    const { name, posts } = c.postCounts;
+    return {
+      select: {
+        name,
+        posts
+      },
+      orderBy: name
+    }
+  });
+  assertEquals(rows.length, 2);
+  assertEquals(rows[0].name, 'Alice');
+  assertEquals(rows[0].posts, 2);
+});
+
+console.log('\n=== WRITES ===\n');
+
+await asyncTest('V-09: write methods are rejected', async () => {
+  for (const method of ['insert', 'update', 'delete']) {
+    let error;
+    try {
+      await db.activeUsers[method]({ name: 'Dave' });
+    }
+    catch (e) {
+      error = e;
+    }
+    assert(error && error.message.includes('view'), `${method} should throw`);
+  }
+});
+
+console.log('\n=== MIGRATIONS ===\n');
+
+const previous = db.getSchema();
+let migrated;
+
+await asyncTest('V-10: unchanged views produce no migration', async () => {
+  const sql = db.diff(previous);
+  assertEquals(sql, '');
+});
+
+await asyncTest('V-11: changed and removed views are recreated and dropped', async () => {
+  class ActiveUsers extends View {
+    Query(c) {
+      return {
+        select: {
+          id: c.users.id,
+          name: c.users.name
+        },
+        where: {
+          [c.users.active]: true
+        }
+      }
+    }
+  }
+  const other = new SQLiteDatabase(TEST_DB);
+  const client = other.getClient({ Users, Posts, ActiveUsers });
+  const sql = client.diff(previous);
+  assert(sql.includes('drop view postCounts'), 'Should drop postCounts');
+  assert(sql.includes('drop view activeUsers'), 'Should drop activeUsers');
+  assert(sql.includes('create view activeUsers'), 'Should recreate activeUsers');
+  assert(sql.indexOf('drop view postCounts') < sql.indexOf('drop view activeUsers'), 'Dependent views should be dropped first');
+  const analysis = analyzeMigration(sql);
+  assertEquals(analysis.addViews.join(','), 'activeUsers');
+  assertEquals(analysis.dropViews.length, 2);
+  assertEquals(analysis.isDestructive, false);
+  await other.close();
+});
+
+await asyncTest('V-12: views are recreated around table changes', async () => {
+  class Users extends Table {
+    name;
+    active = this.Bool;
+    joinedAt = this.Now;
+    email = this.Null(this.Text);
+  }
+  class Posts extends Table {
+    title;
+    body = this.Null(this.Text);
+    userId = this.References(Users, { onDelete: 'cascade' });
+  }
+  const other = new SQLiteDatabase(TEST_DB);
+  const client = other.getClient({ Users, Posts, ActiveUsers, PostCounts });
+  const sql = client.diff(previous);
+  assert(sql.startsWith('drop view postCounts'), 'Views should be dropped first');
+  assert(sql.includes('create table temp_posts'), 'posts should be recreated');
+  assert(sql.trim().endsWith(';'), 'Should end with a statement');
+  assert(sql.lastIndexOf('create view') > sql.indexOf('alter table temp_posts'), 'Views should be created last');
+  await client.migrate(sql);
+  const counts = await client.postCounts.many();
+  assertEquals(counts.length, 2);
+  migrated = client.getSchema();
+  await other.close();
+});
+
+await asyncTest('V-13: a view without a Query method throws', async () => {
+  class Broken extends View {}
+  let error;
+  try {
+    const other = new SQLiteDatabase(':memory:');
+    other.getClient({ Users, Broken });
+  }
+  catch (e) {
+    error = e;
+  }
+  assert(error && error.message.includes('Query'), 'Should throw without a Query method');
+});
+
+await asyncTest('V-14: only views that read changed tables are recreated', async () => {
+  class Users extends Table {
+    name;
+    active = this.Bool;
+    joinedAt = this.Now;
+    email = this.Null(this.Text);
+  }
+  class Tags extends Table {
+    name;
+  }
+  const indexed = () => {
+    class Posts extends Table {
+      title = this.Index(this.Text);
+      body = this.Null(this.Text);
+      userId = this.References(Users, { onDelete: 'cascade' });
+    }
+    return Posts;
+  }
+  const other = new SQLiteDatabase(TEST_DB);
+  const unchanged = other
+    .getClient({ Users, Posts: indexed(), Tags, ActiveUsers, PostCounts })
+    .diff(migrated);
+  assert(unchanged.includes('create table tags'), unchanged);
+  assert(unchanged.includes('create index'), unchanged);
+  assert(!unchanged.includes('view'), 'New tables and indexes should not recreate views');
+  await other.close();
+
+  class Posts extends Table {
+    title;
+    body = this.Null(this.Text);
+    likes = this.Default(0);
+    userId = this.References(Users, { onDelete: 'cascade' });
+  }
+  const updated = new SQLiteDatabase(TEST_DB);
+  const client = updated.getClient({ Users, Posts, Tags, ActiveUsers, PostCounts });
+  const sql = client.diff(migrated);
+  assert(sql.startsWith('drop view postCounts'), 'postCounts reads posts');
+  assert(!sql.includes('drop view activeUsers'), 'activeUsers only reads users');
+  assert(sql.includes('alter table posts add column likes'), sql);
+  await client.migrate(sql);
+  assertEquals((await client.postCounts.many()).length, 2);
+  assertEquals((await updated.verifySchema()).length, 0);
+  await updated.close();
+});
+
+console.log('\n========================================');
+console.log(`Tests: ${passed} passed, ${failed} failed`);
+console.log('========================================\n');
+
+await database.close();
+fs.unlinkSync(TEST_DB);
+
+if (failed > 0) {
+  process.exit(1);
+}
@@ -0,0 +1,303 @@
+/**
+ * Worker Thread Test Suite
+ *
+ * Coverage:
+ * - WK-01 to WK-03: Reads in worker threads return converted rows
+ * - WK-04 to WK-06: The writer lock, transactions and batches
+ * - WK-07 to WK-08: Iterating, errors and custom types
+ * - WK-09 to WK-10: Migrations, history and options
+ * - WK-11 to WK-12: Threads that crash or cannot start
+ */
+
+import { SQLiteDatabase, Table } from '../index.js';
+import fs from 'fs';
+
+const TEST_DB = '/tmp/workers-test.db';
+
+for (const path of [TEST_DB, `${TEST_DB}-wal`, `${TEST_DB}-shm`]) {
+  if (fs.existsSync(path)) {
+    fs.unlinkSync(path);
+  }
+}
+
+class Authors extends Table {
+  name = this.Unique(this.Text);
+}
+
+class Books extends Table {
+  title = this.Text;
+  authorId = this.References(Authors);
+  published = this.False;
+  tags = this.Json;
+  releasedAt = this.Date;
+  cover = this.Null(this.Blob);
+  History = true;
+}
+
+class Readings extends Table {
+  value = this.Int;
+}
+
+const database = new SQLiteDatabase(TEST_DB, { workers: { readers: 2 } });
+const db = database.getClient({ Authors, Books, Readings });
+
+await db.migrate(db.diff());
+const authorId = await db.authors.insert({ name: 'Le Guin' });
+await db.books.insertMany([
+  { title: 'The Dispossessed', authorId, published: true, tags: ['utopia'], releasedAt: new Date('1974-05-01'), cover: Buffer.from([1, 2, 3]) },
+  { title: 'The Lathe of Heaven', authorId, published: false, tags: [], releasedAt: new Date('1971-01-01'), cover: null }
+]);
+console.log('✓ Schema created\n');
+
+let passed = 0;
+let failed = 0;
+
+async function asyncTest(name, fn) {
+  try {
+    await fn();
+    console.log(`✓ ${name}`);
+    passed++;
+  } catch (e) {
+    console.log(`✗ ${name}`);
+    console.log(`  Error: ${e.message}`);
+    failed++;
+  }
+}
+
+function assert(condition, message) {
+  if (!condition) throw new Error(message || 'Assertion failed');
+}
+
+function assertEquals(actual, expected, message) {
+  if (actual !== expected) {
+    throw new Error(message || `Expected ${expected}, got ${actual}`);
+  }
+}
+
+const getError = async (fn) => {
+  try {
+    await fn();
+  }
+  catch (e) {
+    return e;
+  }
+}
+
+console.log('=== READS ===\n');
+
+await asyncTest('WK-01: connections live in worker threads', async () => {
+  assert(database.pool, 'The database should have a pool of workers');
+  assertEquals(database.pool.readers.length, 2);
+  assertEquals(database.read, null);
+  assertEquals(database.write, null);
+});
+
+await asyncTest('WK-02: rows arrive with their values converted', async () => {
+  const book = await db.books.get({ title: 'The Dispossessed' });
+  assertEquals(book.published, true);
+  assertEquals(book.tags[0], 'utopia');
+  assert(book.releasedAt instanceof Date, 'Dates should be converted');
+  assertEquals(book.releasedAt.getUTCFullYear(), 1974);
+  assert(Buffer.isBuffer(book.cover), 'Blobs should be buffers');
+  assertEquals(book.cover[2], 3);
+  const rows = await db.query(c => {
+    const { books: b, authors: a } = c;
+    return {
+      select: { title: b.title, published: b.published, releasedAt: b.releasedAt, author: a.name },
+      join: [b.authorId, a.id],
+      orderBy: b.releasedAt
+    };
+  });
+  assertEquals(rows[0].title, 'The Lathe of Heaven');
+  assertEquals(rows[0].published, false);
+  assert(rows[1].releasedAt instanceof Date, 'Dates should be converted in queries');
+});
+
+await asyncTest('WK-03: slow reads do not block the event loop', async () => {
+  let ticks = 0;
+  const timer = setInterval(() => ticks++, 5);
+  const start = Date.now();
+  const rows = await database.all({
+    query: 'with recursive n(i) as (select 1 union all select i + 1 from n where i < 3000000) select count(*) as total from n'
+  });
+  const duration = Date.now() - start;
+  clearInterval(timer);
+  assertEquals(rows[0].total, 3000000);
+  assert(duration < 50 || ticks > 0, `The timer should run during a ${duration}ms query`);
+});
+
+console.log('\n=== WRITES ===\n');
+
+await asyncTest('WK-04: writes wait for the writer lock and are counted', async () => {
+  database.resetStats();
+  const order = [];
+  await Promise.all([
+    db.transaction(async (tx) => {
+      order.push('first');
+      await tx.authors.insert({ name: 'Banks' });
+      await new Promise(resolve => setTimeout(resolve, 20));
+      order.push('first done');
+    }),
+    db.transaction(async (tx) => {
+      order.push('second');
+      await tx.authors.insert({ name: 'Herbert' });
+    })
+  ]);
+  assertEquals(order.join(','), 'first,first done,second');
+  const stats = database.getStats();
+  assert(stats.writerLock.totalWaits >= 1, 'The wait for the writer should be recorded');
+  assertEquals(stats.transactions.active, 0);
+  assertEquals(await db.authors.count(), 3);
+});
+
+await asyncTest('WK-05: transactions see their own writes until they commit', async () => {
+  const tx = await db.begin();
+  await tx.books.update({ where: { id: 1 }, set: { title: 'Draft' } });
+  assertEquals(await tx.books.get({ id: 1 }, 'title'), 'Draft');
+  assertEquals(await db.books.get({ id: 1 }, 'title'), 'The Dispossessed');
+  await tx.rollback();
+  assertEquals(await db.books.get({ id: 1 }, 'title'), 'The Dispossessed');
+});
+
+await asyncTest('WK-06: batches run in one transaction on the writer', async () => {
+  const [id, books, count] = await db.batch((bx) => [
+    bx.books.insert({ title: 'Tehanu', authorId, tags: ['earthsea'], releasedAt: new Date('1990-01-01') }),
+    bx.books.many({ authorId }),
+    bx.books.count()
+  ]);
+  assertEquals(id, 3);
+  assertEquals(books.length, 3);
+  assertEquals(books[2].tags[0], 'earthsea');
+  assertEquals(count, 3);
+  const error = await getError(() => db.batch((bx) => [
+    bx.books.insert({ title: 'Rejected', authorId, tags: [], releasedAt: new Date() }),
+    bx.authors.insert({ name: 'Le Guin' })
+  ]));
+  assert(error, 'The batch should fail');
+  assertEquals(await db.books.count(), 3, 'The batch should be rolled back');
+});
+
+console.log('\n=== ITERATING AND ERRORS ===\n');
+
+await asyncTest('WK-07: rows can be iterated in pages from a reader', async () => {
+  await db.readings.insertMany(Array.from({ length: 2500 }, (_, i) => ({ value: i })));
+  let count = 0;
+  let total = 0;
+  for await (const reading of db.readings.iterate({ orderBy: 'id' })) {
+    count++;
+    total += reading.value;
+  }
+  assertEquals(count, 2500);
+  assertEquals(total, 2499 * 2500 / 2);
+  const titles = [];
+  for await (const title of db.books.iterate({ return: 'title', orderBy: 'id' })) {
+    titles.push(title);
+    break;
+  }
+  assertEquals(titles[0], 'The Dispossessed');
+  assertEquals(await db.readings.count(), 2500);
+});
+
+await asyncTest('WK-08: errors keep their message and code', async () => {
+  const error = await getError(() => db.authors.insert({ name: 'Le Guin' }));
+  assert(error && error.message.includes('UNIQUE'), 'Should throw for a duplicate name');
+  assertEquals(error.code, 'SQLITE_CONSTRAINT_UNIQUE');
+  const invalid = await getError(() => database.all({ query: 'select * from missing' }));
+  assert(invalid && invalid.message.includes('no such table'), 'Should throw for an unknown table');
+  assertEquals(await db.authors.count(), 3, 'The writer should still work after an error');
+});
+
+console.log('\n=== MIGRATIONS AND OPTIONS ===\n');
+
+await asyncTest('WK-09: migrations, actors and schema checks use the workers', async () => {
+  await db.setActor('ursula');
+  await db.books.update({ where: { id: 2 }, set: { published: true } });
+  await db.setActor(null);
+  const history = await db.books.history({ id: 2 });
+  assertEquals(history.at(-1).actor, 'ursula');
+  assertEquals((await database.verifySchema()).length, 0);
+  const error = await getError(() => db.migrate('create table broken (id integer primary key); select * from missing;'));
+  assert(error, 'The migration should fail');
+  const tables = await database.all({ query: `select name from sqlite_master where name = 'broken'` });
+  assertEquals(tables.length, 0, 'A failed migration should be rolled back');
+});
+
+await asyncTest('WK-10: custom types, invalid options and closing', async () => {
+  const memory = await getError(() => new SQLiteDatabase(':memory:', { workers: true }));
+  assert(memory && memory.message.includes('in-memory'), 'Should throw for an in-memory database');
+  const readers = await getError(() => new SQLiteDatabase(TEST_DB, { workers: { readers: 0 } }));
+  assert(readers && readers.message.includes('readers'), 'Should throw for an invalid number of readers');
+  const other = new SQLiteDatabase(TEST_DB, { workers: true });
+  other.registerTypes([
+    {
+      name: 'date',
+      valueTest: (v) => v instanceof Date,
+      dbToJs: (v) => v === null ? null : v.slice(0, 4),
+      jsToDb: (v) => v.toISOString(),
+      dbType: 'text'
+    }
+  ]);
+  const client = other.getClient({ Authors, Books, Readings });
+  assertEquals(await client.books.get({ id: 1 }, 'releasedAt'), '1974', 'Custom conversions should run on the main thread');
+  assertEquals(await client.books.get({ id: 1 }, 'published'), true);
+  const pool = other.pool;
+  await other.close();
+  assertEquals(other.pool, null);
+  const exited = await Promise.all(pool.readers.map(r => r.worker.terminate()));
+  assert(exited.every(code => code === undefined || typeof code === 'number'), 'The workers should stop');
+});
+
+console.log('\n=== CRASHES ===\n');
+
+await asyncTest('WK-11: threads that stop reject their requests and are replaced', async () => {
+  const crashing = new SQLiteDatabase(TEST_DB, { workers: { readers: 1 } });
+  const client = crashing.getClient({ Authors, Books, Readings });
+  try {
+    assertEquals(await client.authors.get({ id: authorId }, 'name'), 'Le Guin');
+    const slow = getError(() => crashing.all({
+      query: 'with recursive n(i) as (select 1 union all select i + 1 from n where i < 100000000) select count(*) as total from n'
+    }));
+    const [reader] = crashing.pool.readers;
+    await reader.worker.terminate();
+    const error = await slow;
+    assert(error && error.message.includes('exit code'), 'Requests to a thread that stops should be rejected');
+    assertEquals(await client.authors.get({ id: authorId }, 'name'), 'Le Guin', 'A new thread should be started');
+    await crashing.pool.writer.worker.terminate();
+    await client.readings.insert({ value: -1 });
+    assertEquals(await client.readings.count({ where: { value: -1 } }), 1, 'The writer should be replaced');
+    await client.readings.delete({ value: -1 });
+  }
+  finally {
+    await crashing.close();
+  }
+});
+
+await asyncTest('WK-12: threads that cannot start reject every request', async () => {
+  const broken = new SQLiteDatabase(TEST_DB, { workers: { readers: 1 } });
+  broken.registerFunction('missing', () => 1, { module: new URL('../index.js', import.meta.url) });
+  const client = broken.getClient({ Authors, Books, Readings });
+  try {
+    for (let i = 0; i < 2; i++) {
+      const error = await getError(() => client.authors.count());
+      assert(error && error.message.includes('does not export "missing"'), `Request ${i + 1} should be rejected`);
+    }
+  }
+  finally {
+    await broken.close();
+  }
+});
+
+console.log('\n========================================');
+console.log(`Tests: ${passed} passed, ${failed} failed`);
+console.log('========================================\n');
+
+await database.close();
+for (const path of [TEST_DB, `${TEST_DB}-wal`, `${TEST_DB}-shm`]) {
+  if (fs.existsSync(path)) {
+    fs.unlinkSync(path);
+  }
+}
+
+if (failed > 0) {
+  process.exit(1);
+}
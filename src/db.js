@@ -1,10 +1,13 @@
 import { toValues } from './utils.js';
-import { parse } from './parsers.js';
+import { parse, builtInTypes, toDbValue } from './parsers.js';
+import { checkMethod } from './methods.js';
 import { mapOne, mapMany } from './map.js';
 import { makeClient } from './proxy.js';
-import { processQuery } from './symbols.js';
-import { process, toSql } from './tables.js';
-import toMigration, { analyzeMigration } from './migrate.js';
+import { processQuery, processCursorQuery, processRecursive, processCompound, processView, isCompound } from './symbols.js';
+import { decodeCursor, toKeys, toKeysetQuery, toPage } from './keyset.js';
+import { process, toHistory, toSql, removeCapital, View } from './tables.js';
+import toMigration, { analyzeMigration, toDownMigration } from './migrate.js';
+import { QueryTimeoutError } from './errors.js';
 
 export { analyzeMigration };
 
@@ -17,30 +20,74 @@ const dbTypes = {
   any: true
 }
 
+const toTableSet = (tables) => new Set([...tables].map(t => t.toLowerCase()));
+
+const toCacheValue = (key, value) => typeof value === 'bigint' ? `${value}n` : value;
+
+/**
+ * Estimates the number of bytes a query result takes up in memory
+ */
+const getSize = (value) => {
+  if (value === null || value === undefined) {
+    return 0;
+  }
+  if (typeof value === 'string') {
+    return value.length * 2;
+  }
+  if (typeof value === 'number' || typeof value === 'bigint' || value instanceof Date) {
+    return 8;
+  }
+  if (typeof value === 'boolean') {
+    return 4;
+  }
+  if (ArrayBuffer.isView(value) || value instanceof ArrayBuffer) {
+    return value.byteLength;
+  }
+  if (Array.isArray(value)) {
+    return value.reduce((total, item) => total + getSize(item), 0);
+  }
+  let total = 0;
+  for (const [key, item] of Object.entries(value)) {
+    total += key.length * 2 + getSize(item);
+  }
+  return total;
+}
+
 class Database {
   constructor(options = {}) {
     this.write = null;
     this.tables = {};
     this.mappers = {};
     this.customTypes = {};
+    this.customMethods = new Map();
     this.columns = {};
     this.columnInfo = {};
     this.hasJson = {};
     this.computed = {};
     this.softDeleteTables = new Set();
+    this.versionColumns = {};
+    this.relations = {};
     this.schema = [];
     this.statements = new Map();
     this.virtualSet = new Set();
+    this.viewSet = new Set();
     this.closed = false;
     this.initialized = false;
+    this.savepointCount = 1;
     this.logger = options.logger || null;
     this.logOptions = options.logOptions || {};
+    this.cursorSecret = options.cursorSecret || null;
     
     // Query cache
     this.cache = new Map();
     this.cacheEnabled = false;
     this.cacheDefaultTTL = 60000; // 60 seconds default
-    this.cacheStats = { hits: 0, misses: 0, invalidations: 0 };
+    this.cacheMaxEntries = 1000;
+    this.cacheMaxBytes = 16 * 1024 * 1024;
+    this.cacheOptIn = false;
+    this.cacheBytes = 0;
+    this.cacheStats = { hits: 0, misses: 0, invalidations: 0, evictions: 0 };
+    this.viewTables = {};
     
     // Lifecycle hooks: { tableName: { hookName: [fn, fn, ...] } }
     this.hooks = {};
@@ -51,6 +98,7 @@ class Database {
       totalReads: 0,
       totalWrites: 0,
       totalErrors: 0,
+      totalTimeouts: 0,
       totalDurationMs: 0,
       slowQueries: 0,
       slowQueryThresholdMs: 100, // queries taking longer than this are "slow"
@@ -59,39 +107,24 @@ class Database {
       writerLockWaitTimeMs: 0
     };
     
-    this.registerTypes([
-      {
-        name: 'boolean',
-        valueTest: (v) => typeof v === 'boolean',
-        makeConstraint: (column) => `check (${column} in (0, 1))`,
-        dbToJs: (v) => v === null ? null : Boolean(v),
-        jsToDb: (v) => v === true ? 1 : 0,
-        dbType: 'integer'
-      },
-      {
-        name: 'date',
-        valueTest: (v) => v instanceof Date,
-        dbToJs: (v) => v === null ? null : new Date(v),
-        jsToDb: (v) => v.toISOString(),
-        dbType: 'text'
-      },
-      {
-        name: 'json',
-        valueTest: (v) => Object.getPrototypeOf(v) === Object.prototype || Array.isArray(v),
-        dbToJs: (v) => v === null ? null : JSON.parse(v),
-        jsToDb: (v) => JSON.stringify(v),
-        dbType: 'blob'
-      }
-    ]);
+    this.registerTypes(builtInTypes);
   }
 
   getClient(schema) {
     const classes = Object.values(schema);
+    const views = classes.filter(c => c.prototype instanceof View);
     for (const type of classes) {
-      const table = process(type);
+      if (views.includes(type)) {
+        continue;
+      }
+      const table = process(type, this.customMethods);
       this.schema.push(table);
+      if (table.history) {
+        this.schema.push(toHistory(table));
+      }
     }
     this.addTables();
+    this.addViews(views);
     return makeClient(this);
   }
 
@@ -112,30 +145,108 @@ class Database {
     return toMigration(previous, current);
   }
 
-  subquery(expression) {
-    return processQuery(this, expression);
+  diffDown(previous) {
+    return toDownMigration(previous || [], this.getSchema());
+  }
+
+  subquery(expression, scope) {
+    return this.processExpression(expression, false, scope);
+  }
+
+  recursive(definition, scope) {
+    return processRecursive(this, definition, scope);
+  }
+
+  processExpression(expression, first, scope) {
+    if (isCompound(expression)) {
+      return processCompound(this, expression, first, scope);
+    }
+    return processQuery(this, expression, first, null, scope);
   }
 
-  async query(expression, tx, first) {
-    const { sql, params, post } = processQuery(this, expression, first);
+  async query(expression, tx, first, scope, config = {}) {
+    const { sql, params, tables, parsers, post } = this.processExpression(expression, first, scope);
     const options = {
       query: sql,
       params,
-      tx
+      tx,
+      tables,
+      cache: config.cache,
+      ttl: config.ttl,
+      timeout: config.timeout,
+      signal: config.signal
     };
     if (tx && tx.isBatch) {
       const result = await this.all(options);
       return {
-        statement: result.statement,
-        params: result.params,
+        ...result,
         post: (meta) => {
           const response = result.post(meta);
           return post(response);
         }
       }
     }
-    const rows = await this.all(options);
-    return post(rows);
+    const rows = await this.all({ ...options, parsers });
+    return post(rows, true);
+  }
+
+  async cursorPaginate(expression, tx, scope, config = {}) {
+    if (tx && tx.isBatch) {
+      throw Error('The "cursorPaginate" method cannot be used in a batch');
+    }
+    const secret = this.getCursorSecret();
+    const query = processCursorQuery(this, expression, scope);
+    const limit = Math.max(1, Math.min(1000, parseInt(query.limit, 10) || 20));
+    const keys = toKeys('query', query.keyset);
+    const cursor = query.cursor !== undefined && query.cursor !== null ? decodeCursor(secret, query.cursor, keys) : null;
+    const wrapped = toKeysetQuery({
+      sql: query.sql,
+      keyset: query.keyset,
+      cursor,
+      limit
+    });
+    const rows = await this.all({
+      query: wrapped.sql,
+      params: { ...query.params, ...wrapped.params },
+      tx,
+      tables: query.tables,
+      parsers: query.parsers,
+      cache: config.cache,
+      ttl: config.ttl,
+      timeout: config.timeout,
+      signal: config.signal
+    });
+    const values = rows.map(row => query.keyset.map(k => row[k.name]));
+    return toPage({
+      secret,
+      keys,
+      cursor,
+      limit,
+      rows: query.post(rows, true),
+      values
+    });
+  }
+
+  /**
+   * Cursors are encrypted with a secret that has to stay the same
+   * across restarts and processes, so a random one cannot be used.
+   */
+  getCursorSecret() {
+    if (!this.cursorSecret) {
+      throw Error('The "cursorSecret" option of the database is needed to use "cursorPaginate"');
+    }
+    return this.cursorSecret;
+  }
+
+  async *iterate(expression, tx, scope, config = {}) {
+    if (tx && tx.isBatch) {
+      throw Error('The "iterate" method cannot be used in a batch');
+    }
+    const { sql, params, sorted, limited, post } = this.processExpression(expression, false, scope);
+    const { timeout, signal } = config;
+    for await (const row of this.iterateRows({ query: sql, params, tx, sorted, limited, timeout, signal })) {
+      yield post([row])[0];
+    }
   }
 
   async migrate() {
@@ -144,33 +255,109 @@ class Database {
 
   addTables() {
     for (const table of this.schema) {
-      if (table.type === 'fts5') {
-        this.virtualSet.add(table.name);
+      this.addTable(table);
+    }
+    this.addRelations();
+  }
+
+  addViews(views) {
+    for (const type of views) {
+      const instance = new type();
+      const name = removeCapital(type.name);
+      const { sql, tables, columns } = processView(this, (c) => instance.Query(c));
+      const view = {
+        name,
+        type: 'view',
+        softDelete: false,
+        sql,
+        columns: Object
+          .entries(columns)
+          .map(([name, type]) => ({ name, type, notNull: false })),
+        computed: [],
+        indexes: [],
+        primaryKeys: [],
+        foreignKeys: [],
+        checks: [],
+        triggers: []
+      };
+      this.schema.push(view);
+      this.viewSet.add(name);
+      this.viewTables[name] = tables;
+      this.relations[name] = {};
+      this.addTable(view);
+    }
+  }
+
+  addTable(table) {
+    if (table.type === 'fts5') {
+      this.virtualSet.add(table.name);
+    }
+    if (table.softDelete) {
+      this.softDeleteTables.add(table.name);
+    }
+    this.tables[table.name] = table.columns;
+    this.columns[table.name] = {};
+    this.columnInfo[table.name] = {};
+    this.computed[table.name] = {};
+    this.hasJson[table.name] = false;
+    const columns = [...table.columns, ...table.computed];
+    for (const column of columns) {
+      this.columns[table.name][column.name] = column.type;
+      this.columnInfo[table.name][column.name] = {
+        type: column.type,
+        notNull: column.notNull === true,
+        default: column.default,
+        primaryKey: column.primaryKey === true,
+        computed: Boolean(column.sql),
+        generated: Boolean(column.generated),
+        dimensions: column.dimensions
+      };
+      if (column.type === 'json') {
+        this.hasJson[table.name] = true;
       }
-      if (table.softDelete) {
-        this.softDeleteTables.add(table.name);
+      if (column.version) {
+        this.versionColumns[table.name] = column.name;
       }
-      this.tables[table.name] = table.columns;
-      this.columns[table.name] = {};
-      this.columnInfo[table.name] = {};
-      this.computed[table.name] = {};
-      this.hasJson[table.name] = false;
-      const columns = [...table.columns, ...table.computed];
-      for (const column of columns) {
-        this.columns[table.name][column.name] = column.type;
-        this.columnInfo[table.name][column.name] = {
-          type: column.type,
-          notNull: column.notNull === true,
-          default: column.default,
-          primaryKey: column.primaryKey === true,
-          computed: Boolean(column.sql)
+    }
+    for (const computed of table.computed) {
+      this.computed[table.name][computed.name] = computed.sql;
+    }
+  }
+
+  addRelations() {
+    for (const table of this.schema) {
+      this.relations[table.name] = {};
+    }
+    for (const table of this.schema) {
+      for (const foreignKey of table.foreignKeys) {
+        const column = foreignKey.columns.at(0);
+        const references = foreignKey.references;
+        const key = {
+          column,
+          references: references.column
         };
-        if (column.type === 'json') {
-          this.hasJson[table.name] = true;
+        const name = column.replace(/Id$/, '');
+        if (name !== column && name.length > 0) {
+          this.relations[table.name][name] = {
+            type: 'one',
+            table: references.table,
+            keys: [key]
+          };
+        }
+        const parent = this.relations[references.table];
+        if (!parent) {
+          continue;
+        }
+        if (parent[table.name]) {
+          parent[table.name].keys.push(key);
+        }
+        else {
+          parent[table.name] = {
+            type: 'many',
+            table: table.name,
+            keys: [key]
+          };
         }
-      }
-      for (const computed of table.computed) {
-        this.computed[table.name][computed.name] = computed.sql;
       }
     }
   }
@@ -190,6 +377,63 @@ class Database {
     }
   }
 
+  /**
+   * Makes a JavaScript function available to SQL. It can be used on the query
+   * context and, with a capital letter, on table classes. The result is
+   * converted like a column of the given type. Worker threads import the
+   * function from the module given by the module option.
+   */
+  registerFunction(name, fn, options = {}) {
+    const { deterministic = false, varargs = false, type = 'any', module } = options;
+    if (typeof fn !== 'function') {
+      throw Error(`The function "${name}" is not a function`);
+    }
+    const converted = (...args) => this.jsToDb(fn(...args));
+    // The number of arguments SQLite allows is taken from the length of the function
+    Object.defineProperty(converted, 'length', { value: fn.length });
+    this.addFunction({
+      name: checkMethod(name, type, this.customMethods),
+      key: name,
+      module,
+      options: {
+        deterministic,
+        varargs
+      },
+      fn: converted
+    });
+    this.customMethods.set(name, type);
+  }
+
+  /**
+   * Makes an aggregate function available to SQL. The step function is called
+   * with the total, starting with start, and each row's values.
+   */
+  registerAggregate(name, options) {
+    const { start, step, inverse, result, deterministic = false, varargs = false, type = 'any', module } = options;
+    if (typeof step !== 'function') {
+      throw Error(`The aggregate "${name}" needs a step function`);
+    }
+    this.addFunction({
+      name: checkMethod(name, type, this.customMethods),
+      key: name,
+      module,
+      aggregate: true,
+      options: {
+        start,
+        step,
+        inverse,
+        result: (total) => this.jsToDb(result ? result(total) : total),
+        deterministic,
+        varargs
+      }
+    });
+    this.customMethods.set(name, type);
+  }
+
+  addFunction() {
+    throw Error('Functions cannot be registered with this driver');
+  }
+
   setLogger(logger, options = {}) {
     this.logger = logger;
     this.logOptions = { ...this.logOptions, ...options };
@@ -198,27 +442,72 @@ class Database {
   // ---- Query Cache Methods ----
 
   /**
-   * Enable or disable caching with optional default TTL
+   * Enable or disable caching with optional limits
    * @param {boolean} enabled - Whether to enable caching
    * @param {Object} options - Cache options
    * @param {number} options.ttl - Default TTL in milliseconds (default: 60000)
+   * @param {number} options.maxEntries - Most entries to keep before evicting the least recently used (default: 1000)
+   * @param {number} options.maxBytes - Most bytes of results to keep before evicting (default: 16 MB)
+   * @param {boolean} options.optIn - Only cache queries that pass "cache: true" (default: false)
    */
   enableCache(enabled = true, options = {}) {
+    if (typeof enabled === 'object') {
+      options = enabled;
+      enabled = true;
+    }
     this.cacheEnabled = enabled;
     if (options.ttl !== undefined) {
       this.cacheDefaultTTL = options.ttl;
     }
+    if (options.maxEntries !== undefined) {
+      this.cacheMaxEntries = options.maxEntries;
+    }
+    if (options.maxBytes !== undefined) {
+      this.cacheMaxBytes = options.maxBytes;
+    }
+    if (options.optIn !== undefined) {
+      this.cacheOptIn = options.optIn;
+    }
     if (!enabled) {
       this.clearCache();
     }
+    else {
+      this.evictCached();
+    }
   }
 
   /**
-   * Generate a cache key from SQL and params
+   * Whether a read should use the cache, given the "cache" option of the query
+   */
+  canCache(cache) {
+    if (!this.cacheEnabled || cache === false) {
+      return false;
+    }
+    return cache === true || !this.cacheOptIn;
+  }
+
+  /**
+   * Generate a cache key from SQL and params. Placeholders are numbered
+   * by a global counter, so they are renamed in the order they appear.
    */
   getCacheKey(sql, params) {
-    const paramStr = params ? JSON.stringify(params) : '';
-    return `${sql}|${paramStr}`;
+    if (!params) {
+      return sql;
+    }
+    const names = new Map();
+    const normalized = sql.replaceAll(/\$(p_\d+)/g, (m, name) => {
+      if (!names.has(name)) {
+        names.set(name, `$c_${names.size}`);
+      }
+      return names.get(name);
+    });
+    const values = [...names.keys()].map(name => params[name]);
+    const others = Object
+      .keys(params)
+      .filter(key => !names.has(key))
+      .sort()
+      .map(key => [key, params[key]]);
+    return `${normalized}|${JSON.stringify([values, others], toCacheValue)}`;
   }
 
   /**
@@ -236,11 +525,14 @@ class Database {
     }
     
     if (Date.now() > entry.expiresAt) {
-      this.cache.delete(key);
+      this.deleteCached(key, entry);
       this.cacheStats.misses++;
       return null;
     }
     
+    // Move the entry to the end so that it is evicted last
+    this.cache.delete(key);
+    this.cache.set(key, entry);
     this.cacheStats.hits++;
     // Clone on retrieval to prevent mutations affecting cached data
     return structuredClone(entry.data);
@@ -248,22 +540,58 @@ class Database {
 
   /**
    * Store a result in the cache
+   * @param {string} sql - The statement
+   * @param {Object} params - The parameters of the statement
+   * @param {any} data - The result
+   * @param {number} ttl - TTL in milliseconds, or the default TTL when undefined
+   * @param {Iterable<string>} tables - The tables the statement reads
    */
-  setCached(sql, params, data, ttl) {
+  setCached(sql, params, data, ttl, tables) {
     if (!this.cacheEnabled) return;
     
     const key = this.getCacheKey(sql, params);
     const effectiveTTL = ttl !== undefined ? ttl : this.cacheDefaultTTL;
+    const bytes = getSize(data);
+    
+    const existing = this.cache.get(key);
+    if (existing) {
+      this.deleteCached(key, existing);
+    }
+    if (bytes > this.cacheMaxBytes) {
+      return;
+    }
     
     this.cache.set(key, {
       data: structuredClone(data), // Clone to prevent mutation
       expiresAt: Date.now() + effectiveTTL,
-      tables: this.extractTablesFromSql(sql)
+      tables: toTableSet(tables || this.extractTablesFromSql(sql)),
+      bytes
     });
+    this.cacheBytes += bytes;
+    this.evictCached();
+  }
+
+  deleteCached(key, entry) {
+    this.cache.delete(key);
+    this.cacheBytes -= entry.bytes;
   }
 
   /**
-   * Extract table names from SQL (simple heuristic)
+   * Evict the least recently used entries until the cache is within its limits
+   */
+  evictCached() {
+    for (const [key, entry] of this.cache.entries()) {
+      if (this.cache.size <= this.cacheMaxEntries && this.cacheBytes <= this.cacheMaxBytes) {
+        break;
+      }
+      this.deleteCached(key, entry);
+      this.cacheStats.evictions++;
+    }
+  }
+
+  /**
+   * Extract table names from SQL (simple heuristic). Only used for
+   * raw SQL, as queries from the query builder know their tables.
    */
   extractTablesFromSql(sql) {
     const tables = new Set();
@@ -289,25 +617,65 @@ class Database {
     return tables;
   }
 
+  /**
+   * Adds the tables that a write to the given tables can also change:
+   * tables with foreign keys that reference them, tables written to
+   * by their triggers (such as history tables) and views that read them.
+   */
+  getAffectedTables(tables) {
+    const affected = toTableSet(tables);
+    const pending = [...affected];
+    while (pending.length > 0) {
+      const name = pending.pop();
+      const source = this.schema.find(t => t.name.toLowerCase() === name);
+      const bodies = source ? source.triggers.flatMap(t => t.body).join(' ') : '';
+      for (const table of this.schema) {
+        const lower = table.name.toLowerCase();
+        if (affected.has(lower)) {
+          continue;
+        }
+        const references = table.foreignKeys.some(k => k.references.table.toLowerCase() === name);
+        const reads = (this.viewTables[table.name] || []).some(t => t.toLowerCase() === name);
+        const written = bodies !== '' && new RegExp(`\\b${table.name}\\b`, 'i').test(bodies);
+        if (references || reads || written) {
+          affected.add(lower);
+          pending.push(lower);
+        }
+      }
+    }
+    return affected;
+  }
+
+  /**
+   * Invalidate the cache entries of the tables changed by a write.
+   * Inside a transaction or batch, the tables are kept until it commits.
+   */
+  invalidateWrites(tables, tx) {
+    if (!this.cacheEnabled) return;
+
+    const affected = this.getAffectedTables(tables);
+    if (tx && tx.changed) {
+      for (const table of affected) {
+        tx.changed.add(table);
+      }
+      return;
+    }
+    this.invalidateCache(affected);
+  }
+
   /**
    * Invalidate cache entries for affected tables
    */
   invalidateCache(tables) {
     if (!this.cacheEnabled || this.cache.size === 0) return;
     
-    let tablesToInvalidate;
-    if (tables instanceof Set) {
-      tablesToInvalidate = tables;
-    } else if (Array.isArray(tables)) {
-      tablesToInvalidate = new Set(tables.map(t => t.toLowerCase()));
-    } else {
-      tablesToInvalidate = new Set([tables.toLowerCase()]);
-    }
+    const tablesToInvalidate = toTableSet(typeof tables === 'string' ? [tables] : tables);
+    if (tablesToInvalidate.size === 0) return;
     
     for (const [key, entry] of this.cache.entries()) {
       for (const table of entry.tables) {
         if (tablesToInvalidate.has(table)) {
-          this.cache.delete(key);
+          this.deleteCached(key, entry);
           this.cacheStats.invalidations++;
           break;
         }
@@ -320,6 +688,7 @@ class Database {
    */
   clearCache() {
     this.cache.clear();
+    this.cacheBytes = 0;
   }
 
   /**
@@ -329,6 +698,7 @@ class Database {
     return {
       ...this.cacheStats,
       size: this.cache.size,
+      bytes: this.cacheBytes,
       enabled: this.cacheEnabled,
       hitRate: this.cacheStats.hits + this.cacheStats.misses > 0
         ? (this.cacheStats.hits / (this.cacheStats.hits + this.cacheStats.misses) * 100).toFixed(2) + '%'
@@ -340,7 +710,7 @@ class Database {
    * Reset cache statistics
    */
   resetCacheStats() {
-    this.cacheStats = { hits: 0, misses: 0, invalidations: 0 };
+    this.cacheStats = { hits: 0, misses: 0, invalidations: 0, evictions: 0 };
   }
 
   // ---- Query Statistics ----
@@ -348,7 +718,7 @@ class Database {
   /**
    * Record a query execution for stats
    */
-  recordQueryStats(durationMs, isWrite, isError) {
+  recordQueryStats(durationMs, isWrite, error) {
     this.queryStats.totalQueries++;
     this.queryStats.totalDurationMs += durationMs;
     if (isWrite) {
@@ -356,14 +726,34 @@ class Database {
     } else {
       this.queryStats.totalReads++;
     }
-    if (isError) {
+    if (error) {
       this.queryStats.totalErrors++;
     }
+    if (error instanceof QueryTimeoutError) {
+      this.queryStats.totalTimeouts++;
+    }
     if (durationMs > this.queryStats.slowQueryThresholdMs) {
       this.queryStats.slowQueries++;
     }
   }
 
+  /**
+   * Throws when the signal of a query has been aborted, and returns
+   * the time the query has to finish by when it has a timeout.
+   */
+  getDeadline(timeout, signal) {
+    if (signal) {
+      signal.throwIfAborted();
+    }
+    if (timeout === undefined || timeout === null) {
+      return null;
+    }
+    if (typeof timeout !== 'number' || !(timeout > 0)) {
+      throw Error(`Invalid timeout: ${timeout}`);
+    }
+    return Date.now() + timeout;
+  }
+
   /**
    * Record writer lock wait time
    */
@@ -389,6 +779,7 @@ class Database {
         reads: this.queryStats.totalReads,
         writes: this.queryStats.totalWrites,
         errors: this.queryStats.totalErrors,
+        timeouts: this.queryStats.totalTimeouts,
         avgDurationMs: parseFloat(avgQueryTime),
         slowQueries: this.queryStats.slowQueries,
         slowThresholdMs: this.queryStats.slowQueryThresholdMs
@@ -413,6 +804,7 @@ class Database {
       totalReads: 0,
       totalWrites: 0,
       totalErrors: 0,
+      totalTimeouts: 0,
       totalDurationMs: 0,
       slowQueries: 0,
       slowQueryThresholdMs: this.queryStats.slowQueryThresholdMs,
@@ -616,7 +1008,7 @@ class Database {
   async explain(expression, tx) {
     const details = typeof expression === 'string'
       ? { sql: expression, params: {} }
-      : processQuery(this, expression);
+      : this.processExpression(expression);
     return await this._explain(details.sql, details.params || {}, tx);
   }
 
@@ -642,6 +1034,22 @@ class Database {
     return primaryKey.name;
   }
 
+  /**
+   * Whether every row has a different value in the column. Nullable
+   * columns are not unique as many rows can be null.
+   */
+  isUnique(table, column) {
+    const info = this.columnInfo[table][column];
+    if (info && info.primaryKey) {
+      return true;
+    }
+    if (!info || !info.notNull) {
+      return false;
+    }
+    const schema = this.schema.find(t => t.name === table);
+    return Boolean(schema) && schema.indexes.some(i => i.type === 'unique' && i.on === column && !i.where);
+  }
+
   convertToJs(table, column, value, customFields) {
     if (value === null) {
       return value;
@@ -672,20 +1080,7 @@ class Database {
   }
 
   jsToDb(value) {
-    if (value === undefined) {
-      return null;
-    }
-    if (value === null || typeof value === 'string' || typeof value === 'number' || (typeof Buffer !== 'undefined' && Buffer.isBuffer(value))) {
-      return value;
-    }
-    else {
-      for (const customType of Object.values(this.customTypes)) {
-        if (customType.valueTest && customType.valueTest(value)) {
-          return customType.jsToDb(value);
-        }
-      }
-    }
-    return value;
+    return toDbValue(value, Object.values(this.customTypes));
   }
 
   adjust(params) {
@@ -696,6 +1091,28 @@ class Database {
     return adjusted;
   }
 
+  /**
+   * Converts the columns of each row that have a parser. Drivers use this for
+   * the "parsers" option of "all" so that rows are returned already converted.
+   */
+  parseRows(rows, parsers) {
+    if (!parsers) {
+      return rows;
+    }
+    const entries = Object.entries(parsers);
+    if (entries.length === 0) {
+      return rows;
+    }
+    for (const row of rows) {
+      for (const [column, parser] of entries) {
+        if (column in row) {
+          row[column] = parser(row[column]);
+        }
+      }
+    }
+    return rows;
+  }
+
   process(result, options) {
     if (!options) {
       return result;
@@ -741,6 +1158,40 @@ class Database {
     return result;
   }
 
+  async transaction(tx, handler, type) {
+    const client = tx ? await this.savepoint(tx) : await this.begin(type);
+    try {
+      const result = await handler(client);
+      await client.commit();
+      return result;
+    }
+    catch (e) {
+      try {
+        await client.rollback();
+      }
+      catch {
+        // SQLite may have already rolled back, and the original error is the useful one
+      }
+      throw e;
+    }
+  }
+
+  async savepoint(tx) {
+    const savepoint = `sp_${this.savepointCount}`;
+    this.savepointCount++;
+    await this.basicRun(`savepoint ${savepoint}`, tx);
+    return makeClient(this, { ...tx, savepoint });
+  }
+
+  async releaseSavepoint(tx) {
+    await this.basicRun(`release ${tx.savepoint}`, tx);
+  }
+
+  async rollbackSavepoint(tx) {
+    await this.basicRun(`rollback to ${tx.savepoint}`, tx);
+    await this.basicRun(`release ${tx.savepoint}`, tx);
+  }
+
   async basicRun() {
     return;
   }
@@ -753,6 +1204,14 @@ class Database {
     return;
   }
 
+  async *iterateRows() {
+    return;
+  }
+
+  async setActor() {
+    throw Error(`Setting the actor of history tables is not supported by ${this.constructor.name}`);
+  }
+
   async run() {
     return;
   }
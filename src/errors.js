@@ -0,0 +1,23 @@
+class StaleRowError extends Error {
+  constructor(table, expected, actual) {
+    super(`The row in ${table} was changed by another update. Expected version ${expected} but found ${actual}`);
+    this.name = 'StaleRowError';
+    this.table = table;
+    this.expected = expected;
+    this.actual = actual;
+  }
+}
+
+class QueryTimeoutError extends Error {
+  constructor(sql, timeout) {
+    super(`The query took longer than its timeout of ${timeout}ms: ${sql}`);
+    this.name = 'QueryTimeoutError';
+    this.sql = sql;
+    this.timeout = timeout;
+  }
+}
+
+export {
+  StaleRowError,
+  QueryTimeoutError
+}
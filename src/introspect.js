@@ -0,0 +1,689 @@
+import { splitStatements } from './utils.js';
+import { toLiteral } from './requests.js';
+import { typeMap } from './tables.js';
+
+const nowDefault = `date() || 'T' || time() || '.000Z'`;
+const shadowTables = ['data', 'idx', 'content', 'docsize', 'config'];
+
+const typeNames = {
+  integer: 'Int',
+  real: 'Real',
+  text: 'Text',
+  blob: 'Blob',
+  date: 'Date',
+  any: 'Blob'
+};
+
+const compareNames = {
+  '!=': 'Not',
+  '>': 'Gt',
+  '>=': 'Gte',
+  '<': 'Lt',
+  '<=': 'Lte'
+};
+
+const findClosing = (sql, start) => {
+  let depth = 0;
+  let quote = null;
+  for (let i = start; i < sql.length; i++) {
+    const char = sql[i];
+    if (quote) {
+      if (char === quote) {
+        quote = null;
+      }
+      continue;
+    }
+    if (char === '\'' || char === '"') {
+      quote = char;
+    }
+    else if (char === '(') {
+      depth++;
+    }
+    else if (char === ')') {
+      depth--;
+      if (depth === 0) {
+        return i;
+      }
+    }
+  }
+  return -1;
+}
+
+const readParens = (sql, pattern) => {
+  const results = [];
+  const regex = new RegExp(`${pattern}\\s*\\(`, 'gi');
+  let match;
+  while ((match = regex.exec(sql)) !== null) {
+    const start = match.index + match[0].length - 1;
+    const end = findClosing(sql, start);
+    if (end === -1) {
+      break;
+    }
+    results.push({
+      content: sql.slice(start + 1, end).trim(),
+      rest: sql.slice(end + 1)
+    });
+    regex.lastIndex = end;
+  }
+  return results;
+}
+
+const splitList = (sql) => {
+  const items = [];
+  let current = '';
+  let quote = null;
+  for (const char of sql) {
+    if (quote) {
+      if (char === quote) {
+        quote = null;
+      }
+    }
+    else if (char === '\'') {
+      quote = char;
+    }
+    else if (char === ',') {
+      items.push(current.trim());
+      current = '';
+      continue;
+    }
+    current += char;
+  }
+  items.push(current.trim());
+  return items;
+}
+
+const parseLiteral = (value) => {
+  if (value === null || value === undefined || /^null$/i.test(value)) {
+    return undefined;
+  }
+  const string = value.match(/^'([\s\S]*)'$/);
+  if (string) {
+    return string[1].replaceAll('\'\'', '\'');
+  }
+  if (/^-?\d+(\.\d+)?$/.test(value)) {
+    return Number(value);
+  }
+  return null;
+}
+
+const toType = (declared) => {
+  const type = declared.toLowerCase();
+  if (['integer', 'real', 'text', 'blob', 'any'].includes(type)) {
+    return type;
+  }
+  if (type.includes('int')) {
+    return 'integer';
+  }
+  if (['char', 'clob', 'text'].some(t => type.includes(t))) {
+    return 'text';
+  }
+  if (['real', 'floa', 'doub'].some(t => type.includes(t))) {
+    return 'real';
+  }
+  if (type.includes('blob')) {
+    return 'blob';
+  }
+  return 'any';
+}
+
+const parseIndex = (sql) => {
+  const match = sql.match(/^create\s+(unique\s+)?index\s+(?:if\s+not\s+exists\s+)?\S+\s+on\s+[^\s(]+\s*\(/i);
+  if (!match) {
+    return null;
+  }
+  const start = match[0].length - 1;
+  const end = findClosing(sql, start);
+  const where = sql.slice(end + 1).match(/^\s*where\s+([\s\S]*?);?\s*$/i);
+  return {
+    type: match[1] ? 'unique' : undefined,
+    on: sql.slice(start + 1, end).trim(),
+    where: where ? where[1].trim() : undefined
+  };
+}
+
+const parseTrigger = (sql) => {
+  const pattern = /^create\s+trigger\s+(?:if\s+not\s+exists\s+)?(\w+)\s+(before|after)\s+(insert|update|delete)\s+on\s+\w+(?:\s+when\s+([\s\S]*?))?\s+begin\s+([\s\S]*)\bend;?\s*$/i;
+  const match = sql.match(pattern);
+  if (!match) {
+    return null;
+  }
+  const [, name, timing, event, when, body] = match;
+  return {
+    name,
+    timing: timing.toLowerCase(),
+    event: event.toLowerCase(),
+    when: when ? when.trim() : undefined,
+    body: splitStatements(body)
+  };
+}
+
+const toColumn = (table, row, warnings) => {
+  const column = {
+    name: row.name,
+    type: toType(row.type),
+    notNull: row.notnull === 1
+  };
+  if (row.pk > 0) {
+    column.primaryKey = true;
+  }
+  if (row.dflt_value === nowDefault || row.dflt_value === `(${nowDefault})`) {
+    column.type = 'date';
+    column.default = 'now';
+  }
+  else {
+    const value = parseLiteral(row.dflt_value);
+    if (value === null) {
+      warnings.push(`The default value of ${table.name}.${row.name} is an expression and was not included`);
+    }
+    else if (value !== undefined) {
+      column.default = value;
+    }
+  }
+  if (row.hidden === 2 || row.hidden === 3) {
+    const escaped = row.name.replaceAll(/[^\w]/g, '\\$&');
+    const [generated] = readParens(table.sql, `\\b${escaped}\\b[^,(]*?generated\\s+always\\s+as`);
+    if (generated) {
+      column.notNull = false;
+      column.generated = generated.content;
+      column.stored = row.hidden === 3;
+    }
+  }
+  return column;
+}
+
+const toTableSchema = (table, tables, triggers, warnings) => {
+  const columns = table.columns
+    .filter(row => row.hidden !== 1)
+    .map(row => toColumn(table, row, warnings));
+  const primaryKeys = table.columns
+    .filter(row => row.pk > 0)
+    .sort((a, b) => a.pk - b.pk)
+    .map(row => row.name);
+  const groups = new Map();
+  // SQLite numbers foreign keys from the last one declared
+  const keys = table.foreignKeys.toSorted((a, b) => b.id - a.id);
+  for (const row of keys) {
+    const group = groups.get(row.id) || [];
+    group.push(row);
+    groups.set(row.id, group);
+  }
+  const foreignKeys = [];
+  for (const rows of groups.values()) {
+    rows.sort((a, b) => a.seq - b.seq);
+    const first = rows.at(0);
+    if (rows.length > 1) {
+      warnings.push(`The foreign key from ${table.name} to ${first.table} has more than one column and was not included`);
+      continue;
+    }
+    const actions = [];
+    if (first.on_delete !== 'NO ACTION') {
+      actions.push(`on delete ${first.on_delete.toLowerCase()}`);
+    }
+    if (first.on_update !== 'NO ACTION') {
+      actions.push(`on update ${first.on_update.toLowerCase()}`);
+    }
+    const parent = tables.find(t => t.name === first.table);
+    const primaryKey = parent ? parent.columns.find(c => c.pk === 1) : null;
+    foreignKeys.push({
+      columns: [first.from],
+      references: {
+        table: first.table,
+        column: first.to || (primaryKey ? primaryKey.name : null)
+      },
+      actions
+    });
+  }
+  const indexes = [];
+  for (const row of table.indexes) {
+    if (row.origin === 'pk') {
+      continue;
+    }
+    if (row.origin === 'u') {
+      indexes.push({
+        type: 'unique',
+        on: row.columns.join(', '),
+        where: undefined
+      });
+      continue;
+    }
+    const index = row.sql ? parseIndex(row.sql) : null;
+    if (!index) {
+      warnings.push(`The index ${row.name} could not be read and was not included`);
+      continue;
+    }
+    indexes.push(index);
+  }
+  const checks = readParens(table.sql, '\\bcheck').map(c => c.content);
+  const tableTriggers = [];
+  for (const trigger of triggers.filter(t => t.tbl_name === table.name)) {
+    const parsed = parseTrigger(trigger.sql);
+    if (!parsed) {
+      warnings.push(`The trigger ${trigger.name} could not be read and was not included`);
+      continue;
+    }
+    tableTriggers.push(parsed);
+  }
+  const softDelete = columns.some(c => c.name === 'deletedAt' && !c.notNull && ['text', 'date'].includes(c.type));
+  if (!/\)\s*strict\s*$/i.test(table.sql)) {
+    warnings.push(`The table ${table.name} is not strict and will be created as a strict table by migrations`);
+  }
+  return {
+    name: table.name,
+    type: 'base',
+    softDelete,
+    columns,
+    computed: [],
+    indexes,
+    primaryKeys,
+    foreignKeys,
+    checks,
+    triggers: tableTriggers,
+    renames: {},
+    conversions: {}
+  };
+}
+
+const toViewSchema = (view) => {
+  const match = view.sql.match(/^create\s+view\s+(?:if\s+not\s+exists\s+)?\S+\s+as\s+([\s\S]*?);?\s*$/i);
+  return {
+    name: view.name,
+    type: 'view',
+    softDelete: false,
+    sql: match ? match[1] : view.sql,
+    columns: view.columns.map(row => ({
+      name: row.name,
+      type: toType(row.type),
+      notNull: false
+    })),
+    computed: [],
+    indexes: [],
+    primaryKeys: [],
+    foreignKeys: [],
+    checks: [],
+    triggers: []
+  };
+}
+
+const getVirtual = (tables) => tables
+  .filter(t => /^create\s+virtual\s+table/i.test(t.sql))
+  .map(t => t.name);
+
+const isShadow = (virtual, name) => virtual.some(table => shadowTables.some(suffix => name === `${table}_${suffix}`));
+
+/**
+ * Converts the rows read from sqlite_schema and the table pragmas into
+ * the format returned by getSchema.
+ */
+const toSchema = (info) => {
+  const { tables, views, triggers } = info;
+  const warnings = [];
+  const schema = [];
+  const virtual = getVirtual(tables);
+  for (const table of tables) {
+    if (virtual.includes(table.name)) {
+      warnings.push(`The virtual table ${table.name} was not included`);
+      continue;
+    }
+    if (isShadow(virtual, table.name)) {
+      continue;
+    }
+    schema.push(toTableSchema(table, tables, triggers, warnings));
+  }
+  for (const view of views) {
+    schema.push(toViewSchema(view));
+  }
+  return {
+    schema,
+    warnings
+  };
+}
+
+const normalize = (sql) => sql.replaceAll(/\s+/g, ' ').trim();
+
+const unwrap = (sql) => {
+  if (sql.startsWith('(') && findClosing(sql, 0) === sql.length - 1) {
+    return sql.slice(1, -1);
+  }
+  return sql;
+}
+
+const toDefaultSql = (column) => {
+  if (column.default === undefined) {
+    return null;
+  }
+  if (column.type === 'date' && column.default === 'now') {
+    return nowDefault;
+  }
+  return String(toLiteral(column.default));
+}
+
+const toIndexKey = (index) => {
+  const where = index.where ? ` where ${normalize(index.where)}` : '';
+  return `${index.type === 'unique' ? 'unique ' : ''}(${normalize(index.on)})${where}`;
+}
+
+const toForeignKey = (key) => {
+  const { columns, references, actions } = key;
+  const actionClause = actions.length > 0 ? ` ${actions.join(' ')}` : '';
+  return `(${columns.join(', ')}) references ${references.table}(${references.column})${actionClause}`;
+}
+
+const compareLists = (add, table, kind, label, expected, actual) => {
+  for (const item of expected.filter(e => !actual.includes(e))) {
+    add(`missing${kind}`, table, { name: item }, `The ${label} ${item} on ${table} does not exist in the database`);
+  }
+  for (const item of actual.filter(a => !expected.includes(a))) {
+    add(`extra${kind}`, table, { name: item }, `The ${label} ${item} on ${table} is in the database but not in the schema`);
+  }
+}
+
+const compareColumns = (add, expected, table) => {
+  const columns = table.columns.filter(c => c.hidden !== 1);
+  for (const column of expected.columns) {
+    const { name } = column;
+    const row = columns.find(c => c.name === name);
+    if (!row) {
+      add('missingColumn', expected.name, { name }, `The column ${expected.name}.${name} does not exist in the database`);
+      continue;
+    }
+    const changed = (property, expectedValue, actualValue) => {
+      const message = `The column ${expected.name}.${name} has ${property} ${actualValue} in the database but ${expectedValue} in the schema`;
+      add(property, expected.name, { name, expected: expectedValue, actual: actualValue }, message);
+    }
+    const type = typeMap[column.type] || column.type;
+    if (type !== row.type.toLowerCase()) {
+      changed('type', type, row.type.toLowerCase());
+    }
+    if (column.generated) {
+      const [generated] = readParens(table.sql, `\\b${name}\\b[^,(]*?generated\\s+always\\s+as`);
+      const actualValue = generated ? generated.content : null;
+      if (!actualValue || normalize(actualValue) !== normalize(column.generated)) {
+        changed('generated', column.generated, actualValue);
+      }
+      continue;
+    }
+    const notNull = row.notnull === 1;
+    if (column.notNull !== notNull && !(column.primaryKey && row.pk > 0)) {
+      changed('notNull', column.notNull, notNull);
+    }
+    const defaultValue = toDefaultSql(column);
+    const actualDefault = row.dflt_value === null ? null : unwrap(row.dflt_value);
+    if (defaultValue !== actualDefault) {
+      changed('default', defaultValue, actualDefault);
+    }
+  }
+  // History tables keep the columns that were removed from their table
+  const kept = (row) => expected.historyOf && row.notnull === 0;
+  for (const row of columns.filter(c => !expected.columns.some(e => e.name === c.name) && !kept(c))) {
+    add('extraColumn', expected.name, { name: row.name }, `The column ${expected.name}.${row.name} is in the database but not in the schema`);
+  }
+}
+
+/**
+ * Compares the schema of the table classes with the rows read from sqlite_schema and the
+ * table pragmas, returning a list of the differences.
+ */
+const toDiscrepancies = (schema, info) => {
+  const discrepancies = [];
+  const add = (kind, table, details, message) => discrepancies.push({ kind, table, ...details, message });
+  const { schema: actual } = toSchema(info);
+  const virtual = getVirtual(info.tables);
+  const ftsTriggers = new Map();
+  for (const expected of schema) {
+    const { name } = expected;
+    if (expected.type === 'fts5') {
+      if (!virtual.includes(name)) {
+        add('missingTable', name, {}, `The virtual table ${name} does not exist in the database`);
+      }
+      const original = expected.columns.find(c => c.name === 'rowid').original;
+      if (expected.columns.every(c => c.original)) {
+        const triggers = ftsTriggers.get(original.table) || [];
+        triggers.push(`${name}_ai`, `${name}_ad`, `${name}_au`);
+        ftsTriggers.set(original.table, triggers);
+      }
+      continue;
+    }
+    const existing = actual.find(t => t.name === name);
+    if (!existing || existing.type !== expected.type) {
+      const label = expected.type === 'view' ? 'view' : 'table';
+      add('missingTable', name, {}, `The ${label} ${name} does not exist in the database`);
+      continue;
+    }
+    if (expected.type === 'view') {
+      if (normalize(existing.sql) !== normalize(expected.sql)) {
+        add('view', name, { expected: expected.sql, actual: existing.sql }, `The view ${name} has a different query in the database`);
+      }
+      continue;
+    }
+    const table = info.tables.find(t => t.name === name);
+    compareColumns(add, expected, table);
+    const primaryKeys = expected.primaryKeys.join(', ');
+    const actualKeys = existing.primaryKeys.join(', ');
+    if (primaryKeys !== actualKeys) {
+      const message = `The table ${name} has the primary key (${actualKeys}) in the database but (${primaryKeys}) in the schema`;
+      add('primaryKey', name, { expected: primaryKeys, actual: actualKeys }, message);
+    }
+    compareLists(add, name, 'Index', 'index', expected.indexes.map(toIndexKey), existing.indexes.map(toIndexKey));
+    compareLists(add, name, 'ForeignKey', 'foreign key', expected.foreignKeys.map(toForeignKey), existing.foreignKeys.map(toForeignKey));
+    compareLists(add, name, 'Check', 'check', expected.checks.map(normalize), existing.checks.map(normalize));
+  }
+  for (const expected of schema.filter(t => t.type === 'base')) {
+    const existing = actual.find(t => t.name === expected.name);
+    if (!existing) {
+      continue;
+    }
+    const triggers = [...expected.triggers.map(t => t.name), ...(ftsTriggers.get(expected.name) || [])];
+    const actualTriggers = info.triggers
+      .filter(t => t.tbl_name === expected.name)
+      .map(t => t.name);
+    compareLists(add, expected.name, 'Trigger', 'trigger', triggers, actualTriggers);
+  }
+  const names = schema.map(t => t.name);
+  const tables = [...info.tables, ...info.views]
+    .filter(t => !names.includes(t.name) && !isShadow(virtual, t.name));
+  for (const table of tables) {
+    add('extraTable', table.name, {}, `The table ${table.name} is in the database but not in the schema`);
+  }
+  return discrepancies;
+}
+
+const toClassName = (name) => name.at(0).toUpperCase() + name.substring(1);
+
+const toJsLiteral = (value) => {
+  if (typeof value === 'string') {
+    return `'${value.replaceAll('\\', '\\\\').replaceAll('\'', '\\\'')}'`;
+  }
+  return String(value);
+}
+
+const parseCheck = (check) => {
+  const parts = check.split(/\s+and\s+/i);
+  let column;
+  const args = [];
+  for (const part of parts) {
+    const compare = part.match(/^(\w+)\s*(=|!=|>=|>|<=|<)\s*('(?:[^']|'')*'|-?\d+(?:\.\d+)?)$/);
+    const list = part.match(/^(\w+)\s+in\s+\(([\s\S]*)\)$/i);
+    const name = compare ? compare[1] : (list ? list[1] : null);
+    if (!name || (column && column !== name)) {
+      return null;
+    }
+    column = name;
+    if (compare) {
+      const [, , operator, value] = compare;
+      const literal = toJsLiteral(parseLiteral(value));
+      args.push(operator === '=' ? literal : `this.${compareNames[operator]}(${literal})`);
+    }
+    else {
+      const values = splitList(list[2]).map(v => parseLiteral(v));
+      if (values.some(v => v === null || v === undefined)) {
+        return null;
+      }
+      args.push(`[${values.map(v => toJsLiteral(v)).join(', ')}]`);
+    }
+  }
+  return {
+    column,
+    args
+  };
+}
+
+const sortTables = (tables) => {
+  const sorted = [];
+  const visit = (table, path) => {
+    if (sorted.includes(table) || path.includes(table)) {
+      return;
+    }
+    for (const key of table.foreignKeys) {
+      const parent = tables.find(t => t.name === key.references.table);
+      if (parent && parent !== table) {
+        visit(parent, [...path, table]);
+      }
+    }
+    sorted.push(table);
+  }
+  for (const table of tables) {
+    visit(table, []);
+  }
+  return sorted;
+}
+
+const toClassSource = (table, schema) => {
+  const idTable = table.primaryKeys.length === 1
+    && table.primaryKeys.at(0) === 'id'
+    && table.columns.find(c => c.name === 'id').type === 'integer';
+  const softDelete = idTable && table.softDelete;
+  const base = softDelete ? 'SoftDeleteTable' : (idTable ? 'Table' : 'BaseTable');
+  const lines = [];
+  const attributes = [];
+  const checks = table.checks.map(check => ({ check, parsed: parseCheck(check) }));
+  const isColumn = (on) => table.columns.some(c => c.name === on);
+  for (const column of table.columns) {
+    const { name } = column;
+    if ((idTable && name === 'id') || (softDelete && name === 'deletedAt')) {
+      continue;
+    }
+    if (column.generated) {
+      const storage = column.stored ? 'stored' : 'virtual';
+      lines.push(`  // ${name} is generated always as (${column.generated}) ${storage}`);
+      continue;
+    }
+    const foreignKey = table.foreignKeys.find(k => k.columns.at(0) === name);
+    const indexes = table.indexes.filter(i => i.on === name && !i.where);
+    const unique = indexes.find(i => i.type === 'unique');
+    let expression;
+    let nullable = !column.notNull && !column.primaryKey;
+    if (foreignKey && foreignKey.references.table !== table.name && schema.some(t => t.name === foreignKey.references.table)) {
+      const parent = schema.find(t => t.name === foreignKey.references.table);
+      const options = [];
+      const referenced = foreignKey.references.column;
+      if (referenced && !(parent.primaryKeys.length === 1 && parent.primaryKeys.at(0) === referenced)) {
+        options.push(`column: '${referenced}'`);
+      }
+      let cascade = false;
+      for (const action of foreignKey.actions) {
+        const [, event, type] = action.match(/^on (delete|update) (.+)$/);
+        if (event === 'delete' && type === 'cascade') {
+          cascade = true;
+        }
+        else {
+          options.push(`${event === 'delete' ? 'onDelete' : 'onUpdate'}: '${type}'`);
+        }
+      }
+      if (cascade && options.some(o => o.startsWith('onUpdate'))) {
+        cascade = false;
+        options.push(`onDelete: 'cascade'`);
+      }
+      if (nullable) {
+        options.push('notNull: false');
+        nullable = false;
+      }
+      if (unique || indexes.length === 0) {
+        options.push('index: false');
+      }
+      const method = cascade ? 'Cascade' : 'References';
+      const optionsClause = options.length > 0 ? `, { ${options.join(', ')} }` : '';
+      expression = `this.${method}(${toClassName(parent.name)}${optionsClause})`;
+      if (unique) {
+        expression = `this.Unique(${expression})`;
+      }
+    }
+    else {
+      const type = typeNames[column.type] || 'Blob';
+      if (column.default === 'now') {
+        expression = 'this.Now';
+      }
+      else if (column.default !== undefined) {
+        expression = nullable ? toJsLiteral(column.default) : `this.Default(${toJsLiteral(column.default)})`;
+      }
+      else {
+        expression = `this.${type}${column.primaryKey ? 'Primary' : ''}`;
+      }
+      if (nullable) {
+        expression = `this.Null(${expression})`;
+      }
+      if (unique) {
+        expression = `this.Unique(${expression})`;
+      }
+      else if (indexes.length > 0) {
+        expression = `this.Index(${expression})`;
+      }
+    }
+    const columnChecks = checks.filter(c => c.parsed && c.parsed.column === name);
+    for (const check of columnChecks) {
+      expression = `this.Check(${expression}, ${check.parsed.args.join(', ')})`;
+      check.used = true;
+    }
+    if (foreignKey && !expression.includes('References') && !expression.includes('Cascade')) {
+      lines.push(`  // ${name} references ${foreignKey.references.table}`);
+    }
+    lines.push(`  ${name} = ${expression};`);
+  }
+  for (const index of table.indexes) {
+    if (!index.where && isColumn(index.on)) {
+      continue;
+    }
+    const columns = index.on.split(',').map(c => c.trim());
+    const method = index.type === 'unique' ? 'Unique' : 'Index';
+    if (!index.where && columns.every(c => isColumn(c))) {
+      attributes.push(`    this.${method}(${columns.map(c => `this.${c}`).join(', ')});`);
+    }
+    else {
+      const where = index.where ? ` where ${index.where}` : '';
+      attributes.push(`    // ${method.toLowerCase()} on (${index.on})${where}`);
+    }
+  }
+  for (const check of checks.filter(c => !c.used)) {
+    attributes.push(`    // check (${check.check})`);
+  }
+  for (const trigger of table.triggers) {
+    attributes.push(`    // trigger ${trigger.name} ${trigger.timing} ${trigger.event}`);
+  }
+  let source = `export class ${toClassName(table.name)} extends ${base} {\n`;
+  source += lines.join('\n');
+  if (attributes.length > 0) {
+    source += `\n\n  Attributes() {\n${attributes.join('\n')}\n  }`;
+  }
+  source += '\n}\n';
+  return source;
+}
+
+/**
+ * Creates the source of table classes from a schema in the format returned by getSchema.
+ */
+const toSource = (schema) => {
+  const tables = sortTables(schema.filter(t => t.type !== 'view'));
+  const classes = tables.map(table => toClassSource(table, schema));
+  const used = ['Table', 'BaseTable', 'SoftDeleteTable'].filter(name => classes.some(c => c.includes(`extends ${name} {`)));
+  let source = `import { ${used.join(', ')} } from '@andrewitsover/midnight';\n\n`;
+  source += classes.join('\n');
+  for (const view of schema.filter(t => t.type === 'view')) {
+    source += `\n// The view ${view.name} was not converted: ${view.sql}\n`;
+  }
+  return source;
+}
+
+export {
+  toSchema,
+  toSource,
+  toDiscrepancies
+}
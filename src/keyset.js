@@ -0,0 +1,141 @@
+import { createCipheriv, createDecipheriv, createHash, randomBytes } from 'crypto';
+import { nameToSql } from './utils.js';
+
+const toJson = (key, value) => typeof value === 'bigint' ? { bigint: value.toString() } : value;
+
+const fromJson = (key, value) => value !== null && typeof value === 'object' && typeof value.bigint === 'string' ? BigInt(value.bigint) : value;
+
+const toKey = (secret) => createHash('sha256').update(secret).digest();
+
+/**
+ * Encrypts the position of a row into an opaque token. The authentication
+ * tag of the cipher means that changes to the token are detected when it is decoded.
+ */
+const encodeCursor = (secret, payload) => {
+  const iv = randomBytes(12);
+  const cipher = createCipheriv('aes-256-gcm', toKey(secret), iv);
+  const data = Buffer.concat([cipher.update(JSON.stringify(payload, toJson)), cipher.final()]);
+  return Buffer.concat([iv, cipher.getAuthTag(), data]).toString('base64url');
+}
+
+const decodeCursor = (secret, token, keys) => {
+  let payload;
+  try {
+    const bytes = Buffer.from(token, 'base64url');
+    const decipher = createDecipheriv('aes-256-gcm', toKey(secret), bytes.subarray(0, 12));
+    decipher.setAuthTag(bytes.subarray(12, 28));
+    const data = Buffer.concat([decipher.update(bytes.subarray(28)), decipher.final()]);
+    payload = JSON.parse(data.toString(), fromJson);
+  }
+  catch {
+    throw Error('The cursor is not valid');
+  }
+  if (payload.keys !== keys) {
+    throw Error('The cursor was created for a query with a different order');
+  }
+  return payload;
+}
+
+/**
+ * Describes the keyset so that cursors from one query cannot be used with another.
+ */
+const toKeys = (name, keyset) => {
+  const columns = keyset.map(k => `${k.selector || k.name}${k.desc ? ' desc' : ''}`);
+  return `${name}(${columns.join(', ')})`;
+}
+
+/**
+ * Wraps a query so that it returns one more row than the limit
+ * after or before the position of a cursor, ordered by the keyset.
+ */
+const toKeysetQuery = (options) => {
+  const {
+    sql,
+    keyset,
+    cursor,
+    limit
+  } = options;
+  const before = Boolean(cursor) && cursor.direction === 'before';
+  const params = {};
+  let statement = `select * from (${sql})`;
+  if (cursor) {
+    const values = keyset.map((k, i) => {
+      const value = cursor.values[i];
+      if (value === undefined) {
+        throw Error(`The cursor has no value for "${k.name}"`);
+      }
+      if (value !== null) {
+        params[`cursor_${i}`] = value;
+      }
+      return value;
+    });
+    // SQLite sorts nulls before other values, so rows after a null are the rows
+    // that are not null, and rows before a value include the nulls.
+    const equal = (i) => {
+      const name = nameToSql(keyset[i].name);
+      return values[i] === null ? `${name} is null` : `${name} = $cursor_${i}`;
+    }
+    const after = (i) => {
+      const name = nameToSql(keyset[i].name);
+      const ascending = keyset[i].desc === before;
+      if (values[i] === null) {
+        return ascending ? `${name} is not null` : null;
+      }
+      return ascending ? `${name} > $cursor_${i}` : `(${name} < $cursor_${i} or ${name} is null)`;
+    }
+    const clauses = [];
+    for (let i = 0; i < keyset.length; i++) {
+      const condition = after(i);
+      if (condition) {
+        const conditions = keyset.slice(0, i).map((k, j) => equal(j));
+        clauses.push(`(${[...conditions, condition].join(' and ')})`);
+      }
+    }
+    statement += ` where ${clauses.length > 0 ? clauses.join(' or ') : 'false'}`;
+  }
+  const orderBy = keyset.map(k => `${nameToSql(k.name)}${k.desc === before ? '' : ' desc'}`);
+  params.cursor_limit = limit + 1;
+  statement += ` order by ${orderBy.join(', ')} limit $cursor_limit`;
+  return {
+    sql: statement,
+    params
+  };
+}
+
+/**
+ * Creates the page of results and the cursors to the pages around it
+ * from the rows and the keyset values of each row.
+ */
+const toPage = (options) => {
+  const {
+    secret,
+    keys,
+    cursor,
+    limit
+  } = options;
+  const before = Boolean(cursor) && cursor.direction === 'before';
+  const extra = options.rows.length > limit;
+  const rows = options.rows.slice(0, limit);
+  const values = options.values.slice(0, limit);
+  if (before) {
+    rows.reverse();
+    values.reverse();
+  }
+  const hasMore = before ? rows.length > 0 : extra;
+  const hasPrevious = before ? extra : Boolean(cursor) && rows.length > 0;
+  const toCursor = (direction, values) => encodeCursor(secret, { keys, direction, values });
+  return {
+    data: rows,
+    nextCursor: hasMore ? toCursor('after', values.at(-1)) : null,
+    prevCursor: hasPrevious ? toCursor('before', values.at(0)) : null,
+    hasMore,
+    hasPrevious
+  };
+}
+
+export {
+  decodeCursor,
+  toKeys,
+  toKeysetQuery,
+  toPage
+}
@@ -1,4 +1,4 @@
-import { removeCapital } from './tables.js';
+import { Table, addCapital, removeCapital } from './tables.js';
 
 const compareOperators = new Map([
   ['not', '!='],
@@ -20,9 +20,35 @@ const mathOperators = new Map([
 ]);
 
 const compareMethods = ['not', 'gt', 'gte', 'lt', 'lte', 'like', 'match', 'glob', 'eq'];
-const computeMethods = ['abs', 'cast', 'coalesce', 'concat', 'concatWs', 'format', 'hex', 'if', 'instr', 'length', 'lower', 'ltrim', 'max', 'min', 'nullif', 'octetLength', 'replace', 'round', 'rtrim', 'sign', 'substring', 'trim', 'unhex', 'unicode', 'upper', 'date', 'time', 'dateTime', 'julianDay', 'unixEpoch', 'strfTime', 'timeDiff', 'acos', 'acosh', 'asin', 'asinh', 'atan', 'atan2', 'atanh', 'ceil', 'cos', 'cosh', 'degrees', 'exp', 'floor', 'ln', 'log', 'mod', 'pi', 'power', 'radians', 'sin', 'sinh', 'sqrt', 'tan', 'tanh', 'trunc', 'json', 'extract', 'plus', 'minus', 'divide', 'multiply', 'object', 'arrayLength'];
+const computeMethods = ['abs', 'cast', 'coalesce', 'concat', 'concatWs', 'format', 'hex', 'if', 'instr', 'length', 'lower', 'ltrim', 'max', 'min', 'nullif', 'octetLength', 'replace', 'round', 'rtrim', 'sign', 'substring', 'trim', 'unhex', 'unicode', 'upper', 'date', 'time', 'dateTime', 'julianDay', 'unixEpoch', 'strfTime', 'timeDiff', 'acos', 'acosh', 'asin', 'asinh', 'atan', 'atan2', 'atanh', 'ceil', 'cos', 'cosh', 'degrees', 'exp', 'floor', 'ln', 'log', 'mod', 'pi', 'power', 'radians', 'sin', 'sinh', 'sqrt', 'tan', 'tanh', 'trunc', 'json', 'extract', 'plus', 'minus', 'divide', 'multiply', 'object', 'arrayLength', 'distance'];
 const windowMethods = ['count', 'min', 'max', 'avg', 'sum', 'rowNumber', 'rank', 'denseRank', 'percentRank', 'cumeDist', 'ntile', 'lag', 'lead', 'firstValue', 'lastValue', 'nthValue', 'group'];
 
+const resultTypes = ['any', 'integer', 'real', 'text', 'blob', 'boolean', 'date', 'json'];
+
+/**
+ * Checks that a function can be added to the methods of the query
+ * context and table classes, and returns the name it has in SQL.
+ * The methods map has the functions the database already has.
+ */
+const checkMethod = (name, type, methods) => {
+  if (typeof name !== 'string' || !/^[a-zA-Z][a-zA-Z0-9]*$/.test(name)) {
+    throw Error(`Invalid function name: ${name}`);
+  }
+  if ([...compareMethods, ...computeMethods, ...windowMethods].includes(name)) {
+    throw Error(`"${name}" is already a built-in function`);
+  }
+  if (methods.has(name) && methods.get(name) !== type) {
+    throw Error(`"${name}" is already registered with the result type "${methods.get(name)}"`);
+  }
+  if (!methods.has(name) && addCapital(name) in new Table()) {
+    throw Error(`"${name}" cannot be used as a function name as tables already use "${addCapital(name)}"`);
+  }
+  if (!resultTypes.includes(type)) {
+    throw Error(`Invalid result type for "${name}": ${type}`);
+  }
+  return toDbName({ name, args: [] });
+}
+
 const toDbName = (method) => {
   const { args } = method;
   const name = removeCapital(method.name);
@@ -65,5 +91,6 @@ export {
   compareMethods,
   computeMethods,
   windowMethods,
+  checkMethod,
   toDbName
 }
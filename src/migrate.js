@@ -1,4 +1,4 @@
-import { toSql, columnToSql, indexToSql, toHash } from './tables.js'
+import { toSql, columnToSql, indexToSql, triggerToSql, toHash } from './tables.js'
 
 /**
  * Analyze migration SQL to detect potentially destructive operations
@@ -11,6 +11,12 @@ export const analyzeMigration = (sql) => {
     recreatedTables: [],
     addColumns: [],
     addTables: [],
+    addViews: [],
+    dropViews: [],
+    addTriggers: [],
+    dropTriggers: [],
+    renameTables: [],
+    renameColumns: [],
     isDestructive: false
   };
   
@@ -29,6 +35,14 @@ export const analyzeMigration = (sql) => {
       const match = line.match(/create table temp_(\w+)/i);
       if (match) operations.recreatedTables.push(match[1]);
     }
+    else if (lower.includes(' rename column ')) {
+      const match = line.match(/alter table (\w+) rename column (\w+) to (\w+)/i);
+      if (match) operations.renameColumns.push({ table: match[1], from: match[2], to: match[3] });
+    }
+    else if (lower.startsWith('alter table ') && lower.includes(' rename to ')) {
+      const match = line.match(/alter table (\w+) rename to (\w+)/i);
+      if (match) operations.renameTables.push({ from: match[1], to: match[2] });
+    }
     else if (lower.includes('add column ')) {
       const match = line.match(/alter table (\w+) add column (\w+)/i);
       if (match) operations.addColumns.push({ table: match[1], column: match[2] });
@@ -37,6 +51,22 @@ export const analyzeMigration = (sql) => {
       const match = line.match(/create table (?:if not exists )?(\w+)/i);
       if (match) operations.addTables.push(match[1]);
     }
+    else if (lower.startsWith('create view ')) {
+      const match = line.match(/create view (\w+)/i);
+      if (match) operations.addViews.push(match[1]);
+    }
+    else if (lower.startsWith('create trigger ')) {
+      const match = line.match(/create trigger (\w+)/i);
+      if (match) operations.addTriggers.push(match[1]);
+    }
+    else if (lower.startsWith('drop trigger ')) {
+      const match = line.match(/drop trigger (\w+)/i);
+      if (match) operations.dropTriggers.push(match[1]);
+    }
+    else if (lower.startsWith('drop view ')) {
+      const match = line.match(/drop view (\w+)/i);
+      if (match) operations.dropViews.push(match[1]);
+    }
   }
   
   operations.isDestructive = 
@@ -49,14 +79,28 @@ export const analyzeMigration = (sql) => {
 
 const recreate = (table, current) => {
   const temp = `temp_${table.name}`;
-  let sql = toSql({ ...table, name: temp, indexes: [] });
-  const shared = current
-    .columns
-    .filter(c => table.columns.map(c => c.name).includes(c.name))
-    .map(c => c.name)
-    .join(', ');
+  let sql = toSql({ ...table, name: temp, indexes: [], triggers: [] });
+  const columns = [];
+  const values = [];
+  for (const column of table.columns) {
+    if (column.generated) {
+      continue;
+    }
+    const existing = current.columns.find(c => c.name === column.name && !c.generated);
+    const conversion = (table.conversions || {})[column.name];
+    // Conversions only run for columns that are new or have changed so that
+    // values are not converted twice.
+    if (conversion !== undefined && (!existing || !attributesEqual(existing, column))) {
+      columns.push(column.name);
+      values.push(conversion);
+    }
+    else if (existing) {
+      columns.push(column.name);
+      values.push(column.name);
+    }
+  }
   sql += '\n';
-  sql += `insert into ${temp} (${shared}) select ${shared} from ${table.name};\n`;
+  sql += `insert into ${temp} (${columns.join(', ')}) select ${values.join(', ')} from ${table.name};\n`;
   sql += `drop table ${table.name};\n`;
   sql += `alter table ${temp} rename to ${table.name};\n`;
   for (const index of table.indexes) {
@@ -67,29 +111,138 @@ const recreate = (table, current) => {
 }
 
 const toString = (column) => Object.values(column).join('');
+// Columns are compared by the SQL that defines them so that schemas that were
+// saved or introspected with different properties still match.
 const attributesEqual = (c1, c2) => {
-  const clone1 = structuredClone(c1);
-  const clone2 = structuredClone(c2);
-  clone1.name = '';
-  clone2.name = '';
-  return toString(clone1) === toString(clone2);
+  const toDefinition = (c) => `${columnToSql({ ...c, name: '' })} ${c.primaryKey === true} ${c.unindex === true}`;
+  return toDefinition(c1) === toDefinition(c2);
 }
 
+const migrateViews = (existing, updated, changedTables) => {
+  const same = (a, b) => a.name === b.name && a.sql === b.sql;
+  const reads = (view, name) => new RegExp(`\\b${name}\\b`, 'i').test(view.sql);
+  // Views that read a changed table or view are dropped while the tables change,
+  // because SQLite fails to rename or drop columns while a view is invalid.
+  // Views are in the order they were created, so one pass finds every view.
+  const changed = new Set(changedTables);
+  const removed = [];
+  for (const view of existing) {
+    if (!updated.some(u => same(view, u)) || [...changed].some(name => reads(view, name))) {
+      removed.push(view);
+      changed.add(view.name);
+    }
+  }
+  const added = updated.filter(u => !existing.some(e => same(e, u)) || removed.some(r => r.name === u.name));
+  const drop = removed
+    .reverse()
+    .map(view => `drop view ${view.name};\n`)
+    .join('');
+  const create = added
+    .map(view => toSql(view))
+    .join('');
+  return {
+    drop,
+    create
+  };
+}
+
+const migrateTriggers = (existing, updated, recreated) => {
+  const same = (a, b) => JSON.stringify(a) === JSON.stringify(b);
+  let drop = '';
+  let create = '';
+  for (const table of updated) {
+    const current = existing.find(t => t.name === table.name);
+    const currentTriggers = current ? current.triggers || [] : [];
+    const updatedTriggers = table.triggers || [];
+    // Triggers are dropped while any table is recreated because renaming a recreated
+    // table fails when a trigger refers to it.
+    const removed = currentTriggers.filter(c => recreated || !updatedTriggers.some(u => same(c, u)));
+    const added = updatedTriggers.filter(u => recreated || !currentTriggers.some(c => same(c, u)));
+    for (const trigger of removed) {
+      drop += `drop trigger ${trigger.name};\n`;
+    }
+    for (const trigger of added) {
+      create += triggerToSql(table.name, trigger);
+    }
+  }
+  return {
+    drop,
+    create
+  };
+}
+
+// Columns that are removed from a table with a history are kept in its history
+// table, as the older versions of the rows still have values for them.
+export const keepHistoryColumns = (existing, updated) => updated.map(table => {
+  const current = table.historyOf ? existing.find(e => e.name === table.name) : null;
+  if (!current) {
+    return table;
+  }
+  const renamed = Object.values(table.renames || {});
+  const removed = current.columns.filter(c => !table.columns.some(u => u.name === c.name) && !renamed.includes(c.name));
+  if (removed.length === 0) {
+    return table;
+  }
+  const columns = [...table.columns, ...removed.map(c => ({ ...c, notNull: false }))];
+  return { ...table, columns };
+});
+
 const toMigration = (existing, updated) => {
+  const existingViews = existing.filter(t => t.type === 'view');
+  const updatedViews = updated.filter(t => t.type === 'view');
+  existing = existing.filter(t => t.type !== 'view');
+  updated = updated.filter(t => t.type !== 'view');
   let migrations = '';
+  let recreated = false;
+  const changedTables = new Set();
+  const renamedTables = updated.filter(u => u.renamedFrom
+    && !existing.some(e => e.name === u.name)
+    && existing.some(e => e.name === u.renamedFrom));
+  for (const table of renamedTables) {
+    const current = existing.find(e => e.name === table.renamedFrom);
+    migrations += `alter table ${current.name} rename to ${table.name};\n`;
+    changedTables.add(current.name).add(table.name);
+    for (const index of current.indexes) {
+      migrations += `drop index ${current.name}_${toHash(index)};\n`;
+    }
+  }
+  if (renamedTables.length > 0) {
+    // SQLite updates foreign keys that refer to a renamed table, so the existing
+    // schema is changed to match before it is compared.
+    const names = new Map(renamedTables.map(t => [t.renamedFrom, t.name]));
+    existing = existing.map(table => {
+      const name = names.get(table.name);
+      const foreignKeys = table.foreignKeys.map(key => {
+        const references = names.get(key.references.table);
+        return references ? { ...key, references: { ...key.references, table: references } } : key;
+      });
+      return name ? { ...table, name, indexes: [], foreignKeys } : { ...table, foreignKeys };
+    });
+  }
+  updated = keepHistoryColumns(existing, updated);
   const newTables = updated.filter(u => !existing.map(e => e.name).includes(u.name));
   for (const table of newTables) {
-    migrations += toSql(table);
+    migrations += toSql({ ...table, triggers: [] });
   }
   const removedTables = existing.filter(e => !updated.map(u => u.name).includes(e.name));
   for (const table of removedTables) {
     migrations += `drop table ${table.name};\n`;
+    changedTables.add(table.name);
   }
   for (const table of updated) {
-    const current = existing.find(t => t.name === table.name);
+    let current = existing.find(t => t.name === table.name);
     if (!current) {
       continue;
     }
+    for (const [name, from] of Object.entries(table.renames || {})) {
+      const exists = (name) => current.columns.some(c => c.name === name);
+      if (exists(from) && !exists(name)) {
+        migrations += `alter table ${table.name} rename column ${from} to ${name};\n`;
+        changedTables.add(table.name);
+        const columns = current.columns.map(c => c.name === from ? { ...c, name } : c);
+        current = { ...current, columns };
+      }
+    }
     const removeChecks = current
       .checks
       .filter(c => !table.checks.includes(c))
@@ -108,14 +261,24 @@ const toMigration = (existing, updated) => {
     for (const column of table.columns) {
       const existing = current.columns.find(c => c.name === column.name);
       if (existing) {
-        if (toString(existing) !== toString(column)) {
+        if (!attributesEqual(existing, column)) {
           alterColumns = true;
           break;
         }
       }
     }
-    if (removeChecks || removePrimary || removeForeign || alterColumns) {
+    // SQLite cannot add stored generated columns or drop generated columns in place.
+    const alterGenerated = [
+      ...table.columns.filter(u => !current.columns.some(c => c.name === u.name)),
+      ...current.columns.filter(c => !table.columns.some(u => u.name === c.name))
+    ].some(c => c.generated);
+    const convertColumns = table
+      .columns
+      .some(u => (table.conversions || {})[u.name] !== undefined && !current.columns.some(c => c.name === u.name));
+    if (removeChecks || removePrimary || removeForeign || alterColumns || alterGenerated || convertColumns) {
       migrations += recreate(table, current);
+      changedTables.add(table.name);
+      recreated = true;
       continue;
     }
     const addColumns = table
@@ -126,11 +289,12 @@ const toMigration = (existing, updated) => {
       .filter(c => !table.columns.map(c => c.name).includes(c.name));
     const renameColumns = [];
     for (const column of removeColumns) {
-      const same = addColumns.find(c => attributesEqual(column, c));
+      const same = addColumns.find(c => !renameColumns.includes(c.name) && attributesEqual(column, c));
       if (same) {
         renameColumns.push(same.name, column.name);
         const sql = `alter table ${table.name} rename column ${column.name} to ${same.name};\n`;
         migrations += sql;
+        changedTables.add(table.name);
       }
     }
     for (const column of addColumns) {
@@ -140,6 +304,7 @@ const toMigration = (existing, updated) => {
       const clause = columnToSql(column);
       const sql = `alter table ${table.name} add column ${clause};\n`;
       migrations += sql;
+      changedTables.add(table.name);
     }
     const existingHashes = current.indexes.map(index => toHash(index));
     const updatedHashes = table.indexes.map(index => toHash(index));
@@ -159,9 +324,48 @@ const toMigration = (existing, updated) => {
         continue;
       }
       migrations += `alter table ${table.name} drop column ${column.name};\n`;
+      changedTables.add(table.name);
     }
   }
-  return migrations;
+  const triggers = migrateTriggers(existing, updated, recreated);
+  const views = migrateViews(existingViews, updatedViews, changedTables);
+  return views.drop + triggers.drop + migrations + triggers.create + views.create;
+}
+
+/**
+ * Create the migration that reverses toMigration(existing, updated). Columns that
+ * the forward migration drops are added back as nullable because their values are lost.
+ */
+export const toDownMigration = (existing, updated) => {
+  updated = keepHistoryColumns(existing, updated);
+  const target = existing.map(table => {
+    const current = updated.find(t => t.name === table.name)
+      || updated.find(t => t.renamedFrom === table.name && !existing.some(e => e.name === t.name));
+    if (!current || table.type === 'view') {
+      return table;
+    }
+    const renames = {};
+    for (const [name, from] of Object.entries(current.renames || {})) {
+      renames[from] = name;
+    }
+    const added = current.columns.filter(c => !table.columns.some(t => t.name === c.name));
+    const columns = table.columns.map(column => {
+      const dropped = !current.columns.some(c => c.name === column.name) && !renames[column.name];
+      const renamed = added.some(c => attributesEqual(column, c));
+      if (dropped && !renamed && column.notNull && column.default === undefined && !column.primaryKey) {
+        return { ...column, notNull: false };
+      }
+      return column;
+    });
+    return {
+      ...table,
+      columns,
+      renames,
+      conversions: {},
+      renamedFrom: current.name !== table.name ? current.name : undefined
+    };
+  });
+  return toMigration(updated, target);
 }
 
 export default toMigration;
@@ -1,4 +1,60 @@
 import { toValues } from './utils.js';
+import { toVector, toBlob } from './vectors.js';
+
+const converters = {
+  boolean: (v) => v === null ? null : Boolean(v),
+  date: (v) => v === null ? null : new Date(v),
+  json: (v) => v === null ? null : JSON.parse(v),
+  vector: (v) => v === null ? null : toVector(v)
+};
+
+// The types every database has. Custom types are added with registerTypes
+const builtInTypes = [
+  {
+    name: 'boolean',
+    valueTest: (v) => typeof v === 'boolean',
+    makeConstraint: (column) => `check (${column} in (0, 1))`,
+    dbToJs: converters.boolean,
+    jsToDb: (v) => v === true ? 1 : 0,
+    dbType: 'integer'
+  },
+  {
+    name: 'date',
+    valueTest: (v) => v instanceof Date,
+    dbToJs: converters.date,
+    jsToDb: (v) => v.toISOString(),
+    dbType: 'text'
+  },
+  {
+    name: 'json',
+    valueTest: (v) => Object.getPrototypeOf(v) === Object.prototype || Array.isArray(v),
+    dbToJs: converters.json,
+    jsToDb: (v) => JSON.stringify(v),
+    dbType: 'blob'
+  },
+  {
+    name: 'vector',
+    valueTest: (v) => v instanceof Float32Array,
+    dbToJs: converters.vector,
+    jsToDb: toBlob,
+    dbType: 'blob'
+  }
+];
+
+const toDbValue = (value, types) => {
+  if (value === undefined) {
+    return null;
+  }
+  if (value === null || typeof value === 'string' || typeof value === 'number' || (typeof Buffer !== 'undefined' && Buffer.isBuffer(value))) {
+    return value;
+  }
+  for (const type of types) {
+    if (type.valueTest && type.valueTest(value)) {
+      return type.jsToDb(value);
+    }
+  }
+  return value;
+}
 
 const parse = (rows, types) => {
   if (rows.length === 0) {
@@ -29,5 +85,8 @@ const parse = (rows, types) => {
 }
 
 export {
+  converters,
+  builtInTypes,
+  toDbValue,
   parse
 }
@@ -0,0 +1,292 @@
+import { Worker } from 'worker_threads';
+import { fileURLToPath, pathToFileURL } from 'url';
+import { converters } from './parsers.js';
+import { QueryTimeoutError } from './errors.js';
+
+const toBuffers = (value) => {
+  if (value instanceof Uint8Array) {
+    return Buffer.from(value.buffer, value.byteOffset, value.byteLength);
+  }
+  if (ArrayBuffer.isView(value)) {
+    return value;
+  }
+  if (Array.isArray(value)) {
+    for (let i = 0; i < value.length; i++) {
+      value[i] = toBuffers(value[i]);
+    }
+    return value;
+  }
+  if (value !== null && typeof value === 'object' && !(value instanceof Date)) {
+    for (const [key, item] of Object.entries(value)) {
+      value[key] = toBuffers(item);
+    }
+  }
+  return value;
+}
+
+/**
+ * Moves the built-in conversions into the worker so that rows arrive
+ * converted. Functions cannot be sent to a worker, so custom types
+ * are still converted on the main thread.
+ */
+const splitParsers = (parsers) => {
+  const types = {};
+  const remaining = {};
+  const names = Object.keys(converters);
+  for (const [column, parser] of Object.entries(parsers || {})) {
+    const name = names.find(n => converters[n] === parser);
+    if (name) {
+      types[column] = name;
+    }
+    else {
+      remaining[column] = parser;
+    }
+  }
+  return {
+    types: Object.keys(types).length > 0 ? types : undefined,
+    parsers: remaining
+  };
+}
+
+const toError = (error, sql) => {
+  if (error.name === 'QueryTimeoutError') {
+    return new QueryTimeoutError(sql, error.timeout);
+  }
+  const e = Error(error.message);
+  if (error.code) {
+    e.code = error.code;
+  }
+  return e;
+}
+
+class Thread {
+  constructor(workerData) {
+    this.workerData = workerData;
+    this.requests = new Map();
+    this.count = 0;
+    this.cursors = new Set();
+    this.lost = new Map();
+    this.start();
+  }
+
+  start() {
+    this.worker = new Worker(fileURLToPath(new URL('./worker.js', import.meta.url)), { workerData: this.workerData });
+    this.worker.on('message', (message) => {
+      const { id, result, error, buffers } = message;
+      const request = this.requests.get(id);
+      this.finish(id);
+      if (error) {
+        request.reject(toError(error, request.message.sql));
+      }
+      else {
+        this.track(request.message, result);
+        request.resolve(buffers ? toBuffers(result) : result);
+      }
+    });
+    this.worker.on('error', (error) => this.fail(error));
+    this.worker.on('exit', (code) => this.fail(Error(`The worker thread stopped with exit code ${code}`)));
+    // Idle threads should not keep the process running
+    this.worker.unref();
+  }
+
+  get pending() {
+    return this.requests.size;
+  }
+
+  /**
+   * Rejects the requests of a thread that has crashed. A new thread is
+   * started by the next request, so that a thread that cannot start
+   * does not keep being replaced.
+   */
+  fail(error) {
+    this.worker.removeAllListeners();
+    this.worker = null;
+    this.lose(error);
+    for (const id of [...this.requests.keys()]) {
+      const request = this.requests.get(id);
+      this.finish(id);
+      request.reject(error);
+    }
+  }
+
+  /**
+   * Keeps the cursors that are open on the thread, as they are lost
+   * when the thread is replaced.
+   */
+  track(message, result) {
+    const { type, cursor } = message;
+    if (type === 'iterate' && !result.done) {
+      this.cursors.add(result.cursor);
+    }
+    else if ((type === 'next' && result.done) || type === 'return') {
+      this.cursors.delete(cursor);
+    }
+  }
+
+  lose(error) {
+    for (const cursor of this.cursors) {
+      this.lost.set(cursor, error);
+    }
+    this.cursors.clear();
+  }
+
+  isLost(message) {
+    const { type, cursor } = message;
+    return (type === 'next' || type === 'return') && this.lost.has(cursor);
+  }
+
+  /**
+   * Reading from a cursor that was lost throws the error that stopped
+   * its thread, and closing it has nothing left to do.
+   */
+  settleLost(request) {
+    const { type, cursor } = request.message;
+    if (type === 'return') {
+      this.lost.delete(cursor);
+      request.resolve();
+    }
+    else {
+      request.reject(this.lost.get(cursor));
+    }
+  }
+
+  finish(id) {
+    const request = this.requests.get(id);
+    if (request && request.stop) {
+      request.stop();
+    }
+    this.requests.delete(id);
+    if (this.requests.size === 0 && this.worker) {
+      this.worker.unref();
+    }
+  }
+
+  send(type, options = {}, limits = {}) {
+    const id = ++this.count;
+    const request = Promise.withResolvers();
+    request.message = { id, type, ...options };
+    if (this.isLost(request.message)) {
+      this.settleLost(request);
+      return request.promise;
+    }
+    if (!this.worker) {
+      this.start();
+    }
+    if (this.requests.size === 0) {
+      this.worker.ref();
+    }
+    this.requests.set(id, request);
+    this.worker.postMessage(request.message);
+    const { deadline, signal } = limits;
+    if (deadline || signal) {
+      const timer = deadline ? setTimeout(() => {
+        this.interrupt(id, new QueryTimeoutError(options.sql, options.timeout));
+      }, deadline - Date.now()) : null;
+      const abort = () => this.interrupt(id, signal.reason);
+      if (signal) {
+        signal.addEventListener('abort', abort, { once: true });
+      }
+      request.stop = () => {
+        clearTimeout(timer);
+        if (signal) {
+          signal.removeEventListener('abort', abort);
+        }
+      };
+    }
+    return request.promise;
+  }
+
+  /**
+   * A statement cannot be stopped from another thread, so the thread
+   * is replaced and its other requests are sent to the new thread.
+   * Cursors open on the old thread cannot be moved, so requests for
+   * them fail with the same error.
+   */
+  interrupt(id, error) {
+    const request = this.requests.get(id);
+    if (!request) {
+      return;
+    }
+    this.finish(id);
+    request.reject(error);
+    this.worker.removeAllListeners();
+    this.worker.terminate();
+    this.lose(error);
+    for (const [pendingId, pending] of [...this.requests]) {
+      if (this.isLost(pending.message)) {
+        this.finish(pendingId);
+        this.settleLost(pending);
+      }
+    }
+    this.start();
+    if (this.requests.size > 0) {
+      this.worker.ref();
+    }
+    for (const pending of this.requests.values()) {
+      this.worker.postMessage(pending.message);
+    }
+  }
+
+  async close() {
+    if (!this.worker) {
+      return;
+    }
+    await this.send('close');
+    this.worker.removeAllListeners();
+    await this.worker.terminate();
+  }
+}
+
+/**
+ * A writer thread and a pool of reader threads that each hold their own
+ * connection, so that statements run without blocking the event loop.
+ * Reads go to the reader with the fewest requests waiting.
+ */
+class WorkerPool {
+  constructor(options) {
+    const {
+      path,
+      extensions = [],
+      functions = [],
+      readers = 2
+    } = options;
+    const workerData = {
+      path,
+      extensions: extensions.map(e => e instanceof URL ? fileURLToPath(e) : e),
+      functions: functions.map(f => ({
+        name: f.name,
+        key: f.key,
+        module: f.module instanceof URL ? f.module.href : pathToFileURL(f.module).href,
+        aggregate: f.aggregate,
+        options: {
+          deterministic: f.options.deterministic,
+          varargs: f.options.varargs
+        }
+      })),
+      pageSize: 1000
+    };
+    this.writer = new Thread(workerData);
+    this.readers = Array.from({ length: readers }, () => new Thread(workerData));
+  }
+
+  getReader() {
+    return this.readers.reduce((a, b) => b.pending < a.pending ? b : a);
+  }
+
+  async read(type, options, limits) {
+    return await this.getReader().send(type, options, limits);
+  }
+
+  async write(type, options) {
+    return await this.writer.send(type, options);
+  }
+
+  async close() {
+    await Promise.all([this.writer, ...this.readers].map(t => t.close()));
+  }
+}
+
+export {
+  WorkerPool,
+  splitParsers
+}
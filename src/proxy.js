@@ -3,16 +3,22 @@ import {
   insertMany,
   update,
   upsert,
+  upsertMany,
   exists,
   group,
   aggregate,
   match,
+  nearest,
   all,
+  iterate,
+  history,
+  asOf,
   remove,
   softDelete,
   restore,
   paginate,
-  cursorPaginate
+  cursorPaginate,
+  getScope
 } from './queries.js';
 
 const groupMethods = (args) => {
@@ -29,9 +35,10 @@ const groupMethods = (args) => {
 
 const basic = {
   insert: (args) => async (values) => await insert({ values, ...args }),
-  insertMany: (args) => async (items) => await insertMany({ items, ...args }),
+  insertMany: (args) => async (items, config) => await insertMany({ items, ...config, ...args }),
   update: (args) => async (options) => await update({ options, ...args }),
   upsert: (args) => async (options) => await upsert({ options, ...args }),
+  upsertMany: (args) => async (options) => await upsertMany({ options, ...args }),
   exists: (args) => async (query, config) => await exists({ query, ...config, ...args }),
   groupBy: (args) => (by, config) => groupMethods({ by, ...config, ...args }),
   count: (args) => async (query, config) => await aggregate({ query, method: 'count', ...config, ...args }),
@@ -42,17 +49,78 @@ const basic = {
   get: (args) => async (query, columns, config) => await all({ query, columns, first: true, ...config, ...args }),
   many: (args) => async (query, columns, config) => await all({ query, columns, ...config, ...args }),
   match: (args) => async (query, config) => await match({ query, ...config, ...args }),
+  nearest: (args) => async (query, config) => await nearest({ query, ...config, ...args }),
   query: (args) => async (query, config) => await all({ query, type: 'complex', ...config, ...args }),
   first: (args) => async (query, config) => await all({ query, first: true, type: 'complex', ...config, ...args }),
-  delete: (args) => async (query) => await remove({ query, ...args }),
-  softDelete: (args) => async (query) => await softDelete({ query, ...args }),
-  restore: (args) => async (query) => await restore({ query, ...args }),
+  iterate: (args) => (query, config) => iterate({ query, ...config, ...args }),
+  history: (args) => async (query) => await history({ query, ...args }),
+  asOf: (args) => async (date, query) => await asOf({ date, query, ...args }),
+  delete: (args) => async (query, config) => await remove({ query, ...config, ...args }),
+  softDelete: (args) => async (query, config) => await softDelete({ query, ...config, ...args }),
+  restore: (args) => async (query, config) => await restore({ query, ...config, ...args }),
   withDeleted: (args) => async (query, columns, config) => await all({ query, columns, withDeleted: true, ...config, ...args }),
   onlyDeleted: (args) => async (query, columns, config) => await all({ query, columns, onlyDeleted: true, ...config, ...args }),
   paginate: (args) => async (query, config) => await paginate({ query, ...config, ...args }),
   cursorPaginate: (args) => async (query, config) => await cursorPaginate({ query, ...config, ...args })
 }
 
+const scopeWhere = (where, scope) => ({ ...where, ...scope });
+
+const scopeQuery = (query, scope) => ({ ...query, where: scopeWhere(query ? query.where : undefined, scope) });
+
+const scopeValues = (values, scope) => {
+  for (const [key, value] of Object.entries(scope)) {
+    if (values[key] !== undefined && values[key] !== value) {
+      throw Error(`The value of "${key}" does not match the scope of the client`);
+    }
+  }
+  return { ...values, ...scope };
+}
+
+const whereMethods = ['exists', 'get', 'many', 'delete', 'softDelete', 'restore', 'withDeleted', 'onlyDeleted', 'history'];
+const queryMethods = ['count', 'avg', 'min', 'max', 'sum', 'query', 'first', 'iterate', 'paginate', 'cursorPaginate', 'nearest'];
+
+/**
+ * Adds the scope of the client to the arguments of a table method,
+ * so that reads and writes only see rows with the same values.
+ */
+const scopeArgs = (method, scope, args) => {
+  const [first, ...rest] = args;
+  if (whereMethods.includes(method)) {
+    return [scopeWhere(first, scope), ...rest];
+  }
+  if (queryMethods.includes(method)) {
+    return [scopeQuery(first, scope), ...rest];
+  }
+  if (method === 'asOf') {
+    return [first, scopeWhere(rest[0], scope)];
+  }
+  if (method === 'insert') {
+    return [scopeValues(first, scope)];
+  }
+  if (method === 'insertMany') {
+    return [first.map(item => scopeValues(item, scope)), ...rest];
+  }
+  if (method === 'update') {
+    if (first.set) {
+      scopeValues(first.set, scope);
+    }
+    return [scopeQuery(first, scope)];
+  }
+  if (method === 'upsert') {
+    return [{ ...first, values: scopeValues(first.values, scope) }];
+  }
+  if (method === 'upsertMany') {
+    return [{ ...first, values: first.values.map(item => scopeValues(item, scope)) }];
+  }
+  if (method === 'match') {
+    throw Error('The "match" method cannot be used on a scoped table');
+  }
+  return args;
+}
+
+const writeMethods = ['insert', 'insertMany', 'update', 'upsert', 'upsertMany', 'delete', 'softDelete', 'restore'];
+
 const getConverters = (key, value, db, converters, keys = [], optional = []) => {
   keys.push(key);
   if (typeof value.type === 'string') {
@@ -135,13 +203,20 @@ const makeQueryHandler = (options) => {
     db,
     tx,
     dbClient,
-    subquery
+    subquery,
+    scope
   } = options;
+  const tableScope = getScope(db, table, scope);
   return {
     get: function(target, method) {
       if (method === 'compute') {
         return (args) => db.compute(table, args);
       }
+      if (!target[method] && db.viewSet.has(table) && writeMethods.includes(method)) {
+        target[method] = async () => {
+          throw Error(`Cannot call "${method}" on the view "${table}"`);
+        }
+      }
       if (!target[method]) {
         const makeQuery = basic[method];
         const run = makeQuery({ 
@@ -149,16 +224,27 @@ const makeQueryHandler = (options) => {
           table,
           tx,
           dbClient,
-          subquery
+          subquery,
+          scope
         });
-        if (method === 'groupBy') {
+        if (tableScope && method === 'groupBy') {
+          target[method] = (...args) => {
+            const methods = run(...args);
+            return Object.fromEntries(Object
+              .entries(methods)
+              .map(([key, method]) => [key, (query) => method(scopeQuery(query, tableScope))]));
+          }
+        }
+        else if (method === 'groupBy' || method === 'iterate') {
           target[method] = (...args) => {
-            return run(...args);
+            const adjusted = tableScope ? scopeArgs(method, tableScope, args) : args;
+            return run(...adjusted);
           }
         }
         else {
           target[method] = async (...args) => {
-            return await run(...args);
+            const adjusted = tableScope ? scopeArgs(method, tableScope, args) : args;
+            return await run(...adjusted);
           }
         }
         return target[method];
@@ -168,7 +254,7 @@ const makeQueryHandler = (options) => {
   }
 }
 
-const makeClient = (db, tx) => {
+const makeClient = (db, tx, scope) => {
   const tableHandler = {
     get: function(target, table, dbClient) {
         if (table === 'explain') {
@@ -177,20 +263,62 @@ const makeClient = (db, tx) => {
         if (table === 'setLogger') {
           return (logger, options) => db.setLogger(logger, options);
         }
+      if (table === 'setActor') {
+        return (actor) => db.setActor(actor, tx);
+      }
+      if (table === 'scoped') {
+        return (values) => makeClient(db, tx, { ...scope, ...values });
+      }
       if (table === 'query' || table === 'queryValues') {
-        return (expression) => db.query(expression, tx);
+        return (expression, config) => db.query(expression, tx, false, scope, config);
       }
       if (table === 'first' || table === 'firstValue') {
-        return (expression) => db.query(expression, tx, true);
+        return (expression, config) => db.query(expression, tx, true, scope, config);
+      }
+      if (table === 'iterate') {
+        return (expression, config) => db.iterate(expression, tx, scope, config);
+      }
+      if (table === 'cursorPaginate') {
+        return (expression, config) => db.cursorPaginate(expression, tx, scope, config);
       }
       if (table === 'subquery') {
-        return (expression) => db.subquery(expression);
+        return (expression) => db.subquery(expression, scope);
+      }
+      if (table === 'recursive') {
+        return (definition) => db.recursive(definition, scope);
       }
-      if (db[table] && ['exec', 'begin', 'commit', 'rollback', 'pragma', 'deferForeignKeys'].includes(table)) {
+      if (table === 'begin') {
+        if (scope) {
+          return async (type) => {
+            const client = tx ? await db.savepoint(tx) : await db.begin(type);
+            return client.scoped(scope);
+          }
+        }
+        return (type) => tx ? db.savepoint(tx) : db.begin(type);
+      }
+      if (table === 'transaction') {
+        if (scope) {
+          return (handler, type) => db.transaction(tx, (client) => handler(client.scoped(scope)), type);
+        }
+        return (handler, type) => db.transaction(tx, handler, type);
+      }
+      if (scope && table === 'batch') {
+        return (...args) => {
+          const handler = args.pop();
+          return db.batch(...args, (client) => handler(client.scoped(scope)));
+        }
+      }
+      if (scope && table === 'getTransaction') {
+        return async () => {
+          const client = await db.getTransaction();
+          return client.scoped(scope);
+        }
+      }
+      if (db[table] && ['exec', 'commit', 'rollback', 'pragma', 'deferForeignKeys'].includes(table)) {
         db[table] = db[table].bind(db);
         return (sql) => db[table](tx, sql);
       }
-      if (db[table] && ['getTransaction', 'batch', 'sync', 'diff', 'getSchema', 'migrate'].includes(table)) {
+      if (db[table] && ['getTransaction', 'batch', 'sync', 'diff', 'diffDown', 'getSchema', 'migrate'].includes(table)) {
         db[table] = db[table].bind(db);
         return db[table];
       }
@@ -222,7 +350,8 @@ const makeClient = (db, tx) => {
           table,
           db,
           tx,
-          dbClient
+          dbClient,
+          scope
         }));
       }
       return target[table];
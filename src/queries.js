@@ -5,6 +5,9 @@ import {
   nameToSql
 } from './utils.js';
 import { compareOperators } from './methods.js';
+import { StaleRowError } from './errors.js';
+import { decodeCursor, toKeys, toKeysetQuery, toPage } from './keyset.js';
+import { toFunctionName } from './vectors.js';
 
 const aggregateMethods = [
   'count',
@@ -134,6 +137,15 @@ const validateValueType = (db, table, column, value, meta) => {
     }
     return;
   }
+  if (meta.type === 'vector') {
+    if (!(value instanceof Float32Array)) {
+      throw Error(`Column ${table}.${column} must be a Float32Array`);
+    }
+    if (value.length !== meta.dimensions) {
+      throw Error(`Column ${table}.${column} must have ${meta.dimensions} dimensions, not ${value.length}`);
+    }
+    return;
+  }
   const customType = db.customTypes[meta.type];
   if (customType && customType.valueTest && !customType.valueTest(value)) {
     throw Error(`Invalid value for ${table}.${column}`);
@@ -178,7 +190,7 @@ const validateValueType = (db, table, column, value, meta) => {
 const validateMissing = (table, info, values) => {
   const missing = [];
   for (const [name, meta] of Object.entries(info)) {
-    if (meta.computed) {
+    if (meta.computed || meta.generated) {
       continue;
     }
     const provided = Object.prototype.hasOwnProperty.call(values, name) && values[name] !== undefined;
@@ -208,6 +220,9 @@ const validateInsertValues = (db, table, values) => {
     if (!meta || meta.computed) {
       continue;
     }
+    if (meta.generated) {
+      throw Error(`Column ${table}.${name} is generated and cannot be written to`);
+    }
     validateValueType(db, table, name, value, meta);
   }
 }
@@ -222,6 +237,9 @@ const validateUpdateValues = (db, table, values) => {
     if (!meta || meta.computed) {
       continue;
     }
+    if (meta.generated) {
+      throw Error(`Column ${table}.${name} is generated and cannot be written to`);
+    }
     if (typeof value === 'function') {
       continue;
     }
@@ -236,11 +254,26 @@ const makeInsertSql = (db, table, query, params) => {
   return `insert into ${table}(${columns.map(c => nameToSql(c)).join(', ')}) values(${placeholders.join(', ')})`;
 }
 
+/**
+ * The options of a read that decide whether and for how long its result
+ * is cached, which tables invalidate it when they are written to,
+ * and when it should be stopped.
+ */
+const toReadOptions = (config) => {
+  const { table, subquery, cache, ttl, timeout, signal } = config;
+  return {
+    tables: subquery ? subquery.tables : [table],
+    cache,
+    ttl,
+    timeout,
+    signal
+  };
+}
+
 const processBatch = async (db, options, post) => {
   const result = await db.all(options);
   return {
-    statement: result.statement,
-    params: result.params,
+    ...result,
     post: (meta) => {
       const response = result.post(meta);
       return post(response);
@@ -248,13 +281,14 @@ const processBatch = async (db, options, post) => {
   }
 }
 
-const processInsert = async (db, sql, params, primaryKey, tx, allowEmpty = false) => {
+const processInsert = async (db, table, sql, params, primaryKey, tx, allowEmpty = false) => {
   const options = {
     query: sql,
     params,
     tx,
     write: true,
-    adjusted: true
+    adjusted: true,
+    tables: [table]
   };
   const post = (result) => {
     if (allowEmpty && (!result || result.length === 0)) {
@@ -269,6 +303,53 @@ const processInsert = async (db, sql, params, primaryKey, tx, allowEmpty = false
   return post(result);
 }
 
+const toReturning = (db, table, returning) => {
+  if (returning === undefined) {
+    return null;
+  }
+  const select = toSelect({
+    columns: returning === '*' ? undefined : returning,
+    types: db.columns[table],
+    computed: db.computed[table] || {}
+  });
+  return {
+    ...select,
+    single: typeof returning === 'string' && returning !== '*'
+  };
+}
+
+const convertReturning = (db, table, rows, returning) => {
+  const types = db.columns[table];
+  const parsers = returning.names
+    .map(name => [name, db.getDbToJsConverter(types[name])])
+    .filter(item => item[1] !== null);
+  for (const row of rows) {
+    for (const [key, parser] of parsers) {
+      row[key] = parser(row[key]);
+    }
+  }
+  if (returning.single) {
+    const [key] = returning.names;
+    return rows.map(row => row[key]);
+  }
+  return rows;
+}
+
+const processReturning = async (db, table, options, returning) => {
+  const allOptions = {
+    ...options,
+    query: `${options.query} returning ${returning.clause}`,
+    write: true,
+    tables: [table]
+  };
+  const post = (rows) => convertReturning(db, table, rows, returning);
+  if (options.tx && options.tx.isBatch) {
+    return await processBatch(db, allOptions, post);
+  }
+  const rows = await db.all(allOptions);
+  return post(rows);
+}
+
 const verify = (columns) => {
   const names = Array.isArray(columns) ? columns : [columns];
   for (const name of names) {
@@ -278,12 +359,43 @@ const verify = (columns) => {
   }
 }
 
+/**
+ * Returns the values of the scope of a client that apply to a table,
+ * or null when the table has none of its columns.
+ */
+const getScope = (db, table, scope) => {
+  const columns = db.columns[table];
+  if (!scope || !columns) {
+    return null;
+  }
+  const entries = Object.entries(scope).filter(([key]) => columns[key] !== undefined);
+  return entries.length > 0 ? Object.fromEntries(entries) : null;
+}
+
+/**
+ * A scoped client can only update rows in its scope, even when
+ * an upsert conflicts with a row outside of it.
+ */
+const toScopeConditions = (db, table, scope, params) => {
+  const tableScope = getScope(db, table, scope);
+  if (!tableScope) {
+    return [];
+  }
+  const query = adjust(db, table, tableScope);
+  return Object.entries(query).map(([column, value]) => {
+    const placeholder = getPlaceholder();
+    params[placeholder] = value;
+    return `${table}.${nameToSql(column)} = $${placeholder}`;
+  });
+}
+
 const upsert = async (args) => {
   const { 
     db,
     table,
     options,
-    tx
+    tx,
+    scope
   } = args;
   const { values, target, set } = options;
   
@@ -291,9 +403,10 @@ const upsert = async (args) => {
   let processedValues = await db.runBeforeHooks(table, 'beforeUpsert', values, { tx, target, set });
   
   const params = {};
+  const versioned = toVersioned(db, table, set);
   validateInsertValues(db, table, processedValues);
   if (set) {
-    validateUpdateValues(db, table, set);
+    validateUpdateValues(db, table, versioned.set);
   }
   const query = adjust(db, table, processedValues);
   let sql = makeInsertSql(db, table, query, params);
@@ -301,10 +414,23 @@ const upsert = async (args) => {
   let allowEmpty = false;
   if (target && set) {
     verify([target]);
-    verify(Object.keys(set));
-    const query = adjust(db, table, set);
+    verify(Object.keys(versioned.set));
+    const query = adjust(db, table, versioned.set);
     const setClause = createSetClause(db, table, query, params);
     sql += ` on conflict(${target}) do update set ${setClause}`;
+    const conditions = toScopeConditions(db, table, scope, params);
+    if (versioned.expected !== undefined) {
+      if (tx && tx.isBatch) {
+        throw Error('An upsert that checks the version cannot be used in a batch');
+      }
+      const placeholder = getPlaceholder();
+      params[placeholder] = versioned.expected;
+      conditions.push(`${versioned.version} = $${placeholder}`);
+    }
+    if (conditions.length > 0) {
+      sql += ` where ${conditions.join(' and ')}`;
+      allowEmpty = true;
+    }
   }
   else {
     sql += ' on conflict do nothing';
@@ -312,7 +438,10 @@ const upsert = async (args) => {
   }
   const primaryKey = db.getPrimaryKey(table);
   sql += ` returning ${primaryKey}`;
-  const result = await processInsert(db, sql, params, primaryKey, tx, allowEmpty);
+  const result = await processInsert(db, table, sql, params, primaryKey, tx, allowEmpty);
+  if (result === undefined && versioned.expected !== undefined) {
+    await checkVersion(db, table, versioned, { [target]: processedValues[target], ...getScope(db, table, scope) }, tx);
+  }
   
   // Run afterUpsert hooks
   await db.runAfterHooks(table, 'afterUpsert', result, processedValues, { tx, target, set });
@@ -320,6 +449,119 @@ const upsert = async (args) => {
   return result;
 }
 
+const maxParameters = 32766;
+
+const upsertMany = async (args) => {
+  const {
+    db,
+    table,
+    options,
+    tx,
+    scope
+  } = args;
+  const { values, target, set } = options;
+  const result = {
+    inserted: 0,
+    updated: 0
+  };
+  if (values.length === 0) {
+    return result;
+  }
+  if (tx && tx.isBatch) {
+    throw Error('The "upsertMany" method cannot be used in a batch');
+  }
+  if (!tx) {
+    return await db.transaction(null, async (client) => {
+      const scoped = scope ? client.scoped(scope) : client;
+      return await scoped[table].upsertMany(options);
+    });
+  }
+  const columns = Object.keys(values[0]);
+  verify(columns);
+  for (const item of values) {
+    const keys = Object.keys(item);
+    if (keys.length !== columns.length || keys.some(k => !columns.includes(k))) {
+      throw Error('Every row passed to "upsertMany" must have the same columns');
+    }
+    validateInsertValues(db, table, item);
+  }
+  const setParams = {};
+  let conflictClause = ' on conflict do nothing';
+  let targets;
+  if (target && set) {
+    targets = Array.isArray(target) ? target : [target];
+    verify(targets);
+    const versioned = toVersioned(db, table, set);
+    if (versioned.expected !== undefined) {
+      throw Error('The "upsertMany" method cannot check the version of each row. Use "upsert" instead');
+    }
+    verify(Object.keys(versioned.set));
+    validateUpdateValues(db, table, versioned.set);
+    const query = adjust(db, table, versioned.set);
+    const setClause = createSetClause(db, table, query, setParams);
+    conflictClause = ` on conflict(${targets.join(', ')}) do update set ${setClause}`;
+    const conditions = toScopeConditions(db, table, scope, setParams);
+    if (conditions.length > 0) {
+      conflictClause += ` where ${conditions.join(' and ')}`;
+    }
+  }
+  const columnTypes = db.columns[table];
+  const size = Math.floor((maxParameters - Object.keys(setParams).length) / columns.length);
+  const toKey = (row) => JSON.stringify(targets.map(t => row[t]));
+  for (let i = 0; i < values.length; i += size) {
+    const params = { ...setParams };
+    const chunk = values
+      .slice(i, i + size)
+      .map(item => adjust(db, table, item));
+    const rows = chunk.map(query => {
+      const ordered = Object.fromEntries(columns.map(c => [c, query[c]]));
+      return `(${getPlaceholders(ordered, params, columnTypes).join(', ')})`;
+    });
+    const sql = `insert into ${table}(${columns.map(c => nameToSql(c)).join(', ')}) values ${rows.join(', ')}${conflictClause}`;
+    if (!targets) {
+      // Rows that conflict are skipped, so every change is an insert
+      result.inserted += await db.run({
+        query: sql,
+        params,
+        tx,
+        adjusted: true,
+        tables: [table]
+      });
+      continue;
+    }
+    // The rows that already exist are updated, unless the scope prevents it
+    const keyParams = {};
+    const keys = chunk.map(query => `(${getPlaceholders(Object.fromEntries(targets.map(t => [t, query[t]])), keyParams, {}).join(', ')})`);
+    const existing = await db.all({
+      query: `select ${targets.join(', ')} from ${table} where (${targets.join(', ')}) in (values ${keys.join(', ')})`,
+      params: keyParams,
+      tx,
+      adjusted: true,
+      cache: false
+    });
+    const found = new Set(existing.map(toKey));
+    const changed = await db.all({
+      query: `${sql} returning ${targets.join(', ')}`,
+      params,
+      tx,
+      write: true,
+      adjusted: true,
+      tables: [table]
+    });
+    for (const row of changed) {
+      const key = toKey(row);
+      if (found.has(key)) {
+        result.updated++;
+      }
+      else {
+        result.inserted++;
+        found.add(key);
+      }
+    }
+  }
+  return result;
+}
+
 const insert = async (args) => {
   const { 
     db,
@@ -339,7 +581,7 @@ const insert = async (args) => {
   const sql = makeInsertSql(db, table, adjusted, params);
   const primaryKey = db.getPrimaryKey(table);
   const query = `${sql} returning ${primaryKey}`;
-  const result = await processInsert(db, query, params, primaryKey, tx);
+  const result = await processInsert(db, table, query, params, primaryKey, tx);
   
   // Run afterInsert hooks
   await db.runAfterHooks(table, 'afterInsert', result, processedValues, { tx });
@@ -347,7 +589,10 @@ const insert = async (args) => {
   return result;
 }
 
-const batchInserts = async (tx, db, table, items) => {
+const batchInserts = async (tx, db, table, items, returning) => {
+  if (returning && tx && tx.isBatch) {
+    throw Error('The "returning" option cannot be used with blob columns in a batch');
+  }
   const inserts = [];
   for (const item of items) {
     validateInsertValues(db, table, item);
@@ -355,16 +600,20 @@ const batchInserts = async (tx, db, table, items) => {
     const adjusted = adjust(db, table, item);
     const sql = makeInsertSql(db, table, adjusted, params);
     inserts.push({
-      query: sql,
+      query: returning ? `${sql} returning ${returning.clause}` : sql,
       params,
       tx,
-      adjusted: true
+      adjusted: true,
+      tables: [table]
     });
   }
   if (tx && tx.isBatch) {
     return await Promise.all(inserts.map(insert => db.run(insert)));
   }
-  await db.insertBatch(inserts);
+  const results = await db.insertBatch(inserts);
+  if (returning) {
+    return convertReturning(db, table, results.flat(), returning);
+  }
 }
 
 const insertMany = async (args) => {
@@ -374,8 +623,9 @@ const insertMany = async (args) => {
     items,
     tx
   } = args;
+  const returning = toReturning(db, table, args.returning);
   if (items.length === 0) {
-    return;
+    return returning ? [] : undefined;
   }
   for (const item of items) {
     validateInsertValues(db, table, item);
@@ -384,9 +634,9 @@ const insertMany = async (args) => {
   const sample = items[0];
   const columns = Object.keys(sample);
   verify(columns);
-  const hasBlob = db.tables[table].filter(c => columns.includes(c.name)).some(c => c.type === 'blob');
+  const hasBlob = db.tables[table].filter(c => columns.includes(c.name)).some(c => ['blob', 'vector'].includes(c.type));
   if (hasBlob) {
-    return await batchInserts(tx, db, table, items);
+    return await batchInserts(tx, db, table, items, returning);
   }
   let sql = `insert into ${table}(${columns.join(', ')}) select `;
   const select = columns.map(column => {
@@ -403,8 +653,12 @@ const insertMany = async (args) => {
   const options = {
     query: sql,
     params,
-    tx
+    tx,
+    tables: [table]
   };
+  if (returning) {
+    return await processReturning(db, table, options, returning);
+  }
   return await db.run(options);
 }
 
@@ -485,6 +739,43 @@ const createSetClause = (db, table, query, params) => {
   return statements.join(', ');
 }
 
+const toVersioned = (db, table, set) => {
+  const version = db.versionColumns[table];
+  if (!version || !set) {
+    return { set };
+  }
+  // The version passed in is the one that was read, so it becomes part of the where clause
+  const { [version]: expected, ...rest } = set;
+  return {
+    version,
+    expected,
+    set: {
+      ...rest,
+      [version]: (c, f) => f.plus(c[version], 1)
+    }
+  };
+}
+
+const checkVersion = async (db, table, versioned, where, tx) => {
+  const { version, expected } = versioned;
+  const params = {};
+  let sql = `select ${version} from ${table}`;
+  const clause = where ? toWhere({ table, query: where, params }) : '';
+  if (clause) {
+    sql += ` where ${clause}`;
+  }
+  sql += ' limit 1';
+  const rows = await db.all({
+    query: sql,
+    params,
+    tx,
+    cache: false
+  });
+  if (rows.length > 0) {
+    throw new StaleRowError(table, expected, rows[0][version]);
+  }
+}
+
 const update = async (args) => {
   const { 
     db,
@@ -493,21 +784,28 @@ const update = async (args) => {
     tx
   } = args;
   const { where, set } = options;
+  const returning = toReturning(db, table, options.returning);
   
   // Run beforeUpdate hooks - can modify set values
   let processedSet = await db.runBeforeHooks(table, 'beforeUpdate', set, { tx, where });
   
-  const keys = Object.keys(processedSet);
+  const versioned = toVersioned(db, table, processedSet);
+  const checked = versioned.expected !== undefined;
+  if (checked && tx && tx.isBatch) {
+    throw Error('An update that checks the version cannot be used in a batch');
+  }
+  const keys = Object.keys(versioned.set);
   verify(keys);
-  validateUpdateValues(db, table, processedSet);
+  validateUpdateValues(db, table, versioned.set);
   const params = {};
-  const query = adjust(db, table, processedSet);
+  const query = adjust(db, table, versioned.set);
   const setString = createSetClause(db, table, query, params);
   let sql = `update ${table} set ${setString}`;
-  if (where) {
+  const filter = checked ? { ...where, [versioned.version]: versioned.expected } : where;
+  if (filter) {
     const clause = toWhere({
       table,
-      query: where,
+      query: filter,
       params
     });
     if (clause) {
@@ -517,9 +815,16 @@ const update = async (args) => {
   const runOptions = {
     query: sql,
     params,
-    tx
+    tx,
+    tables: [table]
   };
-  const result = await db.run(runOptions);
+  const result = returning ? await processReturning(db, table, runOptions, returning) : await db.run(runOptions);
+  if (checked) {
+    const changes = Array.isArray(result) ? result.length : result;
+    if (changes === 0) {
+      await checkVersion(db, table, versioned, where, tx);
+    }
+  }
   
   // Run afterUpdate hooks
   await db.runAfterHooks(table, 'afterUpdate', result, processedSet, { tx, where });
@@ -628,7 +933,8 @@ const exists = async (config) => {
   const options = {
     query: sql,
     params,
-    tx
+    tx,
+    ...toReadOptions(config)
   };
   const post = (results) => {
     if (results.length > 0) {
@@ -762,7 +1068,8 @@ const group = async (config) => {
   const options = {
     query: sql,
     params,
-    tx
+    tx,
+    ...toReadOptions(config)
   };
   const post = (rows) => {
     if (rows.length === 0) {
@@ -858,7 +1165,8 @@ const aggregate = async (config) => {
   const options = {
     query: sql,
     params,
-    tx
+    tx,
+    ...toReadOptions(config)
   };
   const post = (results) => {
     if (groupFields) {
@@ -1168,7 +1476,8 @@ const match = async (config) => {
   const options = {
     query: sql,
     params,
-    tx
+    tx,
+    ...toReadOptions(config)
   };
   const result = await db.all(options);
   if (query.return) {
@@ -1177,7 +1486,182 @@ const match = async (config) => {
   return result;
 }
 
-const all = async (config) => {
+/**
+ * Returns the "k" rows with the vectors nearest to a vector, closest first,
+ * with their distance from it.
+ */
+const nearest = async (config) => {
+  const {
+    db,
+    table,
+    query,
+    tx
+  } = config;
+  const {
+    column,
+    vector,
+    k = 10,
+    metric = 'l2',
+    where,
+    select
+  } = query;
+  verify(column);
+  const meta = db.columnInfo[table][column];
+  if (!meta || meta.type !== 'vector') {
+    throw Error(`Column ${table}.${column} is not a vector`);
+  }
+  if (!Number.isInteger(k) || k < 1) {
+    throw Error(`Invalid number of results: ${k}`);
+  }
+  const value = Array.isArray(vector) ? new Float32Array(vector) : vector;
+  validateValueType(db, table, column, value, { ...meta, notNull: true });
+  const returning = toReturning(db, table, select ? [select].flat() : '*');
+  const params = {};
+  const placeholder = getPlaceholder();
+  params[placeholder] = value;
+  const name = nameToSql(column);
+  let sql = `select ${returning.clause}, ${toFunctionName(metric)}(${name}, $${placeholder}) as distance from ${table} where ${name} is not null`;
+  const clause = toWhere({
+    query: where,
+    params
+  });
+  if (clause) {
+    sql += ` and (${clause})`;
+  }
+  if (db.softDeleteTables.has(table)) {
+    sql += ` and ${table}.deletedAt is null`;
+  }
+  // Cosine distances from a vector of zeros are null, so they come last
+  sql += ` order by distance is null, distance limit ${k}`;
+  const rows = await db.all({
+    query: sql,
+    params,
+    tx,
+    ...toReadOptions(config)
+  });
+  return convertReturning(db, table, rows, returning);
+}
+
+const getRelation = (db, table, name, options) => {
+  const relations = db.relations[table] || {};
+  const relation = relations[name];
+  if (!relation) {
+    throw Error(`Table "${table}" has no relation named "${name}"`);
+  }
+  const { foreignKey } = options;
+  if (foreignKey) {
+    const key = relation.keys.find(k => k.column === foreignKey);
+    if (!key) {
+      throw Error(`The relation "${table}.${name}" has no foreign key "${foreignKey}"`);
+    }
+    return { relation, key };
+  }
+  if (relation.keys.length > 1) {
+    const columns = relation.keys.map(k => k.column).join(', ');
+    throw Error(`The relation "${table}.${name}" is ambiguous. Specify a "foreignKey" (${columns})`);
+  }
+  return { relation, key: relation.keys.at(0) };
+}
+
+const getIncludeColumns = (db, table, include) => {
+  return Object.entries(include).map(([name, value]) => {
+    const options = value === true ? {} : value;
+    const { relation, key } = getRelation(db, table, name, options);
+    return relation.type === 'one' ? key.column : key.references;
+  });
+}
+
+const toKey = (value) => value instanceof Date ? value.toISOString() : value;
+
+/**
+ * Loads the relations named in "include" for the given rows,
+ * issuing one query per relation rather than one per row.
+ */
+const loadIncludes = async (args) => {
+  const {
+    db,
+    table,
+    rows,
+    include,
+    tx,
+    scope
+  } = args;
+  for (const [name, value] of Object.entries(include)) {
+    const options = value === true ? {} : value;
+    const { relation, key } = getRelation(db, table, name, options);
+    const isOne = relation.type === 'one';
+    const local = isOne ? key.column : key.references;
+    const remote = isOne ? key.references : key.column;
+    const values = new Map();
+    for (const row of rows) {
+      const value = row[local];
+      if (value !== null && value !== undefined) {
+        values.set(toKey(value), value);
+      }
+    }
+    const {
+      where,
+      select,
+      omit,
+      withDeleted,
+      foreignKey,
+      ...keywords
+    } = options;
+    let columns;
+    if (select) {
+      columns = typeof select === 'string' ? [select] : [...select];
+    }
+    else if (omit) {
+      columns = invertOmit(Object.keys(db.columns[relation.table]), omit);
+    }
+    const strip = columns && !columns.includes(remote);
+    if (strip) {
+      columns.push(remote);
+    }
+    let related = [];
+    if (values.size > 0) {
+      const condition = { [remote]: [...values.values()], ...getScope(db, relation.table, scope) };
+      related = await all({
+        db,
+        table: relation.table,
+        query: {
+          where: where ? { and: [where, condition] } : condition,
+          select: columns,
+          ...keywords
+        },
+        tx,
+        type: 'complex',
+        withDeleted,
+        scope
+      });
+    }
+    const grouped = new Map();
+    for (const item of related) {
+      const value = toKey(item[remote]);
+      if (strip) {
+        delete item[remote];
+      }
+      const items = grouped.get(value);
+      if (items) {
+        items.push(item);
+      }
+      else {
+        grouped.set(value, [item]);
+      }
+    }
+    for (const row of rows) {
+      const items = grouped.get(toKey(row[local]));
+      if (isOne) {
+        row[name] = items ? items.at(0) : null;
+      }
+      else {
+        row[name] = items || [];
+      }
+    }
+  }
+}
+
+const toQuery = (config) => {
   const {
     db,
     table,
@@ -1192,8 +1676,9 @@ const all = async (config) => {
   let query = config.query || {};
   let columns = config.columns;
   let keywords;
+  let include = config.include;
   if (type === 'complex') {
-    const { where, select, return: returning, omit, ...rest } = query;
+    const { where, select, return: returning, omit, include: relations, ...rest } = query;
     query = where || {};
     if (omit) {
       const all = Object.keys(db.columns[table]);
@@ -1203,8 +1688,23 @@ const all = async (config) => {
       columns = select || returning;
     }
     keywords = rest;
+    include = relations;
   }
   const returnValue = typeof columns === 'string';
+  let stripColumns = [];
+  if (include) {
+    if (returnValue) {
+      throw Error('The "include" option cannot be used when returning a single column');
+    }
+    if (tx && tx.isBatch) {
+      throw Error('The "include" option cannot be used in a batch');
+    }
+    const required = getIncludeColumns(db, table, include);
+    if (Array.isArray(columns) && columns.length > 0) {
+      stripColumns = required.filter(c => !columns.includes(c));
+      columns = [...columns, ...new Set(stripColumns)];
+    }
+  }
   const types = subquery ? subquery.columns : db.columns[table];
   let select;
   if (keywords && (keywords.highlight || keywords.snippet)) {
@@ -1248,12 +1748,21 @@ const all = async (config) => {
   if (first) {
     sql += ' limit 1';
   }
+  const columnParsers = {};
+  for (const [column, type] of Object.entries(types)) {
+    const parser = db.getDbToJsConverter(type);
+    if (parser) {
+      columnParsers[column] = parser;
+    }
+  }
   const options = {
     query: sql,
     params,
-    tx
+    tx,
+    parsers: columnParsers,
+    ...toReadOptions(config)
   };
-  const post = (rows) => {
+  const post = (rows, converted) => {
     if (rows.length === 0) {
       if (first) {
         return undefined;
@@ -1277,7 +1786,7 @@ const all = async (config) => {
         .map(key => [key, db.getDbToJsConverter(db.columns[table][key])])
         .filter(item => item[1] !== null);
     }
-    if (parsers.length > 0) {
+    if (!converted && parsers.length > 0) {
       for (let i = 0; i < rows.length; i++) {
         const row = rows[i];
         for (const [key, parser] of parsers) {
@@ -1304,11 +1813,125 @@ const all = async (config) => {
     }
     return rows;
   };
+  return {
+    options,
+    post,
+    include,
+    stripColumns
+  };
+}
+
+const all = async (config) => {
+  const {
+    db,
+    table,
+    first,
+    tx,
+    scope
+  } = config;
+  const { options, post, include, stripColumns } = toQuery(config);
   if (tx && tx.isBatch) {
     return await processBatch(db, options, post);
   }
   const rows = await db.all(options);
-  return post(rows);
+  const result = post(rows, true);
+  if (include && rows.length > 0) {
+    await loadIncludes({
+      db,
+      table,
+      rows: first ? rows.slice(0, 1) : rows,
+      include,
+      tx,
+      scope
+    });
+    for (const row of rows) {
+      for (const column of stripColumns) {
+        delete row[column];
+      }
+    }
+  }
+  return result;
+}
+
+const iterate = async function* (config) {
+  const { db, tx } = config;
+  if (tx && tx.isBatch) {
+    throw Error('The "iterate" method cannot be used in a batch');
+  }
+  if (config.query && config.query.include) {
+    throw Error('The "include" option cannot be used with "iterate"');
+  }
+  const { options, post } = toQuery({ ...config, type: 'complex' });
+  const query = config.query || {};
+  const sorted = Boolean(query.orderBy);
+  const limited = query.limit !== undefined || query.offset !== undefined;
+  for await (const row of db.iterateRows({ ...options, sorted, limited })) {
+    yield post([row])[0];
+  }
+}
+
+const getHistoryTable = (db, table) => {
+  const name = `${table}_history`;
+  const schema = db.schema.find(t => t.name === table);
+  if (!schema || !schema.history) {
+    throw Error(`The table "${table}" does not keep a history. Set "History = true" on its class.`);
+  }
+  return {
+    name,
+    schema
+  };
+}
+
+const history = async (config) => {
+  const { db, table, query, tx } = config;
+  const { name } = getHistoryTable(db, table);
+  return await all({
+    db,
+    table: name,
+    query: {
+      where: query,
+      omit: 'historyId',
+      orderBy: 'historyId'
+    },
+    type: 'complex',
+    tx
+  });
+}
+
+/**
+ * Reads the rows of a table as they were at a point in time
+ * from the last change to each row that was made before it.
+ */
+const asOf = async (config) => {
+  const { db, table, date, query, tx } = config;
+  const { name, schema } = getHistoryTable(db, table);
+  const columns = schema.columns
+    .filter(c => !c.generated)
+    .map(c => c.name);
+  const returning = toReturning(db, name, columns);
+  const keys = schema.primaryKeys.map(k => nameToSql(k)).join(', ');
+  const params = {};
+  const placeholder = getPlaceholder();
+  params[placeholder] = date instanceof Date ? date.toISOString() : date;
+  let sql = `select ${returning.clause} from ${name} where historyId in (select max(historyId) from ${name} where changedAt <= $${placeholder} group by ${keys}) and operation != 'delete'`;
+  if (query) {
+    const clause = toWhere({
+      table: name,
+      query,
+      params
+    });
+    if (clause) {
+      sql += ` and (${clause})`;
+    }
+  }
+  sql += ` order by ${keys}`;
+  const rows = await db.all({
+    query: sql,
+    params,
+    tx,
+    tables: [name]
+  });
+  return convertReturning(db, name, rows, returning);
 }
 
 const remove = async (args) => {
@@ -1318,6 +1941,7 @@ const remove = async (args) => {
     query,
     tx
   } = args;
+  const returning = toReturning(db, table, args.returning);
   
   // Run beforeDelete hooks
   await db.runBeforeHooks(table, 'beforeDelete', query, { tx });
@@ -1335,9 +1959,10 @@ const remove = async (args) => {
   const options = {
     query: sql,
     params,
-    tx
+    tx,
+    tables: [table]
   };
-  const result = await db.run(options);
+  const result = returning ? await processReturning(db, table, options, returning) : await db.run(options);
   
   // Run afterDelete hooks
   await db.runAfterHooks(table, 'afterDelete', result, query, { tx });
@@ -1378,8 +2003,13 @@ const softDelete = async (args) => {
     query: sql,
     params,
     tx,
+    tables: [table],
     operation: 'softDelete'
   };
+  const returning = toReturning(db, table, args.returning);
+  if (returning) {
+    return await processReturning(db, table, options, returning);
+  }
   return await db.run(options);
 }
 
@@ -1415,8 +2045,13 @@ const restore = async (args) => {
     query: sql,
     params,
     tx,
+    tables: [table],
     operation: 'restore'
   };
+  const returning = toReturning(db, table, args.returning);
+  if (returning) {
+    return await processReturning(db, table, options, returning);
+  }
   return await db.run(options);
 }
 
@@ -1430,7 +2065,9 @@ const paginate = async (config) => {
     table,
     tx,
     withDeleted,
-    onlyDeleted
+    onlyDeleted,
+    timeout,
+    signal
   } = config;
   const query = config.query || {};
   const { where, select, return: returning, omit, page = 1, pageSize = 20, ...keywords } = query;
@@ -1448,7 +2085,9 @@ const paginate = async (config) => {
     tx,
     method: 'count',
     withDeleted,
-    onlyDeleted
+    onlyDeleted,
+    timeout,
+    signal
   });
   const totalCount = countResult || 0;
   const totalPages = Math.ceil(totalCount / limit);
@@ -1471,7 +2110,9 @@ const paginate = async (config) => {
     tx,
     type: 'complex',
     withDeleted,
-    onlyDeleted
+    onlyDeleted,
+    timeout,
+    signal
   });
   
   return {
@@ -1485,100 +2126,211 @@ const paginate = async (config) => {
 }
 
 /**
- * Cursor-based pagination
+ * Finds the columns that cursors are made from. When none of the ordered
+ * columns are unique, the primary key is added so that rows with the same
+ * values are not skipped or repeated at the edges of pages.
+ */
+const getKeyset = (db, table, orderBy, desc) => {
+  if (typeof orderBy === 'function') {
+    throw Error('The "orderBy" option of "cursorPaginate" must be one or more column names');
+  }
+  const names = Array.isArray(orderBy) ? orderBy : [orderBy];
+  if (Array.isArray(desc) && desc.length !== names.length) {
+    throw Error('The "desc" option must have one value for each column in "orderBy"');
+  }
+  const keyset = names.map((name, i) => {
+    verify(name);
+    if (db.columns[table][name] === undefined) {
+      throw Error(`The column "${name}" does not exist on "${table}"`);
+    }
+    return {
+      name,
+      desc: Boolean(Array.isArray(desc) ? desc[i] : desc)
+    };
+  });
+  if (!keyset.some(k => db.isUnique(table, k.name))) {
+    keyset.push({
+      name: db.getPrimaryKey(table),
+      desc: keyset.at(-1).desc
+    });
+  }
+  return keyset;
+}
+
+let warnedCursor = false;
+
+/**
+ * Pagination with the value of one column as the cursor, for databases
+ * without a cursor secret and for calls that pass a direction, a cursor
+ * column or a raw value as the cursor.
  * Returns { data, nextCursor, hasMore }
  */
-const cursorPaginate = async (config) => {
-  const {
-    db,
-    table,
-    tx,
-    withDeleted,
-    onlyDeleted
-  } = config;
+const columnCursorPaginate = async (config) => {
   const query = config.query || {};
-  const { 
-    where = {}, 
-    select, 
-    return: returning, 
-    omit, 
-    cursor, 
+  const {
+    where = {},
+    cursor,
     limit: requestedLimit = 20,
     cursorColumn = 'id',
     direction = 'after',
-    ...keywords 
+    ...keywords
   } = query;
-  
-  // Validate params
   const limit = Math.max(1, Math.min(1000, parseInt(requestedLimit, 10) || 20));
   verify(cursorColumn);
-  
-  // Build cursor condition
-  let cursorWhere = { ...where };
+  const cursorWhere = { ...where };
   if (cursor !== undefined && cursor !== null) {
     const op = direction === 'before' ? 'lt' : 'gt';
     cursorWhere[cursorColumn] = (c) => c[op](cursor);
   }
-  
-  // Determine order direction
-  const orderDir = direction === 'before' ? 'desc' : 'asc';
   const orderBy = keywords.orderBy || cursorColumn;
   const desc = direction === 'before' ? !keywords.desc : keywords.desc;
-  
   // Fetch one extra to determine hasMore
-  const paginatedQuery = {
-    where: cursorWhere,
-    select,
-    return: returning,
-    omit,
-    limit: limit + 1,
-    orderBy,
-    desc,
-    ...keywords
-  };
-  
   const results = await all({
-    db,
-    table,
-    query: paginatedQuery,
-    tx,
-    type: 'complex',
-    withDeleted,
-    onlyDeleted
+    ...config,
+    query: {
+      ...keywords,
+      where: cursorWhere,
+      limit: limit + 1,
+      orderBy,
+      desc
+    },
+    type: 'complex'
   });
-  
   const hasMore = results.length > limit;
   const data = hasMore ? results.slice(0, limit) : results;
-  
-  // Reverse if fetching before (since we fetched in reverse order)
   if (direction === 'before') {
     data.reverse();
   }
-  
-  // Compute next cursor
-  let nextCursor = null;
-  if (hasMore && data.length > 0) {
-    const lastItem = data[data.length - 1];
-    nextCursor = lastItem[cursorColumn];
-  }
-  
   return {
     data,
-    nextCursor,
+    nextCursor: hasMore && data.length > 0 ? data.at(-1)[cursorColumn] : null,
     hasMore
   };
 }
 
+/**
+ * Keyset pagination
+ * Returns { data, nextCursor, prevCursor, hasMore, hasPrevious }
+ */
+const cursorPaginate = async (config) => {
+  const {
+    db,
+    table,
+    tx,
+    scope
+  } = config;
+  const query = config.query || {};
+  const { 
+    cursor, 
+    limit: requestedLimit = 20,
+    cursorColumn,
+    direction,
+    orderBy = 'id',
+    desc,
+    select,
+    return: returning,
+    omit,
+    include,
+    ...keywords 
+  } = query;
+  if (tx && tx.isBatch) {
+    throw Error('The "cursorPaginate" method cannot be used in a batch');
+  }
+  const hasCursor = cursor !== undefined && cursor !== null;
+  const legacy = direction !== undefined || cursorColumn !== undefined || (hasCursor && typeof cursor !== 'string');
+  // Without a secret, the value of a column is the cursor as it was before cursors were encrypted
+  if (!db.cursorSecret && (legacy || query.orderBy === undefined)) {
+    return await columnCursorPaginate(config);
+  }
+  if (legacy) {
+    if (!warnedCursor && typeof process !== 'undefined') {
+      warnedCursor = true;
+      process.emitWarning('Passing "direction", "cursorColumn" or a column value as the cursor of "cursorPaginate" is deprecated. Use "orderBy" and the cursors it returns instead', 'DeprecationWarning');
+    }
+    return await columnCursorPaginate(config);
+  }
+  const secret = db.getCursorSecret();
+  
+  // Validate params
+  const limit = Math.max(1, Math.min(1000, parseInt(requestedLimit, 10) || 20));
+  const keyset = getKeyset(db, table, orderBy, desc);
+  const keys = toKeys(table, keyset);
+  const position = hasCursor ? decodeCursor(secret, cursor, keys) : null;
+  
+  // Select the keyset columns so that cursors can be made from each row
+  let columns = returning ? [returning] : select;
+  if (omit) {
+    columns = invertOmit(Object.keys(db.columns[table]), omit);
+  }
+  const keysetColumns = columns ? keyset.map(k => k.name).filter(n => !columns.includes(n)) : [];
+  const { options, post, stripColumns } = toQuery({
+    ...config,
+    query: {
+      ...keywords,
+      select: columns ? [...columns, ...keysetColumns] : undefined,
+      include
+    },
+    type: 'complex'
+  });
+  const wrapped = toKeysetQuery({
+    sql: options.query,
+    keyset,
+    cursor: position,
+    limit
+  });
+  // Cursors hold the stored values, so the keyset columns are converted after they are read
+  const isKey = ([column]) => keyset.some(k => k.name === column);
+  const parsers = Object.entries(options.parsers);
+  const rows = await db.all({
+    ...options,
+    query: wrapped.sql,
+    params: { ...options.params, ...wrapped.params },
+    parsers: Object.fromEntries(parsers.filter(p => !isKey(p)))
+  });
+  const values = rows.map(row => keyset.map(k => row[k.name]));
+  db.parseRows(rows, Object.fromEntries(parsers.filter(isKey)));
+  post(rows, true);
+  if (include && rows.length > 0) {
+    await loadIncludes({
+      db,
+      table,
+      rows,
+      include,
+      tx,
+      scope
+    });
+  }
+  for (const row of rows) {
+    for (const column of [...keysetColumns, ...stripColumns]) {
+      delete row[column];
+    }
+  }
+  return toPage({
+    secret,
+    keys,
+    cursor: position,
+    limit,
+    rows: returning ? rows.map(row => row[returning]) : rows,
+    values
+  });
+}
+
 export {
+  getScope,
   insert,
   insertMany,
   update,
   upsert,
+  upsertMany,
   exists,
   group,
   aggregate,
   match,
+  nearest,
   all,
+  iterate,
+  history,
+  asOf,
   remove,
   softDelete,
   restore,
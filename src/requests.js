@@ -1,6 +1,7 @@
 import returnTypes from './types.js';
 import { getPlaceholder, jsonSelector } from './utils.js';
 import { compareOperators, mathOperators, toDbName } from './methods.js';
+import { toFunctionName } from './vectors.js';
 
 const addParam = (options) => {
   const { db, params, value } = options;
@@ -230,7 +231,7 @@ const processMethod = (options) => {
   const isSymbol = typeof arg === 'symbol';
   const name = toDbName(method);
   const operator = mathOperators.get(name);
-  let type = operator ? 'real' : (method.type === 'Compare' ? 'boolean' : returnTypes[name]);
+  let type = operator ? 'real' : (method.type === 'Compare' ? 'boolean' : method.resultType || returnTypes[name]);
   if (method.type === 'Compare') {
     const operator = compareOperators.get(name);
     const result = processArg({
@@ -287,6 +288,23 @@ const processMethod = (options) => {
       type
     }
   }
+  if (name === 'distance') {
+    const [a, b, metric = 'l2'] = method.args;
+    // Vectors in table classes have no params, so they are written as JSON text
+    const toArg = (arg) => params === undefined && (Array.isArray(arg) || arg instanceof Float32Array) ? JSON.stringify(Array.from(arg)) : arg;
+    const sql = [a, b]
+      .map(arg => processArg({
+        db,
+        arg: toArg(arg),
+        params,
+        requests
+      }).sql)
+      .join(', ');
+    return {
+      sql: `${toFunctionName(metric)}(${sql})`,
+      type: 'real'
+    }
+  }
   if (['json_group_array', 'json_group_object', 'json_object'].includes(name)) {
     if (name === 'json_group_array') {
       let sql;
@@ -680,5 +698,6 @@ const toWhere = (options) => {
 export {
   processArg,
   processMethod,
-  toWhere
+  toWhere,
+  toLiteral
 }
@@ -1,7 +1,111 @@
 import Database from './db.js';
 import sqlite3 from 'better-sqlite3';
 import { makeClient } from './proxy.js';
-import { existsSync, copyFileSync, unlinkSync } from 'fs';
+import { splitStatements } from './utils.js';
+import { toLiteral } from './requests.js';
+import { toSchema, toSource, toDiscrepancies } from './introspect.js';
+import { WorkerPool, splitParsers } from './pool.js';
+import { QueryTimeoutError } from './errors.js';
+import { addVectorFunctions } from './vectors.js';
+import { keepHistoryColumns } from './migrate.js';
+import { existsSync, copyFileSync, unlinkSync, mkdirSync, readdirSync, readFileSync, writeFileSync } from 'fs';
+import { join } from 'path';
+import { createHash } from 'crypto';
+
+const historyTable = '_midnight_migrations';
+
+const toChecksum = (sql) => createHash('sha256').update(sql).digest('hex');
+
+const readMigrations = (dir) => {
+  if (!existsSync(dir)) {
+    return [];
+  }
+  return readdirSync(dir)
+    .filter(file => /^\d+_.*\.sql$/.test(file) && !file.endsWith('.down.sql'))
+    .sort((a, b) => parseInt(a, 10) - parseInt(b, 10))
+    .map(file => {
+      const path = join(dir, file);
+      const sql = readFileSync(path, 'utf8');
+      return {
+        name: file.replace(/\.sql$/, ''),
+        path,
+        sql,
+        checksum: toChecksum(sql)
+      };
+    });
+}
+
+// The saved schema that the first migration was created from
+const initialSchema = 'initial.schema.json';
+
+const readText = (path) => existsSync(path) ? readFileSync(path, 'utf8') : undefined;
+
+/**
+ * Finds the migrations at the end of the directory that have been rolled back,
+ * as the saved schema no longer matches the schema saved with them.
+ */
+const getRolledBack = (dir, migrations) => {
+  const current = readText(join(dir, 'schema.json'));
+  const names = [];
+  for (const migration of [...migrations].reverse()) {
+    const snapshot = readText(join(dir, `${migration.name}.schema.json`));
+    if (snapshot === undefined || snapshot === current) {
+      return names;
+    }
+    names.unshift(migration.name);
+  }
+  return readText(join(dir, initialSchema)) === current ? names : [];
+}
+
+// Saves the schema of a migration, or the initial schema, as the current schema
+const restoreSchema = (dir, name) => {
+  const schemaPath = join(dir, 'schema.json');
+  const snapshot = join(dir, name ? `${name}.schema.json` : initialSchema);
+  if (existsSync(snapshot)) {
+    copyFileSync(snapshot, schemaPath);
+  }
+  else if (existsSync(schemaPath)) {
+    unlinkSync(schemaPath);
+  }
+}
+
+const readDatabase = (db) => {
+  const all = (sql) => db.prepare(sql).all();
+  const objects = all(`select type, name, tbl_name, sql from sqlite_schema where name not like 'sqlite_%' and name != '${historyTable}' order by rowid`);
+  const tables = [];
+  const views = [];
+  for (const object of objects) {
+    const name = toLiteral(object.name);
+    if (object.type === 'table') {
+      const indexes = all(`select * from pragma_index_list(${name})`);
+      for (const index of indexes) {
+        const info = all(`select name from pragma_index_info(${toLiteral(index.name)}) order by seqno`);
+        index.columns = info.map(c => c.name);
+        index.sql = objects.find(o => o.type === 'index' && o.name === index.name)?.sql;
+      }
+      tables.push({
+        name: object.name,
+        sql: object.sql,
+        columns: all(`select * from pragma_table_xinfo(${name})`),
+        foreignKeys: all(`select * from pragma_foreign_key_list(${name})`),
+        indexes
+      });
+    }
+    else if (object.type === 'view') {
+      views.push({
+        name: object.name,
+        sql: object.sql,
+        columns: all(`select * from pragma_table_info(${name})`)
+      });
+    }
+  }
+  const triggers = objects.filter(o => o.type === 'trigger');
+  return {
+    tables,
+    views,
+    triggers
+  };
+}
 
 const isEmpty = (params) => {
   if (params === undefined) {
@@ -10,6 +114,32 @@ const isEmpty = (params) => {
   return Object.keys(params).length === 0;
 }
 
+/**
+ * The driver has no way to interrupt a statement, so the rows are read
+ * one at a time and the deadline is checked before each of them.
+ */
+const readRows = (statement, params, limits) => {
+  const { sql, deadline, timeout } = limits;
+  const rows = [];
+  for (const row of isEmpty(params) ? statement.iterate() : statement.iterate(params)) {
+    if (Date.now() > deadline) {
+      throw new QueryTimeoutError(sql, timeout);
+    }
+    rows.push(row);
+  }
+  return rows;
+}
+
+const installFunction = (definition, db) => {
+  const { name, aggregate, options, fn } = definition;
+  if (aggregate) {
+    db.aggregate(name, options);
+  }
+  else {
+    db.function(name, options, fn);
+  }
+}
+
 class SQLiteDatabase extends Database {
   constructor(path, options = {}) {
     super(options);
@@ -19,6 +149,16 @@ class SQLiteDatabase extends Database {
     this.read = null;
     this.writer = null;
     this.created = false;
+    this.pool = null;
+    this.functions = [];
+    this.workers = options.workers === true ? {} : options.workers || null;
+    if (this.workers && path === ':memory:') {
+      throw Error('Workers cannot be used with an in-memory database');
+    }
+    const readers = this.workers ? this.workers.readers : undefined;
+    if (readers !== undefined && (!Number.isInteger(readers) || readers < 1)) {
+      throw Error(`Invalid number of readers: ${readers}`);
+    }
   }
 
   async getWriter() {
@@ -50,12 +190,28 @@ class SQLiteDatabase extends Database {
       return;
     }
     const exists = existsSync(this.dbPath);
-    this.read = await this.createDatabase();
-    this.write = await this.createDatabase();
+    if (this.workers) {
+      const extensions = this.extensions;
+      this.pool = new WorkerPool({
+        ...this.workers,
+        path: this.dbPath,
+        extensions: extensions ? [extensions].flat() : [],
+        functions: this.functions
+      });
+    }
+    else {
+      this.read = await this.createDatabase();
+      this.write = await this.createDatabase();
+    }
     this.initialized = true;
     if (!exists) {
       this.created = true;
-      this.write.pragma('journal_mode=WAL');
+      if (this.pool) {
+        await this.pool.write('pragma', { sql: 'journal_mode=WAL' });
+      }
+      else {
+        this.write.pragma('journal_mode=WAL');
+      }
     }
   }
 
@@ -66,7 +222,7 @@ class SQLiteDatabase extends Database {
     if (dryRun) {
       return {
         sql,
-        statements: sql.split(';').map(s => s.trim()).filter(s => s.length > 0)
+        statements: splitStatements(sql)
       };
     }
     
@@ -75,13 +231,19 @@ class SQLiteDatabase extends Database {
     }
     const lock = await this.getWriter();
     try {
+      if (this.pool) {
+        await this.pool.write('migrate', { sql });
+        return;
+      }
       this.write.exec('begin');
       this.write.pragma('defer_foreign_keys = true');
       this.write.exec(sql);
       this.write.exec('commit');
     }
     catch (e) {
-      this.write.exec('rollback');
+      if (!this.pool) {
+        this.write.exec('rollback');
+      }
       throw e;
     }
     finally {
@@ -98,7 +260,12 @@ class SQLiteDatabase extends Database {
     const lock = await this.getWriter();
     try {
       // Use SQLite's backup API for a consistent snapshot
-      await this.write.backup(destPath);
+      if (this.pool) {
+        await this.pool.write('backup', { path: destPath });
+      }
+      else {
+        await this.write.backup(destPath);
+      }
       return { success: true, path: destPath };
     }
     finally {
@@ -164,9 +331,240 @@ class SQLiteDatabase extends Database {
     }
   }
 
+  createMigration(dir, name) {
+    mkdirSync(dir, { recursive: true });
+    const schemaPath = join(dir, 'schema.json');
+    const migrations = readMigrations(dir);
+    const rolledBack = getRolledBack(dir, migrations);
+    if (rolledBack.length > 0) {
+      throw Error(`Migrations that were rolled back have to be applied again or deleted first: ${rolledBack.join(', ')}`);
+    }
+    const previous = existsSync(schemaPath) ? JSON.parse(readFileSync(schemaPath, 'utf8')) : undefined;
+    const sql = this.diff(previous);
+    if (sql.trim().length === 0) {
+      return null;
+    }
+    const last = migrations.at(-1);
+    const number = last ? parseInt(last.name, 10) + 1 : 1;
+    const suffix = (name || 'migration')
+      .replaceAll(/([a-z])([A-Z])/gm, '$1_$2')
+      .replaceAll(/[^a-z0-9]+/gmi, '_')
+      .toLowerCase();
+    const fileName = `${String(number).padStart(4, '0')}_${suffix}`;
+    const path = join(dir, `${fileName}.sql`);
+    const down = this.diffDown(previous);
+    // The saved schema has the columns that history tables keep so that the
+    // next migration does not remove them.
+    const current = previous ? keepHistoryColumns(previous, this.getSchema()) : this.getSchema();
+    const schema = JSON.stringify(current, null, 2);
+    if (!last && previous) {
+      writeFileSync(join(dir, initialSchema), JSON.stringify(previous, null, 2));
+    }
+    writeFileSync(path, sql);
+    writeFileSync(join(dir, `${fileName}.down.sql`), down);
+    writeFileSync(join(dir, `${fileName}.schema.json`), schema);
+    writeFileSync(schemaPath, schema);
+    return {
+      name: fileName,
+      path,
+      sql,
+      down
+    };
+  }
+
+  async getAppliedMigrations() {
+    const tables = await this.basicAll(`select name from sqlite_master where type = 'table' and name = '${historyTable}'`);
+    if (tables.length === 0) {
+      return [];
+    }
+    const rows = await this.basicAll(`select name, checksum, appliedAt from ${historyTable} order by id`);
+    return rows.map(row => ({ ...row, appliedAt: new Date(row.appliedAt) }));
+  }
+
+  async migrationStatus(dir) {
+    const migrations = readMigrations(dir);
+    const history = await this.getAppliedMigrations();
+    const applied = [];
+    const changed = [];
+    const missing = [];
+    for (const item of history) {
+      const migration = migrations.find(m => m.name === item.name);
+      if (!migration) {
+        missing.push(item.name);
+      }
+      else if (migration.checksum !== item.checksum) {
+        changed.push(item.name);
+      }
+      applied.push(item);
+    }
+    const pending = migrations
+      .filter(m => !history.some(h => h.name === m.name))
+      .map(m => m.name);
+    return {
+      applied,
+      pending,
+      changed,
+      missing
+    };
+  }
+
+  async runMigrations(dir, options = {}) {
+    const status = await this.migrationStatus(dir);
+    if (status.changed.length > 0) {
+      throw Error(`Migrations were edited after being applied: ${status.changed.join(', ')}`);
+    }
+    const pending = readMigrations(dir).filter(m => status.pending.includes(m.name));
+    const applied = [];
+    if (pending.length === 0) {
+      return {
+        success: true,
+        applied
+      };
+    }
+    await this.migrate(`create table if not exists ${historyTable} (
+      id integer primary key,
+      name text not null unique,
+      checksum text not null,
+      appliedAt text not null
+    ) strict;`);
+    for (const migration of pending) {
+      const { name, sql, checksum } = migration;
+      const values = [name, checksum, new Date()].map(v => toLiteral(v)).join(', ');
+      const record = `insert into ${historyTable} (name, checksum, appliedAt) values (${values});\n`;
+      const result = await this.safeMigrate(`${sql}\n${record}`, options);
+      if (!result.success) {
+        return {
+          success: false,
+          error: result.error,
+          failed: name,
+          applied
+        };
+      }
+      applied.push({
+        name,
+        analysis: result.analysis,
+        backup: result.backup
+      });
+    }
+    const last = pending.at(-1).name;
+    if (existsSync(join(dir, `${last}.schema.json`))) {
+      restoreSchema(dir, last);
+    }
+    return {
+      success: true,
+      applied
+    };
+  }
+
+  async rollbackMigrations(dir, steps = 1, options = {}) {
+    if (!Number.isInteger(steps) || steps < 1) {
+      throw Error(`Invalid number of steps: ${steps}`);
+    }
+    const history = await this.getAppliedMigrations();
+    const names = readMigrations(dir).map(m => m.name);
+    const targets = history
+      .slice(-steps)
+      .reverse()
+      .map(item => ({
+        name: item.name,
+        downPath: join(dir, `${item.name}.down.sql`),
+        // The schema is saved as it was before the migration
+        previous: names[names.indexOf(item.name) - 1]
+      }));
+    const unavailable = targets
+      .filter(t => !existsSync(t.downPath))
+      .map(t => t.name);
+    if (unavailable.length > 0) {
+      throw Error(`No down migration found for: ${unavailable.join(', ')}`);
+    }
+    const snapshots = targets
+      .filter(t => t.previous && !existsSync(join(dir, `${t.previous}.schema.json`)))
+      .map(t => t.previous);
+    if (snapshots.length > 0) {
+      throw Error(`No saved schema found for: ${snapshots.join(', ')}`);
+    }
+    const rolledBack = [];
+    for (const migration of targets) {
+      const { name, downPath, previous } = migration;
+      const sql = readFileSync(downPath, 'utf8');
+      const record = `delete from ${historyTable} where name = ${toLiteral(name)};\n`;
+      const result = await this.safeMigrate(`${sql}\n${record}`, options);
+      if (!result.success) {
+        return {
+          success: false,
+          error: result.error,
+          failed: name,
+          rolledBack
+        };
+      }
+      restoreSchema(dir, previous);
+      rolledBack.push({
+        name,
+        lossy: result.analysis.isDestructive,
+        analysis: result.analysis,
+        backup: result.backup
+      });
+    }
+    return {
+      success: true,
+      rolledBack
+    };
+  }
+
+  async introspect() {
+    if (!this.initialized) {
+      await this.initialize();
+    }
+    const { schema, warnings } = toSchema(await this.readSchema());
+    return {
+      schema,
+      source: toSource(schema),
+      warnings
+    };
+  }
+
+  async verifySchema() {
+    if (!this.initialized) {
+      await this.initialize();
+    }
+    return toDiscrepancies(this.schema, await this.readSchema());
+  }
+
+  async readSchema() {
+    if (this.pool) {
+      return await this.pool.read('schema');
+    }
+    return readDatabase(this.read);
+  }
+
+  getClient(schema, options = {}) {
+    const client = super.getClient(schema);
+    if (options.verifySchema) {
+      let info = { tables: [], views: [], triggers: [] };
+      if (existsSync(this.dbPath)) {
+        const db = new this.sqlite3(this.dbPath, { readonly: true });
+        try {
+          info = readDatabase(db);
+        }
+        finally {
+          db.close();
+        }
+      }
+      const discrepancies = toDiscrepancies(this.schema, info);
+      if (discrepancies.length > 0) {
+        const messages = discrepancies.map(d => d.message).join('\n');
+        throw Error(`The database does not match the schema:\n${messages}`);
+      }
+    }
+    return client;
+  }
+
   async createDatabase() {
     const db = new this.sqlite3(this.dbPath);
     await this.enableForeignKeys(db);
+    for (const definition of this.functions) {
+      this.installFunction(definition, db);
+    }
     const extensions = this.extensions;
     if (extensions) {
       if (typeof extensions === 'string') {
@@ -178,9 +576,45 @@ class SQLiteDatabase extends Database {
         }
       }
     }
+    addVectorFunctions(db);
     return db;
   }
 
+  addFunction(definition) {
+    if (this.workers) {
+      // Functions cannot be sent to other threads, so each worker imports them
+      if (!definition.module) {
+        throw Error(`The function "${definition.key}" needs the "module" option when workers are used, so that the workers can import it`);
+      }
+      if (this.pool) {
+        throw Error('Functions must be registered before the first query when workers are used');
+      }
+      this.functions.push(definition);
+      return;
+    }
+    for (const db of [this.read, this.write]) {
+      if (db) {
+        this.installFunction(definition, db);
+      }
+    }
+    this.functions.push(definition);
+  }
+
+  installFunction(definition, db) {
+    installFunction(definition, db);
+  }
+
+  /**
+   * A statement cannot be stopped from the thread it runs on, so a query
+   * that returns no rows for a long time could not be stopped without workers.
+   */
+  getDeadline(timeout, signal) {
+    if (!this.workers && ((timeout !== undefined && timeout !== null) || signal)) {
+      throw Error('Timeouts and signals need the "workers" option, as SQLite cannot stop a statement on the thread it runs on');
+    }
+    return super.getDeadline(timeout, signal);
+  }
+
   async enableForeignKeys(db) {
     db.pragma('foreign_keys = on');
   }
@@ -194,7 +628,7 @@ class SQLiteDatabase extends Database {
       await this.initialize();
     }
     const writer = await this.getWriter();
-    const tx = { db: this.write, writer };
+    const tx = { db: this.write, writer, changed: new Set() };
     return makeClient(this, tx);
   }
 
@@ -206,6 +640,9 @@ class SQLiteDatabase extends Database {
     if (!this.initialized) {
       await this.initialize();
     }
+    if (this.pool) {
+      return tx ? await this.pool.write('pragma', { sql }) : await this.pool.read('pragma', { sql });
+    }
     const client = this.getConnection(tx);
     return client.pragma(sql);
   }
@@ -218,7 +655,7 @@ class SQLiteDatabase extends Database {
       await this.initialize();
     }
     const writer = await this.getWriter();
-    const tx = { db: this.write, writer };
+    const tx = { db: this.write, writer, changed: new Set() };
     const sql = type ? `begin ${type}` : 'begin';
     await this.basicRun(sql, tx);
     this.queryStats.activeTransactions++;
@@ -226,17 +663,30 @@ class SQLiteDatabase extends Database {
   }
 
   async commit(tx) {
+    if (tx.savepoint) {
+      await this.releaseSavepoint(tx);
+      return;
+    }
     await this.basicRun('commit', tx);
     this.writer = null;
     tx.writer.resolve();
+    this.invalidateCache(tx.changed);
     this.queryStats.activeTransactions = Math.max(0, this.queryStats.activeTransactions - 1);
   }
 
   async rollback(tx) {
-    await this.basicRun('rollback', tx);
-    this.writer = null;
-    tx.writer.resolve();
-    this.queryStats.activeTransactions = Math.max(0, this.queryStats.activeTransactions - 1);
+    if (tx.savepoint) {
+      await this.rollbackSavepoint(tx);
+      return;
+    }
+    try {
+      await this.basicRun('rollback', tx);
+    }
+    finally {
+      this.writer = null;
+      tx.writer.resolve();
+      this.queryStats.activeTransactions = Math.max(0, this.queryStats.activeTransactions - 1);
+    }
   }
 
   async getError(sql) {
@@ -247,12 +697,17 @@ class SQLiteDatabase extends Database {
     if (!this.initialized) {
       await this.initialize();
     }
-    const statement = this.write.prepare(sql);
+    const statement = this.pool ? null : this.write.prepare(sql);
     let lock;
     if (!tx) {
       lock = await this.getWriter();
     }
-    statement.run();
+    if (this.pool) {
+      await this.pool.write('run', { sql });
+    }
+    else {
+      statement.run();
+    }
     if (lock) {
       this.writer = null;
       lock.resolve();
@@ -263,6 +718,9 @@ class SQLiteDatabase extends Database {
     if (!this.initialized) {
       await this.initialize();
     }
+    if (this.pool) {
+      return tx ? await this.pool.write('all', { sql }) : await this.pool.read('all', { sql });
+    }
     const client = this.getConnection(tx);
     const statement = client.prepare(sql);
     return statement.all();
@@ -273,16 +731,31 @@ class SQLiteDatabase extends Database {
       await this.initialize();
     }
     const lock = await this.getWriter();
+    if (this.pool) {
+      try {
+        const queries = inserts.map(insert => ({ sql: insert.query, params: insert.params }));
+        return await this.pool.write('transaction', { queries });
+      }
+      finally {
+        this.writer = null;
+        lock.resolve();
+        this.invalidateWrites(inserts.flatMap(insert => insert.tables || []));
+      }
+    }
     const inserted = this.write.transaction(() => {
+      const results = [];
       for (const insert of inserts) {
         const { query, params } = insert;
         const statement = this.write.prepare(query);
-        statement.run(params);
+        results.push(statement.reader ? statement.all(params) : statement.run(params));
       }
+      return results;
     });
-    inserted();
+    const results = inserted();
     this.writer = null;
     lock.resolve();
+    this.invalidateWrites(inserts.flatMap(insert => insert.tables || []));
+    return results;
   }
 
   async batch(type, handler) {
@@ -292,9 +765,29 @@ class SQLiteDatabase extends Database {
     if (!handler) {
       handler = type;
     }
-    const client = makeClient(this, { isBatch: true });
+    const tx = { isBatch: true, changed: new Set() };
+    const client = makeClient(this, tx);
     const promises = handler(client).flat();
     const handlers = await Promise.all(promises);
+    if (this.pool) {
+      const flat = handlers.flat();
+      const queries = flat.map(h => ({
+        sql: h.sql,
+        params: isEmpty(h.params) ? undefined : h.params,
+        reader: Boolean(h.post)
+      }));
+      const lock = await this.getWriter();
+      let results;
+      try {
+        results = await this.pool.write('transaction', { queries });
+      }
+      finally {
+        this.writer = null;
+        lock.resolve();
+      }
+      this.invalidateCache(tx.changed);
+      return results.map((response, i) => flat[i].post ? flat[i].post(response) : response);
+    }
     const result = this.write.transaction(() => {
       const responses = [];
       const flat = handlers.flat();
@@ -309,14 +802,16 @@ class SQLiteDatabase extends Database {
       }
       return responses;
     });
-    return result();
+    const responses = result();
+    this.invalidateCache(tx.changed);
+    return responses;
   }
 
   async run(props) {
     if (!this.initialized) {
       await this.initialize();
     }
-    let { query, params, tx, adjusted, operation } = props;
+    let { query, params, tx, adjusted, operation, tables } = props;
     const op = operation || 'run';
     const sqlText = this.getSqlText(query);
     const start = this.now();
@@ -326,7 +821,7 @@ class SQLiteDatabase extends Database {
     if (params !== undefined && !adjusted) {
       params = this.adjust(params);
     }
-    if (typeof query === 'string') {
+    if (typeof query === 'string' && !this.pool) {
       const key = query + 'write';
       const cached = this.statements.get(key);
       if (cached) {
@@ -339,6 +834,13 @@ class SQLiteDatabase extends Database {
       }
     }
     if (tx && tx.isBatch) {
+      this.invalidateWrites(tables || this.extractTablesFromSql(sqlText), tx);
+      if (this.pool) {
+        return {
+          sql: sqlText,
+          params
+        };
+      }
       return {
         statement: query,
         params
@@ -349,14 +851,20 @@ class SQLiteDatabase extends Database {
       lock = await this.getWriter();
     }
     try {
-      const result = isEmpty(params) ? query.run() : query.run(params);
+      let result;
+      if (this.pool) {
+        result = await this.pool.write('run', { sql: sqlText, params: isEmpty(params) ? undefined : params });
+      }
+      else {
+        result = isEmpty(params) ? query.run() : query.run(params);
+      }
       if (lock) {
         this.writer = null;
         lock.resolve();
       }
       
       // Invalidate cache for affected tables
-      this.invalidateCache(this.extractTablesFromSql(sqlText));
+      this.invalidateWrites(tables || this.extractTablesFromSql(sqlText), tx);
       
       const duration = this.elapsed(start);
       this.recordQueryStats(duration, true, false);
@@ -396,10 +904,11 @@ class SQLiteDatabase extends Database {
     if (!this.initialized) {
       await this.initialize();
     }
-    let { query, params, options, tx, write, adjusted, operation } = props;
+    let { query, params, options, tx, write, adjusted, operation, tables, parsers, cache, ttl, timeout, signal } = props;
     const op = operation || 'all';
     const sqlText = this.getSqlText(query);
     const start = this.now();
+    const deadline = write ? null : this.getDeadline(timeout, signal);
     if (params === null) {
       params = undefined;
     }
@@ -407,7 +916,7 @@ class SQLiteDatabase extends Database {
       params = this.adjust(params);
     }
     const client = this.getConnection(tx, write);
-    if (typeof query === 'string') {
+    if (typeof query === 'string' && !this.pool) {
       const name = tx || write ? 'write' : 'read';
       const key = query + name;
       const cached = this.statements.get(key);
@@ -429,6 +938,16 @@ class SQLiteDatabase extends Database {
     }
     const process = this.process;
     if (tx && tx.isBatch) {
+      if (write) {
+        this.invalidateWrites(tables || this.extractTablesFromSql(sqlText), tx);
+      }
+      if (this.pool) {
+        return {
+          sql: sqlText,
+          params,
+          post: (rows) => this.process(rows, options)
+        };
+      }
       return {
         statement: query,
         params,
@@ -441,7 +960,7 @@ class SQLiteDatabase extends Database {
     }
     
     // Check cache for read queries (not in transaction, not write)
-    const canCache = !tx && !write && this.cacheEnabled;
+    const canCache = !tx && !write && this.canCache(cache);
     if (canCache) {
       const cached = this.getCached(sqlText, params);
       if (cached !== null) {
@@ -459,16 +978,34 @@ class SQLiteDatabase extends Database {
     }
     
     try {
-      const rows = isEmpty(params) ? query.all() : query.all(params);
+      let rows;
+      if (this.pool) {
+        const split = splitParsers(parsers);
+        const request = {
+          sql: sqlText,
+          params: isEmpty(params) ? undefined : params,
+          types: split.types,
+          deadline,
+          timeout
+        };
+        rows = tx || write ? await this.pool.write('all', request) : await this.pool.read('all', request, { deadline, signal });
+        parsers = split.parsers;
+      }
+      else {
+        rows = isEmpty(params) ? query.all() : query.all(params);
+      }
       if (lock) {
         this.writer = null;
         lock.resolve();
       }
-      const result = process(rows, options);
+      if (write) {
+        this.invalidateWrites(tables || this.extractTablesFromSql(sqlText), tx);
+      }
+      const result = process(this.parseRows(rows, parsers), options);
       
       // Store in cache for read queries
       if (canCache) {
-        this.setCached(sqlText, params, result);
+        this.setCached(sqlText, params, result, ttl, tables);
       }
       
       const duration = this.elapsed(start);
@@ -490,7 +1027,7 @@ class SQLiteDatabase extends Database {
         lock.resolve();
       }
       const duration = this.elapsed(start);
-      this.recordQueryStats(duration, Boolean(write), true);
+      this.recordQueryStats(duration, Boolean(write), error);
       
       this.logQuery({
         sql: sqlText,
@@ -505,6 +1042,136 @@ class SQLiteDatabase extends Database {
     }
   }
 
+  /**
+   * Sets the actor recorded in history tables for writes on this connection.
+   * The actor lives in a temporary table, so other connections are unaffected.
+   * Without a transaction, it waits for the writer so that it does not become
+   * part of a transaction that another caller has open.
+   */
+  async setActor(actor, tx) {
+    if (!this.initialized) {
+      await this.initialize();
+    }
+    const exec = async (sql, params) => {
+      if (this.pool) {
+        return await this.pool.write('run', { sql, params });
+      }
+      const statement = this.write.prepare(sql);
+      return params ? statement.run(params) : statement.run();
+    }
+    const lock = tx ? null : await this.getWriter();
+    try {
+      await exec('create temp table if not exists midnight_actor (value text)');
+      await exec('delete from temp.midnight_actor');
+      if (actor !== null && actor !== undefined) {
+        await exec('insert into temp.midnight_actor (value) values ($value)', { value: String(actor) });
+      }
+      for (const table of this.schema.filter(t => t.history)) {
+        const name = `${table.name}_history`;
+        await exec(`create temp trigger if not exists ${name}_actor after insert on main.${name} begin
+          update ${name} set actor = (select value from temp.midnight_actor) where historyId = new.historyId;
+        end`);
+      }
+    }
+    finally {
+      if (lock) {
+        this.writer = null;
+        lock.resolve();
+      }
+    }
+  }
+
+  async *iterateRows(props) {
+    if (!this.initialized) {
+      await this.initialize();
+    }
+    let { query, params, tx, adjusted, timeout, signal } = props;
+    const sqlText = this.getSqlText(query);
+    const deadline = this.getDeadline(timeout, signal);
+    // The rows are read between turns of the event loop, so a signal can stop them
+    const check = () => {
+      if (signal) {
+        signal.throwIfAborted();
+      }
+      if (deadline && Date.now() > deadline) {
+        throw new QueryTimeoutError(sqlText, timeout);
+      }
+    }
+    if (params === null) {
+      params = undefined;
+    }
+    if (params !== undefined && !adjusted) {
+      params = this.adjust(params);
+    }
+    if (isEmpty(params)) {
+      params = undefined;
+    }
+    // A separate connection lets other queries run while the rows are read
+    const dedicated = !tx && !this.pool && !this.read.memory;
+    const client = dedicated ? await this.createDatabase() : this.getConnection(tx);
+    const reader = this.pool && !tx ? this.pool.getReader() : null;
+    let page;
+    let cursor;
+    const start = this.now();
+    let error;
+    try {
+      if (reader) {
+        page = await reader.send('iterate', { sql: sqlText, params });
+        cursor = page.cursor;
+        while (true) {
+          for (const row of page.rows) {
+            check();
+            yield row;
+          }
+          if (page.done) {
+            break;
+          }
+          page = await reader.send('next', { cursor });
+        }
+      }
+      else if (this.pool) {
+        for (const row of await this.pool.write('all', { sql: sqlText, params, deadline, timeout })) {
+          check();
+          yield row;
+        }
+      }
+      else {
+        // Inside a transaction the rows are read before the first one is returned,
+        // as the connection cannot run writes from the loop while a statement is open
+        const statement = client.prepare(query);
+        const method = tx ? 'all' : 'iterate';
+        const rows = params ? statement[method](params) : statement[method]();
+        for (const row of rows) {
+          check();
+          yield row;
+        }
+      }
+    }
+    catch (e) {
+      error = e;
+      throw e;
+    }
+    finally {
+      if (dedicated) {
+        client.close();
+      }
+      if (page && !page.done) {
+        await reader.send('return', { cursor });
+      }
+      const duration = this.elapsed(start);
+      this.recordQueryStats(duration, false, error);
+      this.logQuery({
+        sql: sqlText,
+        params,
+        durationMs: duration,
+        method: 'iterate',
+        tx: Boolean(tx),
+        write: false,
+        error
+      });
+    }
+  }
+
   async _explain(sql, params = {}, tx) {
     const planSql = `explain query plan ${sql}`;
     const options = {
@@ -524,21 +1191,39 @@ class SQLiteDatabase extends Database {
     if (!tx) {
       lock = await this.getWriter();
     }
-    this.write.exec(sql);
+    if (this.pool) {
+      await this.pool.write('exec', { sql });
+    }
+    else {
+      this.write.exec(sql);
+    }
     if (lock) {
       this.writer = null;
       lock.resolve();
     }
+    this.invalidateWrites(this.extractTablesFromSql(sql), tx);
   }
 
   async close() {
     if (this.closed || !this.initialized) {
       return;
     }
-    this.read.close();
-    this.write.close();
+    if (this.pool) {
+      await this.pool.close();
+      this.pool = null;
+    }
+    else {
+      this.read.close();
+      this.write.close();
+    }
     this.closed = true;
   }
 }
 
+export {
+  readDatabase,
+  readRows,
+  installFunction
+}
+
 export default SQLiteDatabase;
@@ -1,15 +1,56 @@
 import { compareMethods, computeMethods, windowMethods } from './methods.js';
-import { processArg, processMethod, toWhere } from './requests.js';
+import { processArg, processMethod, toWhere, toLiteral } from './requests.js';
 import { addAlias, nameToSql } from './utils.js';
 
+let recursiveCount = 1;
+
+const makeSubqueryProxy = (options) => {
+  const {
+    requests,
+    columns,
+    tableAlias
+  } = options;
+  const keys = Object.keys(columns);
+  const handler = {
+    get: function(target, property) {
+      const symbol = Symbol();
+      const type = columns[property];
+      requests.set(symbol, {
+        category: 'Column',
+        name: property,
+        selector: `${tableAlias}.${property}`,
+        type,
+        tableAlias
+      });
+      return symbol;
+    },
+    ownKeys: function(target) {
+      return keys;
+    },
+    getOwnPropertyDescriptor: function(target, property) {
+      if (keys.includes(property)) {
+        return {
+          enumerable: true,
+          configurable: true
+        };
+      }
+      return undefined;
+    }
+  }
+  const proxy = new Proxy({}, handler);
+  requests.set(proxy, { isProxy: true });
+  return proxy;
+}
+
 const makeProxy = (options) => {
   const {
     db,
     requests,
-    subqueries
+    subqueries,
+    reserved
   } = options;
   const existing = Object.keys(db.columns);
-  const usedAliases = new Set(existing);
+  const usedAliases = new Set([...existing, ...(reserved || [])]);
   const tableHandlers = new Map(); // Cache table handlers to ensure consistent aliases
   const makeAlias = (table) => {
     const letter = table ? table[0].toLowerCase() : 's';
@@ -74,46 +115,23 @@ const makeProxy = (options) => {
     get: function(target, property) {
       if (property === 'use') {
         return (context) => {
-          const keys = Object.keys(context.columns);
-          const tableAlias = makeAlias();
+          const tableAlias = context.recursive ? context.name : makeAlias();
           subqueries.push({
             alias: tableAlias,
             sql: context.sql,
-            params: context.params
+            params: context.params,
+            recursive: context.recursive,
+            tables: context.tables || []
+          });
+          return makeSubqueryProxy({
+            requests,
+            columns: context.columns,
+            tableAlias
           });
-          const handler = {
-            get: function(target, property) {
-              const symbol = Symbol();
-              const type = context.columns[property];
-              requests.set(symbol, {
-                category: 'Column',
-                name: property,
-                selector: `${tableAlias}.${property}`,
-                type,
-                tableAlias
-              });
-              return symbol;
-            },
-            ownKeys: function(target) {
-              return keys;
-            },
-            getOwnPropertyDescriptor: function(target, property) {
-              if (keys.includes(property)) {
-                return {
-                  enumerable: true,
-                  configurable: true
-                };
-              }
-              return undefined;
-            }
-          }
-          const proxy = new Proxy({}, handler);
-          requests.set(proxy, { isProxy: true });
-          return proxy;
         }
       }
       const isCompare = compareMethods.includes(property);
-      const isCompute = computeMethods.includes(property);
+      const isCompute = computeMethods.includes(property) || db.customMethods.has(property);
       const isWindow = windowMethods.includes(property);
       let type;
       if (isCompare) {
@@ -134,7 +152,8 @@ const makeProxy = (options) => {
         type,
         name: property,
         args: null,
-        alias: null
+        alias: null,
+        resultType: db.customMethods.get(property)
       }
       requests.set(symbol, request);
       return (...args) => {
@@ -149,6 +168,11 @@ const makeProxy = (options) => {
   return new Proxy({}, handler);
 }
 
+const toTableClause = (request) => {
+  const { table, tableAlias } = request;
+  return table ? `${table} ${tableAlias}` : tableAlias;
+}
+
 const replaceParams = (subqueries, sql, params) => {
   if (subqueries.length === 0) {
     return {
@@ -174,23 +198,97 @@ const replaceParams = (subqueries, sql, params) => {
     statements.push(`${alias} as (${adjusted})`);
   }
   const adjusted = replace(sql, params);
-  const statement = `with ${statements.join(', ')} ${adjusted}`;
+  const recursive = subqueries.some(q => q.recursive) ? 'recursive ' : '';
+  const statement = `with ${recursive}${statements.join(', ')} ${adjusted}`;
   return {
     sql: statement,
     params: combined
   }
 }
 
-const processQuery = (db, expression, firstResult) => {
+/**
+ * Throws when a query reads a table that has a column of the scope
+ * without filtering that column on the value of the scope.
+ */
+const checkScope = (db, requests, where, scope) => {
+  const tables = new Set();
+  for (const request of requests.values()) {
+    if (request.category === 'Column' && request.table) {
+      tables.add(request.table);
+    }
+  }
+  const filters = where ? Object
+    .getOwnPropertySymbols(where)
+    .map(s => ({ request: requests.get(s), value: where[s] })) : [];
+  for (const table of tables) {
+    const columns = db.columns[table];
+    for (const [key, value] of Object.entries(scope)) {
+      if (columns[key] === undefined) {
+        continue;
+      }
+      const filtered = filters.some(f => {
+        const { request } = f;
+        return request && request.table === table && request.name === key && f.value === value;
+      });
+      if (!filtered) {
+        throw Error(`The query reads "${table}" without filtering "${key}" by the scope of the client`);
+      }
+    }
+  }
+}
+
+/**
+ * Lists the tables a query reads, including the tables of its subqueries.
+ */
+const getTables = (requests, subqueries) => {
+  const tables = new Set();
+  for (const request of requests.values()) {
+    if (request.category === 'Column' && request.table) {
+      tables.add(request.table);
+    }
+  }
+  for (const subquery of subqueries) {
+    for (const table of subquery.tables) {
+      tables.add(table);
+    }
+  }
+  return [...tables];
+}
+
+const buildQuery = (options) => {
+  const {
+    db,
+    expression,
+    firstResult,
+    self,
+    reserved,
+    scope,
+    transform
+  } = options;
   const requests = new Map();
   const subqueries = [];
   const proxy = makeProxy({
     db,
     requests,
-    subqueries
+    subqueries,
+    reserved
   });
   const params = {};
-  const result = expression(proxy);
+  let result;
+  if (self) {
+    const selfProxy = makeSubqueryProxy({
+      requests,
+      columns: self.columns,
+      tableAlias: self.name
+    });
+    result = expression(proxy, selfProxy);
+  }
+  else {
+    result = expression(proxy);
+  }
+  if (transform) {
+    result = transform(result, proxy, requests);
+  }
   const {
     where,
     groupBy,
@@ -202,6 +300,9 @@ const processQuery = (db, expression, firstResult) => {
     offset,
     limit
   } = result;
+  if (scope) {
+    checkScope(db, requests, where, scope);
+  }
   const properties = [result.select, result.distinct, result.optional].filter(p => p !== undefined);
   const valueReturn = properties.every(p => typeof p === 'symbol');
   let select;
@@ -228,7 +329,7 @@ const processQuery = (db, expression, firstResult) => {
   }
   if (join) {
     first = join[0][0];
-    used.add(first.table);
+    used.add(first.table || first.tableAlias);
   }
   let sql = 'select ';
   if (result.distinct) {
@@ -240,7 +341,17 @@ const processQuery = (db, expression, firstResult) => {
   for (const [key, value] of Object.entries(select)) {
     let parser;
     const request = requests.get(value);
-    if (request.category !== 'Column') {
+    if (!request) {
+      const valueArg = processArg({
+        db,
+        arg: value,
+        params,
+        requests
+      });
+      columnTypes[key] = valueArg.type;
+      statements.push(`${valueArg.sql} as ${nameToSql(key)}`);
+    }
+    else if (request.category !== 'Column') {
       const valueArg = processMethod({
         db,
         method: request,
@@ -273,22 +384,20 @@ const processQuery = (db, expression, firstResult) => {
   }
   sql += statements.join(', ');
   if (join) {
-    sql += ` from ${first.table} ${first.tableAlias}`;
+    sql += ` from ${toTableClause(first)}`;
     for (const tuple of join) {
       const [l, r, type] = tuple;
       const joinClause = type ? `${type} join` : 'join';
-      const [from, to] = used.has(l.table) ? [r, l] : [l, r];
+      const [from, to] = used.has(l.table || l.tableAlias) ? [r, l] : [l, r];
       const table = from.table || from.tableAlias;
-      const tableClause = from.table ? `${from.table} ${from.tableAlias}` : from.tableAlias;
       used.add(table);
-      sql += ` ${joinClause} ${tableClause} on ${from.selector} = ${to.selector}`;
+      sql += ` ${joinClause} ${toTableClause(from)} on ${from.selector} = ${to.selector}`;
     }
   }
   else {
     const columns = Array.from(requests.values()).filter(r => r.category === 'Column');
     if (columns.length > 0) {
-      const { tableAlias, table } = columns.at(0);
-      sql += ` from ${table} ${tableAlias}`;
+      sql += ` from ${toTableClause(columns.at(0))}`;
     }
   }
   if (where) {
@@ -378,8 +487,8 @@ const processQuery = (db, expression, firstResult) => {
   if (firstResult && !limit) {
     sql += ` limit 1`;
   }
-  const post = (rows) => {
-    if (Object.keys(parsers).length > 0) {
+  const post = (rows, converted) => {
+    if (!converted && Object.keys(parsers).length > 0) {
       for (let i = 0; i < rows.length; i++) {
         const row = rows[i];
         for (const [key, parser] of Object.entries(parsers)) {
@@ -393,15 +502,348 @@ const processQuery = (db, expression, firstResult) => {
     }
     return firstResult ? mapped.at(0) : mapped;
   }
+  const ordered = [orderBy, rank, bm25, offset, limit].some(v => v !== undefined) || firstResult;
+  return {
+    sql,
+    params,
+    subqueries,
+    tables: getTables(requests, subqueries),
+    columns: columnTypes,
+    valueReturn,
+    ordered,
+    sorted: Boolean(orderBy || rank || bm25),
+    limited: Boolean(offset || limit),
+    parsers,
+    post
+  }
+}
+
+const processQuery = (db, expression, firstResult, self, scope) => {
+  const query = buildQuery({
+    db,
+    expression,
+    firstResult,
+    self,
+    scope
+  });
+  const adjusted = replaceParams(query.subqueries, query.sql, query.params);
+  return {
+    ...adjusted,
+    tables: query.tables,
+    columns: query.columns,
+    sorted: query.sorted,
+    limited: query.limited,
+    parsers: query.parsers,
+    post: query.post
+  }
+}
+
+/**
+ * Builds a "with recursive" common table expression from an anchor query
+ * and a recursive step that receives the expression itself as its second argument.
+ */
+const processRecursive = (db, definition, scope) => {
+  const { anchor, step, distinct } = definition;
+  if (typeof anchor !== 'function' || typeof step !== 'function') {
+    throw Error('A recursive query needs an "anchor" and a "step" function');
+  }
+  const name = `recursive_${recursiveCount}`;
+  recursiveCount++;
+  const initial = processQuery(db, anchor, false, null, scope);
+  const next = processQuery(db, step, false, {
+    name,
+    columns: initial.columns
+  }, scope);
+  const anchorKeys = Object.keys(initial.columns);
+  const stepKeys = Object.keys(next.columns);
+  const matches = anchorKeys.length === stepKeys.length && anchorKeys.every((k, i) => k === stepKeys[i]);
+  if (!matches) {
+    throw Error(`The recursive step must select the same columns as the anchor (${anchorKeys.join(', ')})`);
+  }
+  const union = distinct ? 'union' : 'union all';
+  return {
+    name,
+    recursive: true,
+    sql: `${initial.sql} ${union} ${next.sql}`,
+    params: { ...initial.params, ...next.params },
+    tables: [...new Set([...initial.tables, ...next.tables])],
+    columns: initial.columns,
+    post: initial.post
+  }
+}
+
+/**
+ * Builds the select statement of a view. Views cannot have parameters,
+ * so values are written into the statement as literals.
+ */
+const processView = (db, expression) => {
+  const { sql, params, tables, columns } = processQuery(db, expression);
+  const inlined = sql.replaceAll(/\$(p_\d+)/gm, (m, name) => {
+    const value = params[name];
+    if (value === null || value === undefined) {
+      return 'null';
+    }
+    if (Buffer.isBuffer(value)) {
+      return `X'${value.toString('hex')}'`;
+    }
+    return toLiteral(value);
+  });
+  return {
+    sql: inlined,
+    tables,
+    columns
+  }
+}
+
+/**
+ * Builds a query for keyset pagination. The columns in "orderBy" are selected
+ * under aliases so that cursors can be made from each row, and the primary key
+ * of the first ordered table is added when none of the columns are unique.
+ */
+const processCursorQuery = (db, expression, scope) => {
+  let page;
+  const transform = (result, proxy, requests) => {
+    const { cursor, limit, orderBy, desc, select, distinct, optional, ...rest } = result;
+    if (!orderBy) {
+      throw Error('A paginated query needs an "orderBy" option');
+    }
+    const items = Array.isArray(orderBy) ? orderBy : [orderBy];
+    if (Array.isArray(desc) && desc.length !== items.length) {
+      throw Error('The "desc" option must have one value for each column in "orderBy"');
+    }
+    const columns = items.map((item, i) => {
+      const request = requests.get(item);
+      if (!request || request.category !== 'Column') {
+        throw Error('The "orderBy" option of a paginated query must be one or more columns');
+      }
+      return {
+        symbol: item,
+        request,
+        desc: Boolean(Array.isArray(desc) ? desc[i] : desc)
+      };
+    });
+    const unique = columns.some(c => c.request.table && db.isUnique(c.request.table, c.request.name));
+    if (!unique) {
+      const { table } = columns[0].request;
+      if (!table) {
+        throw Error('The "orderBy" option of a paginated query needs a unique column');
+      }
+      const symbol = proxy[table][db.getPrimaryKey(table)];
+      columns.push({
+        symbol,
+        request: requests.get(symbol),
+        desc: columns.at(-1).desc
+      });
+    }
+    const keysetSelect = Object.fromEntries(columns.map((c, i) => [`keyset_${i}`, c.symbol]));
+    const properties = [select, distinct, optional].filter(p => p !== undefined);
+    const valueReturn = properties.length > 0 && properties.every(p => typeof p === 'symbol');
+    page = {
+      cursor,
+      limit,
+      valueReturn,
+      keyset: columns.map((c, i) => ({
+        name: `keyset_${i}`,
+        selector: `${c.request.table || c.request.tableAlias}.${c.request.name}`,
+        desc: c.desc
+      }))
+    };
+    if (valueReturn) {
+      const key = select !== undefined ? 'select' : (distinct !== undefined ? 'distinct' : 'optional');
+      return {
+        ...rest,
+        [key]: { valueReturn: properties.at(0), ...keysetSelect }
+      };
+    }
+    return {
+      ...rest,
+      select: { ...select, ...keysetSelect },
+      distinct,
+      optional
+    };
+  }
+  const query = buildQuery({
+    db,
+    expression,
+    scope,
+    transform
+  });
+  const adjusted = replaceParams(query.subqueries, query.sql, query.params);
+  return {
+    ...adjusted,
+    ...page,
+    tables: query.tables,
+    parsers: Object.fromEntries(Object
+      .entries(query.parsers)
+      .filter(([key]) => !page.keyset.some(k => k.name === key))),
+    post: (rows, converted) => query.post(rows, converted).map(row => {
+      for (const key of page.keyset) {
+        delete row[key.name];
+      }
+      return page.valueReturn ? row.valueReturn : row;
+    })
+  }
+}
+
+const compoundOperators = {
+  union: 'union',
+  unionAll: 'union all',
+  intersect: 'intersect',
+  except: 'except'
+};
+
+const isCompound = (expression) => {
+  return expression !== null && typeof expression === 'object' && Object.keys(compoundOperators).some(k => expression[k] !== undefined);
+}
+
+/**
+ * Combines several query expressions with union, union all, intersect or except.
+ * Every expression must select the same columns in the same order.
+ */
+const processCompound = (db, compound, firstResult, scope) => {
+  const keys = Object.keys(compoundOperators).filter(k => compound[k] !== undefined);
+  if (keys.length !== 1) {
+    throw Error(`A compound query needs exactly one of ${Object.keys(compoundOperators).join(', ')}`);
+  }
+  const [key] = keys;
+  const expressions = compound[key];
+  if (!Array.isArray(expressions) || expressions.length < 2 || expressions.some(e => typeof e !== 'function')) {
+    throw Error(`The "${key}" property must be an array of at least two query functions`);
+  }
+  const {
+    orderBy,
+    desc,
+    offset,
+    limit
+  } = compound;
+  const reserved = [];
+  const subqueries = [];
+  const params = {};
+  const queries = [];
+  for (const expression of expressions) {
+    const query = buildQuery({
+      db,
+      expression,
+      reserved,
+      scope
+    });
+    for (const subquery of query.subqueries) {
+      const duplicate = subqueries.some(q => q.alias === subquery.alias);
+      if (!duplicate) {
+        subqueries.push(subquery);
+        reserved.push(subquery.alias);
+      }
+    }
+    Object.assign(params, query.params);
+    queries.push(query);
+  }
+  const [initial] = queries;
+  const columnKeys = Object.keys(initial.columns);
+  const columns = { ...initial.columns };
+  for (const query of queries.slice(1)) {
+    const queryKeys = Object.keys(query.columns);
+    const matches = queryKeys.length === columnKeys.length && queryKeys.every((k, i) => k === columnKeys[i]);
+    if (!matches || query.valueReturn !== initial.valueReturn) {
+      throw Error(`Every query in a compound query must select the same columns (${columnKeys.join(', ')})`);
+    }
+    for (const column of columnKeys) {
+      const existing = columns[column];
+      const type = query.columns[column];
+      if (!type || type === 'null') {
+        continue;
+      }
+      if (!existing || existing === 'null') {
+        columns[column] = type;
+        continue;
+      }
+      if (db.getDbToJsConverter(existing) !== db.getDbToJsConverter(type)) {
+        throw Error(`The column "${column}" has incompatible types in the compound query (${existing} and ${type})`);
+      }
+    }
+  }
+  const operator = compoundOperators[key];
+  let sql = queries
+    .map(q => q.ordered ? `select * from (${q.sql})` : q.sql)
+    .join(` ${operator} `);
+  const requests = new Map();
+  if (orderBy) {
+    let items = Array.isArray(orderBy) ? orderBy : [orderBy];
+    if (orderBy === true) {
+      items = columnKeys;
+    }
+    for (const item of items) {
+      if (!columnKeys.includes(item)) {
+        throw Error(`Cannot order a compound query by "${item}" because it is not selected`);
+      }
+    }
+    sql += ` order by ${items.map(i => nameToSql(i)).join(', ')}`;
+    if (desc) {
+      sql += ' desc';
+    }
+  }
+  if (limit) {
+    const result = processArg({
+      db,
+      arg: limit,
+      params,
+      requests
+    });
+    sql += ` limit ${result.sql}`;
+  }
+  else if (firstResult) {
+    sql += ' limit 1';
+  }
+  if (offset) {
+    if (!limit && !firstResult) {
+      sql += ' limit -1';
+    }
+    const result = processArg({
+      db,
+      arg: offset,
+      params,
+      requests
+    });
+    sql += ` offset ${result.sql}`;
+  }
+  const parsers = {};
+  for (const [column, type] of Object.entries(columns)) {
+    const parser = db.getDbToJsConverter(type);
+    if (parser) {
+      parsers[column] = parser;
+    }
+  }
+  const post = (rows, converted) => {
+    if (!converted && Object.keys(parsers).length > 0) {
+      for (const row of rows) {
+        for (const [column, parser] of Object.entries(parsers)) {
+          row[column] = parser(row[column]);
+        }
+      }
+    }
+    let mapped = rows;
+    if (initial.valueReturn) {
+      mapped = rows.map(r => r.valueReturn);
+    }
+    return firstResult ? mapped.at(0) : mapped;
+  }
   const adjusted = replaceParams(subqueries, sql, params);
   return {
     ...adjusted,
-    columns: columnTypes,
+    tables: [...new Set(queries.flatMap(q => q.tables))],
+    columns,
+    sorted: Boolean(orderBy),
+    limited: Boolean(limit || offset),
+    parsers,
     post
   }
 }
 
 export {
   processQuery,
+  processCursorQuery,
+  processRecursive,
+  processCompound,
+  processView,
+  isCompound,
   makeProxy
 }
@@ -102,11 +102,14 @@ class Trigram {
 class BaseTable {
   static requests = new Map();
   static classes = new Map();
+  // The functions registered with the database whose classes are being processed
+  static customMethods = new Map();
   Called = [];
 
   constructor() {
     const cls = this.constructor;
-    const methods = [...compareMethods, ...computeMethods];
+    const { customMethods } = BaseTable;
+    const methods = [...compareMethods, ...computeMethods, ...customMethods.keys()];
     for (const method of methods) {
       let name = addCapital(method);
       if (['Date', 'Json'].includes(name)) {
@@ -120,7 +123,8 @@ class BaseTable {
             category: 'Method',
             type,
             name: method,
-            args: null
+            args: null,
+            resultType: customMethods.get(method)
           };
           Table.requests.set(symbol, request);
           return (...args) => {
@@ -191,6 +195,32 @@ class BaseTable {
     return symbol;
   }
 
+  get Version() {
+    const symbol = Symbol();
+    Table.requests.set(symbol, {
+      category: 'Column',
+      type: 'integer',
+      notNull: true,
+      default: 1,
+      version: true
+    });
+    return symbol;
+  }
+
+  Vector(dimensions) {
+    if (!Number.isInteger(dimensions) || dimensions < 1) {
+      throw Error(`Invalid number of dimensions: ${dimensions}`);
+    }
+    const symbol = Symbol();
+    Table.requests.set(symbol, {
+      category: 'Column',
+      type: 'vector',
+      notNull: true,
+      dimensions
+    });
+    return symbol;
+  }
+
   Default(value) {
     const { symbol, column } = toColumn(value);
     Table.requests.set(symbol, column);
@@ -258,6 +288,50 @@ class BaseTable {
     return symbol;
   }
 
+  Trigger(options) {
+    const symbol = Symbol();
+    Table.requests.set(symbol, {
+      category: 'Trigger',
+      ...options
+    });
+    this.Called.push(symbol);
+    return symbol;
+  }
+
+  Renamed(from, column) {
+    const symbol = Symbol();
+    Table.requests.set(symbol, {
+      category: 'Renamed',
+      from,
+      column
+    });
+    return symbol;
+  }
+
+  Convert(column, expression) {
+    const symbol = Symbol();
+    Table.requests.set(symbol, {
+      category: 'Convert',
+      column,
+      expression
+    });
+    return symbol;
+  }
+
+  Generated(expression, type) {
+    type = type || 'virtual';
+    if (!['stored', 'virtual'].includes(type)) {
+      throw Error(`Invalid generated column type: ${type}`);
+    }
+    const symbol = Symbol();
+    Table.requests.set(symbol, {
+      category: 'Generated',
+      expression,
+      stored: type === 'stored'
+    });
+    return symbol;
+  }
+
   Null(value) {
     if (typeof value !== 'symbol') {
       const result = toColumn(value);
@@ -333,6 +407,16 @@ class ExternalFTSTable extends FTSTable {
   ExternalRowId = null;
 }
 
+/**
+ * Base class for views. Subclasses define a "Query" method that takes the same
+ * context as db.query and returns the query that the view selects.
+ */
+class View {
+  Query() {
+    throw Error(`The view "${this.constructor.name}" needs a "Query" method`);
+  }
+}
+
 const getKeys = (instance) => {
   return Object
     .getOwnPropertyNames(instance)
@@ -362,7 +446,154 @@ const getColumns = (constructor) => {
   });
 }
 
-const process = (Custom) => {
+const triggerEvents = ['insert', 'update', 'delete'];
+const raiseTypes = ['ignore', 'rollback', 'abort', 'fail'];
+
+const toTableName = (table) => {
+  return typeof table === 'function' ? removeCapital(table.name) : table;
+}
+
+const makeColumns = (table, prefix, columns) => {
+  return new Proxy({}, {
+    get: function(target, property) {
+      let type;
+      if (columns) {
+        const column = columns.find(c => c.name === property);
+        if (!column) {
+          throw Error(`Table or column "${table.name}.${property}" does not exist`);
+        }
+        type = column.type;
+      }
+      const selector = prefix ? `${prefix}.${property}` : property;
+      const symbol = Symbol();
+      Table.requests.set(symbol, {
+        category: 'Column',
+        name: property,
+        type,
+        selector,
+        sql: selector
+      });
+      return symbol;
+    }
+  });
+}
+
+const makeTriggerContext = (table) => {
+  const rows = {
+    new: makeColumns(table, 'new', table.columns),
+    old: makeColumns(table, 'old', table.columns)
+  };
+  return new Proxy({}, {
+    get: function(target, property) {
+      if (rows[property]) {
+        return rows[property];
+      }
+      return makeColumns(table, null);
+    }
+  });
+}
+
+const triggerStatementToSql = (statement) => {
+  if (typeof statement === 'string') {
+    return statement.trim().replace(/;$/, '');
+  }
+  const toArg = (arg) => processArg({
+    arg,
+    requests: Table.requests
+  }).sql;
+  const toCondition = (where) => toWhere({
+    where,
+    requests: Table.requests
+  });
+  if (statement.update) {
+    const { update, set, where } = statement;
+    const assignments = Object
+      .entries(set)
+      .map(([column, value]) => `${column} = ${toArg(value)}`)
+      .join(', ');
+    let sql = `update ${toTableName(update)} set ${assignments}`;
+    if (where) {
+      sql += ` where ${toCondition(where)}`;
+    }
+    return sql;
+  }
+  if (statement.insert) {
+    const { insert, values } = statement;
+    const columns = Object.keys(values).join(', ');
+    const args = Object.values(values).map(v => toArg(v)).join(', ');
+    return `insert into ${toTableName(insert)} (${columns}) values (${args})`;
+  }
+  if (statement.delete) {
+    const { where } = statement;
+    let sql = `delete from ${toTableName(statement.delete)}`;
+    if (where) {
+      sql += ` where ${toCondition(where)}`;
+    }
+    return sql;
+  }
+  if (statement.raise) {
+    const { raise, message } = statement;
+    if (!raiseTypes.includes(raise)) {
+      throw Error(`Invalid trigger raise type "${raise}"`);
+    }
+    if (raise === 'ignore') {
+      return 'select raise(ignore)';
+    }
+    return `select raise(${raise}, ${toLiteral(message || '')})`;
+  }
+  throw Error('A trigger statement needs one of "update", "insert", "delete" or "raise"');
+}
+
+const processTrigger = (table, request) => {
+  const timing = ['before', 'after'].find(t => request[t] !== undefined);
+  const event = timing ? request[timing] : undefined;
+  if (!triggerEvents.includes(event)) {
+    throw Error(`A trigger on "${table.name}" needs "before" or "after" set to one of ${triggerEvents.join(', ')}`);
+  }
+  if (typeof request.body !== 'function') {
+    throw Error(`A trigger on "${table.name}" needs a "body" function`);
+  }
+  const context = makeTriggerContext(table);
+  let when;
+  if (request.when) {
+    when = toWhere({
+      where: request.when(context),
+      requests: Table.requests
+    });
+  }
+  const result = request.body(context);
+  const statements = Array.isArray(result) ? result : [result];
+  const body = statements.map(s => triggerStatementToSql(s));
+  let name = request.name;
+  if (!name) {
+    const adjusted = table.name.replaceAll(/([a-z])([A-Z])/gm, '$1_$2').toLowerCase();
+    name = `${adjusted}_${timing}_${event}`;
+    const count = table.triggers.filter(t => t.name.startsWith(name)).length;
+    if (count > 0) {
+      name += `_${count + 1}`;
+    }
+  }
+  return {
+    name,
+    timing,
+    event,
+    when,
+    body
+  };
+}
+
+const process = (Custom, customMethods) => {
+  const previous = BaseTable.customMethods;
+  BaseTable.customMethods = customMethods || new Map();
+  try {
+    return processTable(Custom);
+  }
+  finally {
+    BaseTable.customMethods = previous;
+  }
+}
+
+const processTable = (Custom) => {
   const instance = new Custom();
   const name = removeCapital(Custom.name);
   const type = Custom.prototype instanceof FTSTable ? 'fts5' : 'base';
@@ -377,8 +608,14 @@ const process = (Custom) => {
     indexes: [],
     primaryKeys: [],
     foreignKeys: [],
-    checks: []
+    checks: [],
+    triggers: [],
+    renames: {},
+    conversions: {}
   };
+  if (instance.RenamedFrom) {
+    table.renamedFrom = instance.RenamedFrom;
+  }
   if (type === 'fts5') {
     table.tokenizer = toString(instance.Tokenizer);
     if (instance.Prefix !== undefined) {
@@ -504,6 +741,28 @@ const process = (Custom) => {
       addCheck(column, request.checks);
       return column;
     }
+    else if (category === 'Convert') {
+      const column = getColumn(key, request.column);
+      if (typeof request.column === 'symbol') {
+        Table.requests.set(request.column, column);
+      }
+      const { expression } = request;
+      // The expression reads the columns of the table before it is recreated.
+      const arg = typeof expression === 'function' ? expression(makeColumns(table, null)) : expression;
+      table.conversions[key] = processArg({
+        arg,
+        requests: Table.requests
+      }).sql;
+      return column;
+    }
+    else if (category === 'Renamed') {
+      const column = getColumn(key, request.column);
+      if (typeof request.column === 'symbol') {
+        Table.requests.set(request.column, column);
+      }
+      table.renames[key] = request.from;
+      return column;
+    }
     else if (['Index', 'Unique'].includes(category)) {
       const type = category === 'Unique' ? 'unique' : undefined;
       if (request.columns.length > 1) {
@@ -532,6 +791,24 @@ const process = (Custom) => {
       });
       return column;
     }
+    if (category === 'Generated') {
+      const method = Table.requests.get(request.expression);
+      if (!method || method.category !== 'Method') {
+        throw Error(`The generated column ${key} needs a computed expression`);
+      }
+      const { type, sql } = processMethod({
+        method,
+        requests: Table.requests
+      });
+      return {
+        category: 'Column',
+        name: key,
+        type: type || 'any',
+        notNull: false,
+        generated: sql,
+        stored: request.stored
+      };
+    }
     if (category === 'Method') {
       const { type, sql } = processMethod({
         method: request,
@@ -607,18 +884,98 @@ const process = (Custom) => {
       const column = getColumn(null, request.column);
       addCheck(column, request.checks);
     }
+    else if (category === 'Trigger') {
+      table.triggers.push(processTrigger(table, request));
+    }
   }
   table.columns = table.columns.map(column => {
     const { category, ...rest } = column;
     return rest;
   });
+  if (instance.History) {
+    if (type === 'fts5') {
+      throw Error(`The virtual table "${name}" cannot keep a history`);
+    }
+    if (table.primaryKeys.length === 0) {
+      throw Error(`The table "${name}" needs a primary key to keep a history`);
+    }
+    table.history = true;
+  }
   return table;
 }
 
+/**
+ * Creates the table that stores every version of the rows of a table with
+ * "History" set, and adds the triggers that write to it.
+ */
+const toHistory = (table) => {
+  const name = `${table.name}_history`;
+  const columns = table.columns
+    .filter(c => !c.generated)
+    .map(c => ({
+      name: c.name,
+      type: c.type,
+      notNull: false
+    }));
+  const names = columns.map(c => c.name);
+  const adjusted = table.name.replaceAll(/([a-z])([A-Z])/gm, '$1_$2').toLowerCase();
+  for (const event of ['insert', 'update', 'delete']) {
+    const row = event === 'delete' ? 'old' : 'new';
+    const values = names.map(n => `${row}.${n}`);
+    table.triggers.push({
+      name: `${adjusted}_history_${event}`,
+      timing: 'after',
+      event,
+      when: undefined,
+      body: [`insert into ${name}(${names.join(', ')}, operation, changedAt) values (${values.join(', ')}, '${event}', strftime('%Y-%m-%dT%H:%M:%fZ', 'now'))`]
+    });
+  }
+  return {
+    name,
+    type: 'base',
+    historyOf: table.name,
+    renamedFrom: table.renamedFrom ? `${table.renamedFrom}_history` : undefined,
+    softDelete: false,
+    columns: [
+      {
+        name: 'historyId',
+        type: 'integer',
+        notNull: true,
+        primaryKey: true
+      },
+      ...columns,
+      {
+        name: 'operation',
+        type: 'text',
+        notNull: true
+      },
+      {
+        name: 'changedAt',
+        type: 'date',
+        notNull: true
+      },
+      {
+        name: 'actor',
+        type: 'text',
+        notNull: false
+      }
+    ],
+    computed: [],
+    indexes: [{ on: table.primaryKeys.join(', ') }],
+    primaryKeys: ['historyId'],
+    foreignKeys: [],
+    checks: [],
+    triggers: [],
+    renames: { ...table.renames },
+    conversions: {}
+  };
+}
+
 const typeMap = {
   date: 'text',
   boolean: 'integer',
-  json: 'blob'
+  json: 'blob',
+  vector: 'blob'
 };
 
 const toString = (tokenizer) => {
@@ -717,6 +1074,10 @@ const toVirtual = (table) => {
 
 const columnToSql = (column) => {
   const dbType = typeMap[column.type] || column.type;
+  if (column.generated) {
+    const storage = column.stored ? 'stored' : 'virtual';
+    return `${column.name} ${dbType} generated always as (${column.generated}) ${storage}`;
+  }
   const notNull = column.notNull ? ' not null' : '';
   let defaultClause = '';
   if (column.default !== undefined) {
@@ -769,6 +1130,26 @@ const indexToSql = (table, index) => {
   return sql;
 }
 
+const triggerToSql = (table, trigger) => {
+  const {
+    name,
+    timing,
+    event,
+    when,
+    body
+  } = trigger;
+  let sql = `create trigger ${name} ${timing} ${event} on ${table}`;
+  if (when) {
+    sql += ` when ${when}`;
+  }
+  sql += ' begin\n';
+  for (const statement of body) {
+    sql += `  ${statement};\n`;
+  }
+  sql += 'end;\n';
+  return sql;
+}
+
 const toSql = (table) => {
   const { 
     name,
@@ -781,6 +1162,9 @@ const toSql = (table) => {
   if (table.type === 'fts5') {
     return toVirtual(table);
   }
+  if (table.type === 'view') {
+    return `create view ${name} as ${table.sql};\n\n`;
+  }
   let sql = `create table ${name} (\n`;
   for (const column of columns) {
     const clause = columnToSql(column);
@@ -810,6 +1194,9 @@ const toSql = (table) => {
   for (const index of indexes) {
     sql += indexToSql(name, index);
   }
+  for (const trigger of table.triggers || []) {
+    sql += triggerToSql(name, trigger);
+  }
   return sql;
 }
 
@@ -822,10 +1209,15 @@ export {
   Ascii,
   Table,
   SoftDeleteTable,
+  View,
   toSql,
   toHash,
   process,
+  toHistory,
   indexToSql,
+  triggerToSql,
   columnToSql,
+  typeMap,
+  addCapital,
   removeCapital
 }
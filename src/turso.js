@@ -1,5 +1,30 @@
 import Database from './db.js';
 import { makeClient } from './proxy.js';
+import { splitStatements } from './utils.js';
+import { QueryTimeoutError } from './errors.js';
+
+/**
+ * Remote statements cannot be interrupted, so the query stops
+ * being waited on when it passes its deadline or is aborted.
+ */
+const withLimits = (promise, limits) => {
+  const { sql, deadline, timeout, signal } = limits;
+  if (!deadline && !signal) {
+    return promise;
+  }
+  const { promise: stopped, reject } = Promise.withResolvers();
+  const timer = deadline ? setTimeout(() => reject(new QueryTimeoutError(sql, timeout)), deadline - Date.now()) : null;
+  const abort = () => reject(signal.reason);
+  if (signal) {
+    signal.addEventListener('abort', abort, { once: true });
+  }
+  return Promise.race([promise, stopped]).finally(() => {
+    clearTimeout(timer);
+    if (signal) {
+      signal.removeEventListener('abort', abort);
+    }
+  });
+}
 
 class TursoDatabase extends Database {
   constructor(props) {
@@ -9,7 +34,7 @@ class TursoDatabase extends Database {
 
   async runMigration(sql) {
     const defer = 'pragma defer_foreign_keys = true';
-    const split = sql.split(';').filter(s => s.length > 2);
+    const split = splitStatements(sql);
     const statements = [defer, ...split].map(sql => ({ sql, args: [] }));
     try {
       await this.raw.batch(statements, 'write');
@@ -20,22 +45,34 @@ class TursoDatabase extends Database {
   }
 
   async begin(type) {
-    if (!type || !['read', 'write'].includes(type)) {
+    type = type || 'write';
+    if (!['read', 'write'].includes(type)) {
       throw Error(`Invalid transaction type: ${type}`);
     }
     const db = await this.raw.transaction(type);
-    await tx.db.begin();
     return makeClient(this, { db });
   }
 
   async commit(tx) {
+    if (tx.savepoint) {
+      await this.releaseSavepoint(tx);
+      return;
+    }
     await tx.db.commit();
   }
 
   async rollback(tx) {
+    if (tx.savepoint) {
+      await this.rollbackSavepoint(tx);
+      return;
+    }
     await tx.db.rollback();
   }
 
+  getConnection(tx) {
+    return tx && !tx.isBatch ? tx.db : this.raw;
+  }
+
   async sync() {
     await this.raw.sync();
   }
@@ -44,12 +81,12 @@ class TursoDatabase extends Database {
     return this.raw.execute(sql);
   }
 
-  async basicRun(sql) {
-    return await this.raw.execute(sql);
+  async basicRun(sql, tx) {
+    return await this.getConnection(tx).execute(sql);
   }
 
-  async basicAll(sql) {
-    const meta = await this.raw.execute(sql);
+  async basicAll(sql, tx) {
+    const meta = await this.getConnection(tx).execute(sql);
     return meta.rows;
   }
 
@@ -60,7 +97,8 @@ class TursoDatabase extends Database {
         args: insert.params
       }
     });
-    await this.raw.batch(mapped, 'write');
+    const results = await this.raw.batch(mapped, 'write');
+    return results.map(result => result.rows);
   }
 
   async batch(type, handler) {
@@ -88,8 +126,9 @@ class TursoDatabase extends Database {
     const sqlText = this.getSqlText(query);
     const start = this.now();
     const isBatch = tx && tx.isBatch;
+    const client = this.getConnection(tx);
     if (props.statement && !isBatch) {
-      return await this.raw.execute(props.statement);
+      return await client.execute(props.statement);
     }
     if (params === null) {
       params = undefined;
@@ -105,7 +144,7 @@ class TursoDatabase extends Database {
       return statement;
     }
     try {
-      await this.raw.execute(statement);
+      await client.execute(statement);
       this.logQuery({
         sql: sqlText,
         params,
@@ -129,14 +168,67 @@ class TursoDatabase extends Database {
     }
   }
 
+  /**
+   * Rows are fetched in pages by adding a limit and offset to the query, so it
+   * has to be sorted for each page to continue where the last one finished.
+   */
+  async *iterateRows(props) {
+    let { query, params, tx, adjusted, sorted, limited, timeout, signal } = props;
+    if (!sorted) {
+      throw Error('Iterating with Turso needs an "orderBy" option, as the rows are fetched in pages');
+    }
+    if (limited) {
+      throw Error('Iterating with Turso cannot use "limit" or "offset", as the rows are fetched in pages');
+    }
+    const sql = this.getSqlText(query);
+    const deadline = this.getDeadline(timeout, signal);
+    const check = () => {
+      if (signal) {
+        signal.throwIfAborted();
+      }
+      if (deadline && Date.now() > deadline) {
+        throw new QueryTimeoutError(sql, timeout);
+      }
+    }
+    if (params === null) {
+      params = undefined;
+    }
+    if (params !== undefined && !adjusted) {
+      params = this.adjust(params);
+    }
+    const pageSize = 1000;
+    let offset = 0;
+    while (true) {
+      check();
+      const page = this.all({
+        query: `${query} limit ${pageSize} offset ${offset}`,
+        params,
+        tx,
+        adjusted: true,
+        operation: 'iterate'
+      });
+      const rows = await withLimits(page, { sql, deadline, timeout, signal });
+      for (const row of rows) {
+        check();
+        yield row;
+      }
+      if (rows.length < pageSize) {
+        return;
+      }
+      offset += pageSize;
+    }
+  }
+
   async all(props) {
-    let { query, params, options, adjusted, tx, operation } = props;
+    let { query, params, options, adjusted, tx, operation, parsers, timeout, signal } = props;
     const op = operation || 'all';
     const sqlText = this.getSqlText(query);
     const start = this.now();
+    const deadline = this.getDeadline(timeout, signal);
     const isBatch = tx && tx.isBatch;
+    const client = this.getConnection(tx);
     if (props.statement && !isBatch) {
-      const meta = await this.raw.execute(props.statement);
+      const meta = await client.execute(props.statement);
       return this.process(meta.rows, options);
     }
     if (params === null) {
@@ -156,8 +248,8 @@ class TursoDatabase extends Database {
       }
     }
     try {
-      const meta = await this.raw.execute(statement);
-      const result = this.process(meta.rows, options);
+      const meta = await withLimits(client.execute(statement), { sql: sqlText, deadline, timeout, signal });
+      const result = this.process(this.parseRows(meta.rows, parsers), options);
       this.logQuery({
         sql: sqlText,
         params,
@@ -191,8 +283,8 @@ class TursoDatabase extends Database {
     return await this.all(options);
   }
 
-  async exec(sql) {
-    await this.raw.execute(sql);
+  async exec(tx, sql) {
+    await this.getConnection(tx).execute(sql);
   }
 }
 
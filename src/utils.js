@@ -25,10 +25,11 @@ const toValues = (rows) => {
 }
 
 const expressionHandler = (expression) => {
-  const columnHandler = {
+  const makeColumnHandler = (table) => ({
     get: function(target, property) {
       const request = {
         name: property,
+        table,
         path: [],
         proxy: null
       };
@@ -44,9 +45,9 @@ const expressionHandler = (expression) => {
       columnRequests.push(request);
       return pathProxy;
     }
-  }
-  const columnTarget = {};
-  const columnProxy = new Proxy(columnTarget, columnHandler);
+  });
+  const columnProxy = new Proxy({}, makeColumnHandler(null));
+  const excludedProxy = new Proxy({}, makeColumnHandler('excluded'));
   const columnRequests = [];
   const methodHandler = {
     get: function(target, property) {
@@ -64,7 +65,7 @@ const expressionHandler = (expression) => {
   const methodTarget = {};
   const methodProxy = new Proxy(methodTarget, methodHandler);
   const methodRequests = [];
-  expression(columnProxy, methodProxy);
+  expression(columnProxy, methodProxy, excludedProxy);
   const method = methodRequests.at(0);
   const operators = new Map([
     ['plus', '+'],
@@ -74,13 +75,14 @@ const expressionHandler = (expression) => {
   ]);
   const createClause = (params) => {
     const processColumn = (column) => {
+      const name = column.table ? `${column.table}.${column.name}` : column.name;
       if (column.path.length === 0) {
-        return column.name;
+        return name;
       }
       const placeholder = getPlaceholder();
       const path = `$.${column.path.join('.')}`;
       params[placeholder] = path;
-      return `json_extract(${column.name}, $${placeholder})`;
+      return `json_extract(${name}, $${placeholder})`;
     }
     const processMethod = (method) => {
       const statements = [];
@@ -197,7 +199,48 @@ const nameToSql = (column, alias) => {
   return name;
 }
 
+/**
+ * Splits SQL into statements on semicolons, ignoring semicolons inside quotes
+ * and inside the body of a trigger.
+ */
+const splitStatements = (sql) => {
+  const statements = [];
+  let current = '';
+  let quote = null;
+  for (const char of sql) {
+    current += char;
+    if (quote) {
+      if (char === quote) {
+        quote = null;
+      }
+      continue;
+    }
+    if (char === '\'' || char === '"') {
+      quote = char;
+      continue;
+    }
+    if (char !== ';') {
+      continue;
+    }
+    const statement = current.slice(0, -1).trim();
+    const isTrigger = /^create\s+(temp\s+|temporary\s+)?trigger\s/i.test(statement);
+    if (isTrigger && !/\bend$/i.test(statement)) {
+      continue;
+    }
+    if (statement.length > 0) {
+      statements.push(statement);
+    }
+    current = '';
+  }
+  const last = current.trim();
+  if (last.length > 0) {
+    statements.push(last);
+  }
+  return statements;
+}
+
 export {
+  splitStatements,
   addAlias,
   toValues,
   nameToSql,
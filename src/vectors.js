@@ -0,0 +1,94 @@
+// The metrics that distances can be measured with. The functions have the
+// same names and arguments as those of the sqlite-vec extension.
+const metrics = ['l2', 'l1', 'cosine'];
+
+const toFunctionName = (metric) => {
+  if (!metrics.includes(metric)) {
+    throw Error(`Invalid distance metric: ${metric}`);
+  }
+  return `vec_distance_${metric}`;
+}
+
+/**
+ * Reads a vector from a blob of 32-bit floats or from JSON text.
+ * The blob is copied as it is not always aligned to 4 bytes.
+ */
+const toVector = (value) => {
+  if (typeof value === 'string') {
+    return new Float32Array(JSON.parse(value));
+  }
+  if (value.byteLength % 4 !== 0) {
+    throw Error(`Invalid vector of ${value.byteLength} bytes`);
+  }
+  const start = value.byteOffset;
+  return new Float32Array(value.buffer.slice(start, start + value.byteLength));
+}
+
+const toBlob = (vector) => Buffer.from(vector.buffer, vector.byteOffset, vector.byteLength);
+
+const distances = {
+  l2: (x, y) => {
+    let sum = 0;
+    for (let i = 0; i < x.length; i++) {
+      const difference = x[i] - y[i];
+      sum += difference * difference;
+    }
+    return Math.sqrt(sum);
+  },
+  l1: (x, y) => {
+    let sum = 0;
+    for (let i = 0; i < x.length; i++) {
+      sum += Math.abs(x[i] - y[i]);
+    }
+    return sum;
+  },
+  cosine: (x, y) => {
+    let dot = 0;
+    let xx = 0;
+    let yy = 0;
+    for (let i = 0; i < x.length; i++) {
+      dot += x[i] * y[i];
+      xx += x[i] * x[i];
+      yy += y[i] * y[i];
+    }
+    // A vector of zeros has no direction to compare
+    if (xx === 0 || yy === 0) {
+      return null;
+    }
+    return 1 - dot / Math.sqrt(xx * yy);
+  }
+};
+
+const makeDistance = (metric) => (a, b) => {
+  if (a === null || b === null) {
+    return null;
+  }
+  const x = toVector(a);
+  const y = toVector(b);
+  if (x.length !== y.length) {
+    throw Error(`Vector dimensions do not match: ${x.length} and ${y.length}`);
+  }
+  return distances[metric](x, y);
+}
+
+/**
+ * Adds the distance functions to a better-sqlite3 connection. When an
+ * extension such as sqlite-vec has been loaded its functions are used instead.
+ */
+const addVectorFunctions = (db) => {
+  const statement = db.prepare('select 1 from pragma_function_list where name = ?');
+  for (const metric of metrics) {
+    const name = toFunctionName(metric);
+    if (!statement.get(name)) {
+      db.function(name, { deterministic: true }, makeDistance(metric));
+    }
+  }
+}
+
+export {
+  metrics,
+  toFunctionName,
+  toVector,
+  toBlob,
+  addVectorFunctions
+}
@@ -0,0 +1,216 @@
+import { parentPort, workerData } from 'worker_threads';
+import sqlite3 from 'better-sqlite3';
+import { readDatabase, readRows, installFunction } from './sqlite.js';
+import { converters, builtInTypes, toDbValue } from './parsers.js';
+import { addVectorFunctions } from './vectors.js';
+
+const toDb = (value) => toDbValue(value, builtInTypes);
+
+/**
+ * Imports the registered functions from their modules. Results are
+ * converted with the built-in types as custom types stay on the main thread.
+ */
+const importFunctions = async () => {
+  const functions = [];
+  for (const definition of workerData.functions) {
+    const { name, key, module, aggregate, options } = definition;
+    const exported = (await import(module))[key];
+    if (!exported) {
+      throw Error(`The module ${module} does not export "${key}"`);
+    }
+    if (aggregate) {
+      const { start, step, inverse, result } = exported;
+      functions.push({
+        name,
+        aggregate,
+        options: {
+          ...options,
+          start,
+          step,
+          inverse,
+          result: (total) => toDb(result ? result(total) : total)
+        }
+      });
+    }
+    else {
+      const fn = (...args) => toDb(exported(...args));
+      Object.defineProperty(fn, 'length', { value: exported.length });
+      functions.push({ name, options, fn });
+    }
+  }
+  return functions;
+}
+
+const functions = await importFunctions();
+
+const open = (readonly) => {
+  const db = new sqlite3(workerData.path, { readonly });
+  db.pragma('foreign_keys = on');
+  for (const definition of functions) {
+    installFunction(definition, db);
+  }
+  for (const extension of workerData.extensions) {
+    db.loadExtension(extension);
+  }
+  addVectorFunctions(db);
+  return db;
+}
+
+const db = open(false);
+const statements = new Map();
+const cursors = new Map();
+
+const prepare = (sql) => {
+  let statement = statements.get(sql);
+  if (!statement) {
+    statement = db.prepare(sql);
+    statements.set(sql, statement);
+  }
+  return statement;
+}
+
+const execute = (statement, params, reader = statement.reader) => {
+  const method = reader ? 'all' : 'run';
+  return params && Object.keys(params).length > 0 ? statement[method](params) : statement[method]();
+}
+
+const convert = (rows, types) => {
+  if (!types) {
+    return rows;
+  }
+  const entries = Object.entries(types);
+  for (const row of rows) {
+    for (const [column, type] of entries) {
+      if (column in row) {
+        row[column] = converters[type](row[column]);
+      }
+    }
+  }
+  return rows;
+}
+
+const hasBuffers = (value) => {
+  if (Buffer.isBuffer(value)) {
+    return true;
+  }
+  if (ArrayBuffer.isView(value)) {
+    return false;
+  }
+  if (Array.isArray(value)) {
+    return value.some(hasBuffers);
+  }
+  if (value !== null && typeof value === 'object' && !(value instanceof Date)) {
+    return Object.values(value).some(hasBuffers);
+  }
+  return false;
+}
+
+const next = (id) => {
+  const cursor = cursors.get(id);
+  if (!cursor) {
+    throw Error('The cursor has already been closed');
+  }
+  const rows = [];
+  while (rows.length < workerData.pageSize) {
+    const item = cursor.rows.next();
+    if (item.done) {
+      cursor.db.close();
+      cursors.delete(id);
+      return { rows, done: true };
+    }
+    rows.push(item.value);
+  }
+  return { rows, done: false };
+}
+
+const handlers = {
+  all: ({ sql, params, types, deadline, timeout }) => {
+    let statement;
+    try {
+      statement = prepare(sql);
+    }
+    catch (e) {
+      throw Error(`query: ${sql} had the error: ${e}`);
+    }
+    const rows = deadline ? readRows(statement, params, { sql, deadline, timeout }) : execute(statement, params, true);
+    return convert(rows, types);
+  },
+  run: ({ sql, params }) => {
+    const statement = prepare(sql);
+    return execute(statement, params);
+  },
+  exec: ({ sql }) => {
+    db.exec(sql);
+  },
+  pragma: ({ sql }) => db.pragma(sql),
+  transaction: ({ queries }) => {
+    const run = db.transaction(() => queries.map(q => execute(prepare(q.sql), q.params, q.reader)));
+    return run();
+  },
+  migrate: ({ sql }) => {
+    db.exec('begin');
+    try {
+      db.pragma('defer_foreign_keys = true');
+      db.exec(sql);
+      db.exec('commit');
+    }
+    catch (e) {
+      db.exec('rollback');
+      throw e;
+    }
+  },
+  // The id of the request names the cursor, so that it is not reused by a thread that replaces this one
+  iterate: ({ sql, params }, id) => {
+    const dedicated = open(true);
+    try {
+      const statement = dedicated.prepare(sql);
+      cursors.set(id, {
+        db: dedicated,
+        rows: params ? statement.iterate(params) : statement.iterate()
+      });
+    }
+    catch (e) {
+      dedicated.close();
+      throw e;
+    }
+    return { cursor: id, ...next(id) };
+  },
+  next: ({ cursor }) => next(cursor),
+  return: ({ cursor: id }) => {
+    const cursor = cursors.get(id);
+    if (cursor) {
+      cursor.rows.return();
+      cursor.db.close();
+      cursors.delete(id);
+    }
+  },
+  schema: () => readDatabase(db),
+  backup: async ({ path }) => await db.backup(path),
+  close: () => {
+    for (const cursor of cursors.values()) {
+      cursor.rows.return();
+      cursor.db.close();
+    }
+    db.close();
+  }
+};
+
+parentPort.on('message', async (message) => {
+  const { id, type, ...options } = message;
+  try {
+    const result = await handlers[type](options, id);
+    const buffers = hasBuffers(result);
+    parentPort.postMessage({ id, result, buffers });
+  }
+  catch (e) {
+    parentPort.postMessage({
+      id,
+      error: {
+        message: e.message,
+        code: e.code,
+        name: e.name,
+        timeout: e.timeout
+      }
+    });
+  }
+});